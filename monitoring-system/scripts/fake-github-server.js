@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+import process from 'process';
+
+import { FakeGitHubServer, WORKFLOW_SCENARIOS } from '../src/testing/fake-github-server.js';
+
+function parseArguments(argv) {
+  const args = {};
+  argv.forEach((arg, index) => {
+    if (!arg.startsWith('--')) return;
+    const key = arg.slice(2);
+    const value = argv[index + 1] && !argv[index + 1].startsWith('--') ? argv[index + 1] : true;
+    args[key] = value;
+  });
+  return args;
+}
+
+async function main() {
+  const cliOptions = parseArguments(process.argv.slice(2));
+  const scenario = cliOptions.scenario || 'success';
+  if (!WORKFLOW_SCENARIOS[scenario]) {
+    throw new Error(`Unknown scenario ${scenario} (expected one of ${Object.keys(WORKFLOW_SCENARIOS).join(', ')})`);
+  }
+
+  const server = new FakeGitHubServer({
+    owner: cliOptions.owner || process.env.GITHUB_OWNER,
+    repo: cliOptions.repo || process.env.GITHUB_REPO,
+    token: cliOptions.token || process.env.GITHUB_TOKEN,
+    scenario,
+    rateLimit: cliOptions['rate-limit'] ? parseInt(cliOptions['rate-limit'], 10) : undefined
+  });
+
+  const url = await server.start({
+    port: cliOptions.port ? parseInt(cliOptions.port, 10) : 0,
+    host: cliOptions.host || '127.0.0.1'
+  });
+  console.log(`Fake GitHub API for ${server.owner}/${server.repo} listening on ${url} (scenario: ${scenario})`);
+  console.log(`Set GITHUB_API_URL=${url} to point the monitors and ml-to-hugo at it`);
+
+  const shutdown = async (signal) => {
+    console.log(`Received ${signal}, stopping fake GitHub API...`);
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('Fake GitHub API failed to start:', error);
+  process.exit(1);
+});
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+import readline from 'readline/promises';
+import { fileURLToPath } from 'url';
+
+import { DashboardAuth, ROLES } from '../src/dashboard/auth.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const USAGE = `Usage: manage-dashboard-users.js <command> [options]
+
+Commands:
+  list                              List users and their API tokens
+  set <username> [--role <role>]    Create a user or change their role/password
+      [--password]                  (prompts for the password, or reads DASHBOARD_USER_PASSWORD)
+  remove <username>                 Delete a user
+  token <username> [--name <name>]  Issue an API token (printed once)
+  revoke <username> <tokenId>       Revoke an API token
+
+Options:
+  --file <path>   Users file (default: auth.usersFile from the dashboard config)
+
+Roles: ${ROLES.join(', ')}`;
+
+// --password is a flag: the password itself is prompted for so it stays out of shell history
+const FLAGS = new Set(['password', 'help']);
+
+function parseArguments(argv) {
+  const args = { _: [] };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+    const key = arg.slice(2);
+    if (!FLAGS.has(key) && argv[index + 1] && !argv[index + 1].startsWith('--')) {
+      args[key] = argv[++index];
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+async function resolveUsersFile(cliOptions) {
+  if (cliOptions.file) {
+    return cliOptions.file;
+  }
+  if (process.env.DASHBOARD_USERS_FILE) {
+    return process.env.DASHBOARD_USERS_FILE;
+  }
+
+  const configPath = process.env.DASHBOARD_CONFIG
+    || path.join(projectRoot, 'config', 'production', 'dashboard.config.json');
+  try {
+    const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+    if (config.auth?.usersFile) {
+      return config.auth.usersFile;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  return path.join(projectRoot, 'data', 'dashboard-users.json');
+}
+
+async function readPassword() {
+  if (process.env.DASHBOARD_USER_PASSWORD) {
+    return process.env.DASHBOARD_USER_PASSWORD;
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await new Promise((resolve, reject) => {
+      rl.once('close', () => reject(new Error('No password given')));
+      rl.question('Password: ').then(resolve, reject);
+    });
+  } finally {
+    rl.close();
+  }
+}
+
+async function main() {
+  const cliOptions = parseArguments(process.argv.slice(2));
+  const [command, username, tokenId] = cliOptions._;
+
+  if (!command || cliOptions.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const auth = new DashboardAuth({ usersFile: await resolveUsersFile(cliOptions) });
+  await auth.load();
+
+  switch (command) {
+    case 'list':
+      console.log(JSON.stringify(auth.listUsers(), null, 2));
+      break;
+
+    case 'set': {
+      const isNew = !auth.users.has(username);
+      const password = isNew || cliOptions.password ? await readPassword() : undefined;
+      const role = typeof cliOptions.role === 'string' ? cliOptions.role : undefined;
+      const user = await auth.saveUser(username, { role, password });
+      console.log(`${isNew ? 'Created' : 'Updated'} ${user.username} (${user.role}) in ${auth.usersFile}`);
+      break;
+    }
+
+    case 'remove':
+      if (!(await auth.deleteUser(username))) {
+        throw new Error(`Unknown user: ${username}`);
+      }
+      console.log(`Removed ${username}`);
+      break;
+
+    case 'token': {
+      const token = await auth.createToken(username, typeof cliOptions.name === 'string' ? cliOptions.name : undefined);
+      console.log(`Token ${token.id} (${token.name}) for ${username}:`);
+      console.log(token.token);
+      console.log('Store it now; it cannot be shown again.');
+      break;
+    }
+
+    case 'revoke':
+      if (!(await auth.revokeToken(username, tokenId))) {
+        throw new Error(`Unknown token ${tokenId} for ${username}`);
+      }
+      console.log(`Revoked ${tokenId}`);
+      break;
+
+    default:
+      console.log(USAGE);
+      process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Failed to manage dashboard users:', error.message);
+  process.exit(1);
+});
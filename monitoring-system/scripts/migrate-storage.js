@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+
+import { SqliteStorageBackend } from '../src/storage/backends/sqlite-backend.js';
+import { migrateJsonToSqlite } from '../src/storage/migrations/json-to-sqlite.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+function parseArguments(argv) {
+  const args = {};
+  argv.forEach((arg, index) => {
+    if (!arg.startsWith('--')) return;
+    const key = arg.slice(2);
+    const value = argv[index + 1] && !argv[index + 1].startsWith('--') ? argv[index + 1] : true;
+    args[key] = value;
+  });
+  return args;
+}
+
+async function loadMonitoringConfig() {
+  const configPath = process.env.MONITORING_CONFIG
+    || path.join(projectRoot, 'config', 'production', 'monitoring.config.json');
+  try {
+    return JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+async function main() {
+  const cliOptions = parseArguments(process.argv.slice(2));
+  const config = await loadMonitoringConfig();
+  const dataDir = cliOptions['data-dir']
+    || process.env.MONITORING_DATA_DIR
+    || config.dataDir
+    || config.storage?.dataDir
+    || path.join(projectRoot, 'data');
+  const force = cliOptions.force === true || cliOptions.force === 'true';
+
+  const backend = new SqliteStorageBackend(dataDir, {
+    databaseFile: cliOptions.database,
+    migrateFromJson: false
+  });
+  await backend.initialize();
+
+  try {
+    const migratedAt = backend.getMeta('json_migrated_at');
+    if (migratedAt && !force) {
+      console.log(`JSON data in ${dataDir} was already migrated at ${migratedAt}. Use --force to import again.`);
+      return;
+    }
+
+    const result = await migrateJsonToSqlite(dataDir, backend);
+    backend.setMeta('json_migrated_at', new Date().toISOString());
+
+    console.log(`Migrated ${result.pipelineRuns} pipeline runs, ${result.webhookRecords} webhook records and ${result.metrics} metric entries into ${backend.databaseFile}`);
+    console.log('Set storage.backend to "sqlite" in monitoring.config.json to use the new database.');
+  } finally {
+    await backend.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Storage migration failed:', error);
+  process.exit(1);
+});
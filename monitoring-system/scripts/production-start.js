@@ -5,10 +5,14 @@ import process from 'process';
 import { fileURLToPath } from 'url';
 import { TestCycleEngine } from '../src/core/test-cycle-engine.js';
 import { TriggerMonitor } from '../src/monitors/trigger-monitor.js';
+import { WebhookListener } from '../src/monitors/webhook-listener.js';
+import { WebhookReceiver } from '../src/monitors/webhook-receiver.js';
 import { GitHubActionsMonitor } from '../src/monitors/github-actions-monitor.js';
 import { BuildProcessTracker } from '../src/monitors/build-process-tracker.js';
 import { WorkflowPerformanceAnalyzer } from '../src/monitors/workflow-performance-analyzer.js';
 import { DashboardServer } from '../src/dashboard/dashboard-server.js';
+import { AlertManager } from '../src/alerts/alert-manager.js';
+import { GitHubApiClient } from '../src/utils/github-api-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -40,16 +44,26 @@ fs.mkdirSync(dataDir, { recursive: true });
 const engine = new TestCycleEngine({
   dataDir,
   monitoring: monitoringConfig.monitoring,
-  storage: monitoringConfig.storage
+  storage: monitoringConfig.storage,
+  analytics: monitoringConfig.analytics
 });
 await engine.initialize();
 
 const activeMonitors = [];
+let webhookReceiver;
 
 const startMonitoringStack = async () => {
+  if (monitoringConfig.alerts?.enabled !== false) {
+    engine.setAlertManager(new AlertManager({ ...monitoringConfig.alerts, configDir: dataDir }));
+  }
+
   await engine.startMonitoring();
 
-  const triggerMonitor = new TriggerMonitor(engine, monitoringConfig.triggers || {});
+  // One client for every monitor that polls GitHub, so they share the quota and its ETag cache
+  const githubClient = new GitHubApiClient({ token: process.env.GITHUB_TOKEN, ...monitoringConfig.githubApi });
+  engine.setGitHubClient(githubClient);
+
+  const triggerMonitor = new TriggerMonitor(engine, { ...monitoringConfig.triggers, githubClient });
   activeMonitors.push(triggerMonitor);
   try {
     await triggerMonitor.initialize();
@@ -58,11 +72,25 @@ const startMonitoringStack = async () => {
     console.warn('Trigger monitor startup warning:', error.message);
   }
 
+  if (monitoringConfig.triggers?.receiver?.enabled) {
+    const webhookListener = new WebhookListener(triggerMonitor, engine.dataStore, monitoringConfig.triggers);
+    await webhookListener.initialize();
+    await webhookListener.startListening();
+    webhookReceiver = new WebhookReceiver(webhookListener, monitoringConfig.triggers.receiver);
+    try {
+      await webhookReceiver.start();
+    } catch (error) {
+      console.warn('Webhook receiver startup warning:', error.message);
+      webhookReceiver = null;
+    }
+  }
+
   if (monitoringConfig.monitors?.github?.enabled) {
     const githubMonitor = new GitHubActionsMonitor(engine, {
       githubMonitorInterval: monitoringConfig.monitors.github.pollInterval || 30000,
       repository: monitoringConfig.monitors.github.repo,
-      owner: monitoringConfig.monitors.github.owner
+      owner: monitoringConfig.monitors.github.owner,
+      githubClient
     });
     activeMonitors.push(githubMonitor);
     try {
@@ -93,11 +121,18 @@ const startMonitoringStack = async () => {
 let dashboardServer;
 
 const startDashboard = async () => {
-  dashboardServer = new DashboardServer(engine, dashboardConfig.server || {});
   const { port = 3000, host = '0.0.0.0' } = dashboardConfig.server || {};
-  dashboardServer.server.listen(port, host, () => {
-    console.log(`Dashboard listening on http://${host}:${port}`);
+  dashboardServer = new DashboardServer(engine, {
+    ...dashboardConfig.server,
+    port,
+    host,
+    alertConfigPath: path.join(dataDir, 'alert-config.json'),
+    auth: {
+      apiKeyHeader: dashboardConfig.security?.apiKeyHeader,
+      ...dashboardConfig.auth
+    }
   });
+  await dashboardServer.start();
 };
 
 if (mode === 'monitoring' || mode === 'all') {
@@ -114,10 +149,15 @@ const shutdown = async (signal) => {
   console.log(`Received ${signal}, shutting down services...`);
   try {
     await engine.stopMonitoring();
+    await engine.dataStore.close();
   } catch (error) {
     console.warn('Error stopping engine:', error.message);
   }
 
+  if (webhookReceiver) {
+    await webhookReceiver.stop();
+  }
+
   if (dashboardServer) {
     await new Promise(resolve => dashboardServer.server.close(resolve));
   }
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+
+import { TestCycleEngine } from '../src/core/test-cycle-engine.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+function parseArguments(argv) {
+  const args = {};
+  argv.forEach((arg, index) => {
+    if (!arg.startsWith('--')) return;
+    const key = arg.slice(2);
+    const value = argv[index + 1] && !argv[index + 1].startsWith('--') ? argv[index + 1] : true;
+    args[key] = value;
+  });
+  return args;
+}
+
+async function loadMonitoringConfig() {
+  const configPath = process.env.MONITORING_CONFIG
+    || path.join(projectRoot, 'config', 'production', 'monitoring.config.json');
+  try {
+    return JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+function compact(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+async function main() {
+  const cliOptions = parseArguments(process.argv.slice(2));
+  const config = await loadMonitoringConfig();
+  const dataDir = cliOptions['data-dir']
+    || process.env.MONITORING_DATA_DIR
+    || config.dataDir
+    || path.join(projectRoot, 'data');
+
+  const options = compact({
+    functionUrl: cliOptions['function-url'] || process.env.ML_TO_HUGO_URL,
+    webhookToken: cliOptions.token || process.env.WEBHOOK_TOKEN,
+    campaignId: cliOptions.campaign || process.env.SYNTHETIC_CAMPAIGN_ID,
+    siteUrl: cliOptions['site-url'] || process.env.SITE_URL,
+    githubApiUrl: cliOptions['github-api-url'],
+    pollInterval: cliOptions['poll-interval'] ? parseInt(cliOptions['poll-interval'], 10) : undefined,
+    timeout: cliOptions.timeout ? parseInt(cliOptions.timeout, 10) : undefined
+  });
+
+  const engine = new TestCycleEngine({ ...config, dataDir });
+  await engine.initialize();
+
+  try {
+    const result = await engine.runSyntheticTestCycle(options);
+    console.log(JSON.stringify(result, null, 2));
+    process.exitCode = result.verdict.passed ? 0 : 1;
+  } finally {
+    await engine.stopMonitoring();
+    await engine.dataStore.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Synthetic test cycle failed:', error);
+  process.exit(2);
+});
@@ -1,13 +1,118 @@
-const fs = require('fs').promises;
-const path = require('path');
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const NOTIFICATION_CHANNELS = ['console', 'dashboard', 'email', 'webhook', 'slack', 'discord', 'teams'];
+
+// Settings that are never sent to the dashboard; edits that send the placeholder back keep them
+const SECRET_KEYS = new Set(['pass', 'token', 'secret', 'accessToken', 'clientSecret']);
+export const REDACTED = '********';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const mergeDeep = (target, changes) => {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(changes || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(target?.[key]) ? mergeDeep(target[key], value) : value;
+  }
+  return merged;
+};
+
+const stripRedacted = value => {
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key, entry]) => !(SECRET_KEYS.has(key) && entry === REDACTED))
+    .map(([key, entry]) => [key, stripRedacted(entry)]));
+};
+
+/**
+ * Replace secrets (SMTP passwords, chat tokens, webhook secrets) with a placeholder
+ * @param {*} value - A configuration or part of one
+ * @returns {*} A copy that is safe to show
+ */
+export function redactConfig(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactConfig);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) =>
+    [key, SECRET_KEYS.has(key) && entry ? REDACTED : redactConfig(entry)]));
+}
+
+/**
+ * List the settings that differ between two configurations
+ * @param {Object} before
+ * @param {Object} after
+ * @param {string} [prefix]
+ * @returns {{path: string, before: *, after: *}[]} One entry per changed leaf; arrays are compared
+ *   as a whole, and secrets are redacted
+ */
+export function diffConfig(before, after, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const pathName = prefix ? `${prefix}.${key}` : key;
+    const previous = before?.[key];
+    const next = after?.[key];
+
+    if (isPlainObject(previous) && isPlainObject(next)) {
+      changes.push(...diffConfig(previous, next, pathName));
+    } else if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      const hidden = SECRET_KEYS.has(key);
+      changes.push({
+        path: pathName,
+        before: hidden && previous ? REDACTED : previous,
+        after: hidden && next ? REDACTED : next
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * The settings a diff touches, with their values taken from a configuration
+ * @param {Object} config - Configuration the diff led to
+ * @param {{path: string}[]} diff - See diffConfig
+ * @returns {Object} Partial configuration holding only the changed settings (secrets included)
+ */
+export function pickChanges(config, diff) {
+  const changes = {};
+  for (const { path: pathName } of diff) {
+    const keys = pathName.split('.');
+    let source = config;
+    let target = changes;
+    keys.forEach((key, index) => {
+      source = source?.[key];
+      if (index === keys.length - 1) {
+        target[key] = source;
+      } else {
+        target = target[key] = target[key] || {};
+      }
+    });
+  }
+  return changes;
+}
 
 /**
  * Alert configuration manager
- * Handles loading, saving, and managing alert thresholds and settings
+ * Handles loading, saving, and managing alert thresholds and settings. Edits made through
+ * applyChanges are validated first and recorded in a change history next to the configuration
+ * file, so any of them can be rolled back.
  */
-class AlertConfig {
-  constructor(configPath = null) {
+export class AlertConfig {
+  constructor(configPath = null, options = {}) {
     this.configPath = configPath || path.join(__dirname, '../../config/alert-config.json');
+    this.historyPath = options.historyPath || this.configPath.replace(/(\.json)?$/, '-history.json');
+    this.maxHistory = options.maxHistory || 50;
     this.config = this.getDefaultConfig();
   }
 
@@ -66,14 +171,34 @@ class AlertConfig {
               user: '',
               pass: ''
             }
-          }
+          },
+          // Batch new alerts into one email per window instead of one per alert
+          digest: { enabled: false, window: '15m' }
         },
         webhook: {
           enabled: false,
           severityFilter: ['high', 'critical'],
           url: '',
           headers: {},
-          timeout: 5000
+          timeout: 5000,
+          digest: { enabled: false, window: '15m' }
+        },
+        slack: {
+          enabled: false,
+          severityFilter: ['high', 'critical'],
+          token: '',
+          channel: '',
+          webhookUrl: ''
+        },
+        discord: {
+          enabled: false,
+          severityFilter: ['high', 'critical'],
+          webhookUrl: ''
+        },
+        teams: {
+          enabled: false,
+          severityFilter: ['high', 'critical'],
+          webhookUrl: ''
         }
       },
       
@@ -104,6 +229,7 @@ class AlertConfig {
       },
       
       alertTypes: {
+        // An alert type may set `cooldown` (ms) to override alertRules.cooldownPeriod
         pipeline_failure: {
           enabled: true,
           severity: 'high',
@@ -218,7 +344,10 @@ class AlertConfig {
         console: { ...defaultConfig.notifications.console, ...loadedConfig.notifications?.console },
         dashboard: { ...defaultConfig.notifications.dashboard, ...loadedConfig.notifications?.dashboard },
         email: { ...defaultConfig.notifications.email, ...loadedConfig.notifications?.email },
-        webhook: { ...defaultConfig.notifications.webhook, ...loadedConfig.notifications?.webhook }
+        webhook: { ...defaultConfig.notifications.webhook, ...loadedConfig.notifications?.webhook },
+        slack: { ...defaultConfig.notifications.slack, ...loadedConfig.notifications?.slack },
+        discord: { ...defaultConfig.notifications.discord, ...loadedConfig.notifications?.discord },
+        teams: { ...defaultConfig.notifications.teams, ...loadedConfig.notifications?.teams }
       },
       alertRules: { ...defaultConfig.alertRules, ...loadedConfig.alertRules },
       alertTypes: { ...defaultConfig.alertTypes, ...loadedConfig.alertTypes }
@@ -306,38 +435,151 @@ class AlertConfig {
 
   /**
    * Validate configuration
+   * @param {Object} [config=this.config] - Configuration to check, e.g. a preview of changes
+   * @returns {string[]} Problems found
    */
-  validateConfig() {
+  validateConfig(config = this.config) {
     const errors = [];
     
     // Validate thresholds
-    for (const [key, value] of Object.entries(this.config.thresholds)) {
+    for (const [key, value] of Object.entries(config.thresholds)) {
       if (typeof value !== 'number' || value < 0) {
         errors.push(`Invalid threshold value for ${key}: ${value}`);
       }
     }
     
     // Validate notification channels
-    for (const [channel, settings] of Object.entries(this.config.notifications)) {
+    for (const [channel, settings] of Object.entries(config.notifications)) {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        errors.push(`Unknown notification channel: ${channel}`);
+        continue;
+      }
+
       if (typeof settings.enabled !== 'boolean') {
         errors.push(`Invalid enabled setting for ${channel}: ${settings.enabled}`);
       }
       
       if (!Array.isArray(settings.severityFilter)) {
         errors.push(`Invalid severityFilter for ${channel}: must be an array`);
+      } else if (settings.severityFilter.some(severity => !SEVERITIES.includes(severity))) {
+        errors.push(`Invalid severityFilter for ${channel}: ${settings.severityFilter.join(', ')}`);
       }
     }
+
+    const { cooldownPeriod } = config.alertRules || {};
+    if (typeof cooldownPeriod !== 'number' || cooldownPeriod < 0) {
+      errors.push(`Invalid cooldownPeriod: ${cooldownPeriod}`);
+    }
     
     // Validate alert types
-    for (const [alertType, config] of Object.entries(this.config.alertTypes)) {
-      if (!['low', 'medium', 'high', 'critical'].includes(config.severity)) {
-        errors.push(`Invalid severity for ${alertType}: ${config.severity}`);
+    for (const [alertType, typeConfig] of Object.entries(config.alertTypes)) {
+      if (!SEVERITIES.includes(typeConfig.severity)) {
+        errors.push(`Invalid severity for ${alertType}: ${typeConfig.severity}`);
+      }
+      if (typeConfig.cooldown !== undefined && (typeof typeConfig.cooldown !== 'number' || typeConfig.cooldown < 0)) {
+        errors.push(`Invalid cooldown for ${alertType}: ${typeConfig.cooldown}`);
       }
     }
     
     return errors;
   }
 
+  /**
+   * Work out what a set of changes would do without applying them
+   * @param {Object} changes - Partial configuration, merged into the current one; arrays replace
+   * @returns {{config: Object, diff: Object[], errors: string[]}} The resulting configuration, the
+   *   settings it changes (see diffConfig) and validation errors
+   */
+  previewChanges(changes = {}) {
+    const config = this.mergeWithDefaults(mergeDeep(this.config, stripRedacted(changes)));
+    return { config, diff: diffConfig(this.config, config), errors: this.validateConfig(config) };
+  }
+
+  /**
+   * Validate, save and record a set of changes
+   * @param {Object} changes - Partial configuration (see previewChanges)
+   * @param {Object} [options]
+   * @param {string} [options.changedBy='system']
+   * @param {string} [options.reason]
+   * @returns {Promise<Object|null>} The history entry, or null when nothing changed
+   */
+  async applyChanges(changes, { changedBy = 'system', reason = '' } = {}) {
+    const { config, diff, errors } = this.previewChanges(changes);
+    if (errors.length > 0) {
+      throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
+    }
+    if (diff.length === 0) {
+      return null;
+    }
+
+    return this._commit(config, diff, { changedBy, reason });
+  }
+
+  /**
+   * Recorded changes, newest first
+   * @param {number} [limit=20]
+   * @returns {Promise<Object[]>} Entries with id, changedAt, changedBy, reason, diff and rollbackOf
+   */
+  async getHistory(limit = 20) {
+    const history = await this._readHistory();
+    return history.slice(-limit).reverse().map(({ previous, ...entry }) => entry);
+  }
+
+  /**
+   * Restore the configuration as it was before a recorded change; the rollback is recorded too
+   * @param {string} changeId - History entry to undo
+   * @param {Object} [options]
+   * @param {string} [options.changedBy='system']
+   * @returns {Promise<Object|null>} The new history entry, or null when the change is unknown
+   */
+  async rollback(changeId, { changedBy = 'system' } = {}) {
+    const entry = (await this._readHistory()).find(change => change.id === changeId);
+    if (!entry) {
+      return null;
+    }
+
+    const config = this.mergeWithDefaults(entry.previous);
+    return this._commit(config, diffConfig(this.config, config), {
+      changedBy,
+      reason: `Rollback of ${changeId}`,
+      rollbackOf: changeId
+    });
+  }
+
+  async _commit(config, diff, details) {
+    const entry = {
+      id: `cfg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      changedAt: new Date().toISOString(),
+      ...details,
+      diff,
+      previous: this.config
+    };
+
+    this.config = config;
+    await this.saveConfig();
+
+    const history = [...(await this._readHistory()), entry].slice(-this.maxHistory);
+    try {
+      await fs.writeFile(this.historyPath, JSON.stringify(history, null, 2));
+    } catch (error) {
+      console.error('Failed to record alert configuration change:', error.message);
+    }
+
+    const { previous, ...recorded } = entry;
+    return recorded;
+  }
+
+  async _readHistory() {
+    try {
+      return JSON.parse(await fs.readFile(this.historyPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read alert configuration history:', error.message);
+      }
+      return [];
+    }
+  }
+
   /**
    * Reset to default configuration
    */
@@ -373,4 +615,4 @@ class AlertConfig {
   }
 }
 
-module.exports = AlertConfig;
\ No newline at end of file
+export default AlertConfig;
\ No newline at end of file
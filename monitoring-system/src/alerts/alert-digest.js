@@ -0,0 +1,244 @@
+/**
+ * Alert digests and daily summaries
+ * Channels in digest mode collect new alerts over a window and receive one summary instead of a
+ * notification per alert, so a broken deploy pipeline does not flood inboxes. The same summary
+ * shape describes the last day of alerts in the daily summary email.
+ */
+
+import { parseDuration } from './alert-rules.js';
+import { localMinutes } from './alert-routing.js';
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * @typedef {Object} DigestConfig
+ * @property {boolean} [enabled=false]
+ * @property {number|string} [window='15m'] - How long to collect alerts (ms or like 15m, 1h)
+ * @property {string[]} [immediateSeverities=['critical']] - Severities notified right away
+ * @property {number} [topSignatures=5] - Signatures listed by occurrences
+ * @property {number} [examples=5] - Newest alerts included in full
+ */
+
+export const DEFAULT_DIGEST = Object.freeze({
+  enabled: false,
+  window: '15m',
+  immediateSeverities: ['critical'],
+  topSignatures: 5,
+  examples: 5
+});
+
+/**
+ * @typedef {Object} DailySummaryConfig
+ * @property {boolean} [enabled=false]
+ * @property {string} [time='08:00'] - Local time to send at, HH:MM
+ * @property {string} [timezone='Pacific/Auckland'] - IANA timezone name
+ * @property {string[]} [recipients] - Addresses replacing the email channel's recipients
+ */
+
+export const DEFAULT_DAILY_SUMMARY = Object.freeze({
+  enabled: false,
+  time: '08:00',
+  timezone: 'Pacific/Auckland',
+  recipients: []
+});
+
+const countBy = (alerts, key) => alerts.reduce((counts, alert) => {
+  counts[alert[key]] = (counts[alert[key]] || 0) + (alert.occurrences || 1);
+  return counts;
+}, {});
+
+/**
+ * Summarise a batch of alerts
+ * @param {Object[]} alerts
+ * @param {Object} [options]
+ * @param {string} [options.channel] - Channel the digest is for
+ * @param {number|string} [options.windowStart] - Defaults to the oldest alert
+ * @param {number|string} [options.windowEnd=Date.now()]
+ * @param {number} [options.topSignatures=5]
+ * @param {number} [options.examples=5]
+ * @returns {Object} Digest with counts by type and severity (occurrences included), the
+ *   signatures seen most and the newest alerts
+ */
+export function buildDigest(alerts, {
+  channel = null,
+  windowStart,
+  windowEnd = Date.now(),
+  topSignatures = DEFAULT_DIGEST.topSignatures,
+  examples = DEFAULT_DIGEST.examples
+} = {}) {
+  const newestFirst = [...alerts].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const start = windowStart ?? newestFirst.at(-1)?.timestamp ?? windowEnd;
+
+  const signatures = new Map();
+  for (const alert of alerts) {
+    const key = alert.signature || `${alert.type}:${alert.severity}`;
+    const entry = signatures.get(key) || { signature: key, type: alert.type, severity: alert.severity, count: 0, message: alert.message };
+    entry.count += alert.occurrences || 1;
+    signatures.set(key, entry);
+  }
+
+  const highestSeverity = alerts.reduce(
+    (highest, alert) => (SEVERITIES.indexOf(alert.severity) > SEVERITIES.indexOf(highest) ? alert.severity : highest),
+    alerts[0]?.severity || null
+  );
+
+  return {
+    id: `digest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    channel,
+    windowStart: new Date(start).toISOString(),
+    windowEnd: new Date(windowEnd).toISOString(),
+    alertCount: alerts.length,
+    occurrenceCount: alerts.reduce((sum, alert) => sum + (alert.occurrences || 1), 0),
+    highestSeverity,
+    countsByType: countBy(alerts, 'type'),
+    countsBySeverity: countBy(alerts, 'severity'),
+    topSignatures: [...signatures.values()].sort((a, b) => b.count - a.count).slice(0, topSignatures),
+    examples: newestFirst.slice(0, examples).map(alert => ({
+      id: alert.id,
+      type: alert.type,
+      severity: alert.severity,
+      status: alert.status,
+      message: alert.message,
+      timestamp: alert.timestamp,
+      occurrences: alert.occurrences || 1,
+      data: alert.data
+    }))
+  };
+}
+
+/**
+ * The calendar date in a timezone
+ * @param {number|Date} time
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} YYYY-MM-DD
+ */
+export function localDate(time, timezone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(time));
+}
+
+/**
+ * Whether the daily summary should go out
+ * @param {DailySummaryConfig} config
+ * @param {string|null} lastSentDate - Local date of the last summary
+ * @param {number} [now=Date.now()]
+ * @returns {boolean} True once the local send time has passed on a day without a summary
+ */
+export function isDailySummaryDue(config, lastSentDate, now = Date.now()) {
+  const { enabled, time, timezone } = { ...DEFAULT_DAILY_SUMMARY, ...config };
+  if (!enabled) {
+    return false;
+  }
+
+  const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+  return localDate(now, timezone) !== lastSentDate && localMinutes(now, timezone) >= hours * 60 + minutes;
+}
+
+/**
+ * Collects new alerts per channel and delivers one digest per window
+ */
+export class AlertDigester {
+  /**
+   * @param {Object} options
+   * @param {(channel: string, alert: Object) => DigestConfig|null} options.settings - Digest settings
+   *   of a channel for an alert; null when the channel notifies it right away
+   * @param {(channel: string, digest: Object, recipients?: string[]) => Promise<void>} options.deliver
+   */
+  constructor({ settings, deliver }) {
+    this.settings = settings;
+    this.deliver = deliver;
+    this.batches = new Map();
+  }
+
+  /**
+   * Add a new alert to the batches of channels in digest mode
+   * @param {Object} alert
+   * @param {string[]} channels - Channels the alert would be sent to
+   * @param {Object<string, string[]>} [recipients] - Routed addresses per channel
+   * @param {number} [now=Date.now()]
+   * @returns {string[]} Channels that batched the alert and must not be notified now
+   */
+  add(alert, channels, recipients = {}, now = Date.now()) {
+    const batched = [];
+
+    for (const channel of channels) {
+      const config = this.settings(channel, alert);
+      if (!config?.enabled || (config.immediateSeverities || []).includes(alert.severity)) {
+        continue;
+      }
+
+      // Routed contacts get their own digest
+      const key = `${channel}|${(recipients[channel] || []).join(',')}`;
+      let batch = this.batches.get(key);
+      if (!batch) {
+        const window = parseDuration(config.window) || parseDuration(DEFAULT_DIGEST.window);
+        batch = { channel, recipients: recipients[channel], config, windowStart: now, alerts: [] };
+        batch.timer = setTimeout(() => this._flushBatch(key), window);
+        batch.timer.unref?.();
+        this.batches.set(key, batch);
+      }
+
+      batch.alerts.push(alert);
+      batched.push(channel);
+    }
+
+    return batched;
+  }
+
+  /**
+   * Deliver pending digests now
+   * @param {string} [channel] - Only this channel's digests
+   * @returns {Promise<Object[]>} Digests delivered
+   */
+  async flush(channel) {
+    const keys = [...this.batches.keys()].filter(key => !channel || this.batches.get(key).channel === channel);
+    const digests = await Promise.all(keys.map(key => this._flushBatch(key)));
+    return digests.filter(Boolean);
+  }
+
+  /**
+   * Pending batches per channel
+   * @returns {{channel: string, recipients: string[]|null, alertCount: number, windowStart: string}[]}
+   */
+  getPending() {
+    return [...this.batches.values()].map(batch => ({
+      channel: batch.channel,
+      recipients: batch.recipients || null,
+      alertCount: batch.alerts.length,
+      windowStart: new Date(batch.windowStart).toISOString()
+    }));
+  }
+
+  /**
+   * Drop pending batches without delivering them
+   */
+  clear() {
+    for (const batch of this.batches.values()) {
+      clearTimeout(batch.timer);
+    }
+    this.batches.clear();
+  }
+
+  async _flushBatch(key) {
+    const batch = this.batches.get(key);
+    if (!batch) {
+      return null;
+    }
+    clearTimeout(batch.timer);
+    this.batches.delete(key);
+
+    const digest = buildDigest(batch.alerts, {
+      channel: batch.channel,
+      windowStart: batch.windowStart,
+      topSignatures: batch.config.topSignatures,
+      examples: batch.config.examples
+    });
+
+    try {
+      await this.deliver(batch.channel, digest, batch.recipients);
+    } catch (error) {
+      console.error(`Failed to send alert digest via ${batch.channel}:`, error.message);
+    }
+    return digest;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Flapping detection and automatic resolution settings
+ * Every rule evaluation observes each alert condition as breached or clear (see
+ * AlertRuleEngine.assess). A condition whose recent observations keep changing state is flapping:
+ * its alerts are still recorded but notify nobody until the condition settles.
+ */
+
+/**
+ * @typedef {Object} AutoResolveConfig
+ * @property {boolean} [enabled=true]
+ * @property {number} [after=3] - Clear evaluations in a row (runs, webhooks or analytics
+ *   snapshots, depending on the rule source) before an alert resolves itself
+ * @property {Object<string, number>} [byType] - `after` per alert type
+ */
+
+export const DEFAULT_AUTO_RESOLVE = Object.freeze({
+  enabled: true,
+  after: 3,
+  byType: {}
+});
+
+/**
+ * @typedef {Object} FlappingConfig
+ * @property {boolean} [enabled=true]
+ * @property {number} [window=10] - Observations kept per condition
+ * @property {number} [minObservations=5] - Observations needed before a condition can flap
+ * @property {number} [threshold=0.5] - Share of state changes among the observations at which a
+ *   condition starts flapping
+ * @property {number} [recoveryThreshold=0.25] - Share at or below which it stops flapping
+ */
+
+export const DEFAULT_FLAPPING = Object.freeze({
+  enabled: true,
+  window: 10,
+  minObservations: 5,
+  threshold: 0.5,
+  recoveryThreshold: 0.25
+});
+
+/**
+ * Tracks breached/clear observations per condition and decides when conditions flap
+ */
+export class FlapDetector {
+  /**
+   * @param {() => FlappingConfig} config - Read on every observation so updates apply at once
+   */
+  constructor(config) {
+    this.getConfig = config;
+    this.conditions = new Map();
+  }
+
+  /**
+   * Record one observation of a condition
+   * @param {string} condition
+   * @param {boolean} breached
+   * @param {number} [now=Date.now()]
+   * @returns {{flapping: boolean, changed: boolean, since: string|null, changeRatio: number}}
+   *   `changed` is true when the condition started or stopped flapping with this observation
+   */
+  observe(condition, breached, now = Date.now()) {
+    const config = { ...DEFAULT_FLAPPING, ...this.getConfig() };
+    const state = this.conditions.get(condition) || { history: [], flapping: false, since: null };
+    this.conditions.set(condition, state);
+
+    state.history.push(breached);
+    if (state.history.length > config.window) {
+      state.history.splice(0, state.history.length - config.window);
+    }
+
+    const changeRatio = this._changeRatio(state.history);
+    const wasFlapping = state.flapping;
+    if (!config.enabled) {
+      state.flapping = false;
+    } else if (!state.flapping && state.history.length >= config.minObservations && changeRatio >= config.threshold) {
+      state.flapping = true;
+    } else if (state.flapping && changeRatio <= config.recoveryThreshold) {
+      state.flapping = false;
+    }
+
+    if (state.flapping !== wasFlapping) {
+      state.since = state.flapping ? new Date(now).toISOString() : null;
+    }
+    return { flapping: state.flapping, changed: state.flapping !== wasFlapping, since: state.since, changeRatio };
+  }
+
+  /**
+   * @param {string} condition
+   * @returns {{flapping: boolean, since: string|null}}
+   */
+  getState(condition) {
+    const state = this.conditions.get(condition);
+    return { flapping: Boolean(state?.flapping), since: state?.since || null };
+  }
+
+  /**
+   * Conditions flapping right now
+   * @returns {{condition: string, since: string, changeRatio: number}[]}
+   */
+  getFlapping() {
+    return [...this.conditions.entries()]
+      .filter(([, state]) => state.flapping)
+      .map(([condition, state]) => ({ condition, since: state.since, changeRatio: this._changeRatio(state.history) }));
+  }
+
+  _changeRatio(history) {
+    if (history.length < 2) {
+      return 0;
+    }
+    let changes = 0;
+    for (let index = 1; index < history.length; index++) {
+      if (history[index] !== history[index - 1]) {
+        changes++;
+      }
+    }
+    return Number((changes / (history.length - 1)).toFixed(2));
+  }
+}
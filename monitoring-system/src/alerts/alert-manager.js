@@ -1,20 +1,43 @@
-const EventEmitter = require('events');
-const path = require('path');
-const fs = require('fs').promises;
+import { EventEmitter } from 'events';
+import path from 'path';
+import { promises as fs } from 'fs';
 
-const {
+import {
   NotificationManager,
   ConsoleNotificationChannel,
   DashboardNotificationChannel,
   EmailNotificationChannel,
-  WebhookNotificationChannel
-} = require('./notification-channels');
+  WebhookNotificationChannel,
+  SlackNotificationChannel,
+  DiscordNotificationChannel,
+  TeamsNotificationChannel
+} from './notification-channels.js';
+import { EngineEvents } from '../core/engine-events.js';
+import { AlertRuleEngine, stageContext } from './alert-rules.js';
+import { AlertRouter } from './alert-routing.js';
+import {
+  AlertDigester,
+  DEFAULT_DIGEST,
+  DEFAULT_DAILY_SUMMARY,
+  buildDigest,
+  isDailySummaryDue,
+  localDate
+} from './alert-digest.js';
+import { DEFAULT_AUTO_RESOLVE, DEFAULT_FLAPPING, FlapDetector } from './alert-flapping.js';
+import { removeAlertsFromHistory } from '../storage/retention-manager.js';
 
 /**
  * AlertManager handles error detection, threshold monitoring, and notification delivery
+ * Alert conditions are declarative rules (see alert-rules.js) evaluated against runs, webhook
+ * records and analytics snapshots. Notifications are routed to contacts by alert type, escalate
+ * while unacknowledged and respect quiet hours (see alert-routing.js). Channels in digest mode
+ * batch new alerts into one summary per window, and a daily summary email reports the last day
+ * (see alert-digest.js). Rule alerts resolve themselves once their condition stays clear, and
+ * alerts of conditions that keep toggling are marked as flapping and only reach the dashboard
+ * (see alert-flapping.js), as do alerts raised during one of the engine's maintenance windows.
  * Supports multiple notification channels with persistent configuration and lifecycle management
  */
-class AlertManager extends EventEmitter {
+export class AlertManager extends EventEmitter {
   constructor(config = {}) {
     super();
 
@@ -24,8 +47,17 @@ class AlertManager extends EventEmitter {
         responseTime: 5000,
         failureCount: 3,
         webhookTimeout: 30000,
-        buildTime: 600000
+        webhookErrorRate: 0.05,
+        buildTime: 600000,
+        queueTime: 300000,
+        siteErrorRate: 0.02,
+        performanceDegradation: 0.5
       },
+      rules: [],
+      routing: {},
+      dailySummary: { ...DEFAULT_DAILY_SUMMARY },
+      autoResolve: { ...DEFAULT_AUTO_RESOLVE },
+      flapping: { ...DEFAULT_FLAPPING },
       cooldown: 300000,
       cooldowns: {
         default: 300000,
@@ -38,7 +70,8 @@ class AlertManager extends EventEmitter {
           enabled: false,
           recipients: [],
           smtp: {},
-          notifyOnLifecycle: true
+          notifyOnLifecycle: true,
+          digest: { ...DEFAULT_DIGEST }
         },
         webhook: {
           enabled: false,
@@ -46,6 +79,27 @@ class AlertManager extends EventEmitter {
           headers: {},
           timeout: 5000,
           verifySsl: true,
+          notifyOnLifecycle: true,
+          secret: null,
+          retry: { attempts: 5, initialDelay: 1000, maxDelay: 300000, factor: 2 },
+          digest: { ...DEFAULT_DIGEST }
+        },
+        slack: {
+          enabled: false,
+          token: null,
+          channel: null,
+          webhookUrl: null,
+          notifyOnLifecycle: true
+        },
+        discord: {
+          enabled: false,
+          webhookUrl: null,
+          notifyOnLifecycle: true
+        },
+        teams: {
+          enabled: false,
+          webhookUrl: null,
+          graph: null,
           notifyOnLifecycle: true
         }
       }
@@ -56,14 +110,26 @@ class AlertManager extends EventEmitter {
       alertsByType: {},
       alertsBySeverity: {},
       suppressedAlerts: 0,
-      deduplicatedAlerts: 0
+      silencedAlerts: 0,
+      deduplicatedAlerts: 0,
+      escalatedAlerts: 0,
+      heldNotifications: 0,
+      batchedNotifications: 0,
+      digestsSent: 0,
+      autoResolvedAlerts: 0,
+      flappingSuppressed: 0,
+      maintenanceSuppressed: 0
     };
 
     this.activeAlerts = new Map();
     this.alertHistory = [];
     this.activeAlertSignatures = new Map();
     this.lastAlertTimes = new Map();
-    this._persistedState = { acknowledged: {}, resolved: {} };
+    this._persistedState = { acknowledged: {}, resolved: {}, silences: [] };
+
+    this.engine = null;
+    this._engineListeners = null;
+    this._alertMirrors = null;
 
     this.configDir = config.configDir || path.join(process.cwd(), 'monitoring-system', 'data');
     this.thresholdsFile = config.thresholdsFile || path.join(this.configDir, 'alert-thresholds.json');
@@ -72,6 +138,19 @@ class AlertManager extends EventEmitter {
     this.notificationManager = config.notificationManager || new NotificationManager();
     this.config = this._initializeConfig(config);
     this._configureNotificationChannels();
+    this.ruleEngine = new AlertRuleEngine({
+      rules: this.config.rules,
+      thresholds: () => this.config.thresholds
+    });
+    this.router = new AlertRouter({
+      routing: this.config.routing,
+      channels: () => Array.from(this.notificationManager.channels.keys())
+    });
+    this.flapDetector = new FlapDetector(() => this.config.flapping);
+    this.digester = new AlertDigester({
+      settings: (name, alert) => this._digestSettings(name, alert),
+      deliver: (name, digest, recipients) => this._deliverDigest(name, digest, recipients)
+    });
 
     this.persistenceReady = this._initializePersistence();
   }
@@ -126,7 +205,10 @@ class AlertManager extends EventEmitter {
       console: normalizeEntry('console'),
       dashboard: normalizeEntry('dashboard'),
       email: normalizeEntry('email'),
-      webhook: normalizeEntry('webhook')
+      webhook: normalizeEntry('webhook'),
+      slack: normalizeEntry('slack'),
+      discord: normalizeEntry('discord'),
+      teams: normalizeEntry('teams')
     };
   }
 
@@ -142,7 +224,7 @@ class AlertManager extends EventEmitter {
       }
 
       const state = await this._readJsonFile(this.stateFile, { acknowledged: {}, resolved: {} });
-      this._persistedState = state;
+      this._persistedState = { silences: [], lastDailySummary: null, ...state };
     } catch (error) {
       console.error('Failed to initialize alert persistence:', error.message);
     }
@@ -158,32 +240,28 @@ class AlertManager extends EventEmitter {
 
   _configureNotificationChannels() {
     const notifications = this.config.notifications;
+    // Chat messages link back to the dashboard unless a channel sets its own dashboardUrl
+    const chat = (settings) => ({ dashboardUrl: this.config.dashboardUrl, ...settings });
+
+    const channels = {
+      console: () => new ConsoleNotificationChannel({ ...notifications.console }),
+      dashboard: () => new DashboardNotificationChannel({ ...notifications.dashboard }),
+      email: () => new EmailNotificationChannel({ ...notifications.email }),
+      webhook: () => new WebhookNotificationChannel({
+        deadLetterFile: path.join(this.configDir, 'webhook-dead-letters.jsonl'),
+        ...notifications.webhook
+      }),
+      slack: () => new SlackNotificationChannel(chat(notifications.slack)),
+      discord: () => new DiscordNotificationChannel(chat(notifications.discord)),
+      teams: () => new TeamsNotificationChannel(chat(notifications.teams))
+    };
 
-    if (!this.notificationManager.getChannel('console')) {
-      this.notificationManager.addChannel('console', new ConsoleNotificationChannel({ enabled: notifications.console.enabled }));
-    } else {
-      this.notificationManager.updateChannelConfig('console', notifications.console);
-    }
-
-    if (!this.notificationManager.getChannel('dashboard')) {
-      this.notificationManager.addChannel('dashboard', new DashboardNotificationChannel({
-        enabled: notifications.dashboard.enabled,
-        websocketHandler: notifications.dashboard.websocketHandler
-      }));
-    } else {
-      this.notificationManager.updateChannelConfig('dashboard', notifications.dashboard);
-    }
-
-    if (!this.notificationManager.getChannel('email')) {
-      this.notificationManager.addChannel('email', new EmailNotificationChannel({ ...notifications.email }));
-    } else {
-      this.notificationManager.updateChannelConfig('email', notifications.email);
-    }
-
-    if (!this.notificationManager.getChannel('webhook')) {
-      this.notificationManager.addChannel('webhook', new WebhookNotificationChannel({ ...notifications.webhook }));
-    } else {
-      this.notificationManager.updateChannelConfig('webhook', notifications.webhook);
+    for (const [name, create] of Object.entries(channels)) {
+      if (!this.notificationManager.getChannel(name)) {
+        this.notificationManager.addChannel(name, create());
+      } else {
+        this.notificationManager.updateChannelConfig(name, notifications[name]);
+      }
     }
   }
 
@@ -216,6 +294,24 @@ class AlertManager extends EventEmitter {
       });
       this._configureNotificationChannels();
     }
+
+    if (persisted.rules) {
+      try {
+        this.ruleEngine.setRules(persisted.rules);
+        this.config.rules = persisted.rules;
+      } catch (error) {
+        console.error('Ignoring persisted alert rules:', error.message);
+      }
+    }
+
+    if (persisted.routing) {
+      try {
+        this.router.setRouting(persisted.routing);
+        this.config.routing = persisted.routing;
+      } catch (error) {
+        console.error('Ignoring persisted alert routing:', error.message);
+      }
+    }
   }
 
   _extractPersistableConfig() {
@@ -223,7 +319,9 @@ class AlertManager extends EventEmitter {
       thresholds: this.config.thresholds,
       cooldown: this.config.cooldown,
       cooldowns: this.config.cooldowns,
-      notifications: this.config.notifications
+      notifications: this.config.notifications,
+      rules: this.config.rules,
+      routing: this.config.routing
     };
   }
 
@@ -271,113 +369,172 @@ class AlertManager extends EventEmitter {
   }
 
   /**
-   * Process pipeline run data and check for alert conditions
+   * Evaluate run and stage rules against a finished pipeline run
    */
   async checkAlerts(pipelineRun) {
     await this._ensureInitialized();
-    const alerts = [];
 
     if (!pipelineRun) {
-      return alerts;
-    }
-
-    if (pipelineRun.success === false) {
-      alerts.push(await this.createAlert('pipeline_failure', 'high', {
-        runId: pipelineRun.id,
-        trigger: pipelineRun.trigger,
-        error: pipelineRun.errors?.[0] || 'Unknown error',
-        duration: pipelineRun.duration
-      }));
-    }
-
-    if (pipelineRun.duration > this.config.thresholds.responseTime) {
-      alerts.push(await this.createAlert('slow_pipeline', 'medium', {
-        runId: pipelineRun.id,
-        duration: pipelineRun.duration,
-        threshold: this.config.thresholds.responseTime
-      }));
-    }
-
-    for (const stage of pipelineRun.stages || []) {
-      if (stage.status === 'failed') {
-        alerts.push(await this.createAlert('stage_failure', 'high', {
-          runId: pipelineRun.id,
-          stage: stage.name,
-          error: stage.errors?.[0] || 'Stage failed',
-          duration: stage.duration
-        }));
-      }
-
-      if (stage.name === 'build_process' && stage.duration > this.config.thresholds.buildTime) {
-        alerts.push(await this.createAlert('slow_build', 'medium', {
-          runId: pipelineRun.id,
-          duration: stage.duration,
-          threshold: this.config.thresholds.buildTime
-        }));
-      }
+      return [];
     }
 
-    for (const alert of alerts) {
-      await this.processAlert(alert);
-    }
+    const run = this.ruleEngine.assess('run', pipelineRun);
+    const stage = this.ruleEngine.assess('stage', pipelineRun);
+    return this._raiseRuleAlerts(
+      [...run.fired, ...stage.fired],
+      [...run.observations, ...stage.observations],
+      { maintenance: pipelineRun.maintenance }
+    );
+  }
 
-    return alerts;
+  /**
+   * Evaluate stage rules against one stage as it changes. The finished run is assessed again by
+   * checkAlerts, so stage changes do not count towards flapping or auto-resolution
+   */
+  async checkStageAlerts(pipelineRun, stage) {
+    await this._ensureInitialized();
+    return this._raiseRuleAlerts(
+      this.ruleEngine.evaluate('stage', pipelineRun, { contexts: [stageContext(pipelineRun, stage)] }),
+      [],
+      { maintenance: pipelineRun.maintenance }
+    );
   }
 
   /**
-   * Check webhook-specific alert conditions
+   * Evaluate webhook rules against a webhook record
    */
   async checkWebhookAlerts(webhookRecord) {
     await this._ensureInitialized();
-    const alerts = [];
 
     if (!webhookRecord) {
-      return alerts;
-    }
-
-    if (webhookRecord.timing) {
-      const processed = new Date(webhookRecord.timing.processed || 0);
-      const sent = new Date(webhookRecord.timing.sent || 0);
-      if (processed > sent) {
-        const duration = processed - sent;
-        if (duration > this.config.thresholds.webhookTimeout) {
-          alerts.push(await this.createAlert('webhook_timeout', 'medium', {
-            webhookId: webhookRecord.id,
-            runId: webhookRecord.runId,
-            duration,
-            threshold: this.config.thresholds.webhookTimeout,
-            source: webhookRecord.source
-          }));
-        }
-      }
+      return [];
     }
 
-    if (webhookRecord.authentication && !webhookRecord.authentication.success) {
-      alerts.push(await this.createAlert('webhook_auth_failure', 'high', {
-        webhookId: webhookRecord.id,
-        runId: webhookRecord.runId,
-        source: webhookRecord.source,
-        error: webhookRecord.authentication.errors?.[0] || 'Authentication failed'
-      }));
+    const { fired, observations } = this.ruleEngine.assess('webhook', webhookRecord);
+    return this._raiseRuleAlerts(fired, observations);
+  }
+
+  /**
+   * Evaluate analytics rules against a fresh analytics snapshot
+   */
+  async checkAnalyticsAlerts(snapshot) {
+    await this._ensureInitialized();
+
+    if (!snapshot) {
+      return [];
     }
 
-    if (webhookRecord.response && webhookRecord.response.status >= 400) {
-      alerts.push(await this.createAlert('webhook_error', 'high', {
-        webhookId: webhookRecord.id,
-        runId: webhookRecord.runId,
-        source: webhookRecord.source,
-        status: webhookRecord.response.status,
-        error: webhookRecord.response.body
-      }));
+    const { fired, observations } = this.ruleEngine.assess('analytics', snapshot);
+    return this._raiseRuleAlerts(fired, observations);
+  }
+
+  /**
+   * Raise alerts for rules that fired, after recording every observed condition for flapping
+   * detection; alerts of conditions observed clear count towards auto-resolution. Alerts about a
+   * run that started in a maintenance window carry the window even after it ends
+   */
+  async _raiseRuleAlerts(matches, observations = [], { maintenance } = {}) {
+    await this._observeConditions(observations);
+
+    const alerts = [];
+    for (const match of matches) {
+      const alert = await this.createAlert(match.type, match.severity, match.data);
+      alert.rule = match.rule.id;
+      alert.condition = match.condition;
+      if (match.message) {
+        alert.ruleMessage = match.message;
+      }
+      const flap = this.flapDetector.getState(match.condition);
+      if (flap.flapping) {
+        alert.flapping = true;
+        alert.flappingSince = flap.since;
+      }
+      if (maintenance) {
+        alert.maintenance = maintenance;
+      }
+      alerts.push(alert);
     }
 
     for (const alert of alerts) {
       await this.processAlert(alert);
     }
 
+    await this._autoResolve(observations);
     return alerts;
   }
 
+  _alertsForCondition(condition) {
+    return this.getActiveAlerts().filter(alert => alert.condition === condition);
+  }
+
+  async _observeConditions(observations) {
+    for (const { condition, breached } of observations) {
+      const result = this.flapDetector.observe(condition, breached);
+      if (!result.changed) {
+        continue;
+      }
+
+      for (const alert of this._alertsForCondition(condition)) {
+        alert.flapping = result.flapping;
+        alert.flappingSince = result.since;
+        this.emit('alert_flapping', alert);
+
+        // Alerts kept quiet while flapping are notified once their condition settles as breached
+        if (!result.flapping && breached && alert.flapSuppressed) {
+          alert.flapSuppressed = false;
+          await this.sendNotifications(alert, 'alert_generated');
+        }
+      }
+    }
+  }
+
+  async _autoResolve(observations) {
+    const { enabled, after, byType = {} } = { ...DEFAULT_AUTO_RESOLVE, ...this.config.autoResolve };
+    const resolved = [];
+
+    for (const { condition, breached } of observations) {
+      for (const alert of this._alertsForCondition(condition)) {
+        alert.clearedEvaluations = breached ? 0 : (alert.clearedEvaluations || 0) + 1;
+        if (!enabled || alert.clearedEvaluations < (byType[alert.type] ?? after)) {
+          continue;
+        }
+
+        alert.autoResolved = true;
+        this.metrics.autoResolvedAlerts++;
+        resolved.push(await this.resolveAlert(alert.id, 'auto-resolve'));
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Conditions whose alerts are flapping right now
+   * @returns {{condition: string, since: string, changeRatio: number}[]}
+   */
+  getFlappingConditions() {
+    return this.flapDetector.getFlapping();
+  }
+
+  getRules() {
+    return this.ruleEngine.getRules();
+  }
+
+  /**
+   * Replace the configured alert rules (merged with the defaults by id) and persist them
+   * @param {import('./alert-rules.js').AlertRule[]} rules
+   * @throws {Error} When a rule is invalid
+   */
+  async updateRules(rules = []) {
+    await this._ensureInitialized();
+
+    this.ruleEngine.setRules(rules);
+    this.config.rules = rules;
+
+    await this._persistConfiguration();
+    this.emit('rules_updated', this.getRules());
+  }
+
   /**
    * Create an alert object
    */
@@ -416,6 +573,13 @@ class AlertManager extends EventEmitter {
       return null;
     }
 
+    const silence = this.findSilence(alert, signature, now);
+    if (silence) {
+      silence.suppressed = (silence.suppressed || 0) + 1;
+      this.metrics.silencedAlerts++;
+      return null;
+    }
+
     if (this.activeAlertSignatures.has(signature)) {
       const existingAlertId = this.activeAlertSignatures.get(signature);
       const existingAlert = this.activeAlerts.get(existingAlertId);
@@ -433,6 +597,11 @@ class AlertManager extends EventEmitter {
     alert.occurrences = 1;
     alert.message = this.formatAlertMessage(alert);
 
+    const maintenanceWindow = alert.maintenance ? null : this.engine?.getActiveMaintenanceWindow?.(now);
+    if (maintenanceWindow) {
+      alert.maintenance = { windowId: maintenanceWindow.id, reason: maintenanceWindow.reason };
+    }
+
     this.metrics.totalAlerts++;
     this.metrics.alertsByType[alert.type] = (this.metrics.alertsByType[alert.type] || 0) + 1;
     this.metrics.alertsBySeverity[alert.severity] = (this.metrics.alertsBySeverity[alert.severity] || 0) + 1;
@@ -442,7 +611,7 @@ class AlertManager extends EventEmitter {
     this.lastAlertTimes.set(signature, now);
     this.activeAlertSignatures.set(signature, alert.id);
 
-    await this.notificationManager.sendToAll(alert);
+    await this.sendNotifications(alert, 'alert_generated');
 
     this.emit('alert', alert);
     this.emit('alert_generated', alert);
@@ -466,8 +635,124 @@ class AlertManager extends EventEmitter {
     }
   }
 
-  async sendNotifications(alert, eventType = 'alert_generated') {
-    await this.notificationManager.sendToAll(alert, null, eventType);
+  /**
+   * Notify the channels and contacts the routing picks for an alert. New alerts remember the
+   * channels quiet hours held back so they can be notified once quiet hours end
+   * @param {Object} alert
+   * @param {string} [eventType='alert_generated']
+   * @param {{channels?: string[], contacts?: string[], now?: number}} [options] - Channels and
+   *   contacts replacing the matching routes, and the time to check quiet hours at
+   */
+  async sendNotifications(alert, eventType = 'alert_generated', options = {}) {
+    const plan = this.router.plan(alert, options);
+
+    // Flapping alerts, and alerts that were flapping when raised, only reach the dashboard
+    if (alert.flapping || alert.flapSuppressed) {
+      alert.flapSuppressed = true;
+      this.metrics.flappingSuppressed++;
+      await this.notificationManager.sendToAll(alert, plan.channels.filter(channel => channel === 'dashboard'), eventType);
+      return;
+    }
+
+    // So do alerts raised during maintenance, for their whole lifecycle
+    if (alert.maintenance) {
+      this.metrics.maintenanceSuppressed++;
+      await this.notificationManager.sendToAll(alert, plan.channels.filter(channel => channel === 'dashboard'), eventType);
+      return;
+    }
+
+    if (plan.held.length > 0 && eventType === 'alert_generated') {
+      alert.heldChannels = [...new Set([...(alert.heldChannels || []), ...plan.held])];
+      this.metrics.heldNotifications++;
+    }
+
+    let channels = plan.channels;
+    if (eventType === 'alert_generated') {
+      const batched = this.digester.add(alert, channels, plan.recipients, options.now);
+      if (batched.length > 0) {
+        channels = channels.filter(channel => !batched.includes(channel));
+        this.metrics.batchedNotifications++;
+      }
+    }
+
+    await this.notificationManager.sendToAll(alert, channels, eventType, { recipients: plan.recipients });
+  }
+
+  _digestSettings(name, alert) {
+    const channel = this.notificationManager.getChannel(name);
+    const digest = this.config.notifications[name]?.digest;
+    if (!digest?.enabled || typeof channel?.sendDigest !== 'function' || !channel.isEnabled()) {
+      return null;
+    }
+    if (typeof channel.acceptsSeverity === 'function' && !channel.acceptsSeverity(alert.severity)) {
+      return null;
+    }
+    return { ...DEFAULT_DIGEST, ...digest };
+  }
+
+  async _deliverDigest(name, digest, recipients) {
+    await this.notificationManager.getChannel(name).sendDigest(digest, { recipients });
+    this.metrics.digestsSent++;
+    this.emit('digest_sent', digest);
+  }
+
+  /**
+   * Send pending digests without waiting for their window to end
+   * @param {string} [channel] - Only this channel's digests
+   * @returns {Promise<Object[]>} Digests sent
+   */
+  async flushDigests(channel) {
+    return this.digester.flush(channel);
+  }
+
+  /**
+   * Digests still collecting alerts
+   * @returns {{channel: string, recipients: string[]|null, alertCount: number, windowStart: string}[]}
+   */
+  getPendingDigests() {
+    return this.digester.getPending();
+  }
+
+  /**
+   * Whether the daily summary email is due: enabled, the email channel is on, the local send
+   * time has passed and no summary went out today
+   * @param {number} [now=Date.now()]
+   * @returns {boolean}
+   */
+  isDailySummaryDue(now = Date.now()) {
+    const email = this.notificationManager.getChannel('email');
+    return Boolean(email?.isEnabled()) &&
+      isDailySummaryDue(this.config.dailySummary, this._persistedState.lastDailySummary, now);
+  }
+
+  /**
+   * Email the daily summary: pipeline analytics for the last day plus the alerts raised in it
+   * @param {Object} analytics - From AnalyticsEngine.generateSummary
+   * @param {{now?: number}} [options]
+   * @returns {Promise<Object>} The summary sent
+   */
+  async sendDailySummary(analytics, { now = Date.now() } = {}) {
+    await this._ensureInitialized();
+
+    const { timezone, recipients } = { ...DEFAULT_DAILY_SUMMARY, ...this.config.dailySummary };
+    const since = now - 24 * 60 * 60 * 1000;
+    const alerts = this.alertHistory.filter(alert => new Date(alert.timestamp).getTime() >= since);
+
+    const summary = {
+      date: localDate(now, timezone),
+      timezone,
+      generatedAt: new Date(now).toISOString(),
+      ...analytics,
+      alerts: buildDigest(alerts, { windowStart: since, windowEnd: now }),
+      activeAlerts: this.getActiveAlerts().length
+    };
+
+    await this.notificationManager.getChannel('email').sendSummary(summary, { recipients });
+
+    this._persistedState.lastDailySummary = summary.date;
+    await this._persistAlertState();
+    this.emit('daily_summary_sent', summary);
+    return summary;
   }
 
   formatAlertMessage(alert) {
@@ -481,7 +766,7 @@ class AlertManager extends EventEmitter {
       webhook_error: `Webhook error from ${alert.data.source}: HTTP ${alert.data.status}`
     };
 
-    return messages[alert.type] || `Alert: ${alert.type}`;
+    return messages[alert.type] || alert.ruleMessage || `Alert: ${alert.type}`;
   }
 
   async acknowledgeAlert(alertId, acknowledgedBy = 'system') {
@@ -537,6 +822,207 @@ class AlertManager extends EventEmitter {
     return null;
   }
 
+  /**
+   * Mute an active alert until the given time; if it is still active then, notifications go out again
+   * @param {string} alertId
+   * @param {string|Date} until - End of the snooze
+   * @param {string} [snoozedBy='system']
+   * @returns {Promise<Object|null>} The snoozed alert, or null if it is not active
+   */
+  async snoozeAlert(alertId, until, snoozedBy = 'system') {
+    await this._ensureInitialized();
+    const alert = this.activeAlerts.get(alertId);
+    const snoozedUntil = this._toFutureIso(until, 'Snooze end');
+
+    if (!alert) {
+      return null;
+    }
+
+    alert.snoozedUntil = snoozedUntil;
+    alert.snoozedBy = snoozedBy;
+
+    await this.sendNotifications(alert, 'alert_snoozed');
+
+    this.emit('alert_snoozed', alert);
+    return alert;
+  }
+
+  /**
+   * Wake snoozed alerts whose snooze has ended and notify again
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<Object[]>} Alerts whose snooze expired
+   */
+  async expireSnoozes(now = Date.now()) {
+    const expired = this.getActiveAlerts()
+      .filter(alert => alert.snoozedUntil && new Date(alert.snoozedUntil).getTime() <= now);
+
+    for (const alert of expired) {
+      alert.snoozedUntil = null;
+      alert.snoozedBy = null;
+      await this.sendNotifications(alert, 'alert_snooze_expired');
+      this.emit('alert_snooze_expired', alert);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Re-notify unacknowledged alerts whose escalation step is due, and notify channels that quiet
+   * hours held back once they are over. Escalations wait while an alert is snoozed or held
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<Object[]>} Alerts that escalated
+   */
+  async checkEscalations(now = Date.now()) {
+    await this._ensureInitialized();
+    const escalated = [];
+
+    for (const alert of this.getActiveAlerts()) {
+      if (this.router.isHeld(alert, now)) {
+        continue;
+      }
+
+      if (alert.heldChannels?.length > 0) {
+        const channels = alert.heldChannels;
+        alert.heldChannels = null;
+        if (!alert.acknowledged) {
+          await this.sendNotifications(alert, 'alert_generated', { channels, now });
+        }
+      }
+
+      const snoozed = alert.snoozedUntil && new Date(alert.snoozedUntil).getTime() > now;
+      const due = !alert.acknowledged && !snoozed && !alert.flapping && !alert.maintenance && this.router.dueEscalation(alert, now);
+      if (!due) {
+        continue;
+      }
+
+      alert.escalationLevel = due.level;
+      alert.escalationPolicy = due.policy.id;
+      alert.escalatedAt = new Date(now).toISOString();
+      this.metrics.escalatedAlerts++;
+
+      await this.sendNotifications(alert, 'alert_escalated', { channels: due.step.channels, contacts: due.step.contacts, now });
+
+      this.emit('alert_escalated', alert);
+      escalated.push(alert);
+    }
+
+    return escalated;
+  }
+
+  /**
+   * Current contacts, routes, escalation policies and quiet hours
+   * @returns {import('./alert-routing.js').RoutingConfig}
+   */
+  getRouting() {
+    return this.router.getRouting();
+  }
+
+  /**
+   * Replace the routing configuration and persist it
+   * @param {import('./alert-routing.js').RoutingConfig} routing
+   * @throws {Error} When the configuration is invalid; the current one is kept
+   */
+  async updateRouting(routing = {}) {
+    await this._ensureInitialized();
+
+    this.router.setRouting(routing);
+    this.config.routing = routing;
+
+    await this._persistConfiguration();
+    this.emit('routing_updated', this.router.getRouting());
+    return this.router.getRouting();
+  }
+
+  /**
+   * Suppress new alerts matching a type, severity and/or signature until the given time
+   * @param {{type?: string, severity?: string, signature?: string}} matcher
+   * @param {{until: string|Date, createdBy?: string, reason?: string}} options
+   * @returns {Promise<Object>} The created silence
+   */
+  async addSilence(matcher = {}, { until, createdBy = 'system', reason = '' } = {}) {
+    await this._ensureInitialized();
+
+    const criteria = {};
+    for (const key of ['type', 'severity', 'signature']) {
+      if (typeof matcher[key] === 'string' && matcher[key]) {
+        criteria[key] = matcher[key];
+      }
+    }
+    if (Object.keys(criteria).length === 0) {
+      throw new Error('A silence needs a type, severity or signature to match');
+    }
+
+    const silence = {
+      id: `silence_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      matcher: criteria,
+      startsAt: new Date().toISOString(),
+      endsAt: this._toFutureIso(until, 'Silence end'),
+      createdBy,
+      reason,
+      suppressed: 0
+    };
+
+    this._persistedState.silences = [...this.getSilences(), silence];
+    await this._persistAlertState();
+
+    this.emit('silence_created', silence);
+    return silence;
+  }
+
+  /**
+   * Lift a silence before it ends
+   * @param {string} silenceId
+   * @param {string} [removedBy='system']
+   * @returns {Promise<Object|null>} The removed silence, or null if it is unknown or already over
+   */
+  async removeSilence(silenceId, removedBy = 'system') {
+    await this._ensureInitialized();
+    const silence = this.getSilences().find(entry => entry.id === silenceId);
+
+    if (!silence) {
+      return null;
+    }
+
+    this._persistedState.silences = this._persistedState.silences.filter(entry => entry.id !== silenceId);
+    await this._persistAlertState();
+
+    const removed = { ...silence, removedBy, removedAt: new Date().toISOString() };
+    this.emit('silence_removed', removed);
+    return removed;
+  }
+
+  /**
+   * Silences that have not ended yet
+   * @param {number} [now=Date.now()]
+   */
+  getSilences(now = Date.now()) {
+    return (this._persistedState.silences || [])
+      .filter(silence => new Date(silence.endsAt).getTime() > now);
+  }
+
+  /**
+   * Find a silence covering an alert
+   * @returns {Object|null}
+   */
+  findSilence(alert, signature = this._generateAlertSignature(alert.type, alert.severity, alert.data), now = Date.now()) {
+    return this.getSilences(now).find(({ matcher }) =>
+      (!matcher.type || matcher.type === alert.type)
+      && (!matcher.severity || matcher.severity === alert.severity)
+      && (!matcher.signature || matcher.signature === signature)
+    ) || null;
+  }
+
+  _toFutureIso(value, label) {
+    const time = value instanceof Date ? value.getTime() : Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw new Error(`${label} must be a valid date`);
+    }
+    if (time <= Date.now()) {
+      throw new Error(`${label} must be in the future`);
+    }
+    return new Date(time).toISOString();
+  }
+
   getActiveAlerts() {
     return Array.from(this.activeAlerts.values());
   }
@@ -545,6 +1031,24 @@ class AlertManager extends EventEmitter {
     return this.alertHistory.slice(-limit);
   }
 
+  /**
+   * Recent outbound webhook deliveries, newest first
+   * @param {{status?: string, limit?: number}} [options]
+   * @returns {Object[]}
+   */
+  getWebhookDeliveries(options = {}) {
+    return this.notificationManager.getChannel('webhook')?.getDeliveries?.(options) || [];
+  }
+
+  /**
+   * Webhook notifications that could not be delivered, newest first
+   * @param {number} [limit=50]
+   * @returns {Promise<Object[]>}
+   */
+  async getWebhookDeadLetters(limit = 50) {
+    return await this.notificationManager.getChannel('webhook')?.getDeadLetters?.(limit) || [];
+  }
+
   getMetrics() {
     return {
       ...this.metrics,
@@ -596,11 +1100,78 @@ class AlertManager extends EventEmitter {
     this.emit('cooldowns_updated', this.config.cooldowns);
   }
 
+  /**
+   * Apply settings edited through AlertConfig, e.g. on the dashboard settings page. Only the
+   * sections given are changed; alert types change the severity and enabled flag of the rule with
+   * the same id, and their `cooldown` becomes a per-type cooldown.
+   * @param {Object} changes - Partial AlertConfig configuration (see pickChanges in alert-config.js)
+   * @throws {Error} When the resulting rules are invalid
+   */
+  async applyAlertConfig({ thresholds, notifications, alertRules, alertTypes } = {}) {
+    await this._ensureInitialized();
+
+    if (alertTypes) {
+      const rules = [...(this.config.rules || [])];
+      for (const [type, settings] of Object.entries(alertTypes)) {
+        if (!this.getRules().some(rule => rule.id === type)) {
+          continue;
+        }
+        const override = Object.fromEntries(Object.entries({ severity: settings.severity, enabled: settings.enabled })
+          .filter(([, value]) => value !== undefined));
+        const index = rules.findIndex(rule => rule.id === type);
+        if (index === -1) {
+          rules.push({ id: type, ...override });
+        } else {
+          rules[index] = { ...rules[index], ...override };
+        }
+      }
+      this.ruleEngine.setRules(rules);
+      this.config.rules = rules;
+    }
+
+    if (thresholds) {
+      this.config.thresholds = { ...this.config.thresholds, ...thresholds };
+    }
+
+    const byType = { ...this.config.cooldowns.byType };
+    for (const [type, settings] of Object.entries(alertTypes || {})) {
+      if (typeof settings.cooldown === 'number') {
+        byType[type] = settings.cooldown;
+      } else if ('cooldown' in settings) {
+        // A cooldown removed from the alert type falls back to the default
+        delete byType[type];
+      }
+    }
+    const cooldown = alertRules?.cooldownPeriod ?? this.config.cooldowns.default;
+    this.config.cooldowns = { default: cooldown, byType };
+    this.config.cooldown = cooldown;
+
+    if (notifications) {
+      this.config.notifications = this._normalizeNotificationConfig(Object.fromEntries(
+        Object.entries(this.config.notifications).map(([name, settings]) => [name, { ...settings, ...notifications[name] }])
+      ));
+      this._configureNotificationChannels();
+    }
+
+    await this._persistConfiguration();
+    this.emit('config_updated', this.config);
+  }
+
   clearOldAlerts(maxAge = 7 * 24 * 60 * 60 * 1000) {
     const cutoff = new Date(Date.now() - maxAge);
     this.alertHistory = this.alertHistory.filter(alert => new Date(alert.timestamp) > cutoff);
   }
 
+  /**
+   * Remove alerts from the alert history; the engine's RetentionManager calls this while the
+   * manager is attached to the engine
+   * @param {string[]} alertIds - Alert identifiers
+   * @returns {number} Number of alerts removed
+   */
+  pruneAlertHistory(alertIds = []) {
+    return removeAlertsFromHistory(this, alertIds);
+  }
+
   exportConfig() {
     return this._extractPersistableConfig();
   }
@@ -619,6 +1190,16 @@ class AlertManager extends EventEmitter {
       await this.updateCooldowns(config.cooldowns);
     }
 
+    if (config.rules) {
+      this.ruleEngine.setRules(config.rules);
+      this.config.rules = config.rules;
+    }
+
+    if (config.routing) {
+      this.router.setRouting(config.routing);
+      this.config.routing = config.routing;
+    }
+
     if (config.notifications) {
       await this.updateNotificationSettings(config.notifications);
     } else {
@@ -628,6 +1209,73 @@ class AlertManager extends EventEmitter {
     this.emit('config_updated', this.config);
   }
 
+  /**
+   * Subscribe to TestCycleEngine lifecycle events: failed stages, finished runs and analytics
+   * snapshots are checked against the alert rules, and alert lifecycle changes and silences are
+   * mirrored onto the engine. The alert history is pruned by the engine's retention policies.
+   */
+  attachToEngine(engine) {
+    this.detachFromEngine();
+    this.engine = engine;
+    engine.retentionManager?.addAlertSource(this);
+
+    const guard = (handler) => async (event) => {
+      try {
+        await handler(event);
+      } catch (error) {
+        console.error('Failed to evaluate engine event for alerts:', error.message);
+      }
+    };
+
+    this._engineListeners = {
+      [EngineEvents.STAGE_CHANGED]: guard(async ({ run, stage }) => {
+        if (stage.status === 'failed') {
+          await this.checkStageAlerts(run, stage);
+        }
+      }),
+      [EngineEvents.RUN_COMPLETED]: guard(({ run }) => this.checkAlerts(run)),
+      [EngineEvents.ANALYTICS_UPDATED]: guard(({ snapshot }) => this.checkAnalyticsAlerts(snapshot))
+    };
+
+    for (const [event, listener] of Object.entries(this._engineListeners)) {
+      engine.on(event, listener);
+    }
+
+    this._alertMirrors = {
+      alert_generated: (alert) => engine.recordAlert({ ...alert, context: alert.data, source: 'alert-manager' }),
+      alert_acknowledged: (alert) => engine.acknowledgeAlert(alert.id, alert.acknowledgedBy),
+      alert_snoozed: (alert) => engine.snoozeAlert(alert.id, { until: alert.snoozedUntil, snoozedBy: alert.snoozedBy }),
+      alert_snooze_expired: (alert) => engine.expireAlertSnooze(alert.id),
+      alert_escalated: (alert) => engine.recordAlertEscalation(alert.id, alert),
+      alert_flapping: (alert) => engine.recordAlertFlapping(alert.id, alert),
+      alert_resolved: (alert) => engine.resolveAlert(alert.id, alert.resolvedBy),
+      silence_created: (silence) => engine.recordSilenceChange(silence, 'created'),
+      silence_removed: (silence) => engine.recordSilenceChange(silence, 'removed')
+    };
+
+    for (const [event, listener] of Object.entries(this._alertMirrors)) {
+      this.on(event, listener);
+    }
+  }
+
+  detachFromEngine() {
+    if (!this.engine) {
+      return;
+    }
+
+    for (const [event, listener] of Object.entries(this._engineListeners)) {
+      this.engine.off(event, listener);
+    }
+    for (const [event, listener] of Object.entries(this._alertMirrors)) {
+      this.off(event, listener);
+    }
+    this.engine.retentionManager?.removeAlertSource(this);
+
+    this.engine = null;
+    this._engineListeners = null;
+    this._alertMirrors = null;
+  }
+
   setWebSocketHandler(handler) {
     const dashboardChannel = this.notificationManager.getChannel('dashboard');
     if (dashboardChannel && typeof dashboardChannel.setWebSocketHandler === 'function') {
@@ -636,4 +1284,4 @@ class AlertManager extends EventEmitter {
   }
 }
 
-module.exports = AlertManager;
+export default AlertManager;
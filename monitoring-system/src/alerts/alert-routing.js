@@ -0,0 +1,323 @@
+/**
+ * Alert routing, escalation and quiet hours
+ * Routes send alerts of a type or severity to named contacts, escalation policies re-notify on
+ * higher tier channels while an alert stays unacknowledged, and quiet hours hold back paging
+ * channels overnight unless the alert's severity overrides them.
+ */
+
+import { parseDuration } from './alert-rules.js';
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * @typedef {Object} AlertMatcher
+ * @property {string|string[]} [type] - Alert types; `*` matches any characters, e.g. `webhook_*`
+ * @property {string|string[]} [severity] - Severities
+ */
+
+/**
+ * @typedef {Object} AlertRoute
+ * @property {AlertMatcher} match
+ * @property {string[]} [channels] - Channels to notify instead of every enabled channel
+ * @property {string[]} [contacts] - Contacts to address on those channels
+ */
+
+/**
+ * @typedef {Object} EscalationPolicy
+ * @property {string} id
+ * @property {AlertMatcher} [match] - Alerts the policy applies to; the first matching policy wins
+ * @property {{after: number|string, channels: string[], contacts?: string[]}[]} steps - Re-notify once
+ *   the alert has been unacknowledged for `after` (ms or like 15m, 1h)
+ */
+
+/**
+ * @typedef {Object} QuietHours
+ * @property {boolean} [enabled=false]
+ * @property {string} [timezone='Pacific/Auckland']
+ * @property {string} [start='22:00'] - Local start, HH:MM
+ * @property {string} [end='07:00'] - Local end, HH:MM; may be earlier than start to span midnight
+ * @property {string[]} [channels=['email', 'webhook', 'slack', 'discord', 'teams']] - Channels held back
+ *   during quiet hours
+ * @property {string[]} [overrideSeverities=['critical']] - Severities that notify anyway
+ */
+
+/**
+ * @typedef {Object} RoutingConfig
+ * @property {Object<string, Object<string, string|string[]>>} [contacts] - Address of each contact per
+ *   channel, e.g. `{ site_maintainer: { email: 'site@example.com' } }`
+ * @property {AlertRoute[]} [routes]
+ * @property {EscalationPolicy[]} [escalations]
+ * @property {QuietHours} [quietHours]
+ */
+
+export const DEFAULT_QUIET_HOURS = Object.freeze({
+  enabled: false,
+  timezone: 'Pacific/Auckland',
+  start: '22:00',
+  end: '07:00',
+  channels: ['email', 'webhook', 'slack', 'discord', 'teams'],
+  overrideSeverities: ['critical']
+});
+
+const toList = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+const patternToRegExp = (pattern) =>
+  new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+/**
+ * Check an alert against a matcher; an empty matcher matches every alert
+ * @param {AlertMatcher} [match]
+ * @param {{type: string, severity: string}} alert
+ * @returns {boolean}
+ */
+export function matchesAlert(match = {}, alert) {
+  const types = toList(match.type);
+  const severities = toList(match.severity);
+
+  if (types.length > 0 && !types.some(pattern => patternToRegExp(pattern).test(alert.type))) {
+    return false;
+  }
+  return severities.length === 0 || severities.includes(alert.severity);
+}
+
+/**
+ * Minutes since local midnight in a timezone
+ * @param {number|Date} time
+ * @param {string} timezone - IANA timezone name
+ * @returns {number}
+ */
+export function localMinutes(time, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(time));
+  const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return value('hour') * 60 + value('minute');
+}
+
+const toMinutes = (hhmm) => {
+  const [, hours, minutes] = hhmm.match(TIME_PATTERN);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check a routing configuration's shape
+ * @param {RoutingConfig} routing
+ * @returns {string[]} Problems found; empty when the configuration is valid
+ */
+export function validateRouting(routing = {}) {
+  const errors = [];
+  const contacts = routing.contacts || {};
+
+  const checkContacts = (names, label) => {
+    for (const name of toList(names)) {
+      if (!contacts[name]) {
+        errors.push(`${label}: unknown contact ${name}`);
+      }
+    }
+  };
+  const checkMatcher = (match = {}, label) => {
+    for (const severity of toList(match.severity)) {
+      if (!SEVERITIES.includes(severity)) {
+        errors.push(`${label}: severity must be one of ${SEVERITIES.join(', ')}`);
+      }
+    }
+  };
+
+  (routing.routes || []).forEach((route, index) => {
+    const label = `routes[${index}]`;
+    if (!route.match || Object.keys(route.match).length === 0) {
+      errors.push(`${label}: needs a match`);
+    }
+    if (toList(route.channels).length === 0 && toList(route.contacts).length === 0) {
+      errors.push(`${label}: needs channels or contacts`);
+    }
+    checkMatcher(route.match, label);
+    checkContacts(route.contacts, label);
+  });
+
+  const ids = new Set();
+  (routing.escalations || []).forEach((policy, index) => {
+    const label = policy.id || `escalations[${index}]`;
+    if (!policy.id) {
+      errors.push(`${label}: needs an id`);
+    } else if (ids.has(policy.id)) {
+      errors.push(`${label}: duplicate id`);
+    }
+    ids.add(policy.id);
+    checkMatcher(policy.match, label);
+
+    if (!Array.isArray(policy.steps) || policy.steps.length === 0) {
+      errors.push(`${label}: needs at least one step`);
+      return;
+    }
+
+    let previous = 0;
+    policy.steps.forEach((step, stepIndex) => {
+      const after = parseDuration(step.after);
+      if (!after) {
+        errors.push(`${label}: steps[${stepIndex}].after must be ms or like 15m, 1h`);
+      } else if (after <= previous) {
+        errors.push(`${label}: steps[${stepIndex}].after must be later than the previous step`);
+      }
+      previous = after || previous;
+      if (toList(step.channels).length === 0) {
+        errors.push(`${label}: steps[${stepIndex}] needs channels`);
+      }
+      checkContacts(step.contacts, `${label}: steps[${stepIndex}]`);
+    });
+  });
+
+  if (routing.quietHours) {
+    const { timezone, start, end, overrideSeverities } = { ...DEFAULT_QUIET_HOURS, ...routing.quietHours };
+    if (!isValidTimezone(timezone)) {
+      errors.push(`quietHours: unknown timezone ${timezone}`);
+    }
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      errors.push('quietHours: start and end must be HH:MM');
+    }
+    if (toList(overrideSeverities).some(severity => !SEVERITIES.includes(severity))) {
+      errors.push(`quietHours: overrideSeverities must be among ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Decides which channels and contacts an alert notification goes to, and when alerts escalate
+ */
+export class AlertRouter {
+  /**
+   * @param {Object} options
+   * @param {RoutingConfig} [options.routing]
+   * @param {() => string[]} options.channels - Names of all registered notification channels
+   */
+  constructor({ routing = {}, channels }) {
+    this.channelNames = channels;
+    this.setRouting(routing);
+  }
+
+  /**
+   * Replace the routing configuration
+   * @param {RoutingConfig} routing
+   * @throws {Error} When the configuration is invalid; the current one is kept
+   */
+  setRouting(routing = {}) {
+    const errors = validateRouting(routing);
+    if (errors.length > 0) {
+      throw new Error(`Invalid alert routing: ${errors.join('; ')}`);
+    }
+
+    this.routing = {
+      contacts: { ...(routing.contacts || {}) },
+      routes: [...(routing.routes || [])],
+      escalations: [...(routing.escalations || [])],
+      quietHours: { ...DEFAULT_QUIET_HOURS, ...(routing.quietHours || {}) }
+    };
+  }
+
+  /**
+   * @returns {RoutingConfig}
+   */
+  getRouting() {
+    return this.routing;
+  }
+
+  /**
+   * Whether quiet hours are in effect
+   * @param {number} [now=Date.now()]
+   * @returns {boolean}
+   */
+  isQuietHours(now = Date.now()) {
+    const { enabled, timezone, start, end } = this.routing.quietHours;
+    if (!enabled) {
+      return false;
+    }
+
+    const current = localMinutes(now, timezone);
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    return from <= to
+      ? current >= from && current < to
+      : current >= from || current < to;
+  }
+
+  /**
+   * Whether quiet hours hold back this alert's paging channels right now
+   * @param {{severity: string}} alert
+   * @param {number} [now=Date.now()]
+   * @returns {boolean}
+   */
+  isHeld(alert, now = Date.now()) {
+    return this.isQuietHours(now) && !this.routing.quietHours.overrideSeverities.includes(alert.severity);
+  }
+
+  /**
+   * Work out where a notification goes
+   * @param {Object} alert
+   * @param {Object} [options]
+   * @param {string[]} [options.channels] - Channels to use instead of the matching routes
+   * @param {string[]} [options.contacts] - Contacts to use instead of the matching routes
+   * @param {number} [options.now=Date.now()]
+   * @returns {{channels: string[], recipients: Object<string, string[]>, held: string[]}} Channels
+   *   to notify now, addresses per channel (empty means the channel's own recipients) and channels
+   *   held back by quiet hours
+   */
+  plan(alert, { channels, contacts, now = Date.now() } = {}) {
+    const routes = this.routing.routes.filter(route => matchesAlert(route.match, alert));
+
+    let targets = channels;
+    if (!targets) {
+      const routed = routes.flatMap(route => toList(route.channels));
+      targets = routed.length > 0 ? [...new Set(routed)] : this.channelNames();
+    }
+
+    const recipients = {};
+    for (const name of contacts || routes.flatMap(route => toList(route.contacts))) {
+      for (const [channel, addresses] of Object.entries(this.routing.contacts[name] || {})) {
+        recipients[channel] = [...new Set([...(recipients[channel] || []), ...toList(addresses)])];
+      }
+    }
+
+    const held = this.isHeld(alert, now)
+      ? targets.filter(channel => this.routing.quietHours.channels.includes(channel))
+      : [];
+
+    return {
+      channels: targets.filter(channel => !held.includes(channel)),
+      recipients,
+      held
+    };
+  }
+
+  /**
+   * The escalation step an unacknowledged alert is due for
+   * @param {Object} alert - Alert with `timestamp` and `escalationLevel`
+   * @param {number} [now=Date.now()]
+   * @returns {{policy: EscalationPolicy, step: Object, level: number}|null} `level` is the level
+   *   the alert reaches once the step is notified
+   */
+  dueEscalation(alert, now = Date.now()) {
+    const policy = this.routing.escalations.find(candidate => matchesAlert(candidate.match, alert));
+    const level = alert.escalationLevel || 0;
+    const step = policy?.steps[level];
+
+    if (!step || now - new Date(alert.timestamp).getTime() < parseDuration(step.after)) {
+      return null;
+    }
+    return { policy, step, level: level + 1 };
+  }
+}
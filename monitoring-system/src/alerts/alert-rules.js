@@ -0,0 +1,599 @@
+/**
+ * Declarative alert rules
+ * A rule reads one metric from runs, stages, webhook records or analytics snapshots,
+ * aggregates it over a window, compares it with a threshold and fires after enough
+ * consecutive breaches. Thresholds given as strings name a key in the AlertManager thresholds.
+ */
+
+export const RULE_SOURCES = ['run', 'stage', 'webhook', 'analytics'];
+export const RULE_AGGREGATIONS = ['last', 'avg', 'min', 'max', 'sum', 'count'];
+export const RULE_COMPARATORS = ['>', '>=', '<', '<=', '==', '!='];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {string} id - Unique rule identifier
+ * @property {string} [type] - Alert type to raise (defaults to the id)
+ * @property {string} [description]
+ * @property {boolean} [enabled=true]
+ * @property {'run'|'stage'|'webhook'|'analytics'} source - What the rule is evaluated against
+ * @property {string} metric - Field of the evaluation context to read, see {@link buildContexts}
+ * @property {Object<string, *>} [where] - Only evaluate contexts whose fields equal these values
+ * @property {string} [groupBy] - Keep separate windows and streaks per value of this context field
+ * @property {{size?: number, duration?: string|number, minSamples?: number}} [window] - Samples to aggregate
+ * @property {'last'|'avg'|'min'|'max'|'sum'|'count'} [aggregation='last']
+ * @property {'>'|'>='|'<'|'<='|'=='|'!='} comparator
+ * @property {number|string} threshold - Number, or the name of an AlertManager threshold
+ * @property {'low'|'medium'|'high'|'critical'} severity
+ * @property {number|string} [consecutive=1] - Breaches in a row before the rule fires, or a threshold name
+ * @property {string[]|Object<string, string>} [data] - Context fields copied into the alert data
+ *   (an object maps alert data keys to context fields). `threshold`, `value`, `samples` and `streak` are always available.
+ * @property {string} [message] - Alert message; `{field}` placeholders are filled from the alert data and evaluation
+ */
+
+/**
+ * The checks AlertManager used to hard-code, plus rules for the remaining thresholds
+ * @type {AlertRule[]}
+ */
+export const DEFAULT_ALERT_RULES = Object.freeze([
+  {
+    id: 'pipeline_failure',
+    description: 'Pipeline run failed',
+    source: 'run',
+    metric: 'failed',
+    comparator: '==',
+    threshold: 1,
+    severity: 'high',
+    data: ['runId', 'trigger', 'error', 'duration']
+  },
+  {
+    id: 'slow_pipeline',
+    description: 'Pipeline run took longer than the response time threshold',
+    source: 'run',
+    metric: 'duration',
+    comparator: '>',
+    threshold: 'responseTime',
+    severity: 'medium',
+    data: ['runId', 'duration', 'threshold']
+  },
+  {
+    id: 'consecutive_failures',
+    description: 'Several pipeline runs failed in a row',
+    source: 'run',
+    metric: 'failed',
+    comparator: '==',
+    threshold: 1,
+    consecutive: 'failureCount',
+    severity: 'critical',
+    message: '{streak} pipeline runs failed in a row'
+  },
+  {
+    id: 'high_error_rate',
+    description: 'Share of failed runs among recent runs is above the error rate threshold',
+    source: 'run',
+    metric: 'failed',
+    aggregation: 'avg',
+    window: { size: 20, minSamples: 5 },
+    comparator: '>',
+    threshold: 'errorRate',
+    severity: 'high',
+    message: '{value} of the last {samples} pipeline runs failed (threshold: {threshold})'
+  },
+  {
+    id: 'slow_queue',
+    description: 'GitHub Actions run waited in the queue longer than the queue time threshold',
+    source: 'run',
+    metric: 'queueTime',
+    comparator: '>',
+    threshold: 'queueTime',
+    severity: 'medium',
+    data: { runId: 'runId', duration: 'queueTime', threshold: 'threshold' },
+    message: 'Workflow for run {runId} queued for {duration}ms (threshold: {threshold}ms)'
+  },
+  {
+    id: 'site_error_rate',
+    description: 'Share of recent runs whose site validation failed is above the site error rate threshold',
+    source: 'run',
+    metric: 'siteFailed',
+    aggregation: 'avg',
+    window: { size: 20, minSamples: 5 },
+    comparator: '>',
+    threshold: 'siteErrorRate',
+    severity: 'high',
+    message: 'Site validation failed in {value} of the last {samples} runs (threshold: {threshold})'
+  },
+  {
+    id: 'stage_failure',
+    description: 'Pipeline stage failed',
+    source: 'stage',
+    metric: 'failed',
+    comparator: '==',
+    threshold: 1,
+    severity: 'high',
+    data: ['runId', 'stage', 'error', 'duration']
+  },
+  {
+    id: 'slow_build',
+    description: 'Build took longer than the build time threshold',
+    source: 'stage',
+    where: { stage: 'build_process' },
+    metric: 'duration',
+    comparator: '>',
+    threshold: 'buildTime',
+    severity: 'medium',
+    data: ['runId', 'duration', 'threshold']
+  },
+  {
+    id: 'webhook_timeout',
+    description: 'Webhook took longer than the webhook timeout to process',
+    source: 'webhook',
+    metric: 'latency',
+    comparator: '>',
+    threshold: 'webhookTimeout',
+    severity: 'medium',
+    data: { webhookId: 'webhookId', runId: 'runId', duration: 'latency', threshold: 'threshold', source: 'source' }
+  },
+  {
+    id: 'webhook_auth_failure',
+    description: 'Webhook failed authentication',
+    source: 'webhook',
+    metric: 'authFailed',
+    comparator: '==',
+    threshold: 1,
+    severity: 'high',
+    data: { webhookId: 'webhookId', runId: 'runId', source: 'source', error: 'authError' }
+  },
+  {
+    id: 'webhook_error',
+    description: 'Webhook was answered with an HTTP error',
+    source: 'webhook',
+    metric: 'status',
+    comparator: '>=',
+    threshold: 400,
+    severity: 'high',
+    data: { webhookId: 'webhookId', runId: 'runId', source: 'source', status: 'status', error: 'responseBody' }
+  },
+  {
+    id: 'webhook_error_rate',
+    description: 'Share of failed webhooks among recent webhooks is above the webhook error rate threshold',
+    source: 'webhook',
+    metric: 'failed',
+    aggregation: 'avg',
+    window: { size: 50, minSamples: 10 },
+    comparator: '>',
+    threshold: 'webhookErrorRate',
+    severity: 'high',
+    message: '{value} of the last {samples} webhooks failed (threshold: {threshold})'
+  },
+  {
+    id: 'performance_degradation',
+    description: 'Latest run was slower than the average run by more than the degradation threshold',
+    source: 'analytics',
+    metric: 'durationDegradation',
+    comparator: '>',
+    threshold: 'performanceDegradation',
+    severity: 'medium',
+    data: ['runId'],
+    message: 'Run {runId} took {value} longer than the average run (threshold: {threshold})'
+  }
+]);
+
+/**
+ * Evaluation contexts for a record: one per run, per stage, per webhook record or per snapshot
+ * @param {'run'|'stage'|'webhook'|'analytics'} source
+ * @param {Object} record - Pipeline run (for run and stage), webhook record or analytics snapshot
+ * @returns {Object[]}
+ */
+export function buildContexts(source, record) {
+  if (!record) {
+    return [];
+  }
+
+  switch (source) {
+    case 'run':
+      return [runContext(record)];
+    case 'stage':
+      return (record.stages || []).map(stage => stageContext(record, stage));
+    case 'webhook':
+      return [webhookContext(record)];
+    case 'analytics':
+      return [analyticsContext(record)];
+    default:
+      return [];
+  }
+}
+
+function toFlag(value) {
+  return value === undefined || value === null ? undefined : (value ? 1 : 0);
+}
+
+function runContext(run) {
+  const siteStage = (run.stages || []).find(stage => stage.name === 'site_validation');
+  return {
+    // Performance metrics recorded for the run: buildTime, deploymentTime, queueTime, ...
+    ...(run.metrics || {}),
+    runId: run.id,
+    trigger: run.trigger,
+    status: run.status,
+    error: run.errors?.[0] || 'Unknown error',
+    duration: run.duration,
+    failed: typeof run.success === 'boolean' ? toFlag(!run.success) : undefined,
+    siteFailed: siteStage && siteStage.status !== 'running' ? toFlag(siteStage.status === 'failed') : undefined
+  };
+}
+
+export function stageContext(run, stage) {
+  return {
+    runId: run.id,
+    stage: stage.name,
+    status: stage.status,
+    failed: toFlag(stage.status === 'failed'),
+    error: stage.errors?.[0] || 'Stage failed',
+    duration: stage.duration
+  };
+}
+
+function webhookContext(record) {
+  const sent = new Date(record.timing?.sent || 0);
+  const processed = new Date(record.timing?.processed || 0);
+  const authFailed = record.authentication ? toFlag(!record.authentication.success) : undefined;
+  const status = record.response?.status;
+
+  return {
+    webhookId: record.id,
+    runId: record.runId,
+    source: record.source,
+    latency: processed > sent ? processed - sent : undefined,
+    authFailed,
+    authError: record.authentication?.errors?.[0] || 'Authentication failed',
+    status,
+    responseBody: record.response?.body,
+    failed: authFailed === undefined && status === undefined
+      ? undefined
+      : toFlag(authFailed === 1 || status >= 400)
+  };
+}
+
+function analyticsContext(snapshot) {
+  const averageDuration = snapshot.bottlenecks?.averagePipelineDuration;
+  const latestDuration = snapshot.latestRun?.duration;
+  const overall = snapshot.successMetrics?.overall;
+  const last24Hours = snapshot.successMetrics?.rolling?.last24Hours;
+
+  return {
+    runId: snapshot.latestRun?.id,
+    successRate: overall?.successRate,
+    failureRate: overall?.totalRuns ? overall.failureCount / overall.totalRuns : undefined,
+    failureRate24h: last24Hours?.totalRuns ? last24Hours.failureCount / last24Hours.totalRuns : undefined,
+    durationDegradation: averageDuration > 0 && latestDuration > 0
+      ? latestDuration / averageDuration - 1
+      : undefined,
+    anomalyCount: (snapshot.anomalies?.pipelineDuration?.anomalies?.length || 0)
+      + (snapshot.anomalies?.metricAnomalies?.length || 0)
+  };
+}
+
+/**
+ * Parse a window duration given in ms or as '30m', '2h', '1d'
+ * @returns {number|null}
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value > 0 ? value : null;
+  }
+  const match = typeof value === 'string' ? value.trim().match(/^(\d+)([smhdw])$/i) : null;
+  if (!match) {
+    return null;
+  }
+  const multipliers = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+  return parseInt(match[1], 10) * multipliers[match[2].toLowerCase()] || null;
+}
+
+/**
+ * Check a rule's shape
+ * @param {AlertRule} rule
+ * @param {Object} [thresholds] - Threshold values that named thresholds must exist in
+ * @returns {string[]} Problems found; empty when the rule is valid
+ */
+export function validateAlertRule(rule, thresholds = null) {
+  const errors = [];
+  const label = rule?.id || 'rule';
+
+  if (!rule || typeof rule.id !== 'string' || !rule.id) {
+    return ['Alert rule needs an id'];
+  }
+  if (!RULE_SOURCES.includes(rule.source)) {
+    errors.push(`${label}: source must be one of ${RULE_SOURCES.join(', ')}`);
+  }
+  if (typeof rule.metric !== 'string' || !rule.metric) {
+    errors.push(`${label}: metric is required`);
+  }
+  if (rule.aggregation !== undefined && !RULE_AGGREGATIONS.includes(rule.aggregation)) {
+    errors.push(`${label}: aggregation must be one of ${RULE_AGGREGATIONS.join(', ')}`);
+  }
+  if (!RULE_COMPARATORS.includes(rule.comparator)) {
+    errors.push(`${label}: comparator must be one of ${RULE_COMPARATORS.join(' ')}`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    errors.push(`${label}: severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+
+  for (const key of ['threshold', 'consecutive']) {
+    const value = rule[key];
+    if (value === undefined && key === 'consecutive') {
+      continue;
+    }
+    if (typeof value === 'string') {
+      if (thresholds && typeof thresholds[value] !== 'number') {
+        errors.push(`${label}: ${key} refers to unknown threshold ${value}`);
+      }
+    } else if (typeof value !== 'number' || Number.isNaN(value)) {
+      errors.push(`${label}: ${key} must be a number or a threshold name`);
+    }
+  }
+  if (typeof rule.consecutive === 'number' && (!Number.isInteger(rule.consecutive) || rule.consecutive < 1)) {
+    errors.push(`${label}: consecutive must be a positive integer`);
+  }
+
+  if (rule.window !== undefined) {
+    const { size, duration, minSamples } = rule.window || {};
+    if (size === undefined && duration === undefined) {
+      errors.push(`${label}: window needs a size or a duration`);
+    }
+    if (size !== undefined && (!Number.isInteger(size) || size < 1)) {
+      errors.push(`${label}: window.size must be a positive integer`);
+    }
+    if (duration !== undefined && !parseDuration(duration)) {
+      errors.push(`${label}: window.duration must be ms or like 30m, 2h, 1d`);
+    }
+    if (minSamples !== undefined && (!Number.isInteger(minSamples) || minSamples < 1)) {
+      errors.push(`${label}: window.minSamples must be a positive integer`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Combine the default rules with configured ones: a configured rule with a default's id
+ * overrides its fields (use `enabled: false` to turn it off), other ids add new rules
+ * @param {AlertRule[]} [configured]
+ * @returns {AlertRule[]}
+ */
+export function mergeAlertRules(configured = []) {
+  const merged = new Map(DEFAULT_ALERT_RULES.map(rule => [rule.id, { ...rule }]));
+  for (const rule of configured || []) {
+    merged.set(rule.id, { ...(merged.get(rule.id) || {}), ...rule });
+  }
+  return Array.from(merged.values());
+}
+
+/**
+ * Evaluates alert rules and keeps their windows and consecutive-breach streaks
+ */
+export class AlertRuleEngine {
+  /**
+   * @param {Object} options
+   * @param {AlertRule[]} [options.rules] - Rules as configured (merged with the defaults)
+   * @param {() => Object} options.thresholds - Returns the current threshold values
+   */
+  constructor({ rules = [], thresholds = () => ({}) } = {}) {
+    this.getThresholds = thresholds;
+    this.state = new Map();
+    this.setRules(rules);
+  }
+
+  /**
+   * Replace the configured rules; windows and streaks of changed rules start over
+   * @param {AlertRule[]} rules
+   * @throws {Error} When a rule is invalid
+   */
+  setRules(rules = []) {
+    const merged = mergeAlertRules(rules);
+    const errors = merged.flatMap(rule => validateAlertRule(rule, this.getThresholds()));
+    if (errors.length > 0) {
+      throw new Error(`Invalid alert rules: ${errors.join('; ')}`);
+    }
+
+    const previous = new Map((this.rules || []).map(rule => [rule.id, JSON.stringify(rule)]));
+    for (const rule of merged) {
+      if (previous.get(rule.id) !== JSON.stringify(rule)) {
+        this._clearState(rule.id);
+      }
+    }
+
+    this.configuredRules = rules;
+    this.rules = merged;
+  }
+
+  getRules() {
+    return this.rules.map(rule => ({ ...rule, enabled: rule.enabled !== false }));
+  }
+
+  /**
+   * Evaluate the enabled rules of a source against a record
+   * @param {'run'|'stage'|'webhook'|'analytics'} source
+   * @param {Object} record - See {@link buildContexts}
+   * @param {Object} [options]
+   * @param {Object[]} [options.contexts] - Evaluate these contexts instead of building them from the record
+   * @param {number} [options.now=Date.now()]
+   * @returns {{rule: AlertRule, condition: string, type: string, severity: string, data: Object, message: string|null}[]}
+   *   Rules that fired
+   */
+  evaluate(source, record, options = {}) {
+    return this.assess(source, record, options).fired;
+  }
+
+  /**
+   * Evaluate like {@link evaluate}, and also report which conditions were breached or clear
+   * A condition is a rule, or a rule and a `groupBy` value. It is breached when any context
+   * exceeds the threshold (even before `consecutive` is reached) and clear when none does;
+   * contexts without a sample, or windows short of `minSamples`, do not count
+   * @param {'run'|'stage'|'webhook'|'analytics'} source
+   * @param {Object} record
+   * @param {Object} [options] - See {@link evaluate}
+   * @returns {{fired: Object[], observations: {condition: string, rule: AlertRule, breached: boolean}[]}}
+   */
+  assess(source, record, { contexts = buildContexts(source, record), now = Date.now() } = {}) {
+    const fired = [];
+    const observations = new Map();
+    const thresholds = this.getThresholds();
+
+    for (const rule of this.rules) {
+      if (rule.source !== source || rule.enabled === false) {
+        continue;
+      }
+
+      for (const context of contexts) {
+        const outcome = this._evaluateRule(rule, context, thresholds, now);
+        if (!outcome) {
+          continue;
+        }
+        if (outcome.match) {
+          fired.push(outcome.match);
+        }
+        const observed = observations.get(outcome.condition);
+        observations.set(outcome.condition, { condition: outcome.condition, rule, breached: Boolean(observed?.breached || outcome.breached) });
+      }
+    }
+
+    return { fired, observations: [...observations.values()] };
+  }
+
+  _evaluateRule(rule, context, thresholds, now) {
+    if (rule.where && Object.entries(rule.where).some(([key, value]) => context[key] !== value)) {
+      return null;
+    }
+
+    const sample = context[rule.metric];
+    if (typeof sample !== 'number' || Number.isNaN(sample)) {
+      return null;
+    }
+
+    const state = this._getState(rule, context);
+    const samples = this._addSample(rule, state, sample, now);
+    if (samples.length < (rule.window?.minSamples || 1)) {
+      return null;
+    }
+
+    const value = aggregate(rule.aggregation || 'last', samples.map(entry => entry.value));
+    const threshold = resolveNumber(rule.threshold, thresholds);
+    const condition = conditionKey(rule, context);
+    if (!compare(value, rule.comparator, threshold)) {
+      state.streak = 0;
+      return { condition, breached: false, match: null };
+    }
+
+    state.streak += 1;
+    if (state.streak < (resolveNumber(rule.consecutive, thresholds) || 1)) {
+      return { condition, breached: true, match: null };
+    }
+
+    const values = { ...context, threshold, value: round(value), samples: samples.length, streak: state.streak };
+    const data = pickData(rule.data, values);
+    return {
+      condition,
+      breached: true,
+      match: {
+        rule,
+        condition,
+        type: rule.type || rule.id,
+        severity: rule.severity,
+        data,
+        message: rule.message ? fillTemplate(rule.message, { ...values, ...data }) : null
+      }
+    };
+  }
+
+  _getState(rule, context) {
+    const key = conditionKey(rule, context);
+    if (!this.state.has(key)) {
+      this.state.set(key, { samples: [], streak: 0 });
+    }
+    return this.state.get(key);
+  }
+
+  _addSample(rule, state, value, now) {
+    if (!rule.window) {
+      state.samples = [{ value, time: now }];
+      return state.samples;
+    }
+
+    state.samples.push({ value, time: now });
+    const duration = parseDuration(rule.window.duration);
+    if (duration) {
+      state.samples = state.samples.filter(entry => now - entry.time <= duration);
+    }
+    if (rule.window.size && state.samples.length > rule.window.size) {
+      state.samples = state.samples.slice(-rule.window.size);
+    }
+    return state.samples;
+  }
+
+  _clearState(ruleId) {
+    for (const key of this.state.keys()) {
+      if (key === ruleId || key.startsWith(`${ruleId}:`)) {
+        this.state.delete(key);
+      }
+    }
+  }
+}
+
+function conditionKey(rule, context) {
+  return rule.groupBy ? `${rule.id}:${context[rule.groupBy]}` : rule.id;
+}
+
+function resolveNumber(value, thresholds) {
+  return typeof value === 'string' ? thresholds[value] : value;
+}
+
+function aggregate(aggregation, values) {
+  switch (aggregation) {
+    case 'avg':
+      return values.reduce((sum, value) => sum + value, 0) / values.length;
+    case 'min':
+      return Math.min(...values);
+    case 'max':
+      return Math.max(...values);
+    case 'sum':
+      return values.reduce((sum, value) => sum + value, 0);
+    case 'count':
+      return values.length;
+    default:
+      return values[values.length - 1];
+  }
+}
+
+function compare(value, comparator, threshold) {
+  switch (comparator) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case '==': return value === threshold;
+    case '!=': return value !== threshold;
+    default: return false;
+  }
+}
+
+function round(value) {
+  return Number.isInteger(value) ? value : Number(value.toFixed(3));
+}
+
+function pickData(spec = [], values) {
+  const mapping = Array.isArray(spec)
+    ? Object.fromEntries(spec.map(field => [field, field]))
+    : spec;
+
+  const data = {};
+  for (const [key, field] of Object.entries(mapping)) {
+    if (values[field] !== undefined) {
+      data[key] = values[field];
+    }
+  }
+  return data;
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] === undefined ? match : String(values[key])));
+}
@@ -1,21 +1,36 @@
-const AlertManager = require('./alert-manager');
-const AlertConfig = require('./alert-config');
-const {
+export { AlertManager } from './alert-manager.js';
+export { AlertConfig, diffConfig, pickChanges, redactConfig } from './alert-config.js';
+export {
   NotificationChannel,
   ConsoleNotificationChannel,
   DashboardNotificationChannel,
   EmailNotificationChannel,
   WebhookNotificationChannel,
+  ChatNotificationChannel,
+  SlackNotificationChannel,
+  DiscordNotificationChannel,
+  TeamsNotificationChannel,
   NotificationManager
-} = require('./notification-channels');
-
-module.exports = {
-  AlertManager,
-  AlertConfig,
-  NotificationChannel,
-  ConsoleNotificationChannel,
-  DashboardNotificationChannel,
-  EmailNotificationChannel,
-  WebhookNotificationChannel,
-  NotificationManager
-};
\ No newline at end of file
+} from './notification-channels.js';
+export {
+  AlertRuleEngine,
+  DEFAULT_ALERT_RULES,
+  mergeAlertRules,
+  validateAlertRule
+} from './alert-rules.js';
+export {
+  AlertRouter,
+  matchesAlert,
+  validateRouting
+} from './alert-routing.js';
+export {
+  AlertDigester,
+  DEFAULT_DIGEST,
+  DEFAULT_DAILY_SUMMARY,
+  buildDigest
+} from './alert-digest.js';
+export {
+  DEFAULT_AUTO_RESOLVE,
+  DEFAULT_FLAPPING,
+  FlapDetector
+} from './alert-flapping.js';
@@ -1,5 +1,8 @@
-const nodemailer = require('nodemailer');
-const https = require('https');
+import nodemailer from 'nodemailer';
+import https from 'https';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER, DELIVERY_HEADER } from '../utils/webhook-signature.js';
 
 let fetchModulePromise = null;
 
@@ -12,10 +15,10 @@ const getFetch = async () => {
 
 /**
  * Notification channels for alert delivery
- * Supports console, dashboard, email, and webhook notifications
+ * Supports console, dashboard, email, webhook, Slack, Discord and Microsoft Teams notifications
  */
 
-class NotificationChannel {
+export class NotificationChannel {
   constructor(config = {}) {
     this.config = config;
     this.enabled = config.enabled !== false;
@@ -29,6 +32,16 @@ class NotificationChannel {
     return this.enabled;
   }
 
+  /**
+   * Whether the channel's `severityFilter` lets alerts of a severity through (all, without a filter)
+   * @param {string} severity
+   * @returns {boolean}
+   */
+  acceptsSeverity(severity) {
+    const filter = this.config.severityFilter;
+    return !Array.isArray(filter) || filter.includes(severity);
+  }
+
   setEnabled(enabled) {
     this.enabled = enabled;
   }
@@ -44,7 +57,7 @@ class NotificationChannel {
 /**
  * Console notification channel
  */
-class ConsoleNotificationChannel extends NotificationChannel {
+export class ConsoleNotificationChannel extends NotificationChannel {
   constructor(config = {}) {
     super(config);
     this.colors = {
@@ -76,7 +89,7 @@ class ConsoleNotificationChannel extends NotificationChannel {
 /**
  * Dashboard notification channel (WebSocket)
  */
-class DashboardNotificationChannel extends NotificationChannel {
+export class DashboardNotificationChannel extends NotificationChannel {
   constructor(config = {}) {
     super(config);
     this.websocketHandler = config.websocketHandler;
@@ -98,7 +111,8 @@ class DashboardNotificationChannel extends NotificationChannel {
       acknowledgedBy: alert.acknowledgedBy,
       acknowledgedAt: alert.acknowledgedAt,
       resolvedAt: alert.resolvedAt,
-      resolvedBy: alert.resolvedBy
+      resolvedBy: alert.resolvedBy,
+      escalationLevel: alert.escalationLevel
     };
 
     this.websocketHandler.broadcast(eventType, payload);
@@ -123,10 +137,23 @@ class DashboardNotificationChannel extends NotificationChannel {
   }
 }
 
+const EMAIL_SEVERITY_COLORS = {
+  low: '#17a2b8',
+  medium: '#ffc107',
+  high: '#dc3545',
+  critical: '#6f42c1'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 /**
  * Email notification channel (placeholder implementation)
  */
-class EmailNotificationChannel extends NotificationChannel {
+export class EmailNotificationChannel extends NotificationChannel {
   constructor(config = {}) {
     super(config);
     this.smtpConfig = config.smtp || {};
@@ -137,15 +164,61 @@ class EmailNotificationChannel extends NotificationChannel {
     this._transporter = null;
   }
 
-  async send(alert, eventType = 'alert_generated') {
-    if (!this.isEnabled() || this.recipients.length === 0) return;
-    if (eventType !== 'alert_generated') {
+  /**
+   * @param {Object} alert
+   * @param {string} [eventType='alert_generated']
+   * @param {{recipients?: string[]}} [options] - Routed recipients replacing the configured ones
+   */
+  async send(alert, eventType = 'alert_generated', options = {}) {
+    const recipients = options.recipients?.length > 0 ? options.recipients : this.recipients;
+    if (!this.isEnabled() || recipients.length === 0) return;
+    if (eventType !== 'alert_generated' && eventType !== 'alert_escalated') {
       // Only lifecycle transitions and new alerts get informational emails
       if (!this.config.notifyOnLifecycle) {
         return;
       }
     }
 
+    await this._sendMail(recipients, {
+      subject: this.generateSubject(alert, eventType),
+      text: this.generateBody(alert, eventType),
+      html: this.generateHtmlBody(alert, eventType)
+    }, 'email notification');
+  }
+
+  /**
+   * Send one email summarising a batch of alerts (see alert-digest.js)
+   * @param {Object} digest
+   * @param {{recipients?: string[]}} [options]
+   */
+  async sendDigest(digest, options = {}) {
+    const recipients = options.recipients?.length > 0 ? options.recipients : this.recipients;
+    if (!this.isEnabled() || recipients.length === 0 || digest.alertCount === 0) return;
+
+    await this._sendMail(recipients, {
+      subject: `${this.subjectPrefix}[DIGEST] ${digest.alertCount} alert${digest.alertCount === 1 ? '' : 's'} since ${new Date(digest.windowStart).toLocaleString()}`,
+      text: this.generateDigestBody(digest),
+      html: this.generateDigestHtmlBody(digest)
+    }, 'alert digest');
+  }
+
+  /**
+   * Send the daily summary of pipeline runs and alerts
+   * @param {Object} summary - Built by AlertManager.sendDailySummary
+   * @param {{recipients?: string[]}} [options]
+   */
+  async sendSummary(summary, options = {}) {
+    const recipients = options.recipients?.length > 0 ? options.recipients : this.recipients;
+    if (!this.isEnabled() || recipients.length === 0) return;
+
+    await this._sendMail(recipients, {
+      subject: `${this.subjectPrefix}Daily summary ${summary.date}: ${summary.runs.totalRuns} runs, ${summary.runs.successRate}% successful, ${summary.alerts.alertCount} alerts`,
+      text: this.generateSummaryBody(summary),
+      html: this.generateSummaryHtmlBody(summary)
+    }, 'daily summary');
+  }
+
+  async _sendMail(recipients, content, description) {
     try {
       const transporter = await this._getTransporter();
       if (!transporter) {
@@ -153,17 +226,13 @@ class EmailNotificationChannel extends NotificationChannel {
         return;
       }
 
-      const mailOptions = {
+      await transporter.sendMail({
         from: this.from,
-        to: Array.isArray(this.recipients) ? this.recipients.join(',') : this.recipients,
-        subject: this.generateSubject(alert, eventType),
-        text: this.generateBody(alert, eventType),
-        html: this.generateHtmlBody(alert, eventType)
-      };
-
-      await transporter.sendMail(mailOptions);
+        to: Array.isArray(recipients) ? recipients.join(',') : recipients,
+        ...content
+      });
     } catch (error) {
-      console.error('Failed to send email notification:', error.message);
+      console.error(`Failed to send ${description}:`, error.message);
     }
   }
 
@@ -184,7 +253,8 @@ class EmailNotificationChannel extends NotificationChannel {
     const severityPrefix = alert.severity === 'critical' ? '[CRITICAL] ' :
                           alert.severity === 'high' ? '[HIGH] ' : '';
     const lifecyclePrefix = eventType === 'alert_resolved' ? '[RESOLVED] ' :
-                            eventType === 'alert_acknowledged' ? '[ACK] ' : '';
+                            eventType === 'alert_acknowledged' ? '[ACK] ' :
+                            eventType === 'alert_escalated' ? `[ESCALATED L${alert.escalationLevel}] ` : '';
     return `${this.subjectPrefix}${lifecyclePrefix}${severityPrefix}Alert: ${alert.type} - ${new Date(alert.timestamp).toLocaleString()}`;
   }
 
@@ -197,7 +267,8 @@ Alert Details:
 - Event: ${eventType}
 - Time: ${new Date(alert.timestamp).toLocaleString()}
 - Message: ${alert.message || 'No message'}
-- Occurrences: ${alert.occurrences || 1}
+- Occurrences: ${alert.occurrences || 1}${alert.escalationLevel ? `
+- Escalation level: ${alert.escalationLevel}` : ''}
 
 Data:
 ${JSON.stringify(alert.data, null, 2)}
@@ -209,12 +280,7 @@ Resolved: ${alert.resolvedAt ? `by ${alert.resolvedBy} at ${alert.resolvedAt}` :
   }
 
   generateHtmlBody(alert, eventType = 'alert_generated') {
-    const severityColor = {
-      low: '#17a2b8',
-      medium: '#ffc107',
-      high: '#dc3545',
-      critical: '#6f42c1'
-    }[alert.severity] || '#6c757d';
+    const severityColor = EMAIL_SEVERITY_COLORS[alert.severity] || '#6c757d';
 
     return `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -244,6 +310,130 @@ Resolved: ${alert.resolvedAt ? `by ${alert.resolvedBy} at ${alert.resolvedAt}` :
     `;
   }
 
+  generateDigestBody(digest) {
+    const counts = (values) => Object.entries(values).map(([name, count]) => `- ${name}: ${count}`).join('\n');
+
+    return `
+${digest.alertCount} new alerts (${digest.occurrenceCount} occurrences) between ${new Date(digest.windowStart).toLocaleString()} and ${new Date(digest.windowEnd).toLocaleString()}
+Highest severity: ${digest.highestSeverity}
+
+By type:
+${counts(digest.countsByType)}
+
+By severity:
+${counts(digest.countsBySeverity)}
+
+Top signatures:
+${digest.topSignatures.map(entry => `- ${entry.count}x [${entry.severity.toUpperCase()}] ${entry.type}: ${entry.message || entry.signature}`).join('\n')}
+
+Newest alerts:
+${digest.examples.map(alert => `- ${new Date(alert.timestamp).toLocaleString()} [${alert.severity.toUpperCase()}] ${alert.type} (${alert.status}): ${alert.message || 'No message'}\n  Alert ID: ${alert.id}`).join('\n')}
+    `.trim();
+  }
+
+  generateDigestHtmlBody(digest) {
+    const severityColor = EMAIL_SEVERITY_COLORS[digest.highestSeverity] || '#6c757d';
+    const countRows = (values) => Object.entries(values)
+      .sort(([, a], [, b]) => b - a)
+      .map(([name, count]) => `<tr><td style="padding: 4px 8px;">${escapeHtml(name)}</td><td style="padding: 4px 8px; text-align: right;">${count}</td></tr>`)
+      .join('');
+
+    return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background-color: ${severityColor}; color: white; padding: 15px; border-radius: 5px 5px 0 0;">
+        <h2 style="margin: 0;">Alert digest: ${digest.alertCount} new alert${digest.alertCount === 1 ? '' : 's'}</h2>
+        <p style="margin: 5px 0 0 0;">${new Date(digest.windowStart).toLocaleString()} – ${new Date(digest.windowEnd).toLocaleString()}</p>
+        <p style="margin: 5px 0 0 0;">Highest severity: ${String(digest.highestSeverity).toUpperCase()} · ${digest.occurrenceCount} occurrences</p>
+      </div>
+
+      <div style="border: 1px solid #ddd; border-top: none; padding: 20px; border-radius: 0 0 5px 5px;">
+        <h3>By type</h3>
+        <table style="border-collapse: collapse;">${countRows(digest.countsByType)}</table>
+
+        <h3>By severity</h3>
+        <table style="border-collapse: collapse;">${countRows(digest.countsBySeverity)}</table>
+
+        <h3>Top signatures</h3>
+        <ol>
+          ${digest.topSignatures.map(entry => `<li><strong>${entry.count}×</strong> [${entry.severity.toUpperCase()}] ${escapeHtml(entry.type)}: ${escapeHtml(entry.message || entry.signature)}</li>`).join('')}
+        </ol>
+
+        <h3>Newest alerts</h3>
+        ${digest.examples.map(alert => `
+        <div style="border-left: 4px solid ${EMAIL_SEVERITY_COLORS[alert.severity] || '#6c757d'}; padding: 5px 10px; margin-bottom: 10px;">
+          <p style="margin: 0;"><strong>${escapeHtml(alert.type)}</strong> · ${alert.severity.toUpperCase()} · ${alert.status}</p>
+          <p style="margin: 5px 0;">${escapeHtml(alert.message || 'No message')}</p>
+          <p style="color: #6c757d; font-size: 12px; margin: 0;">${new Date(alert.timestamp).toLocaleString()} · Alert ID: ${alert.id}</p>
+        </div>`).join('')}
+      </div>
+    </div>
+    `;
+  }
+
+  generateSummaryBody(summary) {
+    const { runs, alerts } = summary;
+
+    return `
+Daily summary for ${summary.date} (${summary.timezone})
+
+Pipeline runs: ${runs.totalRuns}
+- Successful: ${runs.successCount}
+- Failed: ${runs.failureCount}
+- Success rate: ${runs.successRate}%
+- Average duration: ${Math.round(runs.averageDuration)}ms${summary.maintenanceRuns ? `\n- Started during maintenance: ${summary.maintenanceRuns}` : ''}
+
+Slowest stages:
+${summary.slowestStages.map(stage => `- ${stage.name}: ${Math.round(stage.averageDuration)}ms average over ${stage.runCount} runs`).join('\n') || '- None'}
+
+Most failing stages:
+${summary.frequentFailures.map(stage => `- ${stage.name}: ${stage.failureCount} failures`).join('\n') || '- None'}
+
+Failed runs:
+${summary.failedRuns.map(run => `- ${run.id} at ${new Date(run.startTime).toLocaleString()}: ${run.error || 'Unknown error'}`).join('\n') || '- None'}
+
+Alerts: ${alerts.alertCount} new, ${summary.activeAlerts} still active
+${alerts.topSignatures.map(entry => `- ${entry.count}x [${entry.severity.toUpperCase()}] ${entry.type}: ${entry.message || entry.signature}`).join('\n')}
+    `.trim();
+  }
+
+  generateSummaryHtmlBody(summary) {
+    const { runs, alerts } = summary;
+    const healthColor = runs.failureCount === 0 ? '#28a745' : runs.successRate >= 90 ? '#ffc107' : '#dc3545';
+    const list = (items, render) => items.length > 0
+      ? `<ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>`
+      : '<p style="color: #6c757d;">None</p>';
+
+    return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background-color: ${healthColor}; color: white; padding: 15px; border-radius: 5px 5px 0 0;">
+        <h2 style="margin: 0;">Daily summary for ${summary.date}</h2>
+        <p style="margin: 5px 0 0 0;">${runs.totalRuns} runs · ${runs.successRate}% successful · ${alerts.alertCount} alerts</p>
+      </div>
+
+      <div style="border: 1px solid #ddd; border-top: none; padding: 20px; border-radius: 0 0 5px 5px;">
+        <h3>Pipeline runs</h3>
+        <p><strong>Successful:</strong> ${runs.successCount} · <strong>Failed:</strong> ${runs.failureCount} · <strong>Average duration:</strong> ${Math.round(runs.averageDuration)}ms${summary.maintenanceRuns ? ` · <strong>During maintenance:</strong> ${summary.maintenanceRuns}` : ''}</p>
+
+        <h3>Slowest stages</h3>
+        ${list(summary.slowestStages, stage => `${escapeHtml(stage.name)}: ${Math.round(stage.averageDuration)}ms average over ${stage.runCount} runs`)}
+
+        <h3>Most failing stages</h3>
+        ${list(summary.frequentFailures, stage => `${escapeHtml(stage.name)}: ${stage.failureCount} failures`)}
+
+        <h3>Failed runs</h3>
+        ${list(summary.failedRuns, run => `${escapeHtml(run.id)} at ${new Date(run.startTime).toLocaleString()}: ${escapeHtml(run.error || 'Unknown error')}`)}
+
+        <h3>Alerts</h3>
+        <p>${alerts.alertCount} new, ${summary.activeAlerts} still active</p>
+        ${list(alerts.topSignatures, entry => `<strong>${entry.count}×</strong> [${entry.severity.toUpperCase()}] ${escapeHtml(entry.type)}: ${escapeHtml(entry.message || entry.signature)}`)}
+
+        <hr style="margin: 20px 0;">
+        <p style="color: #6c757d; font-size: 12px;">Generated ${new Date(summary.generatedAt).toLocaleString()} (${summary.timezone})</p>
+      </div>
+    </div>
+    `;
+  }
+
   addRecipient(email) {
     if (!this.recipients.includes(email)) {
       this.recipients.push(email);
@@ -275,21 +465,46 @@ Resolved: ${alert.resolvedAt ? `by ${alert.resolvedBy} at ${alert.resolvedAt}` :
   }
 }
 
+export const DEFAULT_WEBHOOK_RETRY = Object.freeze({
+  attempts: 5,
+  initialDelay: 1000,
+  maxDelay: 300000,
+  factor: 2
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref?.());
+
 /**
  * Webhook notification channel
+ * Payloads are signed with HMAC-SHA256 when a `secret` is set (see utils/webhook-signature.js).
+ * The first attempt is awaited; failed deliveries are retried in the background with exponential
+ * backoff, and deliveries that run out of attempts are appended to the dead-letter file. Recent
+ * deliveries are kept in an in-memory log
  */
-class WebhookNotificationChannel extends NotificationChannel {
+export class WebhookNotificationChannel extends NotificationChannel {
   constructor(config = {}) {
     super(config);
     this.webhookUrl = config.url;
     this.headers = config.headers || {};
     this.timeout = config.timeout || 5000;
     this.verifySsl = config.verifySsl !== false;
+    this.secret = config.secret || null;
+    this.retry = { ...DEFAULT_WEBHOOK_RETRY, ...(config.retry || {}) };
+    this.deadLetterFile = config.deadLetterFile || null;
+    this.maxLogEntries = config.maxLogEntries || 200;
+    this.deliveries = [];
+    this._retries = new Set();
   }
 
-  async send(alert, eventType = 'alert_generated') {
-    if (!this.isEnabled() || !this.webhookUrl) return;
-    if (eventType !== 'alert_generated' && this.config.notifyOnLifecycle === false) {
+  /**
+   * @param {Object} alert
+   * @param {string} [eventType='alert_generated']
+   * @param {{recipients?: string[]}} [options] - Routed webhook URLs replacing the configured one
+   */
+  async send(alert, eventType = 'alert_generated', options = {}) {
+    const urls = this._targets(options);
+    if (!this.isEnabled() || urls.length === 0) return;
+    if (eventType !== 'alert_generated' && eventType !== 'alert_escalated' && this.config.notifyOnLifecycle === false) {
       return;
     }
 
@@ -308,48 +523,206 @@ class WebhookNotificationChannel extends NotificationChannel {
         acknowledgedBy: alert.acknowledgedBy,
         acknowledgedAt: alert.acknowledgedAt,
         resolvedAt: alert.resolvedAt,
-        resolvedBy: alert.resolvedBy
+        resolvedBy: alert.resolvedBy,
+        escalationLevel: alert.escalationLevel
       },
       timestamp: new Date().toISOString()
     };
 
+    await Promise.all(urls.map(url => this._deliver(url, payload)));
+  }
+
+  /**
+   * Post one `alert_digest` payload summarising a batch of alerts (see alert-digest.js)
+   * @param {Object} digest
+   * @param {{recipients?: string[]}} [options] - Routed webhook URLs replacing the configured one
+   */
+  async sendDigest(digest, options = {}) {
+    const urls = this._targets(options);
+    if (!this.isEnabled() || urls.length === 0 || digest.alertCount === 0) return;
+
+    const payload = { event: 'alert_digest', digest, timestamp: new Date().toISOString() };
+    await Promise.all(urls.map(url => this._deliver(url, payload)));
+  }
+
+  _targets(options) {
+    return options.recipients?.length > 0 ? options.recipients : [this.webhookUrl].filter(Boolean);
+  }
+
+  async _deliver(url, payload) {
+    const delivery = {
+      id: `dlv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      url,
+      event: payload.event,
+      alertId: payload.alert?.id ?? null,
+      digestId: payload.digest?.id ?? null,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: null
+    };
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.maxLogEntries) {
+      this.deliveries.splice(0, this.deliveries.length - this.maxLogEntries);
+    }
+
+    const body = JSON.stringify(payload);
+    const outcome = await this._attempt(delivery, body);
+    if (!outcome.ok) {
+      const retries = this._retryDelivery(delivery, body, outcome)
+        .finally(() => this._retries.delete(retries));
+      this._retries.add(retries);
+    }
+  }
+
+  async _retryDelivery(delivery, body, outcome) {
+    while (outcome.retryable && delivery.attempts.length < this.retry.attempts) {
+      const delay = this._backoff(delivery.attempts.length, outcome.retryAfter);
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+      await sleep(delay);
+      outcome = await this._attempt(delivery, body);
+      if (outcome.ok) {
+        return;
+      }
+    }
+
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    await this._deadLetter(delivery, body);
+  }
+
+  _backoff(attempt, retryAfter) {
+    const delay = retryAfter ?? this.retry.initialDelay * Math.pow(this.retry.factor, attempt - 1);
+    return Math.min(delay, this.retry.maxDelay);
+  }
+
+  async _attempt(delivery, body) {
+    const startedAt = Date.now();
+    const headers = {
+      'Content-Type': 'application/json',
+      ...this.headers,
+      [DELIVERY_HEADER]: delivery.id
+    };
+    if (this.secret) {
+      // Signed per attempt so the timestamp stays fresh for the receiver's replay window
+      const { timestamp, signature } = signPayload(this.secret, body);
+      headers[TIMESTAMP_HEADER] = String(timestamp);
+      headers[SIGNATURE_HEADER] = signature;
+    }
+
+    let outcome;
     let timeoutHandle;
     try {
       const fetch = await getFetch();
       const controller = new AbortController();
       timeoutHandle = setTimeout(() => controller.abort(), this.timeout);
 
-      const requestOptions = {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...this.headers
-        },
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      };
-
+      const requestOptions = { method: 'POST', headers, body, signal: controller.signal };
       if (this.verifySsl === false) {
         requestOptions.agent = new https.Agent({ rejectUnauthorized: false });
       }
 
-      const response = await fetch(this.webhookUrl, requestOptions);
-
-      if (timeoutHandle) {
-        clearTimeout(timeoutHandle);
-        timeoutHandle = null;
-      }
-
-      if (!response.ok) {
+      const response = await fetch(delivery.url, requestOptions);
+      if (response.ok) {
+        outcome = { ok: true, status: response.status };
+      } else {
         const text = await response.text();
-        throw new Error(`Webhook failed: ${response.status} ${response.statusText} - ${text}`);
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        outcome = {
+          ok: false,
+          status: response.status,
+          error: `Webhook failed: ${response.status} ${response.statusText} - ${text}`,
+          // Other client errors will not succeed on a retry
+          retryable: response.status >= 500 || response.status === 408 || response.status === 429,
+          retryAfter: Number.isNaN(retryAfter) ? undefined : retryAfter * 1000
+        };
       }
     } catch (error) {
-      console.error(`Failed to send webhook notification: ${error.message}`);
+      const message = error.name === 'AbortError' ? `Timed out after ${this.timeout}ms` : error.message;
+      outcome = { ok: false, status: null, error: message, retryable: true };
     } finally {
-      if (timeoutHandle) {
-        clearTimeout(timeoutHandle);
+      clearTimeout(timeoutHandle);
+    }
+
+    delivery.attempts.push({
+      at: new Date(startedAt).toISOString(),
+      status: outcome.status,
+      error: outcome.error || null,
+      durationMs: Date.now() - startedAt
+    });
+
+    if (outcome.ok) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+    } else {
+      console.error(`Failed to send webhook notification (attempt ${delivery.attempts.length}/${this.retry.attempts}): ${outcome.error}`);
+    }
+    return outcome;
+  }
+
+  async _deadLetter(delivery, body) {
+    if (!this.deadLetterFile) {
+      return;
+    }
+
+    const entry = {
+      ...delivery,
+      failedAt: new Date().toISOString(),
+      payload: JSON.parse(body)
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.deadLetterFile), { recursive: true });
+      await fs.appendFile(this.deadLetterFile, `${JSON.stringify(entry)}\n`, 'utf8');
+    } catch (error) {
+      console.error(`Failed to write webhook dead letter: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recent deliveries, newest first
+   * @param {{status?: string, limit?: number}} [options] - `status` is pending, retrying, delivered or failed
+   * @returns {Object[]}
+   */
+  getDeliveries({ status, limit = 50 } = {}) {
+    return this.deliveries
+      .filter(delivery => !status || delivery.status === status)
+      .slice(-limit)
+      .reverse()
+      .map(delivery => ({ ...delivery, attempts: [...delivery.attempts] }));
+  }
+
+  /**
+   * Deliveries that ran out of attempts, newest first, with their payloads
+   * @param {number} [limit=50]
+   * @returns {Promise<Object[]>}
+   */
+  async getDeadLetters(limit = 50) {
+    if (!this.deadLetterFile) {
+      return [];
+    }
+
+    try {
+      const content = await fs.readFile(this.deadLetterFile, 'utf8');
+      return content.split('\n').filter(Boolean).slice(-limit).reverse().map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
       }
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for background retries to finish
+   */
+  async whenIdle() {
+    while (this._retries.size > 0) {
+      await Promise.all([...this._retries]);
     }
   }
 
@@ -375,13 +748,453 @@ class WebhookNotificationChannel extends NotificationChannel {
     if (config.verifySsl !== undefined) {
       this.verifySsl = config.verifySsl;
     }
+    if (config.secret !== undefined) {
+      this.secret = config.secret || null;
+    }
+    if (config.retry) {
+      this.retry = { ...this.retry, ...config.retry };
+    }
+    if (config.deadLetterFile) {
+      this.deadLetterFile = config.deadLetterFile;
+    }
+  }
+}
+
+const SEVERITY_COLORS = {
+  low: '#17a2b8',
+  medium: '#ffc107',
+  high: '#dc3545',
+  critical: '#6f42c1'
+};
+const RESOLVED_COLOR = '#28a745';
+const MAX_THREADS = 1000;
+
+/**
+ * Base for chat channels (Slack, Discord, Teams)
+ * Posts alerts as rich messages and keeps a reference to each alert's message so lifecycle
+ * updates (acknowledged, snoozed, escalated, resolved) land on the original message. Without a
+ * reference, e.g. after a restart or with a plain incoming webhook, updates are posted as new messages
+ */
+export class ChatNotificationChannel extends NotificationChannel {
+  constructor(config = {}) {
+    super(config);
+    this.dashboardUrl = config.dashboardUrl || null;
+    this.timeout = config.timeout || 5000;
+    this.excerptLength = config.excerptLength || 500;
+    this.threads = new Map();
+  }
+
+  /**
+   * Where messages go when routing names no contact for this channel
+   * @returns {string|null}
+   */
+  defaultTarget() {
+    throw new Error('defaultTarget method must be implemented by subclass');
+  }
+
+  /**
+   * Post a full alert message
+   * @returns {Promise<Object|null>} Reference to thread updates onto, if the API returns one
+   */
+  async postAlert(target, alert, eventType) {
+    throw new Error('postAlert method must be implemented by subclass');
+  }
+
+  /**
+   * Post a lifecycle update onto the alert's original message
+   */
+  async postUpdate(target, thread, alert, eventType) {
+    throw new Error('postUpdate method must be implemented by subclass');
+  }
+
+  /**
+   * @param {Object} alert
+   * @param {string} [eventType='alert_generated']
+   * @param {{recipients?: string[]}} [options] - Routed targets replacing the configured one
+   */
+  async send(alert, eventType = 'alert_generated', options = {}) {
+    const targets = options.recipients?.length > 0 ? options.recipients : [this.defaultTarget()].filter(Boolean);
+    if (!this.isEnabled() || targets.length === 0) return;
+    if (eventType !== 'alert_generated' && eventType !== 'alert_escalated' && this.config.notifyOnLifecycle === false) {
+      return;
+    }
+
+    await Promise.all(targets.map(async target => {
+      const key = `${alert.id}:${target}`;
+      const thread = this.threads.get(key);
+
+      try {
+        if (thread && eventType !== 'alert_generated') {
+          await this.postUpdate(target, thread, alert, eventType);
+        } else {
+          const reference = await this.postAlert(target, alert, eventType);
+          if (reference) {
+            this._rememberThread(key, reference);
+          }
+        }
+
+        if (eventType === 'alert_resolved') {
+          this.threads.delete(key);
+        }
+      } catch (error) {
+        console.error(`Failed to send ${this.constructor.name} notification: ${error.message}`);
+      }
+    }));
+  }
+
+  _rememberThread(key, reference) {
+    this.threads.set(key, reference);
+    if (this.threads.size > MAX_THREADS) {
+      this.threads.delete(this.threads.keys().next().value);
+    }
+  }
+
+  /**
+   * Channel-neutral content of an alert message
+   * @returns {{title: string, text: string, color: string, fields: {name: string, value: string}[], excerpt: string|null, links: {label: string, url: string}[]}}
+   */
+  describeAlert(alert, eventType = 'alert_generated') {
+    const data = alert.data || {};
+    const update = eventType === 'alert_generated' ? null : this.describeUpdate(alert, eventType);
+    const error = typeof data.error === 'string' ? data.error : null;
+
+    const fields = [
+      ['Severity', alert.severity.toUpperCase()],
+      data.runId && ['Run', String(data.runId)],
+      data.stage && ['Stage', String(data.stage)],
+      alert.occurrences > 1 && ['Occurrences', String(alert.occurrences)],
+      alert.escalationLevel && ['Escalation level', String(alert.escalationLevel)],
+      alert.status && ['Status', alert.status]
+    ].filter(Boolean).map(([name, value]) => ({ name, value }));
+
+    const links = [];
+    if (this.dashboardUrl) {
+      const base = this.dashboardUrl.replace(/\/+$/, '');
+      if (alert.status === 'active' && !alert.acknowledged) {
+        links.push({ label: 'Acknowledge', url: `${base}/?alert=${encodeURIComponent(alert.id)}&action=acknowledge` });
+      }
+      if (data.runId) {
+        links.push({ label: 'View run', url: `${base}/?run=${encodeURIComponent(data.runId)}` });
+      }
+    }
+
+    return {
+      title: `${update ? `${update}: ` : ''}[${alert.severity.toUpperCase()}] ${alert.type}`,
+      text: alert.message || `Alert: ${alert.type}`,
+      color: alert.status === 'resolved' ? RESOLVED_COLOR : (SEVERITY_COLORS[alert.severity] || '#6c757d'),
+      fields,
+      excerpt: error && error.length > this.excerptLength ? `${error.slice(0, this.excerptLength)}…` : error,
+      links
+    };
+  }
+
+  describeUpdate(alert, eventType) {
+    switch (eventType) {
+      case 'alert_acknowledged':
+        return `Acknowledged by ${alert.acknowledgedBy}`;
+      case 'alert_resolved':
+        return `Resolved by ${alert.resolvedBy}`;
+      case 'alert_snoozed':
+        return `Snoozed by ${alert.snoozedBy} until ${new Date(alert.snoozedUntil).toLocaleString()}`;
+      case 'alert_snooze_expired':
+        return 'Snooze ended';
+      case 'alert_escalated':
+        return `Escalated to level ${alert.escalationLevel}`;
+      default:
+        return eventType.replace(/_/g, ' ');
+    }
+  }
+
+  async _request(url, { method = 'POST', headers = {}, body } = {}) {
+    const fetch = await getFetch();
+    const controller = new AbortController();
+    const timeoutHandle = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+      const text = await response.text();
+
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText} - ${text}`);
+      }
+
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    } finally {
+      clearTimeout(timeoutHandle);
+    }
+  }
+
+  updateConfig(config = {}) {
+    super.updateConfig(config);
+    if (config.dashboardUrl !== undefined) {
+      this.dashboardUrl = config.dashboardUrl;
+    }
+    if (config.timeout) {
+      this.timeout = config.timeout;
+    }
+    if (config.excerptLength) {
+      this.excerptLength = config.excerptLength;
+    }
+  }
+}
+
+/**
+ * Slack notification channel
+ * With a bot `token` and `channel` messages go through chat.postMessage and updates are threaded
+ * replies (escalations are also broadcast to the channel). With only an incoming `webhookUrl`
+ * updates are posted as new messages
+ */
+export class SlackNotificationChannel extends ChatNotificationChannel {
+  constructor(config = {}) {
+    super(config);
+    this.token = config.token || null;
+    this.channel = config.channel || null;
+    this.webhookUrl = config.webhookUrl || null;
+    this.apiUrl = config.apiUrl || 'https://slack.com/api';
+  }
+
+  defaultTarget() {
+    return this.token ? this.channel : this.webhookUrl;
+  }
+
+  buildMessage(alert, eventType = 'alert_generated') {
+    const { title, text, color, fields, excerpt, links } = this.describeAlert(alert, eventType);
+    const blocks = [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${title}*\n${text}` } },
+      { type: 'section', fields: fields.map(field => ({ type: 'mrkdwn', text: `*${field.name}*\n${field.value}` })) }
+    ];
+
+    if (excerpt) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `\`\`\`${excerpt}\`\`\`` } });
+    }
+    if (links.length > 0) {
+      blocks.push({
+        type: 'actions',
+        elements: links.map(link => ({
+          type: 'button',
+          text: { type: 'plain_text', text: link.label },
+          url: link.url,
+          ...(link.label === 'Acknowledge' ? { style: 'primary' } : {})
+        }))
+      });
+    }
+
+    return { text: `${title}: ${text}`, attachments: [{ color, blocks }] };
+  }
+
+  async postAlert(target, alert, eventType) {
+    const message = this.buildMessage(alert, eventType);
+
+    if (!this.token) {
+      await this._request(target, { body: message });
+      return null;
+    }
+
+    const response = await this._callApi('chat.postMessage', { channel: target, ...message });
+    return { channel: response.channel, ts: response.ts };
+  }
+
+  async postUpdate(target, thread, alert, eventType) {
+    await this._callApi('chat.postMessage', {
+      channel: thread.channel,
+      thread_ts: thread.ts,
+      text: this.describeUpdate(alert, eventType),
+      reply_broadcast: eventType === 'alert_escalated'
+    });
+  }
+
+  async _callApi(method, body) {
+    const response = await this._request(`${this.apiUrl}/${method}`, {
+      headers: { Authorization: `Bearer ${this.token}` },
+      body
+    });
+    if (!response.ok) {
+      throw new Error(`Slack ${method} failed: ${response.error}`);
+    }
+    return response;
+  }
+
+  updateConfig(config = {}) {
+    super.updateConfig(config);
+    for (const key of ['token', 'channel', 'webhookUrl', 'apiUrl']) {
+      if (config[key] !== undefined) {
+        this[key] = config[key];
+      }
+    }
+  }
+}
+
+/**
+ * Discord notification channel
+ * Posts an embed through a channel webhook and edits it as the alert changes, keeping the
+ * updates in an "Updates" field of the original message
+ */
+export class DiscordNotificationChannel extends ChatNotificationChannel {
+  constructor(config = {}) {
+    super(config);
+    this.webhookUrl = config.webhookUrl || null;
+    this.username = config.username || 'Monitoring';
+  }
+
+  defaultTarget() {
+    return this.webhookUrl;
+  }
+
+  buildEmbed(alert, eventType = 'alert_generated', updates = []) {
+    const { title, text, color, fields, excerpt, links } = this.describeAlert(alert, eventType);
+    const embed = {
+      title,
+      description: excerpt ? `${text}\n\`\`\`\n${excerpt}\n\`\`\`` : text,
+      color: parseInt(color.slice(1), 16),
+      fields: fields.map(field => ({ name: field.name, value: field.value, inline: true })),
+      timestamp: alert.timestamp
+    };
+
+    if (links.length > 0) {
+      embed.fields.push({ name: 'Links', value: links.map(link => `[${link.label}](${link.url})`).join(' · ') });
+    }
+    if (updates.length > 0) {
+      embed.fields.push({ name: 'Updates', value: updates.join('\n') });
+    }
+    return embed;
+  }
+
+  async postAlert(target, alert, eventType) {
+    const url = new URL(target);
+    url.searchParams.set('wait', 'true');
+
+    const response = await this._request(url.toString(), {
+      body: { username: this.username, embeds: [this.buildEmbed(alert, eventType)] }
+    });
+    return response?.id ? { id: response.id, updates: [] } : null;
+  }
+
+  async postUpdate(target, thread, alert, eventType) {
+    const url = new URL(target);
+    thread.updates.push(`${new Date().toLocaleString()} – ${this.describeUpdate(alert, eventType)}`);
+
+    await this._request(`${url.origin}${url.pathname}/messages/${thread.id}`, {
+      method: 'PATCH',
+      body: { embeds: [this.buildEmbed(alert, 'alert_generated', thread.updates)] }
+    });
+  }
+
+  updateConfig(config = {}) {
+    super.updateConfig(config);
+    if (config.webhookUrl !== undefined) {
+      this.webhookUrl = config.webhookUrl;
+    }
+    if (config.username) {
+      this.username = config.username;
+    }
+  }
+}
+
+const TEAMS_STYLES = {
+  low: 'accent',
+  medium: 'warning',
+  high: 'attention',
+  critical: 'attention'
+};
+
+/**
+ * Microsoft Teams notification channel
+ * Posts Adaptive Cards. With `graph` credentials (`teamId`, `channelId`, `accessToken`) cards are
+ * posted through Microsoft Graph and updates are replies to the card; with only a Workflows
+ * `webhookUrl` updates are posted as new cards
+ */
+export class TeamsNotificationChannel extends ChatNotificationChannel {
+  constructor(config = {}) {
+    super(config);
+    this.webhookUrl = config.webhookUrl || null;
+    this.graph = config.graph || null;
+  }
+
+  defaultTarget() {
+    return this.graph ? this.graph.channelId : this.webhookUrl;
+  }
+
+  buildCard(alert, eventType = 'alert_generated') {
+    const { title, text, fields, excerpt, links } = this.describeAlert(alert, eventType);
+    const body = [
+      {
+        type: 'Container',
+        style: alert.status === 'resolved' ? 'good' : (TEAMS_STYLES[alert.severity] || 'default'),
+        bleed: true,
+        items: [{ type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true }]
+      },
+      { type: 'TextBlock', text, wrap: true },
+      { type: 'FactSet', facts: fields.map(field => ({ title: field.name, value: field.value })) }
+    ];
+
+    if (excerpt) {
+      body.push({ type: 'TextBlock', text: excerpt, fontType: 'Monospace', isSubtle: true, wrap: true });
+    }
+
+    return {
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      type: 'AdaptiveCard',
+      version: '1.4',
+      body,
+      actions: links.map(link => ({ type: 'Action.OpenUrl', title: link.label, url: link.url }))
+    };
+  }
+
+  async postAlert(target, alert, eventType) {
+    const card = this.buildCard(alert, eventType);
+
+    if (!this.graph) {
+      await this._request(target, {
+        body: { type: 'message', attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', content: card }] }
+      });
+      return null;
+    }
+
+    const response = await this._callGraph(`/teams/${this.graph.teamId}/channels/${target}/messages`, {
+      body: { contentType: 'html', content: '<attachment id="alert"></attachment>' },
+      attachments: [{ id: 'alert', contentType: 'application/vnd.microsoft.card.adaptive', content: JSON.stringify(card) }]
+    });
+    return { channelId: target, id: response.id };
+  }
+
+  async postUpdate(target, thread, alert, eventType) {
+    await this._callGraph(`/teams/${this.graph.teamId}/channels/${thread.channelId}/messages/${thread.id}/replies`, {
+      body: { contentType: 'text', content: this.describeUpdate(alert, eventType) }
+    });
+  }
+
+  _callGraph(route, body) {
+    const apiUrl = this.graph.apiUrl || 'https://graph.microsoft.com/v1.0';
+    return this._request(`${apiUrl}${route}`, {
+      headers: { Authorization: `Bearer ${this.graph.accessToken}` },
+      body
+    });
+  }
+
+  updateConfig(config = {}) {
+    super.updateConfig(config);
+    if (config.webhookUrl !== undefined) {
+      this.webhookUrl = config.webhookUrl;
+    }
+    if (config.graph !== undefined) {
+      this.graph = config.graph;
+    }
   }
 }
 
 /**
  * Notification manager that coordinates multiple channels
  */
-class NotificationManager {
+export class NotificationManager {
   constructor() {
     this.channels = new Map();
     this.defaultChannels = ['console', 'dashboard'];
@@ -399,15 +1212,21 @@ class NotificationManager {
     return this.channels.get(name);
   }
 
-  async sendToAll(alert, channelNames = null, eventType = 'alert_generated') {
+  /**
+   * @param {Object} alert
+   * @param {string[]|null} [channelNames] - Defaults to every channel
+   * @param {string} [eventType='alert_generated']
+   * @param {{recipients?: Object<string, string[]>}} [options] - Routed addresses per channel name
+   */
+  async sendToAll(alert, channelNames = null, eventType = 'alert_generated', options = {}) {
     const targetChannels = channelNames || Array.from(this.channels.keys());
     const promises = [];
 
     for (const channelName of targetChannels) {
       const channel = this.channels.get(channelName);
-      if (channel && channel.isEnabled()) {
+      if (channel && channel.isEnabled() && this._accepts(channel, alert)) {
         promises.push(
-          channel.send(alert, eventType).catch(error => {
+          channel.send(alert, eventType, { recipients: options.recipients?.[channelName] }).catch(error => {
             console.error(`Failed to send notification via ${channelName}:`, error);
           })
         );
@@ -419,11 +1238,15 @@ class NotificationManager {
 
   async sendToChannel(alert, channelName, eventType = 'alert_generated') {
     const channel = this.channels.get(channelName);
-    if (channel && channel.isEnabled()) {
+    if (channel && channel.isEnabled() && this._accepts(channel, alert)) {
       await channel.send(alert, eventType);
     }
   }
 
+  _accepts(channel, alert) {
+    return typeof channel.acceptsSeverity !== 'function' || channel.acceptsSeverity(alert.severity);
+  }
+
   enableChannel(name) {
     const channel = this.channels.get(name);
     if (channel) {
@@ -456,12 +1279,3 @@ class NotificationManager {
     }
   }
 }
-
-module.exports = {
-  NotificationChannel,
-  ConsoleNotificationChannel,
-  DashboardNotificationChannel,
-  EmailNotificationChannel,
-  WebhookNotificationChannel,
-  NotificationManager
-};
\ No newline at end of file
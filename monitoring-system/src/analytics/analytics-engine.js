@@ -1,9 +1,12 @@
 import { AnalyticsStore } from '../storage/analytics-store.js';
 import { DataStore } from '../storage/data-store.js';
+import { EngineEvents } from '../core/engine-events.js';
 
 /**
  * Analytics engine for pipeline monitoring system
- * Computes long-term metrics, identifies bottlenecks, and detects anomalies
+ * Computes long-term metrics, identifies bottlenecks, and detects anomalies. With
+ * `excludeMaintenanceRuns`, runs that started in a maintenance window do not count towards
+ * success rates and anomaly detection
  */
 export class AnalyticsEngine {
   constructor(options = {}) {
@@ -21,8 +24,50 @@ export class AnalyticsEngine {
       snapshotRetention: 50,
       anomalyStdDevThreshold: 2,
       metricAnomalyMultiplier: 1.5,
+      excludeMaintenanceRuns: false,
       ...config
     };
+
+    this.engine = null;
+    this._onRunCompleted = null;
+    this._updateQueue = Promise.resolve();
+  }
+
+  /**
+   * Refresh analytics whenever the engine reports a finished run, and hand each new
+   * snapshot back to the engine
+   * @param {import('../core/test-cycle-engine.js').TestCycleEngine} engine
+   */
+  attachToEngine(engine) {
+    this.detachFromEngine();
+
+    this.engine = engine;
+    this._onRunCompleted = ({ run }) => {
+      // Updates read and rewrite the snapshot files, so run them one at a time
+      this._updateQueue = this._updateQueue
+        .then(() => this.updateAfterRun(run))
+        .then(snapshot => engine.recordAnalyticsSnapshot(snapshot))
+        .catch(error => {
+          console.error('Failed to update analytics:', error.message);
+        });
+    };
+    engine.on(EngineEvents.RUN_COMPLETED, this._onRunCompleted);
+  }
+
+  detachFromEngine() {
+    if (this.engine && this._onRunCompleted) {
+      this.engine.off(EngineEvents.RUN_COMPLETED, this._onRunCompleted);
+    }
+    this.engine = null;
+    this._onRunCompleted = null;
+  }
+
+  /**
+   * Resolve once analytics updates queued by engine events have been written
+   * @returns {Promise<void>}
+   */
+  async whenIdle() {
+    await this._updateQueue;
   }
 
   /**
@@ -67,16 +112,18 @@ export class AnalyticsEngine {
       this.dataStore.getMetrics()
     ]);
 
-    const successMetrics = this._calculateSuccessMetrics(runs);
+    const countedRuns = this._countedRuns(runs);
+    const successMetrics = this._calculateSuccessMetrics(countedRuns);
     const bottlenecks = this._identifyBottlenecks(runs);
-    const anomalies = this._detectAnomalies(runs, metricsByRun);
+    const anomalies = this._detectAnomalies(countedRuns, metricsByRun);
 
     return {
       generatedAt: new Date().toISOString(),
       totals: {
         totalRuns: runs.length,
         successfulRuns: runs.filter(run => run.success).length,
-        failedRuns: runs.filter(run => run.status === 'failed').length
+        failedRuns: runs.filter(run => run.status === 'failed').length,
+        maintenanceRuns: runs.filter(run => run.maintenance).length
       },
       successMetrics,
       bottlenecks,
@@ -87,12 +134,54 @@ export class AnalyticsEngine {
             status: latestRun.status,
             success: latestRun.success,
             duration: latestRun.duration || null,
-            completedAt: latestRun.endTime || null
+            completedAt: latestRun.endTime || null,
+            maintenance: Boolean(latestRun.maintenance)
           }
         : null
     };
   }
 
+  /**
+   * Summarise the runs that started in a period, for the daily summary email
+   * @param {{since?: number, until?: number}} [period] - Times in ms; defaults to the last 24 hours
+   * @returns {Promise<Object>} Run counts, success rate and average duration, the slowest and most
+   *   failing stages, the failed runs (newest first, at most 10) and how many runs started in
+   *   maintenance windows
+   */
+  async generateSummary({ since, until = Date.now() } = {}) {
+    const start = since ?? until - 24 * 60 * 60 * 1000;
+    const allRuns = (await this.dataStore.getPipelineRuns()).filter(run => {
+      const runStart = new Date(run.startTime).getTime();
+      return runStart >= start && runStart < until;
+    });
+    const runs = this._countedRuns(allRuns);
+
+    const { overall } = this._calculateSuccessMetrics(runs);
+    const bottlenecks = this._identifyBottlenecks(runs);
+
+    return {
+      period: { start: new Date(start).toISOString(), end: new Date(until).toISOString() },
+      runs: { ...overall, averageDuration: bottlenecks.averagePipelineDuration },
+      maintenanceRuns: allRuns.filter(run => run.maintenance).length,
+      slowestStages: bottlenecks.slowestStages,
+      frequentFailures: bottlenecks.frequentFailures,
+      failedRuns: runs
+        .filter(run => !run.success)
+        .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+        .slice(0, 10)
+        .map(run => ({
+          id: run.id,
+          startTime: run.startTime,
+          error: run.errors?.map(error => (typeof error === 'string' ? error : error.message)).find(Boolean) || null
+        }))
+    };
+  }
+
+  // Runs that count towards success rates and anomalies
+  _countedRuns(runs) {
+    return this.config.excludeMaintenanceRuns ? runs.filter(run => !run.maintenance) : runs;
+  }
+
   _calculateSuccessMetrics(runs) {
     const totals = runs.length;
 
@@ -78,6 +78,8 @@ export class ReportGenerator {
     const summary = data.summary || data.overview || {};
     const metrics = data.metrics || {};
     const stages = data.stages || data.pipeline || [];
+    const stageTiming = data.stageTiming || [];
+    const criticalPath = data.criticalPath || null;
     const alerts = data.alerts || [];
     const timeline = data.timeline || [];
     const reports = Array.isArray(data.runs) ? data.runs : (data.reports || []);
@@ -91,6 +93,8 @@ export class ReportGenerator {
       summary,
       metrics,
       stages,
+      stageTiming,
+      criticalPath,
       alerts,
       timeline,
       reports
@@ -155,6 +159,27 @@ export class ReportGenerator {
       </section>
     ` : '';
 
+    const criticalPathHtml = data.stageTiming.length > 0 ? `
+      <section class="critical-path">
+        <h2>Critical Path</h2>
+        ${data.criticalPath ? `<p>${this.escapeHtml(data.criticalPath.stages.join(' → '))} (wait ${this.escapeHtml(this.formatValue(data.criticalPath.waitTime))}ms, work ${this.escapeHtml(this.formatValue(data.criticalPath.workTime))}ms${data.criticalPath.blockingStage ? `, blocked at ${this.escapeHtml(data.criticalPath.blockingStage)}` : ''})</p>` : ''}
+        <table>
+          <thead><tr><th>Stage</th><th>Status</th><th>Wait (ms)</th><th>Work (ms)</th><th>Critical</th></tr></thead>
+          <tbody>
+            ${data.stageTiming.map(stage => `
+              <tr>
+                <td>${this.escapeHtml(stage.name)}</td>
+                <td>${this.escapeHtml(stage.status || '')}</td>
+                <td>${this.escapeHtml(this.formatValue(stage.waitTime))}</td>
+                <td>${this.escapeHtml(this.formatValue(stage.workTime))}</td>
+                <td>${stage.onCriticalPath ? 'yes' : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </section>
+    ` : '';
+
     const alertsHtml = data.alerts.length > 0 ? `
       <section class="alerts">
         <h2>Alerts</h2>
@@ -213,6 +238,7 @@ export class ReportGenerator {
     ${summaryHtml}
     ${metricsHtml}
     ${stagesHtml}
+    ${criticalPathHtml}
     ${alertsHtml}
     ${timelineHtml}
     ${aggregatedHtml}
@@ -256,6 +282,13 @@ export class ReportGenerator {
       });
     }
 
+    if (data.stageTiming.length > 0) {
+      rows.push('Stage,Status,Wait,Work,Critical Path');
+      data.stageTiming.forEach(stage => {
+        rows.push(`${this.escapeCsv(stage.name)},${this.escapeCsv(stage.status || '')},${this.escapeCsv(this.formatValue(stage.waitTime))},${this.escapeCsv(this.formatValue(stage.workTime))},${stage.onCriticalPath ? 'yes' : 'no'}`);
+      });
+    }
+
     if (data.reports.length > 0) {
       rows.push('Run ID,Status,Success,Duration');
       data.reports.forEach(report => {
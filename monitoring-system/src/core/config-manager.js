@@ -1,4 +1,5 @@
 import { DataStore } from '../storage/data-store.js';
+import { PipelineDefinition } from './pipeline-definition.js';
 
 /**
  * Configuration manager for monitoring system settings
@@ -150,6 +151,11 @@ export class ConfigManager {
       if (typeof config.monitoring.retryAttempts !== 'number' || config.monitoring.retryAttempts < 0) {
         errors.push('monitoring.retryAttempts must be a non-negative number');
       }
+      for (const [stageName, stageTimeout] of Object.entries(config.monitoring.stageTimeouts || {})) {
+        if (typeof stageTimeout !== 'number' || stageTimeout < 1000) {
+          errors.push(`monitoring.stageTimeouts.${stageName} must be a number >= 1000ms`);
+        }
+      }
     }
 
     // Validate endpoints
@@ -236,6 +242,30 @@ export class ConfigManager {
       if (typeof config.storage.cleanupInterval !== 'number' || config.storage.cleanupInterval < 60000) {
         errors.push('storage.cleanupInterval must be a number >= 60000ms (1 minute)');
       }
+      if (config.storage.retentionDays !== undefined &&
+          (typeof config.storage.retentionDays !== 'number' || config.storage.retentionDays < 0)) {
+        errors.push('storage.retentionDays must be a non-negative number');
+      }
+      for (const [collection, policy] of Object.entries(config.storage.retention || {})) {
+        for (const key of ['maxAgeDays', 'maxRecords']) {
+          if (policy?.[key] !== undefined && policy[key] !== null &&
+              (typeof policy[key] !== 'number' || policy[key] < 0)) {
+            errors.push(`storage.retention.${collection}.${key} must be a non-negative number`);
+          }
+        }
+      }
+      if (config.storage.compactionInterval !== undefined &&
+          (typeof config.storage.compactionInterval !== 'number' || config.storage.compactionInterval < 10000)) {
+        errors.push('storage.compactionInterval must be a number >= 10000ms (10 seconds)');
+      }
+      if (config.storage.backend !== undefined && !['json', 'sqlite'].includes(config.storage.backend)) {
+        errors.push('storage.backend must be either "json" or "sqlite"');
+      }
+    }
+
+    // Validate the pipeline stage definition
+    if (config.pipeline?.stages !== undefined) {
+      errors.push(...PipelineDefinition.validate(config.pipeline.stages));
     }
 
     return { valid: errors.length === 0, errors };
@@ -261,7 +291,8 @@ export class ConfigManager {
       monitoring: {
         interval: 30000,        // 30 seconds
         timeout: 300000,        // 5 minutes
-        retryAttempts: 3
+        retryAttempts: 3,
+        stageTimeouts: {}       // Per-stage limits in ms, e.g. { build_process: 600000 }
       },
       endpoints: {
         supabase: "https://your-project.supabase.co/functions/v1/ml-to-hugo-public",
@@ -309,8 +340,10 @@ export class ConfigManager {
         }
       },
       storage: {
+        backend: 'json',
         maxRecords: 1000,
-        cleanupInterval: 86400000 // 24 hours
+        cleanupInterval: 86400000, // 24 hours
+        compactionInterval: 300000 // 5 minutes
       },
       dashboard: {
         port: 3000,
@@ -352,6 +385,12 @@ export class ConfigManager {
         if (error.includes('monitoring.retryAttempts')) {
           sanitized.monitoring.retryAttempts = defaults.monitoring.retryAttempts;
         }
+        if (error.includes('monitoring.stageTimeouts')) {
+          sanitized.monitoring.stageTimeouts = defaults.monitoring.stageTimeouts;
+        }
+        if (error.includes('pipeline.stages')) {
+          delete sanitized.pipeline;
+        }
         // Add more sanitization rules as needed
       });
     }
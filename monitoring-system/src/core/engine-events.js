@@ -0,0 +1,103 @@
+/**
+ * Lifecycle events emitted by TestCycleEngine
+ * Subscribe with engine.on(EngineEvents.RUN_COMPLETED, handler). Run payloads are
+ * snapshots taken at emit time, so listeners may hold on to them across awaits.
+ */
+export const EngineEvents = Object.freeze({
+  /** {@link RunCreatedEvent} */
+  RUN_CREATED: 'run_created',
+  /** {@link StageChangedEvent} */
+  STAGE_CHANGED: 'stage_changed',
+  /** {@link RunCompletedEvent} - also emitted when a run times out */
+  RUN_COMPLETED: 'run_completed',
+  /** {@link ErrorAddedEvent} */
+  ERROR_ADDED: 'error_added',
+  /** {@link MetricsRecordedEvent} */
+  METRICS_RECORDED: 'metrics_recorded',
+  /** {@link AnalyticsUpdatedEvent} */
+  ANALYTICS_UPDATED: 'analytics_updated',
+  /** {@link AlertRaisedEvent} */
+  ALERT_RAISED: 'alert_raised',
+  /** {@link AlertResolvedEvent} */
+  ALERT_RESOLVED: 'alert_resolved',
+  /** {@link AlertUpdatedEvent} - acknowledged, snoozed, woken from a snooze, escalated or flapping */
+  ALERT_UPDATED: 'alert_updated',
+  /** {@link SilenceChangedEvent} */
+  SILENCE_CHANGED: 'silence_changed',
+  /** {@link MaintenanceChangedEvent} */
+  MAINTENANCE_CHANGED: 'maintenance_changed'
+});
+
+/**
+ * @typedef {Object} RunCreatedEvent
+ * @property {import('../types/index.js').PipelineRun} run - The new run
+ * @property {string} timestamp - ISO timestamp of the event
+ */
+
+/**
+ * @typedef {Object} StageChangedEvent
+ * @property {import('../types/index.js').PipelineRun} run - Run after the update
+ * @property {import('../types/index.js').PipelineStage} stage - Updated stage
+ * @property {string} previousStatus - Stage status before the update
+ * @property {string} timestamp - ISO timestamp of the event
+ */
+
+/**
+ * @typedef {Object} RunCompletedEvent
+ * @property {import('../types/index.js').PipelineRun} run - Finished run
+ * @property {'completed'|'failed'|'timeout'} status - Final run status
+ * @property {string} timestamp - ISO timestamp of the event
+ */
+
+/**
+ * @typedef {Object} ErrorAddedEvent
+ * @property {import('../types/index.js').PipelineRun} run - Run the error was added to
+ * @property {import('../types/index.js').ErrorRecord} error - The new error record
+ * @property {string} timestamp - ISO timestamp of the event
+ */
+
+/**
+ * @typedef {Object} MetricsRecordedEvent
+ * @property {string} runId - Run the metrics belong to
+ * @property {Object} metrics - Metrics as saved
+ * @property {string} timestamp - ISO timestamp of the event
+ */
+
+/**
+ * @typedef {Object} AnalyticsUpdatedEvent
+ * @property {Object} snapshot - Analytics snapshot saved after a run completed
+ * @property {string} timestamp - ISO timestamp of the event
+ */
+
+/**
+ * @typedef {Object} AlertRaisedEvent
+ * @property {Object} alert - Normalized alert record
+ * @property {string} timestamp - ISO timestamp of the event
+ */
+
+/**
+ * @typedef {Object} AlertResolvedEvent
+ * @property {Object} alert - Resolved alert record
+ * @property {string} timestamp - ISO timestamp of the event
+ */
+
+/**
+ * @typedef {Object} AlertUpdatedEvent
+ * @property {Object} alert - Alert record after the change
+ * @property {'acknowledged'|'snoozed'|'snooze_expired'|'escalated'|'flapping'|'flapping_stopped'} action - What changed
+ * @property {string} timestamp - ISO timestamp of the event
+ */
+
+/**
+ * @typedef {Object} SilenceChangedEvent
+ * @property {Object} silence - Silence created or removed by the AlertManager
+ * @property {'created'|'removed'} action - What changed
+ * @property {string} timestamp - ISO timestamp of the event
+ */
+
+/**
+ * @typedef {Object} MaintenanceChangedEvent
+ * @property {import('./maintenance-windows.js').MaintenanceWindow} window - Window scheduled or ended
+ * @property {'scheduled'|'ended'} action - What changed
+ * @property {string} timestamp - ISO timestamp of the event
+ */
@@ -0,0 +1,145 @@
+import { promises as fs } from 'fs';
+import { writeJsonFileAtomic } from '../storage/file-utils.js';
+
+/**
+ * @typedef {Object} MaintenanceWindow
+ * @property {string} id - Window identifier
+ * @property {string} reason - Why the pipeline is expected to break
+ * @property {string} startsAt - ISO start; windows created ad hoc start when they are created
+ * @property {string} endsAt - ISO end; moved forward when the window is ended early
+ * @property {string} createdBy - Who scheduled it
+ * @property {string} createdAt - ISO timestamp of creation
+ * @property {string} [endedBy] - Who ended or cancelled it early
+ */
+
+/**
+ * Scheduled and ad hoc maintenance windows
+ * While a window is active, runs that start are tagged with it, alerts notify the dashboard
+ * only and analytics can leave the tagged runs out. Windows are kept in a JSON file so
+ * scheduled windows survive restarts.
+ */
+export class MaintenanceSchedule {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSON file holding the windows
+   * @param {number} [options.maxEnded=100] - Ended windows kept for reference
+   */
+  constructor({ file, maxEnded = 100 }) {
+    this.file = file;
+    this.maxEnded = maxEnded;
+    this.windows = [];
+  }
+
+  async load() {
+    try {
+      const windows = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      this.windows = Array.isArray(windows) ? windows : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load maintenance windows:', error.message);
+      }
+      this.windows = [];
+    }
+  }
+
+  /**
+   * Schedule a window
+   * @param {Object} window
+   * @param {string|number|Date} [window.startsAt=Date.now()]
+   * @param {string|number|Date} window.endsAt
+   * @param {string} [window.reason='']
+   * @param {string} [window.createdBy='system']
+   * @returns {Promise<MaintenanceWindow>}
+   */
+  async add({ startsAt = Date.now(), endsAt, reason = '', createdBy = 'system' }) {
+    const start = new Date(startsAt).getTime();
+    const end = new Date(endsAt).getTime();
+    if (Number.isNaN(start)) {
+      throw new Error('startsAt must be a valid date');
+    }
+    if (Number.isNaN(end)) {
+      throw new Error('endsAt must be a valid date');
+    }
+    if (end <= start) {
+      throw new Error('A maintenance window must end after it starts');
+    }
+    if (end <= Date.now()) {
+      throw new Error('A maintenance window must end in the future');
+    }
+
+    const window = {
+      id: `mnt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      reason: String(reason || ''),
+      startsAt: new Date(start).toISOString(),
+      endsAt: new Date(end).toISOString(),
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+
+    this.windows.push(window);
+    await this._save();
+    return window;
+  }
+
+  /**
+   * End an active window now, or cancel one that has not started
+   * @param {string} windowId
+   * @param {string} [endedBy='system']
+   * @returns {Promise<MaintenanceWindow|null>} The window, or null if it is unknown or already over
+   */
+  async end(windowId, endedBy = 'system') {
+    const now = Date.now();
+    const window = this.windows.find(entry => entry.id === windowId);
+    if (!window || new Date(window.endsAt).getTime() <= now) {
+      return null;
+    }
+
+    window.endsAt = new Date(now).toISOString();
+    window.endedBy = endedBy;
+    if (new Date(window.startsAt).getTime() > now) {
+      window.startsAt = window.endsAt;
+    }
+
+    await this._save();
+    return { ...window };
+  }
+
+  /**
+   * Windows that are active or scheduled, earliest first
+   * @param {number} [now=Date.now()]
+   * @returns {MaintenanceWindow[]}
+   */
+  list(now = Date.now()) {
+    return this.windows
+      .filter(window => new Date(window.endsAt).getTime() > now)
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+  }
+
+  /**
+   * The window covering a point in time
+   * @param {number|string} [time=Date.now()]
+   * @returns {MaintenanceWindow|null}
+   */
+  findWindow(time = Date.now()) {
+    const at = new Date(time).getTime();
+    return this.windows.find(window =>
+      new Date(window.startsAt).getTime() <= at && at < new Date(window.endsAt).getTime()
+    ) || null;
+  }
+
+  async _save() {
+    // Keep every open window and the most recently ended ones
+    const now = Date.now();
+    const ended = this.windows.filter(window => new Date(window.endsAt).getTime() <= now);
+    if (ended.length > this.maxEnded) {
+      const dropped = new Set(ended.slice(0, ended.length - this.maxEnded));
+      this.windows = this.windows.filter(window => !dropped.has(window));
+    }
+
+    try {
+      await writeJsonFileAtomic(this.file, this.windows);
+    } catch (error) {
+      console.error('Failed to save maintenance windows:', error.message);
+    }
+  }
+}
@@ -0,0 +1,348 @@
+/**
+ * Declared stage model for pipeline runs
+ * A definition lists the stages a run is expected to pass through, which stages
+ * each one depends on (by default the stage declared before it) and the raw stage
+ * names monitors report for it. The engine uses it to flag stages that arrive out
+ * of order or never arrive, and reports use it to work out the critical path.
+ */
+
+/**
+ * The ml-to-hugo flow: MailerLite webhook → Supabase function → commit → workflow dispatch → Hugo build → Pages deploy → site check
+ */
+export const DEFAULT_PIPELINE_STAGES = [
+  {
+    name: 'webhook_received',
+    aliases: ['trigger_detected', 'mailerlite_webhook_received', 'github_webhook_received']
+  },
+  {
+    name: 'supabase_processing',
+    aliases: ['supabase_processing_triggered']
+  },
+  {
+    name: 'github_commit',
+    optional: true
+  },
+  {
+    name: 'workflow_dispatch',
+    aliases: ['github_workflow_triggered', 'pipeline_dispatch']
+  },
+  {
+    name: 'build_process',
+    aliases: [
+      'github_workflow_started',
+      'github_workflow_progress',
+      'github_workflow_completed',
+      'github_workflow_failed',
+      'build_tracking_started',
+      'build_tracking_completed',
+      'build_tracking_failed'
+    ]
+  },
+  {
+    name: 'deploy',
+    aliases: ['deployment']
+  },
+  {
+    name: 'site_validation',
+    aliases: ['post_deploy_validation']
+  }
+];
+
+/**
+ * @typedef {Object} StageDefinition
+ * @property {string} name - Canonical stage name
+ * @property {string[]} [dependsOn] - Stages that must finish first (defaults to the previous stage)
+ * @property {string[]} [aliases] - Raw stage names reported by monitors for this stage
+ * @property {boolean} [optional=false] - Whether runs may legitimately skip the stage
+ */
+
+/**
+ * @typedef {Object} StageIssue
+ * @property {'out_of_order'|'skipped'} type
+ * @property {string} stage - Canonical stage name
+ * @property {string[]} [after] - For out_of_order: later stages that were already seen
+ * @property {string} timestamp - ISO timestamp when the issue was detected
+ */
+
+export class PipelineDefinition {
+  /**
+   * @param {Object} [config] - The `pipeline` section of the monitoring config
+   * @param {StageDefinition[]} [config.stages]
+   */
+  constructor(config = {}) {
+    const stages = config.stages || DEFAULT_PIPELINE_STAGES;
+    const errors = PipelineDefinition.validate(stages);
+    if (errors.length > 0) {
+      throw new Error(`Invalid pipeline definition: ${errors.join(', ')}`);
+    }
+
+    this.stages = stages.map((stage, index) => ({
+      name: stage.name,
+      dependsOn: stage.dependsOn || (index > 0 ? [stages[index - 1].name] : []),
+      aliases: stage.aliases || [],
+      optional: stage.optional === true,
+      order: index
+    }));
+    this.stagesByName = new Map(this.stages.map(stage => [stage.name, stage]));
+
+    this.aliases = new Map();
+    for (const stage of this.stages) {
+      this.aliases.set(stage.name, stage.name);
+      for (const alias of stage.aliases) {
+        this.aliases.set(alias, stage.name);
+      }
+    }
+  }
+
+  /**
+   * Check a list of stage definitions
+   * @param {StageDefinition[]} stages
+   * @returns {string[]} Validation errors
+   */
+  static validate(stages) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      return ['pipeline.stages must be a non-empty array'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+
+    stages.forEach((stage, index) => {
+      if (!stage || typeof stage.name !== 'string' || stage.name === '') {
+        errors.push(`pipeline.stages[${index}].name must be a non-empty string`);
+        return;
+      }
+      if (seen.has(stage.name)) {
+        errors.push(`pipeline.stages[${index}].name duplicates ${stage.name}`);
+      }
+      for (const dependency of stage.dependsOn || []) {
+        // Dependencies must be declared earlier, which also rules out cycles
+        if (!seen.has(dependency)) {
+          errors.push(`pipeline.stages.${stage.name} depends on ${dependency}, which is not declared before it`);
+        }
+      }
+      if (stage.aliases !== undefined && !Array.isArray(stage.aliases)) {
+        errors.push(`pipeline.stages.${stage.name}.aliases must be an array`);
+      }
+      seen.add(stage.name);
+    });
+
+    return errors;
+  }
+
+  /**
+   * Map a raw stage name to its canonical stage
+   * @param {string} stageName
+   * @returns {string|null} Canonical name, or null for stages outside the definition
+   */
+  resolve(stageName) {
+    return this.aliases.get(stageName) || null;
+  }
+
+  /**
+   * Every stage that (transitively) depends on the given stage
+   * @param {string} stageName - Canonical stage name
+   * @returns {Set<string>}
+   */
+  getDownstream(stageName) {
+    const downstream = new Set();
+    for (const stage of this.stages) {
+      if (stage.dependsOn.some(dependency => dependency === stageName || downstream.has(dependency))) {
+        downstream.add(stage.name);
+      }
+    }
+    return downstream;
+  }
+
+  /**
+   * Every stage the given stage (transitively) depends on
+   * @param {string} stageName - Canonical stage name
+   * @returns {Set<string>}
+   */
+  getUpstream(stageName) {
+    const upstream = new Set();
+    const pending = [...(this.stagesByName.get(stageName)?.dependsOn || [])];
+    while (pending.length > 0) {
+      const name = pending.pop();
+      if (!upstream.has(name)) {
+        upstream.add(name);
+        pending.push(...this.stagesByName.get(name).dependsOn);
+      }
+    }
+    return upstream;
+  }
+
+  /**
+   * Check a stage that is about to be added to a run
+   * @param {import('../types/index.js').PipelineRun} pipelineRun - Run before the stage is added
+   * @param {string} stageName - Raw stage name
+   * @returns {StageIssue|null} An out_of_order issue if a later stage was already seen
+   */
+  checkStageOrder(pipelineRun, stageName) {
+    const canonical = this.resolve(stageName);
+    const seen = this._seenStages(pipelineRun);
+    if (!canonical || seen.has(canonical)) {
+      return null;
+    }
+
+    const downstream = this.getDownstream(canonical);
+    const after = this.stages
+      .filter(stage => downstream.has(stage.name) && seen.has(stage.name))
+      .map(stage => stage.name);
+
+    if (after.length === 0) {
+      return null;
+    }
+
+    return { type: 'out_of_order', stage: canonical, after, timestamp: new Date().toISOString() };
+  }
+
+  /**
+   * Find required stages a run went past without ever reporting
+   * @param {import('../types/index.js').PipelineRun} pipelineRun
+   * @returns {StageIssue[]} One skipped issue per missing stage
+   */
+  findSkippedStages(pipelineRun) {
+    const seen = this._seenStages(pipelineRun);
+    const expected = new Set();
+    for (const name of seen) {
+      for (const upstream of this.getUpstream(name)) {
+        expected.add(upstream);
+      }
+    }
+
+    const timestamp = new Date().toISOString();
+    return this.stages
+      .filter(stage => expected.has(stage.name) && !seen.has(stage.name) && !stage.optional)
+      .map(stage => ({ type: 'skipped', stage: stage.name, timestamp }));
+  }
+
+  /**
+   * Work out per-stage wait and work time and the critical path of a run.
+   * Wait time runs from the moment a stage's dependencies finished (or the run
+   * started) until the stage started; work time is the stage's own duration.
+   * The critical path walks back from the last stage to finish, each time through
+   * the dependency that finished last, since that is the one that held it up.
+   * @param {import('../types/index.js').PipelineRun} pipelineRun
+   * @returns {{stages: Object[], criticalPath: Object}}
+   */
+  analyze(pipelineRun) {
+    const runStart = toTime(pipelineRun.startTime);
+    const timings = new Map();
+
+    for (const stage of this.stages) {
+      const rawStages = (pipelineRun.stages || []).filter(raw => this.resolve(raw.name) === stage.name);
+      if (rawStages.length > 0) {
+        timings.set(stage.name, this._aggregate(stage, rawStages));
+      }
+    }
+
+    const finish = timing => timing.end ?? timing.start;
+
+    for (const timing of timings.values()) {
+      const gate = this._reportedDependencies(timing.name, timings)
+        .filter(dependency => finish(dependency) !== null)
+        .sort((a, b) => finish(b) - finish(a))[0];
+      const ready = gate ? finish(gate) : runStart;
+
+      timing.gatedBy = gate ? gate.name : null;
+      timing.waitTime = timing.start !== null && ready !== null ? Math.max(0, timing.start - ready) : null;
+      timing.workTime = timing.start !== null && timing.end !== null ? Math.max(0, timing.end - timing.start) : null;
+    }
+
+    const path = [];
+    const last = [...timings.values()]
+      .filter(timing => timing.start !== null)
+      .sort((a, b) => finish(b) - finish(a) || b.order - a.order)[0];
+    for (let current = last; current; current = current.gatedBy ? timings.get(current.gatedBy) : null) {
+      path.unshift(current);
+    }
+
+    const blocking = [...timings.values()].find(timing => timing.status === 'failed' || timing.status === 'running');
+    const sum = (key) => path.reduce((total, timing) => total + (timing[key] || 0), 0);
+    const onPath = new Set(path.map(timing => timing.name));
+
+    return {
+      stages: [...timings.values()].map(timing => ({
+        name: timing.name,
+        status: timing.status,
+        startTime: timing.start !== null ? new Date(timing.start).toISOString() : null,
+        endTime: timing.end !== null ? new Date(timing.end).toISOString() : null,
+        waitTime: timing.waitTime,
+        workTime: timing.workTime,
+        onCriticalPath: onPath.has(timing.name),
+        reportedAs: timing.reportedAs
+      })),
+      criticalPath: {
+        stages: path.map(timing => timing.name),
+        waitTime: sum('waitTime'),
+        workTime: sum('workTime'),
+        duration: sum('waitTime') + sum('workTime'),
+        blockingStage: blocking ? blocking.name : null
+      }
+    };
+  }
+
+  _reportedDependencies(stageName, timings) {
+    // A dependency the run never reported (e.g. an optional stage) is replaced by its own dependencies
+    const found = [];
+    const pending = [...this.stagesByName.get(stageName).dependsOn];
+    const visited = new Set();
+    while (pending.length > 0) {
+      const name = pending.pop();
+      if (visited.has(name)) {
+        continue;
+      }
+      visited.add(name);
+      if (timings.has(name)) {
+        found.push(timings.get(name));
+      } else {
+        pending.push(...this.stagesByName.get(name).dependsOn);
+      }
+    }
+    return found;
+  }
+
+  _seenStages(pipelineRun) {
+    const seen = new Set();
+    for (const stage of pipelineRun.stages || []) {
+      const canonical = this.resolve(stage.name);
+      if (canonical) {
+        seen.add(canonical);
+      }
+    }
+    return seen;
+  }
+
+  _aggregate(stage, rawStages) {
+    // Stages reported straight as completed have no start time; treat them as instantaneous
+    const starts = rawStages.map(raw => toTime(raw.startTime) ?? toTime(raw.endTime)).filter(time => time !== null);
+    const ends = rawStages.map(raw => toTime(raw.endTime)).filter(time => time !== null);
+
+    // Monitors often report one raw stage per transition (started/completed), so the
+    // most recent report decides the status unless any of them failed
+    const latest = rawStages.reduce((current, raw) => {
+      const rawTime = toTime(raw.endTime) ?? toTime(raw.startTime) ?? -Infinity;
+      const currentTime = toTime(current.endTime) ?? toTime(current.startTime) ?? -Infinity;
+      return rawTime >= currentTime ? raw : current;
+    });
+    const status = rawStages.some(raw => raw.status === 'failed') ? 'failed' : latest.status;
+
+    return {
+      name: stage.name,
+      order: stage.order,
+      status,
+      start: starts.length > 0 ? Math.min(...starts) : null,
+      end: status === 'running' || ends.length === 0 ? null : Math.max(...ends),
+      reportedAs: rawStages.map(raw => raw.name)
+    };
+  }
+}
+
+function toTime(value) {
+  if (!value) {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
@@ -0,0 +1,343 @@
+import { IdGenerator } from '../utils/id-generator.js';
+import { CORRELATION_HEADER } from '../utils/correlation.js';
+import { GitHubActionsMonitor } from '../monitors/github-actions-monitor.js';
+import ContentValidator from '../validators/content-validator.js';
+
+/**
+ * Synthetic test cycle
+ * Sends a MailerLite-style campaign.sent webhook to ml-to-hugo and follows the
+ * post it creates through the GitHub workflow and onto the live site. Each step
+ * is recorded as a stage of a pipeline run, and the run ends with a pass/fail
+ * verdict. Point `functionUrl`, `githubApiUrl` and `siteUrl` at local
+ * stand-ins to run a cycle without touching production.
+ */
+
+/**
+ * @typedef {Object} SyntheticTestConfig
+ * @property {string} functionUrl - ml-to-hugo endpoint that receives the webhook
+ * @property {string} [webhookToken] - Shared token sent as X-Webhook-Token
+ * @property {string} [campaignId] - Campaign ID to send (ml-to-hugo fetches it from MailerLite)
+ * @property {string} [siteUrl] - Base URL of the site the post should appear on
+ * @property {string} [githubApiUrl] - GitHub API base URL (defaults to GITHUB_API_URL or api.github.com)
+ * @property {string} [postPathTemplate] - Post path with {slug}, {year} and {month} placeholders;
+ *   derived from the content path ml-to-hugo reports when omitted
+ * @property {number} [pollInterval=15000] - Delay between workflow and site checks in ms
+ * @property {number} [timeout=900000] - Time allowed for the whole cycle in ms
+ */
+
+/**
+ * @typedef {Object} SyntheticTestVerdict
+ * @property {boolean} passed - Whether the post made it to the live site
+ * @property {string|null} failedStage - First stage that failed
+ * @property {string|null} reason - Why the cycle failed
+ * @property {string} checkedAt - ISO timestamp of the verdict
+ */
+
+const DEFAULT_POLL_INTERVAL = 15000;
+const DEFAULT_TIMEOUT = 900000;
+
+export class SyntheticTestCycle {
+  /**
+   * @param {import('./test-cycle-engine.js').TestCycleEngine} testCycleEngine
+   * @param {SyntheticTestConfig} config
+   * @param {Object} [dependencies] - Overrides for the HTTP client, monitors and clock
+   */
+  constructor(testCycleEngine, config = {}, dependencies = {}) {
+    if (!config.functionUrl) {
+      throw new Error('Synthetic test cycle requires a functionUrl');
+    }
+
+    this.engine = testCycleEngine;
+    this.config = {
+      campaignId: 'synthetic',
+      siteUrl: 'https://mgrnz.com',
+      pollInterval: DEFAULT_POLL_INTERVAL,
+      timeout: DEFAULT_TIMEOUT,
+      ...config
+    };
+    this.fetch = dependencies.fetch || globalThis.fetch;
+    this.githubMonitor = dependencies.githubMonitor || new GitHubActionsMonitor(testCycleEngine, {
+      workflowPollInterval: this.config.pollInterval,
+      workflowTimeout: this.config.timeout,
+      githubApiUrl: this.config.githubApiUrl
+    });
+    this.contentValidator = dependencies.contentValidator || new ContentValidator({ baseUrl: this.config.siteUrl });
+    this.sleep = dependencies.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.now = dependencies.now || Date.now;
+  }
+
+  /**
+   * Run one test cycle
+   * The pipeline run is left open; the engine completes it with the verdict.
+   * @returns {Promise<{runId: string, correlationId: string, verdict: SyntheticTestVerdict, metrics: Object}>}
+   */
+  async run() {
+    const correlationId = IdGenerator.generateCorrelationId();
+    const deadline = this.now() + this.config.timeout;
+    const metrics = {};
+
+    const runId = await this.engine.createPipelineRun({
+      type: 'manual',
+      source: 'synthetic_test_cycle',
+      timestamp: new Date().toISOString(),
+      metadata: {
+        correlationId,
+        campaignId: this.config.campaignId,
+        functionUrl: this.config.functionUrl,
+        synthetic: true
+      }
+    });
+    console.log(`Started synthetic test cycle ${runId} (${correlationId})`);
+
+    let verdict;
+    try {
+      const post = await this._sendWebhook(runId, correlationId, metrics);
+      await this._followWorkflow(runId, correlationId, deadline, metrics);
+      await this._validateSite(runId, correlationId, post, deadline, metrics);
+      verdict = this._verdict(true);
+    } catch (error) {
+      if (!(error instanceof StageFailure)) {
+        await this.engine.addError(runId, 'system', 'synthetic_test', error.message);
+      }
+      verdict = this._verdict(false, error.stage || null, error.message);
+    }
+
+    console.log(`Synthetic test cycle ${runId}: ${verdict.passed ? 'PASSED' : `FAILED at ${verdict.failedStage}: ${verdict.reason}`}`);
+    return { runId, correlationId, verdict, metrics };
+  }
+
+  // Private methods
+
+  /**
+   * Send the synthetic webhook and record what ml-to-hugo reports back
+   */
+  async _sendWebhook(runId, correlationId, metrics) {
+    const payload = {
+      type: 'campaign.sent',
+      data: { id: this.config.campaignId },
+      synthetic: true
+    };
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'MonitoringSystem/1.0 (synthetic test cycle)',
+      [CORRELATION_HEADER]: correlationId
+    };
+    if (this.config.webhookToken) {
+      headers['X-Webhook-Token'] = this.config.webhookToken;
+    }
+
+    await this.engine.updatePipelineStage(runId, 'webhook_received', 'running', {
+      functionUrl: this.config.functionUrl,
+      campaignId: this.config.campaignId
+    });
+
+    const sent = new Date();
+    let response;
+    let body;
+    try {
+      response = await this.fetch(this.config.functionUrl, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload)
+      });
+      const text = await response.text();
+      try {
+        body = JSON.parse(text);
+      } catch {
+        body = null;
+      }
+      if (!body || typeof body !== 'object') {
+        body = { raw: text.slice(0, 300) };
+      }
+    } catch (error) {
+      await this._failStage(runId, 'webhook_received', 'network', `Webhook delivery failed: ${error.message}`);
+    }
+
+    const received = new Date();
+    metrics.webhookLatency = received - sent;
+    await this._recordWebhook(runId, correlationId, payload, response, body, sent, received);
+
+    await this.engine.updatePipelineStage(runId, 'webhook_received', 'completed', {
+      status: response.status,
+      responseTime: metrics.webhookLatency
+    });
+
+    // ml-to-hugo reports how far it got: a created path means only the dispatch failed
+    let failure = null;
+    if (!response.ok || body.ok === false) {
+      const reason = body.error || body.message || body.upstream || `ml-to-hugo returned ${response.status}`;
+      failure = {
+        stage: body.step === 'github' ? 'github_commit' : body.created ? 'workflow_dispatch' : 'supabase_processing',
+        message: `ml-to-hugo failed (${response.status}): ${reason}`
+      };
+    } else if (body.skipped) {
+      failure = { stage: 'supabase_processing', message: `ml-to-hugo skipped the campaign: ${body.skipped}` };
+    }
+
+    const functionStages = [
+      ['supabase_processing', { processedCampaign: body.processed_campaign, correlationId: body.correlation_id }],
+      ['github_commit', { path: body.created }],
+      ['workflow_dispatch', { status: body.status }]
+    ];
+    for (const [stage, data] of functionStages) {
+      if (failure?.stage === stage) {
+        await this._failStage(runId, stage, 'webhook', failure.message, { response: body });
+      }
+      await this.engine.updatePipelineStage(runId, stage, 'completed', data);
+    }
+
+    return {
+      title: body.title,
+      slug: body.slug || (body.created ? body.created.split('/').pop().replace(/\.md$/, '') : null),
+      contentPath: body.created
+    };
+  }
+
+  /**
+   * Wait for the workflow run carrying the correlation ID and follow it to completion
+   */
+  async _followWorkflow(runId, correlationId, deadline, metrics) {
+    let workflowRun = null;
+    while (!workflowRun) {
+      workflowRun = await this.githubMonitor.findWorkflowRunByCorrelationId(correlationId);
+      if (!workflowRun) {
+        if (this.now() + this.config.pollInterval > deadline) {
+          await this._failStage(runId, 'build_process', 'timeout', `No workflow run found for ${correlationId}`);
+        }
+        await this.sleep(this.config.pollInterval);
+      }
+    }
+
+    let result;
+    try {
+      result = await this.githubMonitor.monitorWorkflow(runId, workflowRun.id);
+    } catch (error) {
+      // The monitor has already marked the workflow stage as failed
+      const message = `Workflow run ${workflowRun.id} could not be followed: ${error.message}`;
+      await this.engine.addError(runId, 'build_process', 'build', message);
+      throw new StageFailure('build_process', message);
+    }
+
+    metrics.buildTime = result.analysis?.buildTime || 0;
+    metrics.deploymentTime = result.analysis?.deploymentTime || 0;
+    metrics.queueTime = result.analysis?.queueTime || 0;
+
+    const deployJob = (result.analysis?.jobs || []).find(job => job.name.toLowerCase().includes('deploy'));
+    if (!result.success) {
+      const stage = deployJob && deployJob.conclusion !== 'success' ? 'deploy' : 'build_process';
+      await this._failStage(runId, stage, 'build', `Workflow run ${workflowRun.id} concluded ${result.workflowRun?.conclusion}`, {
+        workflowRunId: workflowRun.id
+      });
+    }
+
+    await this.engine.updatePipelineStage(runId, 'deploy', 'completed', {
+      workflowRunId: workflowRun.id,
+      duration: deployJob?.duration ?? null
+    });
+  }
+
+  /**
+   * Check the site until the new post shows up with the expected correlation ID
+   */
+  async _validateSite(runId, correlationId, post, deadline, metrics) {
+    const expectedPost = {
+      title: post.title || post.slug,
+      url: this._expectedPostUrl(post),
+      correlationId
+    };
+    await this.engine.updatePipelineStage(runId, 'site_validation', 'running', { expectedPost });
+
+    let validation;
+    let attempts = 0;
+    while (true) {
+      attempts++;
+      validation = await this.contentValidator.validateDeployedContent(runId, { newPosts: [expectedPost], correlationId });
+      const found = validation.validations.newPosts?.foundPosts?.[0];
+      metrics.siteResponseTime = validation.validations.homepage?.responseTime || 0;
+
+      if (found && found.validation.correlationId === correlationId) {
+        break;
+      }
+      if (this.now() + this.config.pollInterval > deadline) {
+        const reason = found
+          ? `Post found but carries correlation ID ${found.validation.correlationId || 'none'}`
+          : `Post not found at ${expectedPost.url} after ${attempts} checks`;
+        await this._failStage(runId, 'site_validation', 'validation', reason, { overall: validation.overall });
+      }
+      await this.sleep(this.config.pollInterval);
+    }
+
+    await this.engine.updatePipelineStage(runId, 'site_validation', 'completed', {
+      url: expectedPost.url,
+      attempts,
+      warnings: validation.overall.warnings
+    });
+  }
+
+  async _recordWebhook(runId, correlationId, payload, response, body, sent, received) {
+    try {
+      await this.engine.dataStore.saveWebhookRecord({
+        id: IdGenerator.generateWebhookId(),
+        runId,
+        source: 'external',
+        destination: 'supabase',
+        payload,
+        response: {
+          status: response.status,
+          body,
+          headers: Object.fromEntries(response.headers?.entries?.() || [])
+        },
+        timing: {
+          sent: sent.toISOString(),
+          received: received.toISOString(),
+          processed: received.toISOString()
+        },
+        authentication: {
+          method: this.config.webhookToken ? 'token' : 'none',
+          success: response.status !== 401,
+          errors: []
+        },
+        retries: [],
+        correlationId,
+        metadata: { synthetic: true }
+      });
+    } catch (error) {
+      console.error('Failed to record synthetic webhook:', error.message);
+    }
+  }
+
+  _expectedPostUrl(post) {
+    if (this.config.postPathTemplate) {
+      const now = new Date();
+      return this.config.postPathTemplate
+        .replace('{slug}', post.slug)
+        .replace('{year}', String(now.getFullYear()))
+        .replace('{month}', String(now.getMonth() + 1).padStart(2, '0'));
+    }
+
+    // Hugo serves content/blog/2026/18-October/my-post.md at /blog/2026/18-october/my-post/
+    if (post.contentPath) {
+      return `/${post.contentPath.replace(/^content\//, '').replace(/\.md$/, '').toLowerCase()}/`;
+    }
+
+    return `/${post.slug}/`;
+  }
+
+  async _failStage(runId, stage, type, message, data = {}) {
+    await this.engine.updatePipelineStage(runId, stage, 'failed', { ...data, error: message });
+    await this.engine.addError(runId, stage, type, message);
+    throw new StageFailure(stage, message);
+  }
+
+  _verdict(passed, failedStage = null, reason = null) {
+    return { passed, failedStage, reason, checkedAt: new Date().toISOString() };
+  }
+}
+
+class StageFailure extends Error {
+  constructor(stage, message) {
+    super(message);
+    this.name = 'StageFailure';
+    this.stage = stage;
+  }
+}
@@ -1,16 +1,29 @@
+import { EventEmitter } from 'events';
+import path from 'path';
 import { DataStore } from '../storage/data-store.js';
 import { AnalyticsStore } from '../storage/analytics-store.js';
 import { AnalyticsEngine } from '../analytics/analytics-engine.js';
+import { RetentionManager, removeAlertsFromHistory } from '../storage/retention-manager.js';
+import { getRunCommitSha } from '../storage/pipeline-run-query.js';
 import { IdGenerator } from '../utils/id-generator.js';
 import { Validators } from '../utils/validators.js';
+import { EngineEvents } from './engine-events.js';
+import { PipelineDefinition } from './pipeline-definition.js';
+import { SyntheticTestCycle } from './synthetic-test-cycle.js';
+import { MaintenanceSchedule } from './maintenance-windows.js';
 
 /**
  * Core orchestrator for the automated test cycle monitoring system
- * Manages pipeline runs, coordinates monitoring components, and tracks state
+ * Manages pipeline runs, coordinates monitoring components, and tracks state.
+ * Emits the lifecycle events listed in EngineEvents.
  */
-export class TestCycleEngine {
+export class TestCycleEngine extends EventEmitter {
   constructor(config = {}, options = {}) {
-    this.dataStore = new DataStore(config.dataDir);
+    super();
+    this.dataStore = new DataStore(config.dataDir, {
+      backend: config.storage?.backend,
+      backendOptions: config.storage?.backendOptions
+    });
     this.analyticsStore = new AnalyticsStore(config.dataDir);
     this.analyticsEngine = new AnalyticsEngine({
       dataStore: this.dataStore,
@@ -18,7 +31,17 @@ export class TestCycleEngine {
       dataDir: config.dataDir,
       config: config.analytics
     });
+    this.retentionManager = new RetentionManager({
+      dataStore: this.dataStore,
+      analyticsStore: this.analyticsStore,
+      dataDir: config.dataDir,
+      config: config.storage
+    });
     this.config = config;
+    this.pipelineDefinition = new PipelineDefinition(config.pipeline);
+    this.maintenance = new MaintenanceSchedule({
+      file: path.join(config.dataDir || './data', 'maintenance-windows.json')
+    });
     this.activePipelines = new Map();
     this.isRunning = false;
     this.monitoringInterval = null;
@@ -32,6 +55,33 @@ export class TestCycleEngine {
     };
     this.lastPipelineActivity = null;
     this.bootTimestamp = new Date().toISOString();
+    this.retentionManager.addAlertSource(this);
+    this.alertManager = null;
+    this.githubClient = null;
+    this.analyticsEngine.attachToEngine(this);
+
+    if (options.alertManager) {
+      this.setAlertManager(options.alertManager);
+    }
+  }
+
+  /**
+   * Let an AlertManager evaluate runs as they change; its alerts are recorded on the engine
+   * @param {import('../alerts/alert-manager.js').AlertManager|null} alertManager
+   */
+  setAlertManager(alertManager) {
+    if (this.alertManager === alertManager) {
+      return;
+    }
+
+    if (this.alertManager) {
+      this.alertManager.detachFromEngine();
+    }
+
+    this.alertManager = alertManager || null;
+    if (this.alertManager) {
+      this.alertManager.attachToEngine(this);
+    }
   }
 
   /**
@@ -41,12 +91,16 @@ export class TestCycleEngine {
     try {
       await this.dataStore.initialize();
       await this.analyticsEngine.initialize();
+      await this.maintenance.load();
 
       // Load configuration from storage if available
       const storedConfig = await this.dataStore.getConfig();
       this.config = { ...storedConfig, ...this.config };
+      this.retentionManager.updatePolicies(this.config.storage);
+      this.pipelineDefinition = new PipelineDefinition(this.config.pipeline);
       
       await this._rebuildMetricsSummary();
+      await this._reconcileActivePipelines();
 
       console.log('Test Cycle Engine initialized successfully');
       return true;
@@ -81,6 +135,9 @@ export class TestCycleEngine {
    * Stop monitoring activities
    */
   async stopMonitoring() {
+    // Let analytics updates queued by run events finish before callers close storage
+    await this.analyticsEngine.whenIdle();
+
     if (!this.isRunning) {
       console.log('Monitoring is not running');
       return;
@@ -132,6 +189,15 @@ export class TestCycleEngine {
         }
       };
 
+      if (trigger.metadata?.correlationId) {
+        pipelineRun.correlationId = trigger.metadata.correlationId;
+      }
+
+      const maintenanceWindow = this.maintenance.findWindow(now);
+      if (maintenanceWindow) {
+        pipelineRun.maintenance = { windowId: maintenanceWindow.id, reason: maintenanceWindow.reason };
+      }
+
       // Validate the complete pipeline run
       const validation = Validators.validatePipelineRun(pipelineRun);
       if (!validation.valid) {
@@ -143,6 +209,7 @@ export class TestCycleEngine {
       this.activePipelines.set(runId, pipelineRun);
 
       console.log(`Created pipeline run: ${runId} (trigger: ${trigger.type})`);
+      this._emitEvent(EngineEvents.RUN_CREATED, { run: pipelineRun });
       return runId;
     } catch (error) {
       console.error('Failed to create pipeline run:', error.message);
@@ -169,6 +236,11 @@ export class TestCycleEngine {
       let stage = pipelineRun.stages.find(s => s.name === stageName);
 
       if (!stage) {
+        const orderIssue = this.pipelineDefinition.checkStageOrder(pipelineRun, stageName);
+        if (orderIssue) {
+          this._recordStageIssues(pipelineRun, [orderIssue]);
+        }
+
         // Create new stage
         stage = {
           name: stageName,
@@ -199,8 +271,7 @@ export class TestCycleEngine {
       await this._updatePipelineRun(pipelineRun);
 
       console.log(`Updated stage ${stageName} for run ${runId}: ${status}`);
-
-      await this._evaluatePipelineAlerts(pipelineRun);
+      this._emitEvent(EngineEvents.STAGE_CHANGED, { run: pipelineRun, stage: structuredClone(stage), previousStatus });
     } catch (error) {
       console.error('Failed to update pipeline stage:', error.message);
       throw error;
@@ -244,22 +315,14 @@ export class TestCycleEngine {
         pipelineRun.metrics.successRate = 100 - pipelineRun.metrics.errorRate;
       }
 
+      this._recordStageIssues(pipelineRun, this.pipelineDefinition.findSkippedStages(pipelineRun));
       await this._updatePipelineRun(pipelineRun);
 
       // Remove from active pipelines
       this.activePipelines.delete(runId);
 
-      if (this.analyticsEngine) {
-        try {
-          await this.analyticsEngine.updateAfterRun(pipelineRun);
-        } catch (analyticsError) {
-          console.error('Failed to update analytics:', analyticsError.message);
-        }
-      }
-
       console.log(`Completed pipeline run ${runId}: ${success ? 'SUCCESS' : 'FAILED'}`);
-
-      await this._evaluatePipelineAlerts(pipelineRun);
+      this._emitEvent(EngineEvents.RUN_COMPLETED, { run: pipelineRun, status: pipelineRun.status });
     } catch (error) {
       console.error('Failed to complete pipeline run:', error.message);
       throw error;
@@ -295,8 +358,7 @@ export class TestCycleEngine {
       await this._updatePipelineRun(pipelineRun);
 
       console.log(`Added error to run ${runId}: ${type} - ${message}`);
-
-      await this._evaluatePipelineAlerts(pipelineRun);
+      this._emitEvent(EngineEvents.ERROR_ADDED, { run: pipelineRun, error: errorRecord });
     } catch (error) {
       console.error('Failed to add error:', error.message);
       throw error;
@@ -312,6 +374,80 @@ export class TestCycleEngine {
     return await this._getPipelineRun(runId);
   }
 
+  /**
+   * Fire a synthetic test cycle and complete its run with the verdict
+   * @param {import('./synthetic-test-cycle.js').SyntheticTestConfig} [options] - Overrides for config.syntheticTests
+   * @param {Object} [dependencies] - Stand-ins for the HTTP client, GitHub monitor and content validator
+   * @returns {Promise<{runId: string, correlationId: string, verdict: import('./synthetic-test-cycle.js').SyntheticTestVerdict}>}
+   */
+  async runSyntheticTestCycle(options = {}, dependencies = {}) {
+    try {
+      const testCycle = new SyntheticTestCycle(this, { ...this.config.syntheticTests, ...options }, dependencies);
+      const { runId, correlationId, verdict, metrics } = await testCycle.run();
+
+      // The run may already have been closed by a timeout
+      const pipelineRun = this.activePipelines.get(runId);
+      if (pipelineRun) {
+        pipelineRun.verdict = verdict;
+        await this.completePipelineRun(runId, verdict.passed, metrics);
+      }
+
+      return { runId, correlationId, verdict };
+    } catch (error) {
+      console.error('Failed to run synthetic test cycle:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the pipeline run for a correlation ID, preferring runs still in progress
+   * @param {string} correlationId - Correlation ID generated at webhook intake
+   * @returns {Promise<import('../types/index.js').PipelineRun|null>}
+   */
+  async findRunByCorrelationId(correlationId) {
+    for (const pipelineRun of this.activePipelines.values()) {
+      if (pipelineRun.correlationId === correlationId) {
+        return pipelineRun;
+      }
+    }
+
+    const { runs } = await this.dataStore.searchPipelineRuns({ correlationId, limit: 1 });
+    return runs[0] || null;
+  }
+
+  /**
+   * Find the pipeline run a GitHub Actions workflow run started
+   * @param {string|number} workflowRunId - GitHub workflow run ID
+   * @returns {Promise<import('../types/index.js').PipelineRun|null>}
+   */
+  async findRunByWorkflowRunId(workflowRunId) {
+    for (const pipelineRun of this.activePipelines.values()) {
+      if (String(pipelineRun.trigger?.metadata?.workflowRunId) === String(workflowRunId)) {
+        return pipelineRun;
+      }
+    }
+
+    const { runs } = await this.dataStore.searchPipelineRuns({ workflowRunId, limit: 1 });
+    return runs[0] || null;
+  }
+
+  /**
+   * Find the git-triggered pipeline run for a commit
+   * Git polling and GitHub Actions push runs both report pushes, so each checks the other
+   * @param {string} commitSha - Full commit SHA
+   * @returns {Promise<import('../types/index.js').PipelineRun|null>}
+   */
+  async findRunByCommit(commitSha) {
+    for (const pipelineRun of this.activePipelines.values()) {
+      if (pipelineRun.trigger?.type === 'git' && getRunCommitSha(pipelineRun) === commitSha) {
+        return pipelineRun;
+      }
+    }
+
+    const { runs } = await this.dataStore.searchPipelineRuns({ commitSha, triggerType: 'git', limit: 1 });
+    return runs[0] || null;
+  }
+
   /**
    * Get all active pipeline runs
    * @returns {Promise<import('../types/index.js').PipelineRun[]>}
@@ -338,9 +474,18 @@ export class TestCycleEngine {
   async recordMetrics(runId, metrics) {
     const result = await this.dataStore.saveMetrics(runId, metrics);
     this.lastPipelineActivity = new Date().toISOString();
+    this._emitEvent(EngineEvents.METRICS_RECORDED, { runId, metrics: result });
     return result;
   }
 
+  /**
+   * Announce an analytics snapshot written after a run completed
+   * @param {Object} snapshot - Analytics snapshot
+   */
+  recordAnalyticsSnapshot(snapshot) {
+    this._emitEvent(EngineEvents.ANALYTICS_UPDATED, { snapshot });
+  }
+
   /**
    * Record an alert generated by monitoring components
    * @param {Object} alert - Alert payload
@@ -358,6 +503,7 @@ export class TestCycleEngine {
       this.alertHistory.splice(0, this.alertHistory.length - maxHistory);
     }
 
+    this._emitEvent(EngineEvents.ALERT_RAISED, { alert: normalizedAlert });
     return normalizedAlert;
   }
 
@@ -385,9 +531,387 @@ export class TestCycleEngine {
       existing.id === alertId ? resolvedAlert : existing
     );
 
+    this._emitEvent(EngineEvents.ALERT_RESOLVED, { alert: resolvedAlert });
+    if (this.alertManager?.activeAlerts.has(alertId)) {
+      this._forwardToAlertManager('resolveAlert', alertId, resolvedBy);
+    }
     return resolvedAlert;
   }
 
+  /**
+   * Acknowledge an active alert
+   * @param {string} alertId - Alert identifier
+   * @param {string} [acknowledgedBy='system'] - Who acknowledged it
+   * @returns {Object|null} Acknowledged alert
+   */
+  acknowledgeAlert(alertId, acknowledgedBy = 'system') {
+    const alert = this.activeAlerts.get(alertId);
+    if (!alert || alert.acknowledged) {
+      return alert || null;
+    }
+
+    const acknowledgedAlert = this._updateActiveAlert(alertId, {
+      acknowledged: true,
+      acknowledgedBy,
+      acknowledgedAt: new Date().toISOString()
+    }, 'acknowledged');
+
+    const managed = this.alertManager?.activeAlerts.get(alertId);
+    if (managed && !managed.acknowledged) {
+      this._forwardToAlertManager('acknowledgeAlert', alertId, acknowledgedBy);
+    }
+    return acknowledgedAlert;
+  }
+
+  /**
+   * Mute an active alert for a while; notifications resume if it is still active afterwards
+   * @param {string} alertId - Alert identifier
+   * @param {Object} options
+   * @param {string} [options.until] - ISO end of the snooze
+   * @param {number|string} [options.duration] - Snooze length in ms or as '30m', '2h', '1d'
+   * @param {string} [options.snoozedBy='system'] - Who snoozed it
+   * @returns {Object|null} Snoozed alert
+   */
+  snoozeAlert(alertId, { until, duration, snoozedBy = 'system' } = {}) {
+    const snoozedUntil = TestCycleEngine._resolveWindowEnd({ until, duration });
+    const alert = this.activeAlerts.get(alertId);
+    if (!alert || alert.snoozedUntil === snoozedUntil) {
+      return alert || null;
+    }
+
+    const snoozedAlert = this._updateActiveAlert(alertId, { snoozedUntil, snoozedBy }, 'snoozed');
+
+    const managed = this.alertManager?.activeAlerts.get(alertId);
+    if (managed && managed.snoozedUntil !== snoozedUntil) {
+      this._forwardToAlertManager('snoozeAlert', alertId, snoozedUntil, snoozedBy);
+    }
+    return snoozedAlert;
+  }
+
+  /**
+   * End the snooze of an alert
+   * @param {string} alertId - Alert identifier
+   * @returns {Object|null} The alert, or null when it was not snoozed
+   */
+  expireAlertSnooze(alertId) {
+    const alert = this.activeAlerts.get(alertId);
+    if (!alert?.snoozedUntil) {
+      return null;
+    }
+
+    return this._updateActiveAlert(alertId, { snoozedUntil: null, snoozedBy: null }, 'snooze_expired');
+  }
+
+  /**
+   * End snoozes that have run out
+   * @param {number} [now=Date.now()] - Reference time in ms
+   * @returns {Promise<string[]>} IDs of the alerts woken up
+   */
+  async expireAlertSnoozes(now = Date.now()) {
+    if (this.alertManager) {
+      await this.alertManager.expireSnoozes(now);
+    }
+
+    const expired = Array.from(this.activeAlerts.values())
+      .filter(alert => alert.snoozedUntil && new Date(alert.snoozedUntil).getTime() <= now);
+    for (const alert of expired) {
+      this.expireAlertSnooze(alert.id);
+    }
+    return expired.map(alert => alert.id);
+  }
+
+  /**
+   * Record that the AlertManager escalated an alert
+   * @param {string} alertId - Alert identifier
+   * @param {{escalationLevel: number, escalationPolicy: string, escalatedAt: string}} escalation
+   * @returns {Object|null} The escalated alert
+   */
+  recordAlertEscalation(alertId, { escalationLevel, escalationPolicy, escalatedAt }) {
+    const alert = this.activeAlerts.get(alertId);
+    if (!alert || alert.escalationLevel >= escalationLevel) {
+      return alert || null;
+    }
+
+    return this._updateActiveAlert(alertId, { escalationLevel, escalationPolicy, escalatedAt }, 'escalated');
+  }
+
+  /**
+   * Record that the AlertManager found an alert's condition started or stopped flapping
+   * @param {string} alertId - Alert identifier
+   * @param {{flapping: boolean, flappingSince: string|null}} state
+   * @returns {Object|null} The updated alert
+   */
+  recordAlertFlapping(alertId, { flapping, flappingSince }) {
+    const alert = this.activeAlerts.get(alertId);
+    if (!alert || alert.flapping === Boolean(flapping)) {
+      return alert || null;
+    }
+
+    return this._updateActiveAlert(
+      alertId,
+      { flapping: Boolean(flapping), flappingSince: flappingSince || null },
+      flapping ? 'flapping' : 'flapping_stopped'
+    );
+  }
+
+  /**
+   * Escalate unacknowledged alerts whose escalation step is due
+   * @param {number} [now=Date.now()] - Reference time in ms
+   * @returns {Promise<string[]>} IDs of the alerts escalated
+   */
+  async escalateAlerts(now = Date.now()) {
+    if (!this.alertManager) {
+      return [];
+    }
+
+    const escalated = await this.alertManager.checkEscalations(now);
+    return escalated.map(alert => alert.id);
+  }
+
+  /**
+   * Email the daily summary through the attached AlertManager once its local send time has passed
+   * @param {number} [now=Date.now()] - Reference time in ms
+   * @returns {Promise<Object|null>} The summary sent, or null when none was due
+   */
+  async sendDailySummary(now = Date.now()) {
+    if (!this.alertManager?.isDailySummaryDue(now)) {
+      return null;
+    }
+
+    try {
+      const analytics = await this.analyticsEngine.generateSummary({ until: now });
+      return await this.alertManager.sendDailySummary(analytics, { now });
+    } catch (error) {
+      console.error('Failed to send daily summary:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Outbound webhook deliveries of the attached AlertManager, newest first
+   * @param {{status?: string, limit?: number}} [options] - `status` is pending, retrying, delivered or failed
+   * @returns {Object[]}
+   */
+  getWebhookDeliveries(options = {}) {
+    return this.alertManager ? this.alertManager.getWebhookDeliveries(options) : [];
+  }
+
+  /**
+   * Webhook notifications the attached AlertManager gave up on, newest first
+   * @param {number} [limit=50]
+   * @returns {Promise<Object[]>}
+   */
+  async getWebhookDeadLetters(limit = 50) {
+    return this.alertManager ? this.alertManager.getWebhookDeadLetters(limit) : [];
+  }
+
+  /**
+   * Let the dashboard report the quota of the GitHub API client the monitors share
+   * @param {import('../utils/github-api-client.js').GitHubApiClient|null} githubClient
+   */
+  setGitHubClient(githubClient) {
+    this.githubClient = githubClient || null;
+  }
+
+  /**
+   * GitHub API quota usage of the attached client
+   * @returns {Object|null} Null when no client is attached, e.g. in a dashboard-only process
+   */
+  getGitHubQuota() {
+    return this.githubClient ? this.githubClient.getQuota() : null;
+  }
+
+  /**
+   * Apply alert settings edited on the dashboard to the attached AlertManager
+   * @param {Object} changes - Partial AlertConfig configuration
+   * @returns {Promise<boolean>} False when no AlertManager is attached
+   */
+  async applyAlertConfig(changes) {
+    if (!this.alertManager) {
+      return false;
+    }
+    await this.alertManager.applyAlertConfig(changes);
+    return true;
+  }
+
+  /**
+   * Active silences of the attached AlertManager
+   * @returns {Object[]}
+   */
+  getAlertSilences() {
+    return this.alertManager ? this.alertManager.getSilences() : [];
+  }
+
+  /**
+   * Stop new alerts matching a type, severity and/or signature from notifying for a while
+   * @param {{type?: string, severity?: string, signature?: string}} matcher
+   * @param {Object} options
+   * @param {string} [options.until] - ISO end of the silence
+   * @param {number|string} [options.duration] - Silence length in ms or as '30m', '2h', '1d'
+   * @param {string} [options.createdBy='system'] - Who created it
+   * @param {string} [options.reason] - Why
+   * @returns {Promise<Object>} The silence
+   */
+  async silenceAlerts(matcher, { until, duration, createdBy = 'system', reason } = {}) {
+    if (!this.alertManager) {
+      throw new Error('Silencing alerts requires an AlertManager');
+    }
+
+    const endsAt = TestCycleEngine._resolveWindowEnd({ until, duration });
+    return this.alertManager.addSilence(matcher, { until: endsAt, createdBy, reason });
+  }
+
+  /**
+   * Lift a silence
+   * @param {string} silenceId - Silence identifier
+   * @param {string} [removedBy='system'] - Who lifted it
+   * @returns {Promise<Object|null>} The removed silence
+   */
+  async removeAlertSilence(silenceId, removedBy = 'system') {
+    return this.alertManager ? this.alertManager.removeSilence(silenceId, removedBy) : null;
+  }
+
+  /**
+   * Announce a silence created or removed by the AlertManager
+   * @param {Object} silence
+   * @param {'created'|'removed'} action
+   */
+  recordSilenceChange(silence, action) {
+    this._emitEvent(EngineEvents.SILENCE_CHANGED, { silence, action });
+  }
+
+  /**
+   * Maintenance windows that are active or scheduled, earliest first
+   * @returns {import('./maintenance-windows.js').MaintenanceWindow[]}
+   */
+  getMaintenanceWindows() {
+    return this.maintenance.list();
+  }
+
+  /**
+   * The maintenance window in effect, if any
+   * @param {number} [now=Date.now()]
+   * @returns {import('./maintenance-windows.js').MaintenanceWindow|null}
+   */
+  getActiveMaintenanceWindow(now = Date.now()) {
+    return this.maintenance.findWindow(now);
+  }
+
+  /**
+   * Schedule a maintenance window, or start one now when startsAt is left out. Runs that start
+   * during the window are tagged with it and their alerts only reach the dashboard
+   * @param {Object} options
+   * @param {string} [options.startsAt] - ISO start of the window
+   * @param {string} [options.until] - ISO end of the window
+   * @param {number|string} [options.duration] - Window length in ms or as '30m', '2h', '1d'
+   * @param {string} [options.reason] - What is being worked on
+   * @param {string} [options.createdBy='system'] - Who scheduled it
+   * @returns {Promise<import('./maintenance-windows.js').MaintenanceWindow>}
+   */
+  async scheduleMaintenance({ startsAt, until, duration, reason, createdBy = 'system' } = {}) {
+    const start = startsAt ? Date.parse(startsAt) : Date.now();
+    if (Number.isNaN(start)) {
+      throw new Error('startsAt must be an ISO date');
+    }
+
+    const window = await this.maintenance.add({
+      startsAt: start,
+      endsAt: TestCycleEngine._resolveWindowEnd({ until, duration }, start),
+      reason,
+      createdBy
+    });
+    this._emitEvent(EngineEvents.MAINTENANCE_CHANGED, { window, action: 'scheduled' });
+    return window;
+  }
+
+  /**
+   * End a maintenance window now, or cancel it if it has not started
+   * @param {string} windowId - Window identifier
+   * @param {string} [endedBy='system'] - Who ended it
+   * @returns {Promise<import('./maintenance-windows.js').MaintenanceWindow|null>} The window, or
+   *   null if it is unknown or already over
+   */
+  async endMaintenance(windowId, endedBy = 'system') {
+    const window = await this.maintenance.end(windowId, endedBy);
+    if (window) {
+      this._emitEvent(EngineEvents.MAINTENANCE_CHANGED, { window, action: 'ended' });
+    }
+    return window;
+  }
+
+  /**
+   * Remove alerts from the in-memory alert history
+   * @param {string[]} alertIds - Alert identifiers
+   * @returns {number} Number of alerts removed
+   */
+  pruneAlertHistory(alertIds = []) {
+    return removeAlertsFromHistory(this, alertIds);
+  }
+
+  /**
+   * Time out active runs that exceeded monitoring.timeout, or whose running stage
+   * exceeded its limit in monitoring.stageTimeouts
+   * @param {number} [now=Date.now()] - Reference time in ms
+   * @returns {Promise<string[]>} IDs of the runs that were timed out
+   */
+  async checkTimeouts(now = Date.now()) {
+    const timeout = this.config.monitoring?.timeout || 300000; // 5 minutes
+    const timedOut = [];
+
+    for (const pipelineRun of Array.from(this.activePipelines.values())) {
+      const runningStages = pipelineRun.stages.filter(stage => stage.status === 'running');
+      const elapsed = now - new Date(pipelineRun.startTime).getTime();
+      let details = null;
+
+      if (elapsed > timeout) {
+        details = {
+          scope: 'pipeline',
+          stage: runningStages[0]?.name || 'system',
+          timeout,
+          elapsed
+        };
+      } else {
+        for (const stage of runningStages) {
+          const stageTimeout = this._getStageTimeout(stage.name);
+          const stageElapsed = stage.startTime ? now - new Date(stage.startTime).getTime() : 0;
+          if (stageTimeout && stageElapsed > stageTimeout) {
+            details = { scope: 'stage', stage: stage.name, timeout: stageTimeout, elapsed: stageElapsed };
+            break;
+          }
+        }
+      }
+
+      if (!details) {
+        continue;
+      }
+
+      try {
+        await this._markRunTimedOut(pipelineRun, details, now);
+        timedOut.push(pipelineRun.id);
+      } catch (error) {
+        console.error(`Failed to time out pipeline run ${pipelineRun.id}:`, error.message);
+      }
+    }
+
+    return timedOut;
+  }
+
+  /**
+   * Apply the storage retention policies now
+   * @returns {Promise<Object>} Retention report
+   */
+  async runRetention() {
+    return await this.retentionManager.enforce();
+  }
+
+  /**
+   * Get retention policies and recent retention reports
+   * @returns {Promise<Object>}
+   */
+  async getRetentionStatus() {
+    return await this.retentionManager.getStatus();
+  }
+
   /**
    * Get dashboard-friendly system status snapshot
    * @returns {Promise<Object>} System status payload
@@ -405,6 +929,7 @@ export class TestCycleEngine {
       bootTimestamp: this.bootTimestamp,
       activePipelineCount: activeRuns.length,
       lastPipelineActivity: this.lastPipelineActivity,
+      maintenance: this.getActiveMaintenanceWindow(),
       metrics: {
         totalRuns: this.metricsSummary.totalRuns,
         successfulRuns: this.metricsSummary.successfulRuns,
@@ -448,6 +973,15 @@ export class TestCycleEngine {
     return runs.slice(offset, offset + limit);
   }
 
+  /**
+   * Search pipeline runs with filters and cursor pagination
+   * @param {Object} [params] - Search parameters, see normalizeRunQuery
+   * @returns {Promise<{runs: import('../types/index.js').PipelineRun[], nextCursor: string|null, hasMore: boolean}>}
+   */
+  async searchPipelineRuns(params = {}) {
+    return await this.dataStore.searchPipelineRuns(params);
+  }
+
   /**
    * Aggregate performance metrics for dashboard consumption
    * @param {string} [timeRange='24h'] - Time window (e.g., 24h, 7d)
@@ -562,9 +1096,11 @@ export class TestCycleEngine {
 
       const webhookRecords = await this.dataStore.getWebhookRecords(runId);
       const metrics = await this.dataStore.getMetrics(runId);
+      const stageAnalysis = this.pipelineDefinition.analyze(pipelineRun);
 
       return {
         runId,
+        correlationId: pipelineRun.correlationId || null,
         summary: {
           status: pipelineRun.status,
           success: pipelineRun.success,
@@ -580,6 +1116,9 @@ export class TestCycleEngine {
           duration: stage.duration,
           errors: stage.errors
         })),
+        stageTiming: stageAnalysis.stages,
+        criticalPath: stageAnalysis.criticalPath,
+        stageIssues: pipelineRun.stageIssues || [],
         errors: pipelineRun.errors,
         webhooks: webhookRecords.length,
         metrics: pipelineRun.metrics,
@@ -618,6 +1157,124 @@ export class TestCycleEngine {
     }
   }
 
+  _recordStageIssues(pipelineRun, issues) {
+    const existing = pipelineRun.stageIssues || [];
+    const fresh = issues.filter(issue =>
+      !existing.some(known => known.type === issue.type && known.stage === issue.stage)
+    );
+    if (fresh.length === 0) {
+      return;
+    }
+
+    pipelineRun.stageIssues = [...existing, ...fresh];
+    for (const issue of fresh) {
+      const detail = issue.type === 'out_of_order' ? ` (after ${issue.after.join(', ')})` : '';
+      console.warn(`Pipeline run ${pipelineRun.id}: stage ${issue.stage} ${issue.type.replace(/_/g, ' ')}${detail}`);
+    }
+  }
+
+  _getStageTimeout(stageName) {
+    const stageTimeouts = this.config.monitoring?.stageTimeouts || {};
+    const value = stageTimeouts[stageName] ?? stageTimeouts.default;
+    return typeof value === 'number' && value > 0 ? value : null;
+  }
+
+  async _markRunTimedOut(pipelineRun, details, now = Date.now()) {
+    const endTime = new Date(now).toISOString();
+    const message = details.scope === 'stage'
+      ? `Stage ${details.stage} exceeded its timeout of ${details.timeout}ms`
+      : `Pipeline run exceeded maximum duration of ${details.timeout}ms`;
+
+    // Fail every stage still in flight; they will not report back once the run is closed
+    for (const stage of pipelineRun.stages) {
+      if (stage.status === 'running') {
+        stage.status = 'failed';
+        stage.endTime = endTime;
+        if (stage.startTime) {
+          stage.duration = now - new Date(stage.startTime).getTime();
+        }
+        if (stage.name === details.stage) {
+          stage.errors.push(message);
+        }
+      }
+    }
+
+    pipelineRun.status = 'timeout';
+    pipelineRun.success = false;
+    pipelineRun.endTime = endTime;
+    pipelineRun.duration = now - new Date(pipelineRun.startTime).getTime();
+    pipelineRun.metrics = {
+      ...pipelineRun.metrics,
+      totalPipelineTime: pipelineRun.duration,
+      errorRate: 100,
+      successRate: 0
+    };
+    pipelineRun.errors.push({
+      id: IdGenerator.generateErrorId(),
+      stage: details.stage,
+      type: 'timeout',
+      message,
+      timestamp: endTime,
+      context: { scope: details.scope, timeout: details.timeout, elapsed: details.elapsed }
+    });
+
+    this._recordStageIssues(pipelineRun, this.pipelineDefinition.findSkippedStages(pipelineRun));
+    await this._updatePipelineRun(pipelineRun);
+    this.activePipelines.delete(pipelineRun.id);
+    this._emitEvent(EngineEvents.RUN_COMPLETED, { run: pipelineRun, status: pipelineRun.status });
+
+    this.recordAlert({
+      type: 'pipeline_timeout',
+      severity: 'high',
+      message: `Pipeline run ${pipelineRun.id} timed out: ${message}`,
+      timestamp: endTime,
+      context: {
+        runId: pipelineRun.id,
+        stage: details.stage,
+        scope: details.scope,
+        timeout: details.timeout,
+        elapsed: details.elapsed
+      },
+      source: 'test-cycle-engine'
+    });
+
+    console.log(`Pipeline run ${pipelineRun.id} timed out (${details.scope}: ${details.stage}) after ${details.elapsed}ms`);
+  }
+
+  async _reconcileActivePipelines() {
+    try {
+      // Runs still marked running in storage were in flight when the engine last stopped
+      const runningRuns = await this.dataStore.getPipelineRuns({ status: 'running' });
+      for (const pipelineRun of runningRuns) {
+        if (!this.activePipelines.has(pipelineRun.id)) {
+          this.activePipelines.set(pipelineRun.id, pipelineRun);
+        }
+      }
+
+      if (runningRuns.length > 0) {
+        console.log(`Restored ${runningRuns.length} running pipeline run(s) from storage`);
+        await this.checkTimeouts();
+      }
+    } catch (error) {
+      console.error('Failed to reconcile active pipelines:', error.message);
+    }
+  }
+
+  _emitEvent(event, payload) {
+    // Listeners get a snapshot so later mutations of the live run do not leak into queued handlers
+    const eventPayload = {
+      ...payload,
+      ...(payload.run ? { run: structuredClone(payload.run) } : {}),
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      this.emit(event, eventPayload);
+    } catch (error) {
+      console.error(`Listener for ${event} failed:`, error.message);
+    }
+  }
+
   _normalizeAlert(alert) {
     const normalized = {
       id: alert.id || IdGenerator.generateUuid(),
@@ -627,12 +1284,62 @@ export class TestCycleEngine {
       status: alert.status || 'active',
       timestamp: alert.timestamp || new Date().toISOString(),
       context: alert.context || {},
-      source: alert.source || 'monitoring-system'
+      source: alert.source || 'monitoring-system',
+      signature: alert.signature || null,
+      acknowledged: Boolean(alert.acknowledged),
+      acknowledgedBy: alert.acknowledgedBy || null,
+      acknowledgedAt: alert.acknowledgedAt || null,
+      snoozedUntil: alert.snoozedUntil || null,
+      snoozedBy: alert.snoozedBy || null,
+      escalationLevel: alert.escalationLevel || 0,
+      escalationPolicy: alert.escalationPolicy || null,
+      escalatedAt: alert.escalatedAt || null,
+      flapping: Boolean(alert.flapping),
+      flappingSince: alert.flappingSince || null,
+      maintenance: alert.maintenance || null
     };
 
     return normalized;
   }
 
+  _updateActiveAlert(alertId, changes, action) {
+    const updatedAlert = { ...this.activeAlerts.get(alertId), ...changes };
+
+    this.activeAlerts.set(alertId, updatedAlert);
+    this.alertHistory = this.alertHistory.map(existing =>
+      existing.id === alertId ? updatedAlert : existing
+    );
+
+    this._emitEvent(EngineEvents.ALERT_UPDATED, { alert: updatedAlert, action });
+    return updatedAlert;
+  }
+
+  _forwardToAlertManager(method, ...args) {
+    // The AlertManager persists and notifies; its events mirror back here as no-ops
+    Promise.resolve(this.alertManager[method](...args)).catch(error => {
+      console.error(`Failed to forward ${method} to the AlertManager:`, error.message);
+    });
+  }
+
+  static _resolveWindowEnd({ until, duration } = {}, from = Date.now()) {
+    if (until) {
+      const time = Date.parse(until);
+      if (Number.isNaN(time)) {
+        throw new Error('until must be an ISO date');
+      }
+      if (time <= Math.max(from, Date.now())) {
+        throw new Error(from > Date.now() ? 'until must be after the start' : 'until must be in the future');
+      }
+      return new Date(time).toISOString();
+    }
+
+    const ms = typeof duration === 'number' ? duration : TestCycleEngine._parseTimeRangeToMs(duration);
+    if (!Number.isFinite(ms) || ms <= 0) {
+      throw new Error('Give either until or a positive duration such as 30m, 2h or 1d');
+    }
+    return new Date(from + ms).toISOString();
+  }
+
   _updateMetricsSummary(success, duration) {
     const totalRuns = this.metricsSummary.totalRuns + 1;
     const successfulRuns = this.metricsSummary.successfulRuns + (success ? 1 : 0);
@@ -716,29 +1423,33 @@ export class TestCycleEngine {
 
   async _performPeriodicTasks() {
     try {
-      // Check for stale pipeline runs (running for too long)
-      const timeout = this.config.monitoring?.timeout || 300000; // 5 minutes
       const now = Date.now();
 
-      for (const [runId, pipelineRun] of this.activePipelines) {
-        const startTime = new Date(pipelineRun.startTime).getTime();
-        if (now - startTime > timeout) {
-          console.log(`Pipeline run ${runId} timed out after ${timeout}ms`);
-          await this.completePipelineRun(runId, false, { 
-            errorRate: 100,
-            successRate: 0 
-          });
-          await this.addError(runId, 'system', 'timeout', 'Pipeline run exceeded maximum duration');
-        }
+      // Time out runs and stages that have been running for too long
+      await this.checkTimeouts(now);
+
+      // Notify again about alerts whose snooze ran out
+      await this.expireAlertSnoozes(now);
+
+      // Escalate alerts nobody acknowledged and deliver notifications held over quiet hours
+      await this.escalateAlerts(now);
+
+      // Email the last day's runs and alerts once a day
+      await this.sendDailySummary(now);
+
+      // Compact the storage journal into snapshots
+      const compactionInterval = this.config.storage?.compactionInterval || 300000; // 5 minutes
+      if (now - (this._lastCompaction || 0) > compactionInterval) {
+        await this.dataStore.compact();
+        this._lastCompaction = now;
       }
 
-      // Perform data cleanup if configured
+      // Enforce retention policies if configured
       const cleanupInterval = this.config.storage?.cleanupInterval || 86400000; // 24 hours
       const lastCleanup = this.config._lastCleanup || 0;
       
       if (now - lastCleanup > cleanupInterval) {
-        const maxRecords = this.config.storage?.maxRecords || 1000;
-        await this.dataStore.cleanup(maxRecords);
+        await this.runRetention();
         this.config._lastCleanup = now;
         await this.dataStore.saveConfig(this.config);
       }
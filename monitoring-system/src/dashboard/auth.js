@@ -0,0 +1,458 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+import { writeJsonFileAtomic } from '../storage/file-utils.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Dashboard authentication
+ * Users live in a local JSON file with scrypt-hashed passwords and hashed API
+ * tokens. People log in for a session cookie; scripts send an API token as a
+ * bearer token or in the API key header. Each user has one role, and each role
+ * can do everything the roles below it can.
+ */
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+const DEFAULT_SESSION_TTL = 12 * 60 * 60 * 1000;
+const DEFAULT_COOKIE_NAME = 'monitoring_session';
+const DEFAULT_API_KEY_HEADER = 'x-monitoring-key';
+const TOKEN_PREFIX = 'mtk_';
+const MAX_FAILED_LOGINS = 10;
+const FAILED_LOGIN_WINDOW = 15 * 60 * 1000;
+
+/**
+ * @typedef {Object} AuthenticatedUser
+ * @property {string} username
+ * @property {'viewer'|'operator'|'admin'} role
+ * @property {'session'|'token'} method - How the request authenticated
+ * @property {string} [tokenId] - API token used, for token requests
+ */
+
+/**
+ * Hash a password for the users file
+ * @param {string} password
+ * @returns {Promise<string>} `scrypt$<salt>$<hash>`, both base64
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a hash made by hashPassword
+ * @param {string} password
+ * @param {string} passwordHash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, expected] = (passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected || typeof password !== 'string') {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(expected, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expectedBuffer.length);
+  return crypto.timingSafeEqual(actual, expectedBuffer);
+}
+
+/**
+ * Whether a role includes the permissions of another
+ * @param {string} role - Role the user has
+ * @param {string} required - Role the action needs
+ * @returns {boolean}
+ */
+export function hasRole(role, required) {
+  const rank = ROLES.indexOf(role);
+  return rank !== -1 && rank >= ROLES.indexOf(required);
+}
+
+let dummyPasswordHash = null;
+
+/**
+ * Hash of a random password, checked when a login names no user with a password so that
+ * the answer takes as long as it does for a real account
+ * @returns {Promise<string>}
+ */
+function getDummyPasswordHash() {
+  dummyPasswordHash ||= hashPassword(crypto.randomBytes(16).toString('base64'));
+  return dummyPasswordHash;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export class DashboardAuth {
+  /**
+   * @param {Object} [config] - The dashboard `auth` config
+   * @param {boolean} [config.enabled=false] - Enforce authentication
+   * @param {string} [config.usersFile] - Path of the users file
+   * @param {number} [config.sessionTtl] - Session lifetime in ms (default 12 hours)
+   * @param {string} [config.cookieName='monitoring_session']
+   * @param {string} [config.apiKeyHeader='x-monitoring-key'] - Header scripts may send their API token in
+   * @param {boolean} [config.secureCookies=false] - Mark the session cookie Secure (set when served over HTTPS)
+   */
+  constructor(config = {}) {
+    this.enabled = config.enabled === true;
+    this.usersFile = config.usersFile || path.join(process.cwd(), 'data', 'dashboard-users.json');
+    this.sessionTtl = config.sessionTtl || DEFAULT_SESSION_TTL;
+    this.cookieName = config.cookieName || DEFAULT_COOKIE_NAME;
+    this.apiKeyHeader = (config.apiKeyHeader || DEFAULT_API_KEY_HEADER).toLowerCase();
+    this.secureCookies = config.secureCookies === true;
+
+    this.users = new Map();
+    this.tokenIndex = new Map(); // token hash -> { username, tokenId }
+    this.sessions = new Map(); // session id -> { username, expiresAt }
+    this.failedLogins = new Map(); // remote address -> timestamps
+  }
+
+  /**
+   * Load the users file; a missing file means no users yet
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.usersFile, 'utf8'));
+      this.users = new Map((data.users || []).map(user => [user.username, user]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load dashboard users: ${error.message}`);
+      }
+      this.users = new Map();
+    }
+    this._indexTokens();
+
+    if (this.enabled && this.users.size === 0) {
+      console.warn(`Dashboard authentication is enabled but ${this.usersFile} has no users; add one with scripts/manage-dashboard-users.js`);
+    }
+  }
+
+  /**
+   * Create or update a user
+   * @param {string} username
+   * @param {Object} changes
+   * @param {string} [changes.role] - One of ROLES (defaults to viewer for new users)
+   * @param {string} [changes.password] - New password
+   * @returns {Promise<Object>} The user without secrets
+   */
+  async saveUser(username, { role, password } = {}) {
+    if (!username || !/^[a-zA-Z0-9._-]{1,64}$/.test(username)) {
+      throw new Error('Username must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    const existing = this.users.get(username);
+    const user = existing || { username, role: 'viewer', passwordHash: null, tokens: [], createdAt: new Date().toISOString() };
+    if (role) {
+      user.role = role;
+    }
+    if (password) {
+      user.passwordHash = await hashPassword(password);
+      // A new password ends existing sessions
+      this._endSessions(username);
+    }
+    user.updatedAt = new Date().toISOString();
+
+    this.users.set(username, user);
+    await this._save();
+    return this.describeUser(user);
+  }
+
+  /**
+   * Remove a user along with their sessions and tokens
+   * @param {string} username
+   * @returns {Promise<boolean>} Whether the user existed
+   */
+  async deleteUser(username) {
+    if (!this.users.delete(username)) {
+      return false;
+    }
+    this._endSessions(username);
+    this._indexTokens();
+    await this._save();
+    return true;
+  }
+
+  /**
+   * List users without password hashes or token hashes
+   * @returns {Object[]}
+   */
+  listUsers() {
+    return [...this.users.values()].map(user => this.describeUser(user));
+  }
+
+  describeUser(user) {
+    return {
+      username: user.username,
+      role: user.role,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+      tokens: (user.tokens || []).map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt: lastUsedAt || null }))
+    };
+  }
+
+  /**
+   * Issue an API token for a user; the token itself is only returned here
+   * @param {string} username
+   * @param {string} [name] - What the token is for
+   * @returns {Promise<{id: string, name: string, token: string}>}
+   */
+  async createToken(username, name = 'api') {
+    const user = this.users.get(username);
+    if (!user) {
+      throw new Error(`Unknown user: ${username}`);
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const entry = {
+      id: `tok_${crypto.randomBytes(6).toString('hex')}`,
+      name: String(name).slice(0, 100),
+      hash: hashToken(token),
+      createdAt: new Date().toISOString()
+    };
+    user.tokens = [...(user.tokens || []), entry];
+    this.tokenIndex.set(entry.hash, { username, tokenId: entry.id });
+    await this._save();
+
+    return { id: entry.id, name: entry.name, token };
+  }
+
+  /**
+   * Revoke one of a user's API tokens
+   * @param {string} username
+   * @param {string} tokenId
+   * @returns {Promise<boolean>} Whether the token existed
+   */
+  async revokeToken(username, tokenId) {
+    const user = this.users.get(username);
+    const entry = user?.tokens?.find(token => token.id === tokenId);
+    if (!entry) {
+      return false;
+    }
+    user.tokens = user.tokens.filter(token => token.id !== tokenId);
+    this.tokenIndex.delete(entry.hash);
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Check a username and password and open a session
+   * @param {string} username
+   * @param {string} password
+   * @param {string} [remoteAddress] - Used to slow down password guessing
+   * @returns {Promise<{sessionId: string, expiresAt: string, user: AuthenticatedUser}|null>}
+   */
+  async login(username, password, remoteAddress = 'unknown') {
+    if (this._isLockedOut(remoteAddress)) {
+      const error = new Error('Too many failed logins, try again later');
+      error.code = 'LOGIN_LOCKED';
+      throw error;
+    }
+
+    const user = this.users.get(username);
+    const passwordHash = user?.passwordHash || await getDummyPasswordHash();
+    const valid = await verifyPassword(password, passwordHash);
+    if (!user?.passwordHash || !valid) {
+      this._recordFailedLogin(remoteAddress);
+      return null;
+    }
+    this.failedLogins.delete(remoteAddress);
+
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + this.sessionTtl;
+    this.sessions.set(sessionId, { username, expiresAt });
+
+    return {
+      sessionId,
+      expiresAt: new Date(expiresAt).toISOString(),
+      user: { username, role: user.role, method: 'session' }
+    };
+  }
+
+  /**
+   * End a session
+   * @param {string} sessionId
+   */
+  logout(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Work out who sent a request, from its session cookie, bearer token or API key header
+   * @param {import('http').IncomingMessage} req - Express request or WebSocket upgrade request
+   * @param {Object} [options]
+   * @param {boolean} [options.allowQueryToken=false] - Also accept `?token=`, for WebSocket
+   *   upgrades only: query strings end up in access logs and browser history
+   * @returns {AuthenticatedUser|null}
+   */
+  authenticate(req, { allowQueryToken = false } = {}) {
+    const sessionId = this.getSessionId(req);
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      const user = session && this.users.get(session.username);
+      if (session && session.expiresAt > Date.now() && user) {
+        return { username: user.username, role: user.role, method: 'session' };
+      }
+      this.sessions.delete(sessionId);
+    }
+
+    const token = this._getToken(req, allowQueryToken);
+    if (token) {
+      const indexed = this.tokenIndex.get(hashToken(token));
+      const user = indexed && this.users.get(indexed.username);
+      const entry = user?.tokens?.find(candidate => candidate.id === indexed.tokenId);
+      if (entry) {
+        entry.lastUsedAt = new Date().toISOString();
+        return { username: user.username, role: user.role, method: 'token', tokenId: indexed.tokenId };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Look up the current state of a user authenticated earlier, e.g. at a WebSocket upgrade
+   * @param {AuthenticatedUser} user
+   * @param {string|null} [sessionId] - Session the user authenticated with
+   * @returns {AuthenticatedUser|null} The user with their current role, or null once their
+   *   session, token or account is gone
+   */
+  revalidate(user, sessionId = null) {
+    const current = user && this.users.get(user.username);
+    if (!current) {
+      return null;
+    }
+
+    if (user.method === 'token') {
+      if (!current.tokens?.some(token => token.id === user.tokenId)) {
+        return null;
+      }
+    } else {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.username !== user.username || session.expiresAt <= Date.now()) {
+        return null;
+      }
+    }
+
+    return { ...user, role: current.role };
+  }
+
+  /**
+   * Express middleware that lets a request through only with the given role
+   * @param {string} role - Minimum role
+   * @returns {Function}
+   */
+  require(role) {
+    return (req, res, next) => {
+      if (!this.enabled) {
+        return next();
+      }
+
+      const user = this.authenticate(req);
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!hasRole(user.role, role)) {
+        return res.status(403).json({ error: `Requires ${role} role` });
+      }
+
+      req.user = user;
+      next();
+    };
+  }
+
+  /**
+   * Session id from the request's cookie header
+   * @param {import('http').IncomingMessage} req
+   * @returns {string|null}
+   */
+  getSessionId(req) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+      const [name, ...value] = part.trim().split('=');
+      if (name === this.cookieName) {
+        return decodeURIComponent(value.join('='));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Set-Cookie value for a session (or for clearing it when sessionId is null)
+   * @param {string|null} sessionId
+   * @returns {string}
+   */
+  sessionCookie(sessionId) {
+    const attributes = ['Path=/', 'HttpOnly', 'SameSite=Strict'];
+    if (this.secureCookies) {
+      attributes.push('Secure');
+    }
+    const maxAge = sessionId ? Math.floor(this.sessionTtl / 1000) : 0;
+    return [`${this.cookieName}=${sessionId ? encodeURIComponent(sessionId) : ''}`, `Max-Age=${maxAge}`, ...attributes].join('; ');
+  }
+
+  // Private methods
+
+  _getToken(req, allowQueryToken) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.toLowerCase().startsWith('bearer ')) {
+      return authorization.slice(7).trim();
+    }
+    if (req.headers[this.apiKeyHeader]) {
+      return String(req.headers[this.apiKeyHeader]);
+    }
+
+    if (!allowQueryToken) {
+      return null;
+    }
+
+    // Browsers cannot set headers on WebSocket upgrades, so scripts may pass ?token=
+    const query = (req.url || '').split('?')[1];
+    return query ? new URLSearchParams(query).get('token') : null;
+  }
+
+  _indexTokens() {
+    this.tokenIndex = new Map();
+    for (const user of this.users.values()) {
+      for (const token of user.tokens || []) {
+        this.tokenIndex.set(token.hash, { username: user.username, tokenId: token.id });
+      }
+    }
+  }
+
+  _endSessions(username) {
+    for (const [sessionId, session] of this.sessions) {
+      if (session.username === username) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+
+  _isLockedOut(remoteAddress) {
+    const cutoff = Date.now() - FAILED_LOGIN_WINDOW;
+    const attempts = (this.failedLogins.get(remoteAddress) || []).filter(time => time > cutoff);
+    if (attempts.length > 0) {
+      this.failedLogins.set(remoteAddress, attempts);
+    } else {
+      this.failedLogins.delete(remoteAddress);
+    }
+    return attempts.length >= MAX_FAILED_LOGINS;
+  }
+
+  _recordFailedLogin(remoteAddress) {
+    this.failedLogins.set(remoteAddress, [...(this.failedLogins.get(remoteAddress) || []), Date.now()]);
+  }
+
+  async _save() {
+    await fs.mkdir(path.dirname(this.usersFile), { recursive: true });
+    await writeJsonFileAtomic(this.usersFile, { users: [...this.users.values()] });
+    await fs.chmod(this.usersFile, 0o600);
+  }
+}
@@ -10,10 +10,23 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { ReportGenerator } from '../analytics/report-generator.js';
+import { normalizeRunQuery, RUN_SEARCH_PARAMS } from '../storage/pipeline-run-query.js';
+import { EngineEvents } from '../core/engine-events.js';
+import { DashboardAuth, hasRole } from './auth.js';
+import { AlertConfig, pickChanges, redactConfig } from '../alerts/alert-config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// WebSocket alert commands and the alert action each one runs
+const ALERT_COMMANDS = {
+  acknowledge_alert: 'acknowledge',
+  resolve_alert: 'resolve',
+  snooze_alert: 'snooze',
+  silence_alerts: 'silence',
+  remove_silence: 'unsilence'
+};
+
 export class DashboardServer {
   constructor(testCycleEngine, config = {}) {
     this.engine = testCycleEngine;
@@ -23,15 +36,25 @@ export class DashboardServer {
       ...config
     };
     
+    this.auth = new DashboardAuth(config.auth || {});
+
     this.app = express();
     this.server = createServer(this.app);
-    this.wss = new WebSocketServer({ server: this.server });
+    this.wss = new WebSocketServer({
+      server: this.server,
+      verifyClient: (info, done) => this.verifyWebSocketClient(info, done)
+    });
     this.clients = new Set();
     this.reportGenerator = new ReportGenerator(config.reports || {});
+    this.alertConfig = config.alertConfig || new AlertConfig(config.alertConfigPath);
+    this.alertConfigLoaded = null;
     
+    this.engineListeners = null;
+
     this.setupMiddleware();
     this.setupRoutes();
     this.setupWebSocket();
+    this.subscribeToEngine();
   }
 
   setupMiddleware() {
@@ -44,26 +67,66 @@ export class DashboardServer {
     // CORS headers for development
     this.app.use((req, res, next) => {
       res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+      res.header('Access-Control-Allow-Headers', `Origin, X-Requested-With, Content-Type, Accept, Authorization, ${this.auth.apiKeyHeader}`);
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
       next();
     });
   }
 
   setupRoutes() {
+    const viewer = this.auth.require('viewer');
+    const operator = this.auth.require('operator');
+    const admin = this.auth.require('admin');
+
     // Dashboard home page
     this.app.get('/', (req, res) => {
+      if (this.auth.enabled && !this.auth.authenticate(req)) {
+        // Come back to deep links from chat notifications after signing in
+        return res.redirect(req.originalUrl === '/' ? '/login' : `/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
       res.sendFile(path.join(__dirname, 'static', 'index.html'));
     });
+    this.app.get('/login', (req, res) => {
+      res.sendFile(path.join(__dirname, 'static', 'login.html'));
+    });
+
+    // Authentication
+    this.app.post('/api/auth/login', this.login.bind(this));
+    this.app.post('/api/auth/logout', this.logout.bind(this));
+    this.app.get('/api/auth/me', viewer, this.getCurrentUser.bind(this));
+    this.app.post('/api/auth/tokens', viewer, this.createApiToken.bind(this));
+    this.app.delete('/api/auth/tokens/:tokenId', viewer, this.revokeApiToken.bind(this));
+    this.app.get('/api/auth/users', admin, this.listUsers.bind(this));
+    this.app.put('/api/auth/users/:username', admin, this.saveUser.bind(this));
+    this.app.delete('/api/auth/users/:username', admin, this.deleteUser.bind(this));
 
     // API Routes
-    this.app.get('/api/status', this.getSystemStatus.bind(this));
-    this.app.get('/api/pipeline-runs', this.getPipelineRuns.bind(this));
-    this.app.get('/api/pipeline-runs/:id', this.getPipelineRun.bind(this));
-    this.app.get('/api/metrics', this.getMetrics.bind(this));
-    this.app.get('/api/alerts', this.getAlerts.bind(this));
-    this.app.get('/api/pipeline-runs/:id/export/:format', this.exportPipelineReport.bind(this));
-    this.app.get('/api/reports/export/:format', this.exportAggregatedReports.bind(this));
+    this.app.get('/api/status', viewer, this.getSystemStatus.bind(this));
+    this.app.get('/api/pipeline-runs', viewer, this.getPipelineRuns.bind(this));
+    this.app.get('/api/pipeline-runs/:id', viewer, this.getPipelineRun.bind(this));
+    this.app.get('/api/metrics', viewer, this.getMetrics.bind(this));
+    this.app.get('/api/alerts', viewer, this.getAlerts.bind(this));
+    this.app.get('/api/alerts/silences', viewer, this.getAlertSilences.bind(this));
+    this.app.post('/api/alerts/silences', operator, this.silenceAlerts.bind(this));
+    this.app.delete('/api/alerts/silences/:silenceId', operator, this.removeAlertSilence.bind(this));
+    this.app.post('/api/alerts/:id/acknowledge', operator, this.acknowledgeAlert.bind(this));
+    this.app.post('/api/alerts/:id/resolve', operator, this.resolveAlert.bind(this));
+    this.app.post('/api/alerts/:id/snooze', operator, this.snoozeAlert.bind(this));
+    this.app.get('/api/maintenance', viewer, this.getMaintenanceWindows.bind(this));
+    this.app.post('/api/maintenance', operator, this.scheduleMaintenance.bind(this));
+    this.app.delete('/api/maintenance/:windowId', operator, this.endMaintenance.bind(this));
+    this.app.get('/api/pipeline-runs/:id/export/:format', viewer, this.exportPipelineReport.bind(this));
+    this.app.get('/api/reports/export/:format', viewer, this.exportAggregatedReports.bind(this));
+    this.app.get('/api/notifications/webhook/deliveries', viewer, this.getWebhookDeliveries.bind(this));
+    this.app.get('/api/notifications/webhook/dead-letters', viewer, this.getWebhookDeadLetters.bind(this));
+    this.app.get('/api/alert-config', viewer, this.getAlertConfig.bind(this));
+    this.app.put('/api/alert-config', admin, this.updateAlertConfig.bind(this));
+    this.app.post('/api/alert-config/preview', admin, this.previewAlertConfig.bind(this));
+    this.app.get('/api/alert-config/history', viewer, this.getAlertConfigHistory.bind(this));
+    this.app.post('/api/alert-config/history/:changeId/rollback', admin, this.rollbackAlertConfig.bind(this));
+    this.app.get('/api/github/quota', viewer, this.getGitHubQuota.bind(this));
+    this.app.get('/api/retention', viewer, this.getRetentionStatus.bind(this));
+    this.app.post('/api/retention/run', operator, this.runRetention.bind(this));
     
     // Health check endpoint
     this.app.get('/health', (req, res) => {
@@ -78,6 +141,8 @@ export class DashboardServer {
   setupWebSocket() {
     this.wss.on('connection', (ws, req) => {
       console.log(`New WebSocket connection from ${req.socket.remoteAddress}`);
+      ws.user = req.user || null;
+      ws.sessionId = this.auth.getSessionId(req);
       this.clients.add(ws);
 
       // Send initial data
@@ -134,12 +199,218 @@ export class DashboardServer {
         // Respond to ping with pong
         this.sendToClient(ws, { type: 'pong', timestamp: new Date().toISOString() });
         break;
+
+      case 'acknowledge_alert':
+      case 'resolve_alert':
+      case 'snooze_alert':
+      case 'silence_alerts':
+      case 'remove_silence':
+        return this.handleAlertCommand(ws, data);
         
       default:
         console.log('Unknown message type:', data.type);
     }
   }
 
+  /**
+   * Run an alert action sent over the WebSocket and answer the sender; every dashboard
+   * learns about the change from the engine event it causes
+   */
+  async handleAlertCommand(ws, data) {
+    const action = ALERT_COMMANDS[data.type];
+    const reply = (type, payload) => this.sendToClient(ws, {
+      type,
+      data: { action, requestId: data.requestId, ...payload },
+      timestamp: new Date().toISOString()
+    });
+
+    // The role may have changed since the upgrade, so it is checked against the users file
+    if (this.auth.enabled && !this.refreshClient(ws)) {
+      return;
+    }
+    if (this.auth.enabled && !hasRole(ws.user?.role, 'operator')) {
+      return reply('error', { message: 'Operator role required' });
+    }
+
+    try {
+      const result = await this.applyAlertAction(action, data, this.getActor(ws.user));
+      if (!result) {
+        return reply('error', { message: action.endsWith('silence') ? 'Silence not found' : 'Alert not found' });
+      }
+      reply('alert_action_result', { result });
+    } catch (error) {
+      reply('error', { message: error.message });
+    }
+  }
+
+  /**
+   * Accept WebSocket upgrades only from authenticated users when auth is enabled
+   */
+  verifyWebSocketClient(info, done) {
+    if (!this.auth.enabled) {
+      return done(true);
+    }
+
+    const user = this.auth.authenticate(info.req, { allowQueryToken: true });
+    if (!user) {
+      return done(false, 401, 'Authentication required');
+    }
+
+    info.req.user = user;
+    done(true);
+  }
+
+  // Authentication Route Handlers
+  async login(req, res) {
+    if (!this.auth.enabled) {
+      return res.status(404).json({ error: 'Authentication is not enabled' });
+    }
+
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    try {
+      const session = await this.auth.login(username, password, req.socket.remoteAddress);
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      res.setHeader('Set-Cookie', this.auth.sessionCookie(session.sessionId));
+      res.json({ user: session.user, expiresAt: session.expiresAt });
+    } catch (error) {
+      if (error.code === 'LOGIN_LOCKED') {
+        return res.status(429).json({ error: error.message });
+      }
+      console.error('Error logging in:', error);
+      res.status(500).json({ error: 'Failed to log in' });
+    }
+  }
+
+  logout(req, res) {
+    const sessionId = this.auth.getSessionId(req);
+    if (sessionId) {
+      this.auth.logout(sessionId);
+      // The session's WebSocket connections end with it
+      this.clients.forEach(client => {
+        if (client.sessionId === sessionId) {
+          client.close(4001, 'Logged out');
+        }
+      });
+    }
+
+    res.setHeader('Set-Cookie', this.auth.sessionCookie(null));
+    res.json({ success: true });
+  }
+
+  /**
+   * Bring a WebSocket client's user up to date with the users file, closing the connection
+   * once its session, token or account is gone
+   * @returns {boolean} Whether the connection is still open
+   */
+  refreshClient(ws) {
+    const user = this.auth.revalidate(ws.user, ws.sessionId);
+    if (!user) {
+      ws.close(4001, 'Credentials revoked');
+      this.clients.delete(ws);
+      return false;
+    }
+    ws.user = user;
+    return true;
+  }
+
+  /**
+   * Apply a change to users or tokens to every open WebSocket connection
+   */
+  refreshClients() {
+    if (!this.auth.enabled) {
+      return;
+    }
+    [...this.clients].forEach(client => this.refreshClient(client));
+  }
+
+  getCurrentUser(req, res) {
+    if (!this.auth.enabled) {
+      return res.json({ user: null, authEnabled: false });
+    }
+    res.json({ user: req.user, authEnabled: true });
+  }
+
+  async createApiToken(req, res) {
+    if (!req.user) {
+      return res.status(404).json({ error: 'Authentication is not enabled' });
+    }
+
+    try {
+      const token = await this.auth.createToken(req.user.username, req.body?.name);
+      res.status(201).json(token);
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      res.status(500).json({ error: 'Failed to create API token' });
+    }
+  }
+
+  async revokeApiToken(req, res) {
+    if (!req.user) {
+      return res.status(404).json({ error: 'Authentication is not enabled' });
+    }
+
+    try {
+      const revoked = await this.auth.revokeToken(req.user.username, req.params.tokenId);
+      if (!revoked) {
+        return res.status(404).json({ error: 'API token not found' });
+      }
+      this.refreshClients();
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+  }
+
+  listUsers(req, res) {
+    res.json(this.auth.listUsers());
+  }
+
+  async saveUser(req, res) {
+    const { role, password } = req.body || {};
+    const { username } = req.params;
+
+    if (!this.auth.users.has(username) && !password) {
+      return res.status(400).json({ error: 'password is required for new users' });
+    }
+    if (username === req.user?.username && role && role !== 'admin') {
+      return res.status(400).json({ error: 'Admins cannot remove their own admin role' });
+    }
+
+    try {
+      const user = await this.auth.saveUser(username, { role, password });
+      this.refreshClients();
+      res.json(user);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async deleteUser(req, res) {
+    if (req.params.username === req.user?.username) {
+      return res.status(400).json({ error: 'Admins cannot delete themselves' });
+    }
+
+    try {
+      const deleted = await this.auth.deleteUser(req.params.username);
+      if (!deleted) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      this.refreshClients();
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      res.status(500).json({ error: 'Failed to delete user' });
+    }
+  }
+
   // API Route Handlers
   async getSystemStatus(req, res) {
     try {
@@ -153,13 +424,38 @@ export class DashboardServer {
 
   async getPipelineRuns(req, res) {
     try {
-      const { limit = 50, offset = 0, status } = req.query;
-      const runs = await this.engine.getPipelineRuns({
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        status
-      });
-      res.json(runs);
+      const { limit = 50, offset, status, cursor } = req.query;
+
+      // Offset pagination is kept for existing clients; everything else goes through search
+      if (offset !== undefined && cursor === undefined) {
+        const runs = await this.engine.getPipelineRuns({
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          status
+        });
+        return res.json(runs);
+      }
+
+      const params = {};
+      for (const key of RUN_SEARCH_PARAMS) {
+        if (req.query[key] !== undefined) {
+          params[key] = req.query[key];
+        }
+      }
+
+      try {
+        normalizeRunQuery(params);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const result = await this.engine.searchPipelineRuns(params);
+      if (result.nextCursor) {
+        const nextQuery = new URLSearchParams({ ...params, cursor: result.nextCursor });
+        res.set('X-Next-Cursor', result.nextCursor);
+        res.links({ next: `${req.baseUrl}${req.path}?${nextQuery.toString()}` });
+      }
+      res.json(result.runs);
     } catch (error) {
       console.error('Error getting pipeline runs:', error);
       res.status(500).json({ error: 'Failed to get pipeline runs' });
@@ -205,6 +501,257 @@ export class DashboardServer {
     }
   }
 
+  async getAlertSilences(req, res) {
+    try {
+      res.json(await this.engine.getAlertSilences());
+    } catch (error) {
+      console.error('Error getting alert silences:', error);
+      res.status(500).json({ error: 'Failed to get alert silences' });
+    }
+  }
+
+  async getWebhookDeliveries(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      res.json(await this.engine.getWebhookDeliveries({ status: req.query.status, limit }));
+    } catch (error) {
+      console.error('Error getting webhook deliveries:', error);
+      res.status(500).json({ error: 'Failed to get webhook deliveries' });
+    }
+  }
+
+  async getWebhookDeadLetters(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      res.json(await this.engine.getWebhookDeadLetters(limit));
+    } catch (error) {
+      console.error('Error getting webhook dead letters:', error);
+      res.status(500).json({ error: 'Failed to get webhook dead letters' });
+    }
+  }
+
+  loadAlertConfig() {
+    if (!this.alertConfigLoaded) {
+      this.alertConfigLoaded = this.alertConfig.loadConfig().catch(error => {
+        this.alertConfigLoaded = null;
+        throw error;
+      });
+    }
+    return this.alertConfigLoaded;
+  }
+
+  async getAlertConfig(req, res) {
+    try {
+      await this.loadAlertConfig();
+      res.json({
+        config: redactConfig(this.alertConfig.getConfig()),
+        errors: this.alertConfig.validateConfig()
+      });
+    } catch (error) {
+      console.error('Error getting alert configuration:', error);
+      res.status(500).json({ error: 'Failed to get alert configuration' });
+    }
+  }
+
+  async previewAlertConfig(req, res) {
+    try {
+      await this.loadAlertConfig();
+      const { diff, errors } = this.alertConfig.previewChanges(req.body?.changes);
+      res.json({ diff, errors });
+    } catch (error) {
+      console.error('Error previewing alert configuration:', error);
+      res.status(500).json({ error: 'Failed to preview alert configuration' });
+    }
+  }
+
+  async updateAlertConfig(req, res) {
+    try {
+      await this.loadAlertConfig();
+      const { errors } = this.alertConfig.previewChanges(req.body?.changes);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert configuration', errors });
+      }
+
+      const change = await this.alertConfig.applyChanges(req.body.changes, {
+        changedBy: this.getActor(req.user),
+        reason: req.body.reason || ''
+      });
+      res.json(await this.onAlertConfigChanged(change));
+    } catch (error) {
+      console.error('Error updating alert configuration:', error);
+      res.status(500).json({ error: 'Failed to update alert configuration' });
+    }
+  }
+
+  async getAlertConfigHistory(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+      res.json(await this.alertConfig.getHistory(limit));
+    } catch (error) {
+      console.error('Error getting alert configuration history:', error);
+      res.status(500).json({ error: 'Failed to get alert configuration history' });
+    }
+  }
+
+  async rollbackAlertConfig(req, res) {
+    try {
+      await this.loadAlertConfig();
+      const change = await this.alertConfig.rollback(req.params.changeId, { changedBy: this.getActor(req.user) });
+      if (!change) {
+        return res.status(404).json({ error: 'Configuration change not found' });
+      }
+      res.json(await this.onAlertConfigChanged(change));
+    } catch (error) {
+      console.error('Error rolling back alert configuration:', error);
+      res.status(500).json({ error: 'Failed to roll back alert configuration' });
+    }
+  }
+
+  // Apply a saved change to the running alert manager and tell other dashboards about it
+  async onAlertConfigChanged(change) {
+    const config = this.alertConfig.getConfig();
+    if (change) {
+      await this.engine.applyAlertConfig?.(pickChanges(config, change.diff));
+      this.broadcast({
+        type: 'alert_config_updated',
+        data: change,
+        timestamp: new Date().toISOString()
+      });
+    }
+    return { change, config: redactConfig(config) };
+  }
+
+  acknowledgeAlert(req, res) {
+    return this.respondToAlertAction(req, res, 'acknowledge', { alertId: req.params.id });
+  }
+
+  resolveAlert(req, res) {
+    return this.respondToAlertAction(req, res, 'resolve', { alertId: req.params.id });
+  }
+
+  snoozeAlert(req, res) {
+    return this.respondToAlertAction(req, res, 'snooze', { ...req.body, alertId: req.params.id });
+  }
+
+  silenceAlerts(req, res) {
+    return this.respondToAlertAction(req, res, 'silence', req.body || {});
+  }
+
+  removeAlertSilence(req, res) {
+    return this.respondToAlertAction(req, res, 'unsilence', { silenceId: req.params.silenceId });
+  }
+
+  async respondToAlertAction(req, res, action, params) {
+    try {
+      const result = await this.applyAlertAction(action, params, this.getActor(req.user));
+      if (!result) {
+        return res.status(404).json({ error: action.endsWith('silence') ? 'Silence not found' : 'Alert not found' });
+      }
+      res.status(action === 'silence' ? 201 : 200).json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Apply an alert action on the engine for the REST API and WebSocket commands
+   * @param {'acknowledge'|'resolve'|'snooze'|'silence'|'unsilence'} action
+   * @param {Object} params - alertId, silenceId, until/duration, type/severity/signature, reason
+   * @param {string} actor - Recorded as acknowledgedBy, resolvedBy, snoozedBy, createdBy or removedBy
+   * @returns {Promise<Object|null>} The changed alert or silence, or null when it does not exist
+   */
+  async applyAlertAction(action, params, actor) {
+    const { alertId, silenceId, until, duration, reason } = params;
+
+    switch (action) {
+      case 'acknowledge':
+        return this.engine.acknowledgeAlert(alertId, actor);
+      case 'resolve':
+        return this.engine.resolveAlert(alertId, actor);
+      case 'snooze':
+        return this.engine.snoozeAlert(alertId, { until, duration, snoozedBy: actor });
+      case 'silence': {
+        const { type, severity, signature } = params;
+        return this.engine.silenceAlerts({ type, severity, signature }, { until, duration, createdBy: actor, reason });
+      }
+      case 'unsilence':
+        return this.engine.removeAlertSilence(silenceId, actor);
+      default:
+        throw new Error(`Unknown alert action: ${action}`);
+    }
+  }
+
+  async getMaintenanceWindows(req, res) {
+    try {
+      res.json(await this.engine.getMaintenanceWindows());
+    } catch (error) {
+      console.error('Error getting maintenance windows:', error);
+      res.status(500).json({ error: 'Failed to get maintenance windows' });
+    }
+  }
+
+  async scheduleMaintenance(req, res) {
+    const { startsAt, until, duration, reason } = req.body || {};
+    try {
+      const window = await this.engine.scheduleMaintenance({
+        startsAt,
+        until,
+        duration,
+        reason,
+        createdBy: this.getActor(req.user)
+      });
+      res.status(201).json(window);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async endMaintenance(req, res) {
+    try {
+      const window = await this.engine.endMaintenance(req.params.windowId, this.getActor(req.user));
+      if (!window) {
+        return res.status(404).json({ error: 'Maintenance window not found' });
+      }
+      res.json(window);
+    } catch (error) {
+      console.error('Error ending maintenance window:', error);
+      res.status(500).json({ error: 'Failed to end maintenance window' });
+    }
+  }
+
+  getActor(user) {
+    return user?.username || 'dashboard';
+  }
+
+  getGitHubQuota(req, res) {
+    const quota = this.engine.getGitHubQuota();
+    if (!quota) {
+      return res.status(404).json({ error: 'GitHub API usage is not tracked by this process' });
+    }
+    res.json(quota);
+  }
+
+  async getRetentionStatus(req, res) {
+    try {
+      const status = await this.engine.getRetentionStatus();
+      res.json(status);
+    } catch (error) {
+      console.error('Error getting retention status:', error);
+      res.status(500).json({ error: 'Failed to get retention status' });
+    }
+  }
+
+  async runRetention(req, res) {
+    try {
+      const report = await this.engine.runRetention();
+      this.onRetentionCompleted(report);
+      res.json(report);
+    } catch (error) {
+      console.error('Error running retention:', error);
+      res.status(500).json({ error: 'Failed to run retention' });
+    }
+  }
+
   async exportPipelineReport(req, res) {
     try {
       const { id, format } = req.params;
@@ -304,6 +851,41 @@ export class DashboardServer {
     }
   }
 
+  // Push engine lifecycle events to connected clients
+  subscribeToEngine() {
+    if (typeof this.engine?.on !== 'function' || this.engineListeners) {
+      return;
+    }
+
+    this.engineListeners = {
+      [EngineEvents.RUN_CREATED]: ({ run }) => this.onPipelineRunStarted(run),
+      [EngineEvents.STAGE_CHANGED]: ({ run }) => this.onPipelineRunUpdated(run),
+      [EngineEvents.ERROR_ADDED]: ({ run }) => this.onPipelineRunUpdated(run),
+      [EngineEvents.RUN_COMPLETED]: ({ run }) => this.onPipelineRunCompleted(run),
+      [EngineEvents.METRICS_RECORDED]: ({ runId, metrics }) => this.onMetricsUpdated({ runId, ...metrics }),
+      [EngineEvents.ALERT_RAISED]: ({ alert }) => this.onAlertGenerated(alert),
+      [EngineEvents.ALERT_RESOLVED]: ({ alert }) => this.onAlertResolved(alert),
+      [EngineEvents.ALERT_UPDATED]: ({ alert, action }) => this.onAlertUpdated(alert, action),
+      [EngineEvents.SILENCE_CHANGED]: ({ silence, action }) => this.onSilenceChanged(silence, action),
+      [EngineEvents.MAINTENANCE_CHANGED]: ({ window, action }) => this.onMaintenanceChanged(window, action)
+    };
+
+    for (const [event, listener] of Object.entries(this.engineListeners)) {
+      this.engine.on(event, listener);
+    }
+  }
+
+  unsubscribeFromEngine() {
+    if (!this.engineListeners) {
+      return;
+    }
+
+    for (const [event, listener] of Object.entries(this.engineListeners)) {
+      this.engine.off(event, listener);
+    }
+    this.engineListeners = null;
+  }
+
   // Event handlers for real-time updates
   onPipelineRunStarted(run) {
     this.broadcast({
@@ -337,6 +919,46 @@ export class DashboardServer {
     });
   }
 
+  onAlertResolved(alert) {
+    this.broadcast({
+      type: 'alert_resolved',
+      data: alert,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  onAlertUpdated(alert, action) {
+    this.broadcast({
+      type: `alert_${action}`,
+      data: alert,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  onSilenceChanged(silence, action) {
+    this.broadcast({
+      type: `silence_${action}`,
+      data: silence,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  onMaintenanceChanged(window, action) {
+    this.broadcast({
+      type: `maintenance_${action}`,
+      data: window,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  onRetentionCompleted(report) {
+    this.broadcast({
+      type: 'retention_completed',
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   onMetricsUpdated(metrics) {
     this.broadcast({
       type: 'metrics_updated',
@@ -347,6 +969,8 @@ export class DashboardServer {
 
   // Server lifecycle
   async start() {
+    await this.auth.load();
+
     return new Promise((resolve, reject) => {
       this.server.listen(this.config.port, this.config.host, (error) => {
         if (error) {
@@ -360,6 +984,8 @@ export class DashboardServer {
   }
 
   async stop() {
+    this.unsubscribeFromEngine();
+
     return new Promise((resolve) => {
       // Close all WebSocket connections
       this.clients.forEach(client => {
@@ -1,6 +1,7 @@
 import { PipelineStatusVisualizer } from './js/pipeline-status-visualizer.js';
 import { WebhookFlowVisualizer } from './js/webhook-flow-visualizer.js';
 import { PerformanceMetricsChart } from './js/performance-metrics-chart.js';
+import { AlertConfigEditor } from './js/alert-config-editor.js';
 
 const selectors = {
   pipelineStatusValue: document.getElementById('pipeline-status'),
@@ -10,10 +11,18 @@ const selectors = {
   pipelineTotalValue: document.getElementById('pipeline-total'),
   runsContainer: document.getElementById('runs-container'),
   alertsContainer: document.getElementById('alerts-container'),
+  silencesContainer: document.getElementById('silences-container'),
+  maintenanceContainer: document.getElementById('maintenance-container'),
+  maintenanceForm: document.getElementById('maintenance-form'),
+  retentionContainer: document.getElementById('retention-container'),
+  githubQuotaContainer: document.getElementById('github-quota-container'),
+  alertConfigContainer: document.getElementById('alert-config-container'),
   activityContainer: document.getElementById('activity-container'),
   connectionIndicator: document.getElementById('connection-indicator'),
   connectionText: document.getElementById('connection-text'),
   refreshRunsBtn: document.getElementById('refresh-runs'),
+  currentUser: document.getElementById('current-user'),
+  logoutBtn: document.getElementById('logout-button'),
   statusFilter: document.getElementById('status-filter'),
   metricValues: {
     webhookLatency: document.getElementById('webhook-latency'),
@@ -37,9 +46,17 @@ const charts = {
 
 charts.pipelineStatus.attachTotalElement(selectors.pipelineTotalValue);
 
+// Only admins may change alert settings; without authentication everyone may
+const alertConfigEditor = new AlertConfigEditor(selectors.alertConfigContainer, {
+  fetchJson,
+  canEdit: () => !state.user || state.user.role === 'admin',
+  notify: (message, type) => renderActivity(message, type)
+});
+
 const state = {
   runs: [],
   alerts: [],
+  user: null,
   pipelineSummary: null,
   webhookSummary: null,
   performanceSnapshot: null,
@@ -48,6 +65,11 @@ const state = {
 
 async function fetchJson(url, options) {
   const response = await fetch(url, options);
+  if (response.status === 401) {
+    // Session expired or never existed
+    window.location.assign(`/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`);
+    throw new Error('Authentication required');
+  }
   if (!response.ok) {
     const message = await response.text();
     throw new Error(message || `Request failed with status ${response.status}`);
@@ -117,6 +139,7 @@ function renderPipelineRuns(runs = []) {
       <div class="run-info">
         <span class="run-id">${run.id}</span>
         <span class="run-trigger">${run.trigger?.type || 'unknown'} • ${new Date(run.startTime).toLocaleString()}</span>
+        ${run.maintenance ? '<span class="alert-badge maintenance">maintenance</span>' : ''}
       </div>
       <div class="run-meta">
         <span class="run-duration">${formatDuration(run.metrics?.totalPipelineTime || run.duration)}</span>
@@ -145,9 +168,13 @@ function renderAlerts(alerts = []) {
     const item = document.createElement('div');
     item.className = `alert-item ${alert.severity || 'info'}`;
     item.innerHTML = `
-      <div class="alert-title">${alert.title || alert.type}</div>
+      <div class="alert-title">${alert.title || alert.type}${alert.flapping ? ' <span class="alert-badge flapping">flapping</span>' : ''}${alert.maintenance ? ' <span class="alert-badge maintenance">maintenance</span>' : ''}</div>
       <div class="alert-message">${alert.message || 'No additional details provided.'}</div>
-      <div class="alert-time">${new Date(alert.timestamp || Date.now()).toLocaleString()}</div>`;
+      <div class="alert-time">${new Date(alert.timestamp || Date.now()).toLocaleString()}</div>
+      ${describeAlertState(alert)}`;
+    if (canOperate()) {
+      item.appendChild(createAlertActions(alert));
+    }
     fragment.appendChild(item);
   });
 
@@ -155,6 +182,230 @@ function renderAlerts(alerts = []) {
   selectors.alertsContainer.appendChild(fragment);
 }
 
+function describeAlertState(alert) {
+  const notes = [];
+  if (alert.flapping) {
+    notes.push(`Flapping since ${new Date(alert.flappingSince).toLocaleString()}, notifications paused`);
+  }
+  if (alert.maintenance) {
+    notes.push(`Raised during maintenance${alert.maintenance.reason ? ` (${alert.maintenance.reason})` : ''}, notifications paused`);
+  }
+  if (alert.acknowledged) {
+    notes.push(`Acknowledged by ${alert.acknowledgedBy}`);
+  }
+  if (alert.snoozedUntil) {
+    notes.push(`Snoozed by ${alert.snoozedBy} until ${new Date(alert.snoozedUntil).toLocaleString()}`);
+  }
+  if (alert.escalationLevel) {
+    notes.push(`Escalated to level ${alert.escalationLevel} at ${new Date(alert.escalatedAt).toLocaleString()}`);
+  }
+  return notes.length ? `<div class="alert-state">${notes.join(' · ')}</div>` : '';
+}
+
+// Viewers see alerts read-only; without authentication everyone may act on them
+function canOperate() {
+  return !state.user || ['operator', 'admin'].includes(state.user.role);
+}
+
+function createAlertActions(alert) {
+  const actions = document.createElement('div');
+  actions.className = 'alert-actions';
+
+  const buttons = [
+    !alert.acknowledged && ['Acknowledge', () => postAlertAction(`/api/alerts/${alert.id}/acknowledge`)],
+    ['Snooze 1h', () => postAlertAction(`/api/alerts/${alert.id}/snooze`, { duration: '1h' })],
+    ['Silence type 24h', () => postAlertAction('/api/alerts/silences', { type: alert.type, duration: '24h', reason: `Silenced from alert ${alert.id}` })],
+    ['Resolve', () => postAlertAction(`/api/alerts/${alert.id}/resolve`)]
+  ].filter(Boolean);
+
+  buttons.forEach(([label, handler]) => {
+    const button = document.createElement('button');
+    button.className = 'btn btn-small';
+    button.textContent = label;
+    button.addEventListener('click', handler);
+    actions.appendChild(button);
+  });
+  return actions;
+}
+
+// Lists refresh from the WebSocket broadcast the change causes
+async function postAlertAction(url, body) {
+  try {
+    await fetchJson(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {})
+    });
+  } catch (error) {
+    console.error('Alert action failed', error);
+    renderActivity(`Alert action failed: ${error.message}`, 'warning');
+  }
+}
+
+function renderSilences(silences = []) {
+  if (!selectors.silencesContainer) return;
+
+  if (!silences.length) {
+    selectors.silencesContainer.innerHTML = '<div class="no-alerts">No silences</div>';
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  silences.forEach((silence) => {
+    const item = document.createElement('div');
+    item.className = 'silence-item';
+    const matcher = Object.entries(silence.matcher).map(([key, value]) => `${key}=${value}`).join(', ');
+    item.innerHTML = `
+      <div>
+        <div class="alert-title">${matcher}</div>
+        <div class="alert-time">Until ${new Date(silence.endsAt).toLocaleString()} · by ${silence.createdBy} · ${silence.suppressed || 0} suppressed</div>
+      </div>`;
+    if (canOperate()) {
+      const button = document.createElement('button');
+      button.className = 'btn btn-small';
+      button.textContent = 'Remove';
+      button.addEventListener('click', async () => {
+        try {
+          await fetchJson(`/api/alerts/silences/${silence.id}`, { method: 'DELETE' });
+        } catch (error) {
+          console.error('Failed to remove silence', error);
+          renderActivity(`Failed to remove silence: ${error.message}`, 'warning');
+        }
+      });
+      item.appendChild(button);
+    }
+    fragment.appendChild(item);
+  });
+
+  selectors.silencesContainer.innerHTML = '';
+  selectors.silencesContainer.appendChild(fragment);
+}
+
+function renderMaintenance(windows = []) {
+  if (!selectors.maintenanceContainer) return;
+  if (selectors.maintenanceForm) {
+    selectors.maintenanceForm.hidden = !canOperate();
+  }
+
+  if (!windows.length) {
+    selectors.maintenanceContainer.innerHTML = '<div class="no-alerts">No maintenance scheduled</div>';
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  windows.forEach((maintenanceWindow) => {
+    const item = document.createElement('div');
+    const active = new Date(maintenanceWindow.startsAt).getTime() <= Date.now();
+    item.className = `silence-item${active ? ' maintenance-active' : ''}`;
+    item.innerHTML = `
+      <div>
+        <div class="alert-title">${maintenanceWindow.reason || 'Maintenance'}${active ? ' <span class="alert-badge maintenance">active</span>' : ''}</div>
+        <div class="alert-time">${new Date(maintenanceWindow.startsAt).toLocaleString()} – ${new Date(maintenanceWindow.endsAt).toLocaleString()} · by ${maintenanceWindow.createdBy}</div>
+      </div>`;
+    if (canOperate()) {
+      const button = document.createElement('button');
+      button.className = 'btn btn-small';
+      button.textContent = active ? 'End now' : 'Cancel';
+      button.addEventListener('click', async () => {
+        try {
+          await fetchJson(`/api/maintenance/${maintenanceWindow.id}`, { method: 'DELETE' });
+        } catch (error) {
+          console.error('Failed to end maintenance window', error);
+          renderActivity(`Failed to end maintenance window: ${error.message}`, 'warning');
+        }
+      });
+      item.appendChild(button);
+    }
+    fragment.appendChild(item);
+  });
+
+  selectors.maintenanceContainer.innerHTML = '';
+  selectors.maintenanceContainer.appendChild(fragment);
+}
+
+async function scheduleMaintenance(event) {
+  event.preventDefault();
+  const form = new FormData(selectors.maintenanceForm);
+  const startsAt = form.get('startsAt');
+  try {
+    await fetchJson('/api/maintenance', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        reason: form.get('reason'),
+        duration: form.get('duration'),
+        startsAt: startsAt ? new Date(startsAt).toISOString() : undefined
+      })
+    });
+    selectors.maintenanceForm.reset();
+  } catch (error) {
+    console.error('Failed to schedule maintenance', error);
+    renderActivity(`Failed to schedule maintenance: ${error.message}`, 'warning');
+  }
+}
+
+const RETENTION_LABELS = {
+  pipelineRuns: 'Pipeline runs',
+  webhookRecords: 'Webhook records',
+  analyticsSnapshots: 'Analytics snapshots',
+  alertHistory: 'Alert history'
+};
+
+function renderRetention(status) {
+  if (!selectors.retentionContainer) return;
+
+  const report = status?.lastReport;
+  if (!report) {
+    selectors.retentionContainer.innerHTML = '<div class="no-alerts">Retention has not run yet</div>';
+    return;
+  }
+
+  const rows = Object.entries(RETENTION_LABELS).map(([key, label]) => {
+    const policy = status.policies?.[key] || {};
+    const result = report.collections?.[key] || {};
+    const limits = [
+      policy.maxAgeDays ? `${policy.maxAgeDays} days` : null,
+      policy.maxRecords ? `${policy.maxRecords} records` : null
+    ].filter(Boolean).join(', ') || 'unlimited';
+
+    return `
+      <div class="retention-item${result.error ? ' error' : ''}">
+        <span class="retention-name">${label}</span>
+        <span class="retention-policy">${limits}</span>
+        <span class="retention-removed">${result.error ? 'failed' : `${result.removed || 0} removed`}</span>
+        <span class="retention-remaining">${result.remaining ?? '-'} kept</span>
+      </div>`;
+  }).join('');
+
+  selectors.retentionContainer.innerHTML = `
+    <div class="retention-summary">Last run ${new Date(report.completedAt || report.startedAt).toLocaleString()}: ${report.totalRemoved} records archived</div>
+    ${rows}`;
+}
+
+function renderGitHubQuota(quota) {
+  if (!selectors.githubQuotaContainer) return;
+
+  if (!quota || quota.limit === null) {
+    selectors.githubQuotaContainer.innerHTML = '<div class="no-alerts">No GitHub API usage recorded yet</div>';
+    return;
+  }
+
+  const used = quota.limit - quota.remaining;
+  const blocked = quota.blockedUntil
+    ? `<div class="retention-item error"><span class="retention-name">Paused</span><span class="retention-policy">${quota.blockReason} rate limit until ${new Date(quota.blockedUntil).toLocaleTimeString()}</span></div>`
+    : '';
+
+  selectors.githubQuotaContainer.innerHTML = `
+    <div class="retention-summary">${used} of ${quota.limit} requests used (${formatPercentage((used / quota.limit) * 100)}), resets ${quota.resetAt ? new Date(quota.resetAt).toLocaleTimeString() : 'unknown'}</div>
+    ${blocked}
+    <div class="retention-item">
+      <span class="retention-name">Since start</span>
+      <span class="retention-policy">${quota.requests} requests</span>
+      <span class="retention-removed">${quota.notModified} not modified</span>
+      <span class="retention-remaining">${quota.rateLimited} rate limited</span>
+    </div>`;
+}
+
 function renderActivity(message, type = 'info', timestamp = new Date()) {
   if (!selectors.activityContainer) return;
 
@@ -255,6 +506,45 @@ async function loadAlerts() {
   }
 }
 
+async function loadSilences() {
+  try {
+    const silences = await fetchJson('/api/alerts/silences');
+    renderSilences(silences);
+  } catch (error) {
+    console.error('Failed to load silences', error);
+    renderActivity('Failed to load silences', 'warning');
+  }
+}
+
+async function loadMaintenance() {
+  try {
+    const windows = await fetchJson('/api/maintenance');
+    renderMaintenance(windows);
+  } catch (error) {
+    console.error('Failed to load maintenance windows', error);
+    renderActivity('Failed to load maintenance windows', 'warning');
+  }
+}
+
+async function loadRetention() {
+  try {
+    const status = await fetchJson('/api/retention');
+    renderRetention(status);
+  } catch (error) {
+    console.error('Failed to load retention status', error);
+    renderActivity('Failed to load retention status', 'warning');
+  }
+}
+
+async function loadGitHubQuota() {
+  try {
+    renderGitHubQuota(await fetchJson('/api/github/quota'));
+  } catch (error) {
+    // A dashboard-only process has no GitHub client to report on
+    renderGitHubQuota(null);
+  }
+}
+
 async function loadPipelineRuns() {
   try {
     const params = new URLSearchParams();
@@ -323,7 +613,7 @@ function handleWebSocketMessage(message) {
     case 'pipeline_started':
     case 'pipeline_updated':
     case 'pipeline_completed':
-      renderActivity(`Pipeline ${message.data?.run?.id || 'run'} ${message.type.replace('pipeline_', '')}`, 'info', message.timestamp);
+      renderActivity(`Pipeline ${message.data?.run?.id || message.data?.id || 'run'} ${message.type.replace('pipeline_', '')}`, 'info', message.timestamp);
       if (message.meta?.pipelineSummary) {
         state.pipelineSummary = message.meta.pipelineSummary;
         updateStatusOverview(message.meta.pipelineSummary);
@@ -348,13 +638,65 @@ function handleWebSocketMessage(message) {
         loadPerformanceSnapshot();
       }
       break;
+    case 'alert':
     case 'alert_generated':
       loadAlerts();
-      renderActivity(message.meta?.description || 'New alert generated', 'alert', message.timestamp);
+      renderActivity(message.meta?.description || message.data?.message || 'New alert generated', 'alert', message.timestamp);
+      break;
+    case 'alert_resolved':
+      loadAlerts();
+      renderActivity(
+        `${message.data?.resolvedBy === 'auto-resolve' ? 'Resolved automatically' : 'Alert resolved'}: ${message.data?.message || message.data?.type || 'alert'}`,
+        'success',
+        message.timestamp
+      );
+      break;
+    case 'alert_acknowledged':
+      loadAlerts();
+      renderActivity(`${message.data?.acknowledgedBy} acknowledged ${message.data?.type || 'alert'}`, 'info', message.timestamp);
+      break;
+    case 'alert_snoozed':
+      loadAlerts();
+      renderActivity(`${message.data?.snoozedBy} snoozed ${message.data?.type || 'alert'}`, 'info', message.timestamp);
+      break;
+    case 'alert_snooze_expired':
+      loadAlerts();
+      renderActivity(`Snooze ended: ${message.data?.message || message.data?.type || 'alert'}`, 'alert', message.timestamp);
+      break;
+    case 'alert_escalated':
+      loadAlerts();
+      renderActivity(`Escalated to level ${message.data?.escalationLevel}: ${message.data?.message || message.data?.type || 'alert'}`, 'alert', message.timestamp);
+      break;
+    case 'alert_flapping':
+      loadAlerts();
+      renderActivity(`Flapping, notifications paused: ${message.data?.message || message.data?.type || 'alert'}`, 'alert', message.timestamp);
+      break;
+    case 'alert_flapping_stopped':
+      loadAlerts();
+      renderActivity(`Stopped flapping: ${message.data?.message || message.data?.type || 'alert'}`, 'info', message.timestamp);
+      break;
+    case 'silence_created':
+    case 'silence_removed':
+      loadSilences();
+      renderActivity(`Silence ${message.type.replace('silence_', '')} by ${message.data?.removedBy || message.data?.createdBy}`, 'info', message.timestamp);
+      break;
+    case 'maintenance_scheduled':
+    case 'maintenance_ended':
+      loadMaintenance();
+      renderActivity(`Maintenance ${message.type.replace('maintenance_', '')} by ${message.data?.endedBy || message.data?.createdBy}: ${message.data?.reason || 'no reason given'}`, 'info', message.timestamp);
+      break;
+    case 'alert_config_updated':
+      alertConfigEditor.load();
+      renderActivity(`${message.data?.changedBy} changed alert settings: ${message.data?.reason || message.data?.diff?.map(entry => entry.path).join(', ')}`, 'info', message.timestamp);
+      break;
+    case 'retention_completed':
+      renderActivity(`Retention removed ${message.data?.totalRemoved ?? 0} records`, 'info', message.timestamp);
+      loadRetention();
       break;
     case 'system_status_changed':
       renderActivity('System status updated', 'info', message.timestamp);
       loadPipelineSummary();
+      loadGitHubQuota();
       break;
     default:
       break;
@@ -365,11 +707,32 @@ function setupEventListeners() {
   selectors.refreshRunsBtn?.addEventListener('click', () => {
     loadPipelineRuns();
     loadPipelineSummary();
+    loadGitHubQuota();
   });
 
   selectors.statusFilter?.addEventListener('change', () => {
     loadPipelineRuns();
   });
+
+  selectors.maintenanceForm?.addEventListener('submit', scheduleMaintenance);
+
+  selectors.logoutBtn?.addEventListener('click', async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    window.location.assign('/login');
+  });
+}
+
+async function loadCurrentUser() {
+  try {
+    const { user } = await fetchJson('/api/auth/me');
+    if (!user) return;
+    state.user = user;
+    selectors.currentUser.textContent = `${user.username} (${user.role})`;
+    selectors.currentUser.hidden = false;
+    selectors.logoutBtn.hidden = false;
+  } catch (error) {
+    console.error('Failed to load current user', error);
+  }
 }
 
 function setupModal() {
@@ -422,15 +785,45 @@ async function openRunModal(runId) {
   }
 }
 
+// Links in chat notifications open a run (?run=) or acknowledge an alert (?alert=&action=acknowledge)
+async function handleDeepLink() {
+  const params = new URLSearchParams(window.location.search);
+  const runId = params.get('run');
+  const alertId = params.get('alert');
+
+  if (runId) {
+    await openRunModal(runId);
+  }
+
+  if (alertId && params.get('action') === 'acknowledge') {
+    if (!canOperate()) {
+      renderActivity('Acknowledging alerts requires the operator role', 'warning');
+    } else if (window.confirm(`Acknowledge alert ${alertId}?`)) {
+      await postAlertAction(`/api/alerts/${encodeURIComponent(alertId)}/acknowledge`);
+    }
+  }
+
+  if (runId || alertId) {
+    window.history.replaceState(null, '', window.location.pathname);
+  }
+}
+
 (async function init() {
   setupEventListeners();
   setupModal();
+  await loadCurrentUser();
   await Promise.all([
     loadPipelineSummary(),
     loadPipelineRuns(),
     loadAlerts(),
+    loadSilences(),
+    loadMaintenance(),
+    loadRetention(),
+    loadGitHubQuota(),
+    alertConfigEditor.load(),
     loadWebhookSummary(),
     loadPerformanceSnapshot()
   ]);
   initWebSocket();
+  await handleDeepLink();
 })();
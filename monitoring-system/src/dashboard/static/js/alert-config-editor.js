@@ -0,0 +1,240 @@
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const formatValue = (value) => (value === undefined ? '—' : escapeHtml(JSON.stringify(value)));
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  let target = object;
+  keys.slice(0, -1).forEach((key) => {
+    target = target[key] = target[key] || {};
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Settings page for the alert configuration: thresholds, channels, per-type severity and
+ * cooldowns. Edits are previewed as a diff before they are saved, and saved changes can be
+ * rolled back from the history.
+ */
+export class AlertConfigEditor {
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} options
+   * @param {(url: string, options?: Object) => Promise<any>} options.fetchJson
+   * @param {() => boolean} options.canEdit - Whether the signed-in user may change settings
+   * @param {(message: string, type?: string) => void} [options.notify]
+   */
+  constructor(container, { fetchJson, canEdit, notify = () => {} }) {
+    this.container = container;
+    this.fetchJson = fetchJson;
+    this.canEdit = canEdit;
+    this.notify = notify;
+    this.config = null;
+    this.history = [];
+    this.preview = null;
+  }
+
+  async load() {
+    if (!this.container) return;
+    try {
+      const [{ config, errors }, history] = await Promise.all([
+        this.fetchJson('/api/alert-config'),
+        this.fetchJson('/api/alert-config/history')
+      ]);
+      this.config = config;
+      this.history = history;
+      this.preview = errors.length ? { diff: [], errors } : null;
+      this.render();
+    } catch (error) {
+      console.error('Failed to load alert configuration', error);
+      this.container.innerHTML = '<div class="error">Failed to load alert settings.</div>';
+    }
+  }
+
+  render() {
+    const disabled = this.canEdit() ? '' : ' disabled';
+    const { thresholds, notifications, alertRules, alertTypes } = this.config;
+
+    const thresholdRows = Object.entries(thresholds).map(([key, value]) => `
+      <label class="config-field">
+        <span>${escapeHtml(key)}</span>
+        <input type="number" step="any" min="0" data-path="thresholds.${key}" data-type="number" value="${value}"${disabled}>
+      </label>`).join('');
+
+    const channelRows = Object.entries(notifications).map(([channel, settings]) => `
+      <tr>
+        <td>${escapeHtml(channel)}</td>
+        <td><input type="checkbox" data-path="notifications.${channel}.enabled" data-type="boolean"${settings.enabled ? ' checked' : ''}${disabled}></td>
+        <td><input type="text" data-path="notifications.${channel}.severityFilter" data-type="list" value="${escapeHtml((settings.severityFilter || []).join(', '))}"${disabled}></td>
+      </tr>`).join('');
+
+    const typeRows = Object.entries(alertTypes).map(([type, settings]) => `
+      <tr>
+        <td title="${escapeHtml(settings.description)}">${escapeHtml(type)}</td>
+        <td><input type="checkbox" data-path="alertTypes.${type}.enabled" data-type="boolean"${settings.enabled ? ' checked' : ''}${disabled}></td>
+        <td>
+          <select data-path="alertTypes.${type}.severity" data-type="string"${disabled}>
+            ${SEVERITIES.map((severity) => `<option${severity === settings.severity ? ' selected' : ''}>${severity}</option>`).join('')}
+          </select>
+        </td>
+        <td><input type="number" min="0" placeholder="default" data-path="alertTypes.${type}.cooldown" data-type="optional-number" value="${settings.cooldown ?? ''}"${disabled}></td>
+      </tr>`).join('');
+
+    this.container.innerHTML = `
+      <h3>Thresholds</h3>
+      <div class="config-grid">${thresholdRows}</div>
+      <h3>Channels</h3>
+      <table class="config-table">
+        <thead><tr><th>Channel</th><th>Enabled</th><th>Severities</th></tr></thead>
+        <tbody>${channelRows}</tbody>
+      </table>
+      <h3>Alert types</h3>
+      <label class="config-field">
+        <span>Default cooldown (ms)</span>
+        <input type="number" min="0" data-path="alertRules.cooldownPeriod" data-type="number" value="${alertRules.cooldownPeriod}"${disabled}>
+      </label>
+      <table class="config-table">
+        <thead><tr><th>Type</th><th>Enabled</th><th>Severity</th><th>Cooldown (ms)</th></tr></thead>
+        <tbody>${typeRows}</tbody>
+      </table>
+      ${this.canEdit() ? `
+        <div class="config-actions">
+          <input type="text" class="config-reason" placeholder="Reason for the change">
+          <button class="btn btn-secondary" data-action="preview">Preview</button>
+          <button class="btn btn-primary" data-action="save"${this.preview?.diff.length && !this.preview.errors.length ? '' : ' disabled'}>Save</button>
+          <button class="btn btn-secondary" data-action="reset">Discard</button>
+        </div>` : ''}
+      <div class="config-preview">${this.renderPreview()}</div>
+      <h3>History</h3>
+      <div class="config-history">${this.renderHistory()}</div>`;
+
+    this.container.querySelectorAll('[data-path]').forEach((input) => {
+      input.addEventListener('change', () => this.invalidatePreview());
+    });
+    this.container.querySelector('[data-action="preview"]')?.addEventListener('click', () => this.showPreview());
+    this.container.querySelector('[data-action="save"]')?.addEventListener('click', () => this.save());
+    this.container.querySelector('[data-action="reset"]')?.addEventListener('click', () => {
+      this.preview = null;
+      this.render();
+    });
+    this.container.querySelectorAll('[data-rollback]').forEach((button) => {
+      button.addEventListener('click', () => this.rollback(button.dataset.rollback));
+    });
+  }
+
+  renderPreview() {
+    if (!this.preview) return '';
+    const errors = this.preview.errors.map((error) => `<li>${escapeHtml(error)}</li>`).join('');
+    if (!this.preview.diff.length) {
+      return errors ? `<ul class="config-errors">${errors}</ul>` : '<div class="no-alerts">No changes</div>';
+    }
+
+    const rows = this.preview.diff.map(({ path, before, after }) => `
+      <tr><td>${escapeHtml(path)}</td><td class="diff-before">${formatValue(before)}</td><td class="diff-after">${formatValue(after)}</td></tr>`).join('');
+    return `
+      ${errors ? `<ul class="config-errors">${errors}</ul>` : ''}
+      <table class="config-table config-diff">
+        <thead><tr><th>Setting</th><th>Before</th><th>After</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  }
+
+  renderHistory() {
+    if (!this.history.length) {
+      return '<div class="no-alerts">No changes recorded</div>';
+    }
+
+    return this.history.map((change) => `
+      <div class="config-history-item">
+        <div>
+          <div class="alert-title">${escapeHtml(change.reason || `${change.diff.length} settings changed`)}</div>
+          <div class="alert-time">${new Date(change.changedAt).toLocaleString()} · by ${escapeHtml(change.changedBy)} · ${change.diff.map((entry) => escapeHtml(entry.path)).join(', ')}</div>
+        </div>
+        ${this.canEdit() ? `<button class="btn btn-small" data-rollback="${escapeHtml(change.id)}">Roll back</button>` : ''}
+      </div>`).join('');
+  }
+
+  // Changes relative to the loaded configuration, in the shape PUT /api/alert-config expects
+  collectChanges() {
+    const changes = {};
+    this.container.querySelectorAll('[data-path]').forEach((input) => {
+      const { path, type } = input.dataset;
+      const current = getPath(this.config, path);
+      let value;
+      switch (type) {
+        case 'boolean':
+          value = input.checked;
+          break;
+        case 'number':
+          value = input.value === '' ? current : Number(input.value);
+          break;
+        case 'optional-number':
+          value = input.value === '' ? undefined : Number(input.value);
+          break;
+        case 'list':
+          value = input.value.split(',').map((item) => item.trim()).filter(Boolean);
+          break;
+        default:
+          value = input.value;
+      }
+      if (value !== undefined && JSON.stringify(value) !== JSON.stringify(current)) {
+        setPath(changes, path, value);
+      }
+    });
+    return changes;
+  }
+
+  invalidatePreview() {
+    this.preview = null;
+    const saveButton = this.container.querySelector('[data-action="save"]');
+    if (saveButton) saveButton.disabled = true;
+    this.container.querySelector('.config-preview').innerHTML = '';
+  }
+
+  async showPreview() {
+    try {
+      this.preview = await this.fetchJson('/api/alert-config/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ changes: this.collectChanges() })
+      });
+      this.container.querySelector('.config-preview').innerHTML = this.renderPreview();
+      this.container.querySelector('[data-action="save"]').disabled = !this.preview.diff.length || this.preview.errors.length > 0;
+    } catch (error) {
+      console.error('Failed to preview alert configuration', error);
+      this.notify(`Failed to preview alert settings: ${error.message}`, 'warning');
+    }
+  }
+
+  async save() {
+    try {
+      const reason = this.container.querySelector('.config-reason')?.value || '';
+      await this.fetchJson('/api/alert-config', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ changes: this.collectChanges(), reason })
+      });
+      await this.load();
+    } catch (error) {
+      console.error('Failed to save alert configuration', error);
+      this.notify(`Failed to save alert settings: ${error.message}`, 'warning');
+    }
+  }
+
+  async rollback(changeId) {
+    if (!window.confirm('Restore the settings as they were before this change?')) return;
+    try {
+      await this.fetchJson(`/api/alert-config/history/${encodeURIComponent(changeId)}/rollback`, { method: 'POST' });
+      await this.load();
+    } catch (error) {
+      console.error('Failed to roll back alert configuration', error);
+      this.notify(`Failed to roll back alert settings: ${error.message}`, 'warning');
+    }
+  }
+}
@@ -1,3 +1,6 @@
+import { normalizeRunQuery } from '../storage/pipeline-run-query.js';
+import { EngineEvents } from '../core/engine-events.js';
+
 /**
  * WebSocket Handler - Manages real-time communication with dashboard clients
  * Handles client subscriptions, message routing, and connection management
@@ -11,8 +14,10 @@ export class WebSocketHandler {
     this.subscriptions = new Map(); // Map of event types to client sets
     this.clientCounter = 0;
     this.notificationManager = null;
+    this.engineListeners = null;
 
     this.setupEventHandlers();
+    this.subscribeToEngine();
 
     if (notificationManager) {
       this.setNotificationManager(notificationManager);
@@ -114,7 +119,7 @@ export class WebSocketHandler {
         break;
 
       case 'get_recent_runs':
-        this.handleGetRecentRuns(clientId, data.limit || 10);
+        this.handleGetRecentRuns(clientId, data.limit || 10, data.filters || {}, data.cursor);
         break;
 
       case 'get_metrics':
@@ -204,13 +209,27 @@ export class WebSocketHandler {
     }
   }
 
-  async handleGetRecentRuns(clientId, limit) {
+  async handleGetRecentRuns(clientId, limit, filters = {}, cursor) {
+    const params = { ...filters, limit, cursor };
     try {
-      const summary = await this._buildPipelineSummary(limit);
+      normalizeRunQuery(params);
+    } catch (error) {
+      this.sendError(clientId, `Invalid run search: ${error.message}`);
+      return;
+    }
+
+    try {
+      const [page, summary] = await Promise.all([
+        this._searchPipelineRuns(params),
+        this._buildPipelineSummary(limit)
+      ]);
       this.sendToClient(clientId, {
         type: 'recent_runs_response',
         data: {
-          runs: summary.recentRuns,
+          runs: page.runs,
+          nextCursor: page.nextCursor,
+          hasMore: page.hasMore,
+          filters,
           summary
         }
       });
@@ -623,6 +642,19 @@ export class WebSocketHandler {
     return [];
   }
 
+  async _searchPipelineRuns(params) {
+    if (typeof this.engine.searchPipelineRuns === 'function') {
+      return await this.engine.searchPipelineRuns(params);
+    }
+
+    if (this.engine?.dataStore?.searchPipelineRuns) {
+      return await this.engine.dataStore.searchPipelineRuns(params);
+    }
+
+    const runs = await this._fetchPipelineRuns({ limit: params.limit });
+    return { runs, nextCursor: null, hasMore: false };
+  }
+
   async _fetchMetrics() {
     if (typeof this.engine.getMetrics === 'function') {
       const metrics = await this.engine.getMetrics();
@@ -649,6 +681,48 @@ export class WebSocketHandler {
     return value * (multipliers[unit] || 0);
   }
 
+  subscribeToEngine() {
+    if (typeof this.engine?.on !== 'function' || this.engineListeners) {
+      return;
+    }
+
+    const guard = (handler) => async (event) => {
+      try {
+        await handler(event);
+      } catch (error) {
+        console.error('Failed to broadcast engine event:', error.message);
+      }
+    };
+
+    // Alerts from an AlertManager already reach clients through its dashboard channel
+    const fromNotifiedManager = (alert) => Boolean(this.notificationManager) && alert.source === 'alert-manager';
+
+    this.engineListeners = {
+      [EngineEvents.RUN_CREATED]: guard(({ run }) => this.onPipelineStarted(run)),
+      [EngineEvents.STAGE_CHANGED]: guard(({ run }) => this.onPipelineUpdated(run)),
+      [EngineEvents.ERROR_ADDED]: guard(({ run }) => this.onPipelineUpdated(run)),
+      [EngineEvents.RUN_COMPLETED]: guard(({ run }) => this.onPipelineCompleted(run)),
+      [EngineEvents.METRICS_RECORDED]: guard(({ runId, metrics }) => this.onMetricsUpdated({ runId, ...metrics })),
+      [EngineEvents.ALERT_RAISED]: guard(({ alert }) => !fromNotifiedManager(alert) && this.onAlertGenerated(alert)),
+      [EngineEvents.ALERT_RESOLVED]: guard(({ alert }) => !fromNotifiedManager(alert) && this.onAlertResolved(alert))
+    };
+
+    for (const [event, listener] of Object.entries(this.engineListeners)) {
+      this.engine.on(event, listener);
+    }
+  }
+
+  unsubscribeFromEngine() {
+    if (!this.engineListeners) {
+      return;
+    }
+
+    for (const [event, listener] of Object.entries(this.engineListeners)) {
+      this.engine.off(event, listener);
+    }
+    this.engineListeners = null;
+  }
+
   // Event emission methods for integration with monitoring system
 
   async onPipelineStarted(run) {
@@ -722,6 +796,7 @@ export class WebSocketHandler {
   // Cleanup
   close() {
     this.stopHealthCheck();
+    this.unsubscribeFromEngine();
     
     // Close all client connections
     this.clients.forEach((client, clientId) => {
@@ -1,3 +1,6 @@
+import { extractWorkflowRunCorrelationId } from '../utils/correlation.js';
+import { GitHubApiClient } from '../utils/github-api-client.js';
+
 /**
  * GitHubActionsMonitor class for tracking GitHub Actions workflow execution
  * Monitors workflow status, build processes, and deployment tracking
@@ -6,10 +9,14 @@ export class GitHubActionsMonitor {
   constructor(testCycleEngine, config = {}) {
     this.engine = testCycleEngine;
     this.config = config;
-    this.githubToken = process.env.GITHUB_TOKEN;
-    this.githubOwner = process.env.GITHUB_OWNER || 'captjreacher';
-    this.githubRepo = process.env.GITHUB_REPO || 'mgrnz-blog';
-    this.baseUrl = `https://api.github.com/repos/${this.githubOwner}/${this.githubRepo}`;
+    this.githubToken = config.githubToken || process.env.GITHUB_TOKEN;
+    this.githubOwner = config.githubOwner || process.env.GITHUB_OWNER || 'captjreacher';
+    this.githubRepo = config.githubRepo || process.env.GITHUB_REPO || 'mgrnz-blog';
+    // Pointed at a local stand-in (see src/testing/fake-github-server.js) to run offline
+    this.apiBaseUrl = (config.githubApiUrl || process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+    this.baseUrl = `${this.apiBaseUrl}/repos/${this.githubOwner}/${this.githubRepo}`;
+    // Pass the same client to every monitor using the token so they share one quota
+    this.github = config.githubClient || new GitHubApiClient({ token: this.githubToken });
     this.isMonitoring = false;
     this.monitoringInterval = null;
     this.lastCheckedWorkflowRun = null;
@@ -51,10 +58,7 @@ export class GitHubActionsMonitor {
     console.log('Starting GitHub Actions workflow monitoring...');
 
     // Start periodic workflow monitoring
-    const interval = this.config.githubMonitorInterval || 60000; // 1 minute
-    this.monitoringInterval = setInterval(() => {
-      this._checkForNewWorkflowRuns();
-    }, interval);
+    this._scheduleNextCheck();
 
     console.log('GitHub Actions monitoring started');
   }
@@ -71,7 +75,7 @@ export class GitHubActionsMonitor {
     this.isMonitoring = false;
 
     if (this.monitoringInterval) {
-      clearInterval(this.monitoringInterval);
+      clearTimeout(this.monitoringInterval);
       this.monitoringInterval = null;
     }
 
@@ -135,6 +139,25 @@ export class GitHubActionsMonitor {
     }
   }
 
+  /**
+   * Find the workflow run started for a correlation ID
+   * ml-to-hugo's commit and its workflow_dispatch both start a run; the dispatched
+   * one is preferred since it is the run the function asked for.
+   * @param {string} correlationId - Correlation ID generated at webhook intake
+   * @returns {Promise<Object|null>} Workflow run, or null if no recent run matches
+   */
+  async findWorkflowRunByCorrelationId(correlationId) {
+    try {
+      const response = await this._makeGitHubRequest('/actions/runs?per_page=20');
+      const matches = (response.workflow_runs || [])
+        .filter(run => extractWorkflowRunCorrelationId(run) === correlationId);
+      return matches.find(run => run.event === 'workflow_dispatch') || matches[0] || null;
+    } catch (error) {
+      console.error('Failed to find workflow run:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get workflow jobs for a specific run
    * @param {number} workflowRunId - GitHub workflow run ID
@@ -157,19 +180,7 @@ export class GitHubActionsMonitor {
    */
   async getWorkflowLogs(workflowRunId) {
     try {
-      const response = await fetch(`${this.baseUrl}/actions/runs/${workflowRunId}/logs`, {
-        headers: {
-          'Authorization': `token ${this.githubToken}`,
-          'Accept': 'application/vnd.github.v3+json',
-          'User-Agent': 'mgrnz-monitoring-system'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-      }
-
-      return await response.text();
+      return await this.github.request(`${this.baseUrl}/actions/runs/${workflowRunId}/logs`, { responseType: 'text' });
     } catch (error) {
       console.error('Failed to get workflow logs:', error.message);
       throw error;
@@ -204,6 +215,21 @@ export class GitHubActionsMonitor {
     }
   }
 
+  /**
+   * Schedule the next check for new workflow runs
+   * The wait is the configured interval, stretched by the API client when the quota runs low
+   * or GitHub asked to back off.
+   */
+  _scheduleNextCheck() {
+    const interval = this.config.githubMonitorInterval || 60000; // 1 minute
+    this.monitoringInterval = setTimeout(async () => {
+      await this._checkForNewWorkflowRuns();
+      if (this.isMonitoring) {
+        this._scheduleNextCheck();
+      }
+    }, this.github.getPollInterval(interval));
+  }
+
   /**
    * Check for new workflow runs
    */
@@ -218,23 +244,8 @@ export class GitHubActionsMonitor {
             new Date(run.created_at) > new Date(this.lastCheckedWorkflowRun.created_at)) {
           
           console.log(`New workflow run detected: ${run.id} (${run.status})`);
-          
-          // Create a pipeline run for this workflow
-          const trigger = {
-            type: 'git',
-            source: 'github_actions',
-            timestamp: run.created_at,
-            metadata: {
-              workflowRunId: run.id,
-              workflowName: run.name,
-              event: run.event,
-              branch: run.head_branch,
-              commitSha: run.head_sha,
-              actor: run.actor?.login
-            }
-          };
-
-          const pipelineRunId = await this.engine.createPipelineRun(trigger);
+
+          const pipelineRunId = await this._resolvePipelineRun(run);
           
           // Start monitoring this workflow
           this._monitorWorkflowInBackground(pipelineRunId, run);
@@ -250,6 +261,56 @@ export class GitHubActionsMonitor {
     }
   }
 
+  /**
+   * Find the pipeline run a workflow run belongs to
+   * Workflow runs the TriggerMonitor already recorded keep their pipeline run. Workflow runs
+   * dispatched by ml-to-hugo (or started by its commit) carry the correlation ID of the
+   * webhook that created the post, so they join that run; any other workflow run starts a
+   * pipeline run of its own.
+   */
+  async _resolvePipelineRun(workflowRun) {
+    const knownRun = await this.engine.findRunByWorkflowRunId(workflowRun.id);
+    if (knownRun) {
+      return knownRun.id;
+    }
+
+    const correlationId = extractWorkflowRunCorrelationId(workflowRun);
+
+    if (correlationId) {
+      const existingRun = await this.engine.findRunByCorrelationId(correlationId);
+      if (existingRun?.status === 'running') {
+        console.log(`Workflow run ${workflowRun.id} belongs to pipeline run ${existingRun.id} (${correlationId})`);
+        await this.engine.updatePipelineStage(existingRun.id, 'github_workflow_started', 'running', {
+          workflowRunId: workflowRun.id,
+          workflowName: workflowRun.name,
+          event: workflowRun.event,
+          commitSha: workflowRun.head_sha,
+          startTime: workflowRun.created_at
+        });
+        return existingRun.id;
+      }
+    }
+
+    const trigger = {
+      type: 'git',
+      source: 'github_actions',
+      timestamp: workflowRun.created_at,
+      metadata: {
+        workflowRunId: workflowRun.id,
+        workflowName: workflowRun.name,
+        event: workflowRun.event,
+        branch: workflowRun.head_branch,
+        commitSha: workflowRun.head_sha,
+        actor: workflowRun.actor?.login
+      }
+    };
+    if (correlationId) {
+      trigger.metadata.correlationId = correlationId;
+    }
+
+    return await this.engine.createPipelineRun(trigger);
+  }
+
   /**
    * Monitor workflow execution in the background
    */
@@ -274,8 +335,8 @@ export class GitHubActionsMonitor {
   async _monitorWorkflowExecution(runId, initialWorkflowRun) {
     const startTime = Date.now();
     let workflowRun = initialWorkflowRun;
-    const pollInterval = 30000; // 30 seconds
-    const maxWaitTime = 1800000; // 30 minutes
+    const pollInterval = this.config.workflowPollInterval || 30000; // 30 seconds
+    const maxWaitTime = this.config.workflowTimeout || 1800000; // 30 minutes
 
     try {
       // Wait for workflow to complete
@@ -286,7 +347,7 @@ export class GitHubActionsMonitor {
         }
 
         // Wait before next poll
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        await new Promise(resolve => setTimeout(resolve, this.github.getPollInterval(pollInterval)));
         
         // Get updated workflow status
         workflowRun = await this._getWorkflowRun(workflowRun.id);
@@ -325,6 +386,9 @@ export class GitHubActionsMonitor {
         status: workflowRun.status,
         conclusion: workflowRun.conclusion,
         totalDuration: new Date(workflowRun.updated_at) - new Date(workflowRun.created_at),
+        queueTime: workflowRun.run_started_at
+          ? Math.max(0, new Date(workflowRun.run_started_at) - new Date(workflowRun.created_at))
+          : 0,
         jobs: [],
         buildTime: 0,
         deploymentTime: 0,
@@ -388,22 +452,9 @@ export class GitHubActionsMonitor {
    */
   async _makeGitHubRequest(endpoint) {
     try {
-      const url = `${this.baseUrl}${endpoint}`;
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `token ${this.githubToken}`,
-          'Accept': 'application/vnd.github.v3+json',
-          'User-Agent': 'mgrnz-monitoring-system'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-      }
-
-      return await response.json();
+      return await this.github.request(`${this.baseUrl}${endpoint}`);
     } catch (error) {
       throw new Error(`GitHub API request failed: ${error.message}`);
     }
   }
-}
\ No newline at end of file
+}
@@ -5,6 +5,7 @@
 
 export { TriggerMonitor } from './trigger-monitor.js';
 export { WebhookListener } from './webhook-listener.js';
+export { WebhookReceiver } from './webhook-receiver.js';
 export { GitHubActionsMonitor } from './github-actions-monitor.js';
 export { BuildProcessTracker } from './build-process-tracker.js';
 export { WorkflowPerformanceAnalyzer } from './workflow-performance-analyzer.js';
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { IdGenerator } from '../utils/id-generator.js';
 import { validateWebhookPayload } from '../utils/validators.js';
+import { ReplayGuard, resolveSecret, verifyWebhookDelivery } from '../utils/webhook-signature.js';
 
 /**
  * MailerLite Webhook Monitor
@@ -7,10 +8,18 @@ import { validateWebhookPayload } from '../utils/validators.js';
  * Monitors payload, authentication, timing, and response handling
  */
 export class MailerLiteWebhookMonitor {
-  constructor(dataStore, config) {
+  /**
+   * @param {import('../storage/data-store.js').DataStore} dataStore
+   * @param {Object} [config]
+   * @param {string} [config.webhookSecret] - MailerLite signing secret, otherwise `webhookSecrets.mailerlite`;
+   *   `${ENV_NAME}` reads it from the environment
+   */
+  constructor(dataStore, config = {}) {
     this.dataStore = dataStore;
     this.config = config;
     this.activeWebhooks = new Map(); // Track in-flight webhooks
+    this.webhookSecret = resolveSecret(config.webhookSecret || config.webhookSecrets?.mailerlite);
+    this.replayGuard = new ReplayGuard({ ttl: config.replayWindow });
   }
 
   /**
@@ -94,7 +103,7 @@ export class MailerLiteWebhookMonitor {
   /**
    * Track webhook authentication status
    * @param {string} webhookId - Webhook record ID
-   * @param {Object} authData - Authentication information
+   * @param {Object} authData - Authentication information; a `signature` is checked against `rawBody`
    * @returns {Promise<boolean>} Authentication success status
    */
   async trackAuthentication(webhookId, authData) {
@@ -112,6 +121,9 @@ export class MailerLiteWebhookMonitor {
         success: authResult.success,
         errors: authResult.errors
       };
+      if (authResult.failureReason) {
+        webhookRecord.authentication.failureReason = authResult.failureReason;
+      }
 
       await this.dataStore.saveWebhookRecord(webhookRecord);
       this.activeWebhooks.set(webhookId, webhookRecord);
@@ -312,10 +324,11 @@ export class MailerLiteWebhookMonitor {
   /**
    * Validate webhook authentication
    * @param {Object} authData - Authentication data
-   * @returns {Object} Authentication result
+   * @returns {Object} Authentication result; `failureReason` says why a signature was rejected
    */
   _validateAuthentication(authData) {
     const errors = [];
+    let failureReason;
     
     if (!authData.token && !authData.signature) {
       errors.push('No authentication token or signature provided');
@@ -325,13 +338,26 @@ export class MailerLiteWebhookMonitor {
       errors.push('Invalid authentication token format');
     }
 
-    if (authData.signature && !this._isValidSignature(authData.signature)) {
-      errors.push('Invalid webhook signature');
+    if (authData.signature) {
+      if (!this.webhookSecret) {
+        errors.push('No webhook secret configured for MailerLite');
+        failureReason = 'no_secret';
+      } else {
+        const verification = verifyWebhookDelivery('mailerlite', {
+          secret: this.webhookSecret,
+          body: authData.rawBody,
+          headers: { signature: authData.signature },
+          replayGuard: this.replayGuard
+        });
+        errors.push(...verification.errors);
+        failureReason = verification.failureReason;
+      }
     }
 
     return {
       success: errors.length === 0,
-      errors: errors
+      errors: errors,
+      ...(failureReason && { failureReason })
     };
   }
 
@@ -345,16 +371,6 @@ export class MailerLiteWebhookMonitor {
     return typeof token === 'string' && token.length > 0;
   }
 
-  /**
-   * Validate webhook signature
-   * @param {string} signature - Webhook signature
-   * @returns {boolean} Whether signature is valid
-   */
-  _isValidSignature(signature) {
-    // Basic signature validation - should be non-empty string
-    return typeof signature === 'string' && signature.length > 0;
-  }
-
   /**
    * Calculate processing time for webhook
    * @param {Object} webhookRecord - Webhook record
@@ -1,4 +1,5 @@
 import { IdGenerator } from '../utils/id-generator.js';
+import { GitHubApiClient, parseRateLimitHeaders } from '../utils/github-api-client.js';
 
 /**
  * Supabase to GitHub Monitor
@@ -15,6 +16,12 @@ export class SupabaseGitHubMonitor {
       resetTime: null,
       limit: null
     };
+    this.githubToken = config.githubToken || process.env.GITHUB_TOKEN;
+    const owner = config.githubOwner || process.env.GITHUB_OWNER || 'captjreacher';
+    const repo = config.githubRepo || process.env.GITHUB_REPO || 'mgrnz-blog';
+    const apiBaseUrl = (config.githubApiUrl || process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+    this.baseUrl = `${apiBaseUrl}/repos/${owner}/${repo}`;
+    this.github = config.githubClient || new GitHubApiClient({ token: this.githubToken });
   }
 
   /**
@@ -119,7 +126,7 @@ export class SupabaseGitHubMonitor {
       const receivedTime = new Date().toISOString();
       
       // Extract rate limiting information from headers
-      const rateLimitInfo = this._extractRateLimitInfo(response.headers || {});
+      const rateLimitInfo = parseRateLimitHeaders(response.headers || {});
       this.rateLimitInfo = rateLimitInfo;
 
       apiCallRecord.response = {
@@ -356,23 +363,6 @@ export class SupabaseGitHubMonitor {
     };
   }
 
-  /**
-   * Extract rate limiting information from GitHub API response headers
-   * @param {Object} headers - Response headers
-   * @returns {Object} Rate limit information
-   */
-  _extractRateLimitInfo(headers) {
-    return {
-      limit: headers['x-ratelimit-limit'] ? parseInt(headers['x-ratelimit-limit']) : null,
-      remaining: headers['x-ratelimit-remaining'] !== undefined ? parseInt(headers['x-ratelimit-remaining']) : null,
-      resetTime: headers['x-ratelimit-reset'] 
-        ? parseInt(headers['x-ratelimit-reset']) * 1000 
-        : null,
-      used: headers['x-ratelimit-used'] ? parseInt(headers['x-ratelimit-used']) : null,
-      resource: headers['x-ratelimit-resource'] || 'core'
-    };
-  }
-
   /**
    * Calculate response time for API call
    * @param {Object} apiCallRecord - API call record
@@ -436,11 +426,24 @@ export class SupabaseGitHubMonitor {
    * @returns {Promise<boolean>} Whether workflow started
    */
   async _verifyWorkflowStarted(workflowId) {
-    // This would require GitHub API access to check workflow runs
-    // For now, we'll return true as a placeholder
-    // In a real implementation, this would make an API call to check recent workflow runs
-    console.log(`Verifying workflow started: ${workflowId} (placeholder implementation)`);
-    return true;
+    if (!this.githubToken) {
+      // Without API access there is nothing to check the dispatch against
+      console.log(`Verifying workflow started: ${workflowId} (no GitHub token, assuming it started)`);
+      return true;
+    }
+
+    const endpoint = `/actions/workflows/${encodeURIComponent(workflowId)}/runs?event=workflow_dispatch&per_page=5`;
+    let response;
+    try {
+      response = await this.github.request(`${this.baseUrl}${endpoint}`);
+    } finally {
+      this.rateLimitInfo = { ...this.github.rateLimit };
+    }
+
+    // A dispatch counts as started if a dispatched run appeared within the monitoring timeout
+    const since = Date.now() - (this.config.monitoring?.timeout || 300000);
+    const runs = response.workflow_runs || [];
+    return runs.some(run => new Date(run.created_at).getTime() >= since);
   }
 
   /**
@@ -1,9 +1,21 @@
 import { execSync } from 'child_process';
 import { IdGenerator } from '../utils/id-generator.js';
+import { extractWorkflowRunCorrelationId } from '../utils/correlation.js';
+import { GitHubApiClient } from '../utils/github-api-client.js';
+
+/**
+ * Trigger type recorded for each workflow run event the monitor picks up
+ * Workflow runs started by other events (pull requests, reruns, ...) are ignored.
+ */
+const WORKFLOW_EVENT_TRIGGERS = {
+  workflow_dispatch: 'manual',
+  schedule: 'scheduled',
+  push: 'git'
+};
 
 /**
  * TriggerMonitor class detects and logs deployment triggers from various sources
- * Monitors git commits, manual GitHub Actions dispatch, and webhook events
+ * Monitors git commits, GitHub Actions workflow runs, and webhook events
  */
 export class TriggerMonitor {
   constructor(testCycleEngine, config = {}) {
@@ -12,7 +24,20 @@ export class TriggerMonitor {
     this.lastCheckedCommit = null;
     this.isMonitoring = false;
     this.monitoringInterval = null;
+    this.githubMonitoringInterval = null;
     this.webhookListeners = new Map();
+
+    this.githubToken = config.githubToken || process.env.GITHUB_TOKEN;
+    this.githubOwner = config.githubOwner || process.env.GITHUB_OWNER || 'captjreacher';
+    this.githubRepo = config.githubRepo || process.env.GITHUB_REPO || 'mgrnz-blog';
+    const apiBaseUrl = (config.githubApiUrl || process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+    this.githubBaseUrl = `${apiBaseUrl}/repos/${this.githubOwner}/${this.githubRepo}`;
+    this.github = config.githubClient || new GitHubApiClient({ token: this.githubToken });
+    // Workflow ids or file names; empty watches every workflow of the repository
+    this.githubWorkflows = config.githubWorkflows || [];
+    this.githubRunsPerPage = config.githubRunsPerPage || 20;
+    this.knownWorkflowRuns = new Set();
+    this.knownWorkflowRunsLoaded = false;
   }
 
   /**
@@ -23,6 +48,13 @@ export class TriggerMonitor {
       // Get the latest commit hash to start monitoring from
       this.lastCheckedCommit = await this._getLatestCommitHash();
       console.log('TriggerMonitor initialized, starting from commit:', this.lastCheckedCommit);
+
+      if (this.githubToken) {
+        // Runs that exist before monitoring starts are not triggers
+        await this._checkForGitHubActionsTriggers().catch(error => {
+          console.error('Failed to load existing GitHub Actions runs:', error.message);
+        });
+      }
       return true;
     } catch (error) {
       console.error('Failed to initialize TriggerMonitor:', error.message);
@@ -70,6 +102,11 @@ export class TriggerMonitor {
       this.monitoringInterval = null;
     }
 
+    if (this.githubMonitoringInterval) {
+      clearTimeout(this.githubMonitoringInterval);
+      this.githubMonitoringInterval = null;
+    }
+
     // Stop webhook listeners
     this.webhookListeners.clear();
 
@@ -122,9 +159,12 @@ export class TriggerMonitor {
    * @param {string} webhookType - Type of webhook
    * @param {Object} payload - Webhook payload
    * @param {Object} headers - Request headers
+   * @param {Object} [options]
+   * @param {string} [options.correlationId] - Correlation ID assigned at intake; a webhook for a
+   *   correlation ID whose run is still in progress is added to that run instead of starting a new one
    * @returns {Promise<string|null>} Pipeline run ID if trigger detected
    */
-  async processWebhookTrigger(webhookType, payload, headers = {}) {
+  async processWebhookTrigger(webhookType, payload, headers = {}, options = {}) {
     try {
       const listener = this.webhookListeners.get(webhookType);
       if (!listener) {
@@ -132,6 +172,26 @@ export class TriggerMonitor {
         return null;
       }
 
+      if (options.correlationId) {
+        const existingRun = await this.engine.findRunByCorrelationId(options.correlationId);
+        if (existingRun?.status === 'running') {
+          console.log(`Correlated ${webhookType} webhook with run ${existingRun.id} (${options.correlationId})`);
+          await listener(existingRun.id, payload, headers);
+          return existingRun.id;
+        }
+      }
+
+      // GitHub sends several workflow_run deliveries per workflow run; later ones join the first one's run
+      const workflowRunId = webhookType === 'github' ? payload?.workflow_run?.id : undefined;
+      if (workflowRunId) {
+        const existingRun = await this.engine.findRunByWorkflowRunId(workflowRunId);
+        if (existingRun?.status === 'running') {
+          console.log(`Added ${webhookType} webhook for workflow run ${workflowRunId} to run ${existingRun.id}`);
+          await listener(existingRun.id, payload, headers);
+          return existingRun.id;
+        }
+      }
+
       // Extract trigger metadata from webhook
       const metadata = {
         webhookType,
@@ -140,6 +200,12 @@ export class TriggerMonitor {
         userAgent: headers['user-agent'] || 'unknown',
         contentType: headers['content-type'] || 'unknown'
       };
+      if (options.correlationId) {
+        metadata.correlationId = options.correlationId;
+      }
+      if (workflowRunId) {
+        metadata.workflowRunId = workflowRunId;
+      }
 
       // Detect the trigger
       const runId = await this.detectTrigger('webhook', webhookType, metadata);
@@ -164,7 +230,13 @@ export class TriggerMonitor {
       const currentCommit = await this._getLatestCommitHash();
       
       if (this.lastCheckedCommit && currentCommit !== this.lastCheckedCommit) {
-        // New commit detected
+        // New commit detected, unless a GitHub Actions push run reported it first
+        if (await this.engine.findRunByCommit(currentCommit)) {
+          console.log(`Commit ${currentCommit} already has a pipeline run from its push workflow run`);
+          this.lastCheckedCommit = currentCommit;
+          return;
+        }
+
         const commitInfo = await this._getCommitInfo(currentCommit);
         
         const metadata = {
@@ -186,63 +258,137 @@ export class TriggerMonitor {
   }
 
   /**
-   * Start monitoring GitHub Actions for manual dispatch events
+   * Start polling GitHub Actions for new workflow runs
+   * Needs a token; without one the GitHub check is skipped. The wait between checks
+   * stretches when the API client reports the quota running low or a rate limit.
    */
-  async _startGitHubActionsMonitoring() {
-    // This would typically use GitHub API to monitor for workflow_dispatch events
-    // For now, we'll implement a basic check that can be extended
-    
+  _startGitHubActionsMonitoring() {
+    if (!this.githubToken) {
+      console.log('GitHub token not configured, skipping GitHub Actions trigger detection');
+      return;
+    }
+
     const githubInterval = this.config.githubMonitorInterval || 60000; // 1 minute
-    
-    setInterval(async () => {
+    const requestsPerCheck = Math.max(this.githubWorkflows.length, 1);
+
+    this.githubMonitoringInterval = setTimeout(async () => {
       try {
         await this._checkForGitHubActionsTriggers();
       } catch (error) {
         console.error('Error checking GitHub Actions triggers:', error.message);
       }
-    }, githubInterval);
+      if (this.isMonitoring) {
+        this._startGitHubActionsMonitoring();
+      }
+    }, this.github.getPollInterval(githubInterval, requestsPerCheck));
   }
 
   /**
-   * Check for GitHub Actions manual dispatch triggers
+   * Check GitHub Actions for workflow runs started since the last check
+   * Every new workflow_dispatch, schedule or push run of the configured workflows becomes a
+   * trigger. Runs seen before, runs that already have a pipeline run, push runs for a commit
+   * git polling already reported and runs dispatched for a pipeline run still in progress are
+   * skipped. The first check only records the runs that already exist.
+   * @returns {Promise<string[]>} IDs of the pipeline runs created
    */
   async _checkForGitHubActionsTriggers() {
-    // This is a placeholder for GitHub API integration
-    // In a real implementation, this would:
-    // 1. Call GitHub API to get recent workflow runs
-    // 2. Check for workflow_dispatch events
-    // 3. Compare with last known runs to detect new manual triggers
-    
-    console.log('Checking for GitHub Actions triggers...');
-    
-    // For now, we'll simulate detection based on file system changes
-    // that might indicate a manual deployment was triggered
-    try {
-      const deploymentMarkers = [
-        'deployment-timestamp.txt',
-        'build-info.txt',
-        'CACHE-BUSTER.txt'
-      ];
-
-      for (const marker of deploymentMarkers) {
-        const changed = await this._checkFileChanged(`static/${marker}`);
-        if (changed) {
-          const metadata = {
-            markerFile: marker,
-            detectionMethod: 'file_system_change',
-            timestamp: new Date().toISOString()
-          };
-
-          await this.detectTrigger('manual', 'github_actions_dispatch', metadata);
-          break; // Only trigger once per check cycle
+    const workflowRuns = await this._listRecentWorkflowRuns();
+
+    if (!this.knownWorkflowRunsLoaded) {
+      workflowRuns.forEach(run => this.knownWorkflowRuns.add(run.id));
+      this.knownWorkflowRunsLoaded = true;
+      return [];
+    }
+
+    const newRuns = workflowRuns
+      .filter(run => !this.knownWorkflowRuns.has(run.id) && WORKFLOW_EVENT_TRIGGERS[run.event])
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+
+    const runIds = [];
+    for (const workflowRun of newRuns) {
+      this.knownWorkflowRuns.add(workflowRun.id);
+
+      if (await this.engine.findRunByWorkflowRunId(workflowRun.id)) {
+        continue;
+      }
+
+      if (workflowRun.event === 'push' && await this.engine.findRunByCommit(workflowRun.head_sha)) {
+        console.log(`Workflow run ${workflowRun.id} is for commit ${workflowRun.head_sha}, which git polling already reported`);
+        continue;
+      }
+
+      const correlationId = extractWorkflowRunCorrelationId(workflowRun);
+      if (correlationId) {
+        const existingRun = await this.engine.findRunByCorrelationId(correlationId);
+        if (existingRun?.status === 'running') {
+          console.log(`Workflow run ${workflowRun.id} belongs to pipeline run ${existingRun.id} (${correlationId})`);
+          continue;
         }
       }
-    } catch (error) {
-      // File system checks are optional, don't fail the monitoring
-      console.log('GitHub Actions trigger check completed (file system method)');
+
+      const metadata = {
+        workflowRunId: workflowRun.id,
+        workflowName: workflowRun.name,
+        event: workflowRun.event,
+        branch: workflowRun.head_branch,
+        commitSha: workflowRun.head_sha,
+        actor: workflowRun.triggering_actor?.login || workflowRun.actor?.login || 'unknown',
+        createdAt: workflowRun.created_at,
+        inputs: this._sanitizePayload(workflowRun.inputs || {})
+      };
+      if (correlationId) {
+        metadata.correlationId = correlationId;
+      }
+
+      runIds.push(await this.detectTrigger(WORKFLOW_EVENT_TRIGGERS[workflowRun.event], 'github_actions', metadata));
+    }
+
+    this._pruneKnownWorkflowRuns(workflowRuns);
+    return runIds;
+  }
+
+  /**
+   * Recent runs of the configured workflows, or of the whole repository when none are configured
+   */
+  async _listRecentWorkflowRuns() {
+    const query = `per_page=${this.githubRunsPerPage}`;
+    if (this.githubWorkflows.length === 0) {
+      const response = await this._makeGitHubRequest(`/actions/runs?${query}`);
+      return response.workflow_runs || [];
+    }
+
+    const runs = [];
+    for (const workflow of this.githubWorkflows) {
+      const response = await this._makeGitHubRequest(`/actions/workflows/${encodeURIComponent(workflow)}/runs?${query}`);
+      runs.push(...(response.workflow_runs || []));
+    }
+    return runs;
+  }
+
+  /**
+   * Forget runs that dropped out of the listing so the set stays bounded
+   */
+  _pruneKnownWorkflowRuns(workflowRuns) {
+    const limit = this.githubRunsPerPage * Math.max(this.githubWorkflows.length, 1) * 2;
+    if (this.knownWorkflowRuns.size <= limit) {
+      return;
+    }
+
+    const listed = new Set(workflowRuns.map(run => run.id));
+    for (const runId of this.knownWorkflowRuns) {
+      if (!listed.has(runId)) {
+        this.knownWorkflowRuns.delete(runId);
+      }
     }
   }
 
+  /**
+   * Make a request to the GitHub API
+   */
+  async _makeGitHubRequest(endpoint) {
+    return await this.github.request(`${this.githubBaseUrl}${endpoint}`);
+  }
+
   /**
    * Get the latest commit hash from git
    */
@@ -300,25 +446,6 @@ export class TriggerMonitor {
     }
   }
 
-  /**
-   * Check if a file has been modified recently
-   */
-  async _checkFileChanged(filePath) {
-    try {
-      const fs = await import('fs');
-      const path = await import('path');
-      
-      const fullPath = path.resolve(filePath);
-      const stats = await fs.promises.stat(fullPath);
-      
-      // Check if file was modified in the last 5 minutes
-      const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-      return stats.mtime.getTime() > fiveMinutesAgo;
-    } catch (error) {
-      return false; // File doesn't exist or can't be accessed
-    }
-  }
-
   /**
    * Log trigger detection event
    */
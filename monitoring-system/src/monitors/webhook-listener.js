@@ -1,16 +1,46 @@
+import http from 'http';
+import https from 'https';
+import zlib from 'zlib';
 import { IdGenerator } from '../utils/id-generator.js';
+import { extractWebhookCorrelationId } from '../utils/correlation.js';
+import { deliveryNonces, isSignedSource, ReplayGuard, resolveSecret, verifyWebhookDelivery } from '../utils/webhook-signature.js';
+
+// Headers that describe one connection rather than the request, so the proxy does not pass them on
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer',
+  'transfer-encoding', 'upgrade', 'host', 'content-length', 'expect'
+];
+
+const omitHeaders = (headers, names) => Object.fromEntries(
+  Object.entries(headers).filter(([name]) => !names.includes(name.toLowerCase()))
+);
+
+const DECODERS = { gzip: zlib.gunzipSync, 'x-gzip': zlib.gunzipSync, deflate: zlib.inflateSync, br: zlib.brotliDecompressSync };
 
 /**
  * WebhookListener class intercepts and monitors webhook events
  * Specifically designed to monitor MailerLite webhooks and correlate them with pipeline runs
  */
 export class WebhookListener {
+  /**
+   * @param {import('./trigger-monitor.js').TriggerMonitor} triggerMonitor
+   * @param {import('../storage/data-store.js').DataStore} dataStore
+   * @param {Object} [config]
+   * @param {Object<string, string>} [config.webhookSecrets] - Signing secret per source (github,
+   *   mailerlite, supabase); `${ENV_NAME}` reads it from the environment
+   * @param {number} [config.signatureTolerance=300] - Maximum age of signed timestamps in seconds
+   * @param {number} [config.replayWindow=86400000] - How long accepted deliveries are remembered (ms)
+   */
   constructor(triggerMonitor, dataStore, config = {}) {
     this.triggerMonitor = triggerMonitor;
     this.dataStore = dataStore;
     this.config = config;
     this.activeWebhooks = new Map();
     this.isListening = false;
+    this.webhookSecrets = Object.fromEntries(
+      Object.entries(config.webhookSecrets || {}).map(([source, secret]) => [source, resolveSecret(secret)])
+    );
+    this.replayGuard = new ReplayGuard({ ttl: config.replayWindow });
   }
 
   /**
@@ -21,6 +51,7 @@ export class WebhookListener {
       // Register webhook handlers with the trigger monitor
       this.triggerMonitor.registerWebhookListener('mailerlite', this._handleMailerLiteWebhook.bind(this));
       this.triggerMonitor.registerWebhookListener('github', this._handleGitHubWebhook.bind(this));
+      this.triggerMonitor.registerWebhookListener('supabase', this._handleSupabaseCallback.bind(this));
       
       console.log('WebhookListener initialized');
       return true;
@@ -63,18 +94,42 @@ export class WebhookListener {
    * @param {Object} payload - Webhook payload
    * @param {Object} headers - Request headers
    * @param {Object} requestInfo - Additional request information
+   * @param {string} [requestInfo.sentTime] - When the sender sent the webhook
+   * @param {string} [requestInfo.receivedTime] - When the delivery arrived, if it is recorded later
+   * @param {string} [requestInfo.correlationId] - Correlation ID to use, e.g. the one the destination
+   *   of a proxied delivery answered with
+   * @param {string|Buffer} [requestInfo.rawBody] - Body as received, needed to check signatures
+   * @param {Object} [requestInfo.authentication] - Result of {@link WebhookListener#verifyWebhook}
+   *   when the caller already checked the signature. Only a failed result passed here keeps the
+   *   delivery from starting a run; otherwise the signature check is recorded but not enforced.
    * @returns {Promise<string>} Webhook record ID
    */
   async interceptWebhook(webhookType, payload, headers = {}, requestInfo = {}) {
     try {
       const webhookId = IdGenerator.generateWebhookId();
-      const timestamp = new Date().toISOString();
+      const timestamp = requestInfo.receivedTime || new Date().toISOString();
+
+      // Keep the correlation ID of a post already in flight, otherwise start a new journey
+      const correlationId = [requestInfo.correlationId, extractWebhookCorrelationId(webhookType, payload, headers)]
+        .find(candidate => IdGenerator.validateId(candidate, 'correlation')) || IdGenerator.generateCorrelationId();
 
       // Extract metadata from the webhook
       const metadata = await this._extractWebhookMetadata(webhookType, payload, headers);
-      
-      // Process through trigger monitor to create pipeline run
-      const runId = await this.triggerMonitor.processWebhookTrigger(webhookType, payload, headers);
+
+      const authentication = requestInfo.authentication ||
+                             await this._validateAuthentication(webhookType, headers, payload, requestInfo.rawBody);
+
+      // Signatures are enforced where deliveries arrive over HTTP (WebhookReceiver); a delivery
+      // the receiver rejected is recorded but starts no run
+      const rejected = requestInfo.authentication?.success === false;
+      if (rejected) {
+        console.warn(`Rejected ${webhookType} webhook ${webhookId}: ${authentication.errors.join(', ')}`);
+      }
+
+      // Process through trigger monitor to create (or join) the pipeline run
+      const runId = rejected
+        ? null
+        : await this.triggerMonitor.processWebhookTrigger(webhookType, payload, headers, { correlationId });
       
       // Create webhook record
       const webhookRecord = {
@@ -93,8 +148,9 @@ export class WebhookListener {
           received: timestamp,
           processed: null // Will be updated when processing completes
         },
-        authentication: await this._validateAuthentication(webhookType, headers, payload),
+        authentication,
         retries: [],
+        correlationId,
         metadata
       };
 
@@ -102,7 +158,7 @@ export class WebhookListener {
       await this.dataStore.saveWebhookRecord(webhookRecord);
       this.activeWebhooks.set(webhookId, webhookRecord);
 
-      console.log(`Intercepted ${webhookType} webhook: ${webhookId} (run: ${runId})`);
+      console.log(`Intercepted ${webhookType} webhook: ${webhookId} (run: ${runId}, correlation: ${correlationId})`);
       return webhookId;
     } catch (error) {
       console.error('Failed to intercept webhook:', error.message);
@@ -110,14 +166,107 @@ export class WebhookListener {
     }
   }
 
+  /**
+   * Check the signature of a delivery against the source's secret
+   * Each accepted delivery is remembered, so checking the same request twice reports a replay.
+   * @param {string} webhookType - Type of webhook (github, mailerlite, supabase)
+   * @param {string|Buffer} rawBody - Body as received
+   * @param {Object} headers - Request headers (lower-case names)
+   * @param {Object} [options]
+   * @param {boolean} [options.remember=true] - Remember the delivery for replay detection
+   * @returns {Object} Authentication result for the webhook record; `failureReason` says why it failed
+   */
+  verifyWebhook(webhookType, rawBody, headers = {}, { remember = true } = {}) {
+    if (!isSignedSource(webhookType)) {
+      return { method: 'unknown', success: true, errors: [] };
+    }
+
+    const secret = this.webhookSecrets[webhookType];
+    if (!secret) {
+      return {
+        method: 'none',
+        success: false,
+        errors: [`No webhook secret configured for ${webhookType}`],
+        failureReason: 'no_secret'
+      };
+    }
+
+    return verifyWebhookDelivery(webhookType, {
+      secret,
+      body: rawBody,
+      headers,
+      replayGuard: remember ? this.replayGuard : null,
+      tolerance: this.config.signatureTolerance
+    });
+  }
+
+  /**
+   * Forget a delivery {@link WebhookListener#verifyWebhook} accepted but that could not be
+   * processed, so the sender's retry is not taken for a replay
+   * @param {string} webhookType - Type of webhook (github, mailerlite, supabase)
+   * @param {Object} headers - Request headers (lower-case names)
+   */
+  releaseWebhook(webhookType, headers = {}) {
+    this.replayGuard.release(deliveryNonces(webhookType, headers));
+  }
+
+  /**
+   * Forward a webhook to its destination unchanged and record it afterwards
+   * The body is sent on byte for byte with the sender's headers, and the destination's
+   * response (still encoded, if it was compressed) is returned as is, so the sender cannot tell
+   * the monitor is in between. The delivery is recorded once the response is in, in the
+   * background, so storage neither delays nor fails a delivery. The record takes the
+   * correlation ID the destination answered with (ml-to-hugo returns `correlation_id`), so
+   * the commit and workflow run it starts join the same pipeline run.
+   * @param {string} webhookType - Type of webhook; its destination comes from `config.proxyTargets`
+   * @param {Object} request
+   * @param {string} [request.method='POST']
+   * @param {Object} [request.headers] - Request headers (lower-case names)
+   * @param {Buffer} [request.body] - Raw request body
+   * @param {string} [request.search=''] - Query string including the leading `?`
+   * @returns {Promise<{status: number, headers: Object, body: Buffer, recorded: Promise<string|null>}>}
+   *   The destination's response; 502 or 504 when it could not be reached in `config.webhookTimeout`.
+   *   `recorded` resolves to the webhook record ID, or null if the delivery could not be recorded.
+   */
+  async proxyWebhook(webhookType, { method = 'POST', headers = {}, body = Buffer.alloc(0), search = '' } = {}) {
+    const target = this.config.proxyTargets?.[webhookType];
+    if (!target) {
+      throw new Error(`No proxy target configured for ${webhookType} webhooks`);
+    }
+
+    const receivedTime = new Date().toISOString();
+    const started = Date.now();
+    let response;
+    try {
+      response = await this._forward(`${target}${search}`, { method, headers, body });
+    } catch (error) {
+      const timedOut = error.code === 'ETIMEDOUT';
+      console.error(`Failed to forward ${webhookType} webhook to ${target}:`, error.message);
+      response = {
+        status: timedOut ? 504 : 502,
+        headers: { 'content-type': 'application/json' },
+        body: Buffer.from(JSON.stringify({ error: timedOut ? 'Destination timed out' : 'Destination unreachable' }))
+      };
+    }
+    const upstreamLatencyMs = Date.now() - started;
+
+    const recorded = this._recordProxiedWebhook(webhookType, { headers, body, receivedTime }, response, {
+      proxiedTo: target,
+      upstreamLatencyMs
+    });
+
+    return { ...response, recorded };
+  }
+
   /**
    * Update webhook record with response information
    * @param {string} webhookId - Webhook record ID
    * @param {number} statusCode - HTTP response status code
    * @param {*} responseBody - Response body
    * @param {Object} responseHeaders - Response headers
+   * @param {Object} [metadata] - Extra details to keep in the record's metadata
    */
-  async updateWebhookResponse(webhookId, statusCode, responseBody, responseHeaders = {}) {
+  async updateWebhookResponse(webhookId, statusCode, responseBody, responseHeaders = {}, metadata = {}) {
     try {
       const webhookRecord = this.activeWebhooks.get(webhookId) || 
                            await this.dataStore.getWebhookRecord(webhookId);
@@ -135,6 +284,7 @@ export class WebhookListener {
       };
       
       webhookRecord.timing.processed = now;
+      webhookRecord.metadata = { ...webhookRecord.metadata, ...metadata };
       
       // Calculate processing time
       if (webhookRecord.timing.received) {
@@ -196,13 +346,29 @@ export class WebhookListener {
   }
 
   /**
-   * Get webhook correlation data for a pipeline run
-   * @param {string} runId - Pipeline run ID
-   * @returns {Promise<Object[]>} Array of webhook records for the run
+   * Get webhook correlation data for a pipeline run or correlation ID
+   * For a run, records from other runs that share its correlation ID (e.g. a GitHub
+   * webhook that arrived after the run finished) are included as well.
+   * @param {string} id - Pipeline run ID or correlation ID
+   * @returns {Promise<Object[]>} Array of webhook records, oldest first when correlated
    */
-  async getWebhookCorrelation(runId) {
+  async getWebhookCorrelation(id) {
     try {
-      return await this.dataStore.getWebhookRecords(runId);
+      if (IdGenerator.validateId(id, 'correlation')) {
+        const records = await this.dataStore.getWebhookRecords();
+        return this._sortByReceived(records.filter(record => record.correlationId === id));
+      }
+
+      const records = await this.dataStore.getWebhookRecords(id);
+      const correlationIds = new Set(records.map(record => record.correlationId).filter(Boolean));
+      if (correlationIds.size === 0) {
+        return records;
+      }
+
+      const allRecords = await this.dataStore.getWebhookRecords();
+      return this._sortByReceived(allRecords.filter(record =>
+        record.runId === id || correlationIds.has(record.correlationId)
+      ));
     } catch (error) {
       console.error('Failed to get webhook correlation:', error.message);
       throw error;
@@ -265,8 +431,11 @@ export class WebhookListener {
         processingTime: new Date().toISOString()
       });
 
-      // Check if this should trigger workflow
-      if (this._shouldTriggerWorkflow(eventType, action, payload)) {
+      if (eventType === 'workflow_run') {
+        await this._recordWorkflowRunEvent(runId, action, payload.workflow_run || {});
+      } else if (eventType === 'deployment_status') {
+        await this._recordDeploymentStatus(runId, payload.deployment_status || {}, payload.deployment || {});
+      } else if (this._shouldTriggerWorkflow(eventType, action, payload)) {
         await this.triggerMonitor.engine.updatePipelineStage(runId, 'github_workflow_triggered', 'running', {
           triggerReason: `GitHub ${eventType} ${action}`,
           expectedWorkflow: 'deploy-gh-pages'
@@ -279,6 +448,81 @@ export class WebhookListener {
     }
   }
 
+  /**
+   * Handle callbacks from the Supabase functions (ml-to-hugo) reporting how processing went
+   */
+  async _handleSupabaseCallback(runId, payload, headers) {
+    try {
+      console.log(`Processing Supabase callback for run ${runId}`);
+
+      const failed = payload.success === false || ['error', 'failed'].includes(payload.status);
+      await this.triggerMonitor.engine.updatePipelineStage(runId, 'supabase_processing', failed ? 'failed' : 'completed', {
+        functionName: payload.function || 'ml-to-hugo',
+        status: payload.status || (failed ? 'failed' : 'success'),
+        slug: payload.slug,
+        campaignId: payload.campaign_id,
+        commitSha: payload.commit_sha,
+        webhookSource: 'supabase',
+        processingTime: new Date().toISOString()
+      });
+
+      if (failed) {
+        await this.triggerMonitor.engine.addError(runId, 'supabase_processing', 'function_error',
+          payload.error || payload.message || 'Supabase function reported a failure');
+      }
+    } catch (error) {
+      console.error('Error handling Supabase callback:', error.message);
+      await this.triggerMonitor.engine.addError(runId, 'supabase_callback', 'processing_error', error.message);
+    }
+  }
+
+  /**
+   * Record a workflow_run delivery as a build stage
+   */
+  async _recordWorkflowRunEvent(runId, action, workflowRun) {
+    const details = {
+      workflowRunId: workflowRun.id,
+      workflowName: workflowRun.name,
+      event: workflowRun.event,
+      commitSha: workflowRun.head_sha
+    };
+
+    if (action !== 'completed') {
+      await this.triggerMonitor.engine.updatePipelineStage(runId, 'github_workflow_started', 'running', {
+        ...details,
+        startTime: workflowRun.run_started_at || workflowRun.created_at
+      });
+      return;
+    }
+
+    const succeeded = workflowRun.conclusion === 'success';
+    await this.triggerMonitor.engine.updatePipelineStage(
+      runId,
+      succeeded ? 'github_workflow_completed' : 'github_workflow_failed',
+      succeeded ? 'completed' : 'failed',
+      { ...details, conclusion: workflowRun.conclusion, endTime: workflowRun.updated_at }
+    );
+  }
+
+  /**
+   * Record a deployment_status delivery as the deploy stage
+   */
+  async _recordDeploymentStatus(runId, deploymentStatus, deployment) {
+    const stageStatus = {
+      success: 'completed',
+      failure: 'failed',
+      error: 'failed'
+    }[deploymentStatus.state] || 'running';
+
+    await this.triggerMonitor.engine.updatePipelineStage(runId, 'deployment', stageStatus, {
+      state: deploymentStatus.state,
+      environment: deploymentStatus.environment || deployment.environment,
+      environmentUrl: deploymentStatus.environment_url,
+      commitSha: deployment.sha,
+      description: deploymentStatus.description
+    });
+  }
+
   // Private helper methods
 
   /**
@@ -305,6 +549,11 @@ export class WebhookListener {
         metadata.deliveryId = headers['x-github-delivery'] || 'unknown';
         metadata.hookId = headers['x-github-hook-id'] || 'unknown';
         break;
+
+      case 'supabase':
+        metadata.eventType = payload.status || 'callback';
+        metadata.functionName = payload.function || 'ml-to-hugo';
+        break;
     }
 
     return metadata;
@@ -324,47 +573,102 @@ export class WebhookListener {
   }
 
   /**
-   * Validate webhook authentication
+   * Send a request on without touching it
+   * Node's http client is used rather than fetch, which would rewrite the request headers and
+   * decompress the response.
+   * @returns {Promise<{status: number, headers: Object, body: Buffer}>}
    */
-  async _validateAuthentication(webhookType, headers, payload) {
-    const auth = {
-      method: 'none',
-      success: false,
-      errors: []
-    };
+  _forward(url, { method, headers, body }) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const client = target.protocol === 'https:' ? https : http;
+      const request = client.request(target, {
+        method,
+        headers: omitHeaders(headers, HOP_BY_HOP_HEADERS),
+        timeout: this.config.webhookTimeout || 30000
+      }, (upstream) => {
+        const chunks = [];
+        upstream.on('data', chunk => chunks.push(chunk));
+        upstream.on('error', reject);
+        upstream.on('end', () => resolve({
+          status: upstream.statusCode,
+          headers: omitHeaders(upstream.headers, HOP_BY_HOP_HEADERS),
+          body: Buffer.concat(chunks)
+        }));
+      });
+
+      request.on('timeout', () => {
+        request.destroy(Object.assign(new Error('Destination timed out'), { code: 'ETIMEDOUT' }));
+      });
+      request.on('error', reject);
+      request.end(['GET', 'HEAD'].includes(method) ? undefined : body);
+    });
+  }
+
+  /**
+   * Record a proxied delivery and the destination's response; never rejects
+   */
+  async _recordProxiedWebhook(webhookType, { headers, body, receivedTime }, response, metadata) {
+    const payload = this._parseBody(body);
+    const responseBody = this._parseBody(this._decodeBody(response.body, response.headers['content-encoding']));
 
     try {
-      switch (webhookType) {
-        case 'mailerlite':
-          auth.method = 'token';
-          // Check for MailerLite webhook token in headers or payload
-          const mlToken = headers['x-mailerlite-signature'] || payload.token;
-          auth.success = !!mlToken;
-          if (!mlToken) {
-            auth.errors.push('Missing MailerLite webhook signature/token');
-          }
-          break;
-
-        case 'github':
-          auth.method = 'signature';
-          // Check for GitHub webhook signature
-          const ghSignature = headers['x-hub-signature-256'] || headers['x-hub-signature'];
-          auth.success = !!ghSignature;
-          if (!ghSignature) {
-            auth.errors.push('Missing GitHub webhook signature');
-          }
-          break;
+      // A delivery that fails a configured signature check starts no run. Only one the
+      // destination accepted uses up its nonce, so the sender can retry the rest.
+      const authentication = this.webhookSecrets[webhookType]
+        ? this.verifyWebhook(webhookType, body, headers, { remember: response.status < 300 })
+        : undefined;
+      const webhookId = await this.interceptWebhook(webhookType, payload, headers, {
+        rawBody: body,
+        authentication,
+        receivedTime,
+        correlationId: responseBody?.correlation_id
+      });
+      // Failures are logged by updateWebhookResponse
+      await this.updateWebhookResponse(webhookId, response.status, responseBody, response.headers, metadata).catch(() => {});
+      return webhookId;
+    } catch (error) {
+      console.error('Failed to record proxied webhook:', error.message);
+      return null;
+    }
+  }
 
-        default:
-          auth.method = 'unknown';
-          auth.success = true; // Assume success for unknown webhook types
-      }
+  _parseBody(body) {
+    const text = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  _decodeBody(body, encoding) {
+    const decode = DECODERS[String(encoding || '').trim().toLowerCase()];
+    if (!decode) {
+      return body;
+    }
+    try {
+      return decode(body);
     } catch (error) {
-      auth.success = false;
-      auth.errors.push(`Authentication validation error: ${error.message}`);
+      return body;
     }
+  }
 
-    return auth;
+  /**
+   * Validate webhook authentication for the record of an in-process delivery
+   * Nothing is enforced on this path, so the delivery is not remembered for replay detection.
+   */
+  async _validateAuthentication(webhookType, headers, payload, rawBody) {
+    try {
+      return this.verifyWebhook(webhookType, rawBody, headers, { remember: false });
+    } catch (error) {
+      return {
+        method: 'unknown',
+        success: false,
+        errors: [`Authentication validation error: ${error.message}`],
+        failureReason: 'error'
+      };
+    }
   }
 
   /**
@@ -428,6 +732,13 @@ export class WebhookListener {
     return removeSensitiveData(sanitized);
   }
 
+  /**
+   * Order webhook records by the time they were received
+   */
+  _sortByReceived(records) {
+    return records.sort((a, b) => new Date(a.timing?.received || 0) - new Date(b.timing?.received || 0));
+  }
+
   /**
    * Sanitize response body for storage
    */
@@ -0,0 +1,198 @@
+import express from 'express';
+import { createServer } from 'http';
+import { isSignedSource } from '../utils/webhook-signature.js';
+
+/**
+ * GitHub events the receiver records; other events are acknowledged and dropped
+ */
+export const GITHUB_EVENTS = ['workflow_run', 'push', 'deployment_status'];
+
+/**
+ * Bytes of a rejected delivery's body kept in its webhook record
+ */
+export const REJECTED_BODY_PREVIEW = 1024;
+
+/**
+ * WebhookReceiver hosts the HTTP endpoints MailerLite, GitHub and the Supabase
+ * functions deliver their webhooks to
+ * Each delivery's signature is checked by the listener against the secret of its source
+ * (the listener's `webhookSecrets`) and the delivery is handed to
+ * WebhookListener.interceptWebhook, which records it and starts or joins a pipeline run.
+ * Rejected deliveries are recorded as a summary with the reason and answered with 401. Sources
+ * without a secret are not accepted.
+ *
+ * In proxy mode (`/proxy/:source`) deliveries are forwarded unchanged to the source's
+ * destination in the listener's `proxyTargets`, e.g. MailerLite to ml-to-hugo, and recorded
+ * once the destination has answered.
+ */
+export class WebhookReceiver {
+  /**
+   * @param {import('./webhook-listener.js').WebhookListener} webhookListener
+   * @param {Object} [config]
+   * @param {number} [config.port=3001]
+   * @param {string} [config.host='0.0.0.0']
+   * @param {string} [config.maxBodySize='1mb']
+   */
+  constructor(webhookListener, config = {}) {
+    this.webhookListener = webhookListener;
+    this.config = {
+      port: config.port ?? 3001,
+      host: config.host || '0.0.0.0',
+      maxBodySize: config.maxBodySize || '1mb',
+      ...config
+    };
+
+    this.app = express();
+    this.app.disable('x-powered-by');
+    this.server = createServer(this.app);
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Signatures cover the exact bytes sent, so bodies are parsed only after they are checked
+    const rawBody = express.raw({ type: () => true, limit: this.config.maxBodySize });
+
+    this.app.post('/webhooks/:source', rawBody, this.receiveWebhook.bind(this));
+    this.app.post('/proxy/:source', rawBody, this.proxyWebhook.bind(this));
+
+    this.app.get('/health', (req, res) => {
+      res.json({
+        status: 'healthy',
+        sources: Object.keys(this.webhookListener.webhookSecrets).filter(source => this.isEnabled(source)),
+        proxies: Object.keys(this.webhookListener.config?.proxyTargets || {}),
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+
+  /**
+   * Whether deliveries from a source are accepted: it must sign them and have a secret
+   * @param {string} source
+   * @returns {boolean}
+   */
+  isEnabled(source) {
+    return isSignedSource(source) && Boolean(this.webhookListener.webhookSecrets[source]);
+  }
+
+  async receiveWebhook(req, res) {
+    const { source } = req.params;
+    if (!this.isEnabled(source)) {
+      return res.status(404).json({ error: `Webhook source not enabled: ${source}` });
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const authentication = this.webhookListener.verifyWebhook(source, body, req.headers);
+    if (!authentication.success) {
+      await this._recordRejected(source, body, req.headers, authentication);
+      return res.status(401).json({ error: 'Invalid signature', reason: authentication.failureReason });
+    }
+
+    if (source === 'github') {
+      const event = req.headers['x-github-event'];
+      if (event === 'ping') {
+        return res.json({ ok: true });
+      }
+      if (!GITHUB_EVENTS.includes(event)) {
+        return res.status(202).json({ ignored: true, event: event || 'unknown' });
+      }
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
+
+    let webhookId;
+    try {
+      webhookId = await this.webhookListener.interceptWebhook(source, payload, req.headers, { authentication });
+    } catch (error) {
+      // Nothing was processed, so the sender's retry of this delivery must not count as a replay
+      this.webhookListener.releaseWebhook(source, req.headers);
+      console.error(`Failed to receive ${source} webhook:`, error.message);
+      return res.status(500).json({ error: 'Failed to process webhook' });
+    }
+
+    try {
+      const response = { webhookId };
+      await this.webhookListener.updateWebhookResponse(webhookId, 202, response);
+      res.status(202).json(response);
+    } catch (error) {
+      console.error(`Failed to receive ${source} webhook:`, error.message);
+      res.status(500).json({ error: 'Failed to process webhook' });
+    }
+  }
+
+  /**
+   * Keep a record of a rejected delivery so failed signature checks show up with their reason
+   * Anyone can post to the receiver, so only the size and the start of the body are kept. The
+   * listener does not start a pipeline run for it.
+   */
+  async _recordRejected(source, body, headers, authentication) {
+    const payload = {
+      rejected: true,
+      reason: authentication.failureReason,
+      size: body.length,
+      body: body.subarray(0, REJECTED_BODY_PREVIEW).toString('utf8'),
+      truncated: body.length > REJECTED_BODY_PREVIEW
+    };
+
+    try {
+      const webhookId = await this.webhookListener.interceptWebhook(source, payload, headers, { authentication });
+      await this.webhookListener.updateWebhookResponse(webhookId, 401, { error: 'Invalid signature' });
+    } catch (error) {
+      console.error(`Failed to record rejected ${source} webhook:`, error.message);
+    }
+  }
+
+  /**
+   * Pass a delivery through to its destination (see WebhookListener.proxyWebhook)
+   * Signatures are left for the destination to check, since it receives the request unchanged.
+   */
+  async proxyWebhook(req, res) {
+    const { source } = req.params;
+    if (!this.webhookListener.config?.proxyTargets?.[source]) {
+      return res.status(404).json({ error: `No proxy target for webhook source: ${source}` });
+    }
+
+    try {
+      const search = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+      const { status, headers, body } = await this.webhookListener.proxyWebhook(source, {
+        method: req.method,
+        headers: req.headers,
+        body: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+        search
+      });
+      // Written directly so Express adds none of its own headers
+      res.writeHead(status, { ...headers, 'content-length': body.length });
+      res.end(body);
+    } catch (error) {
+      console.error(`Failed to proxy ${source} webhook:`, error.message);
+      res.status(502).json({ error: 'Failed to forward webhook' });
+    }
+  }
+
+  async start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.off('error', reject);
+        console.log(`Webhook receiver listening on http://${this.config.host}:${this.server.address().port}/webhooks`);
+        resolve();
+      });
+    });
+  }
+
+  async stop() {
+    if (!this.server.listening) {
+      return;
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        console.log('Webhook receiver stopped');
+        resolve();
+      });
+    });
+  }
+}
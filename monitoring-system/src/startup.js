@@ -3,6 +3,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { TestCycleEngine } from './core/test-cycle-engine.js';
 import { DashboardServer } from './dashboard/dashboard-server.js';
+import { AlertManager } from './alerts/alert-manager.js';
 
 async function loadJsonConfig(filePath, description) {
   try {
@@ -33,6 +34,10 @@ async function startMonitoringSystem() {
   const engine = new TestCycleEngine(engineConfig);
   await engine.initialize();
 
+  if (!dashboardOnly && engineConfig.alerts?.enabled !== false) {
+    engine.setAlertManager(new AlertManager({ ...engineConfig.alerts, configDir: engineConfig.dataDir }));
+  }
+
   if (!dashboardOnly && engineConfig.autoStart !== false) {
     await engine.startMonitoring();
   }
@@ -41,7 +46,12 @@ async function startMonitoringSystem() {
   if (!engineOnly) {
     dashboard = new DashboardServer(engine, {
       host: dashboardConfig.host || '0.0.0.0',
-      port: dashboardConfig.port || 3000
+      port: dashboardConfig.port || 3000,
+      alertConfigPath: path.join(engineConfig.dataDir || './data', 'alert-config.json'),
+      auth: {
+        apiKeyHeader: dashboardConfig.security?.apiKeyHeader,
+        ...dashboardConfig.auth
+      }
     });
     await dashboard.start();
   }
@@ -55,6 +65,7 @@ async function startMonitoringSystem() {
         await dashboard.stop();
       }
       await engine.stopMonitoring();
+      await engine.dataStore.close();
       process.exit(0);
     } catch (error) {
       console.error('Error during shutdown:', error);
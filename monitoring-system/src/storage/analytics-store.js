@@ -56,6 +56,20 @@ export class AnalyticsStore {
     return snapshots;
   }
 
+  /**
+   * Remove specific snapshots (matched by their generatedAt timestamp)
+   * @param {Object[]} snapshotsToRemove
+   * @returns {Promise<number>} Number of snapshots removed
+   */
+  async removeSnapshots(snapshotsToRemove) {
+    const timestamps = new Set(snapshotsToRemove.map(snapshot => snapshot.generatedAt));
+    const snapshots = await this._readJsonFile(this.snapshotsFile, []);
+    const kept = snapshots.filter(snapshot => !timestamps.has(snapshot.generatedAt));
+
+    await this._writeJsonFile(this.snapshotsFile, kept);
+    return snapshots.length - kept.length;
+  }
+
   /**
    * Persist aggregated analytics metrics
    * @param {Object} aggregates
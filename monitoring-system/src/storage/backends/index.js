@@ -0,0 +1,29 @@
+/**
+ * Storage backends for the monitoring DataStore
+ */
+
+import { JsonStorageBackend } from './json-backend.js';
+import { SqliteStorageBackend } from './sqlite-backend.js';
+
+export { StorageBackend } from './storage-backend.js';
+export { JsonStorageBackend, SqliteStorageBackend };
+
+const BACKENDS = {
+  json: JsonStorageBackend,
+  sqlite: SqliteStorageBackend
+};
+
+/**
+ * Create a storage backend by name
+ * @param {'json'|'sqlite'} type - Backend type
+ * @param {string} dataDir - Data directory
+ * @param {Object} [options] - Backend-specific options
+ * @returns {import('./storage-backend.js').StorageBackend}
+ */
+export function createStorageBackend(type = 'json', dataDir = './data', options = {}) {
+  const Backend = BACKENDS[type];
+  if (!Backend) {
+    throw new Error(`Unknown storage backend: ${type}`);
+  }
+  return new Backend(dataDir, options);
+}
@@ -0,0 +1,386 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { StorageBackend } from './storage-backend.js';
+import { Journal } from '../journal.js';
+import { writeJsonFileAtomic, quarantineFile } from '../file-utils.js';
+
+/**
+ * JSON file storage backend
+ * Every save is appended to a JSON lines journal (journal.jsonl); the journal is
+ * periodically compacted into one snapshot document per collection, written
+ * atomically. A crash therefore never truncates existing data: on startup the
+ * snapshots are loaded, the journal is replayed on top, and anything unreadable
+ * is moved to the quarantine directory instead of failing initialization.
+ * Suitable for development and small installations.
+ */
+export class JsonStorageBackend extends StorageBackend {
+  /**
+   * @param {string} [dataDir='./data'] - Data directory
+   * @param {Object} [options]
+   * @param {number} [options.compactThreshold=500] - Journal entries that trigger compaction
+   * @param {boolean} [options.fsync=false] - Flush each journal append to disk
+   */
+  constructor(dataDir = './data', options = {}) {
+    super(dataDir, options);
+    this.pipelineRunsFile = path.join(dataDir, 'pipeline-runs.json');
+    this.webhookRecordsFile = path.join(dataDir, 'webhook-records.json');
+    this.metricsFile = path.join(dataDir, 'metrics.json');
+    this.journalFile = path.join(dataDir, 'journal.jsonl');
+    this.quarantineDir = path.join(dataDir, 'quarantine');
+
+    this.compactThreshold = options.compactThreshold ?? 500;
+    this.journal = new Journal(this.journalFile, { fsync: options.fsync });
+    this.recoveryReport = null;
+
+    this._state = null;
+    this._signature = null;
+    this._journalEntries = 0;
+    this._writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    const report = {
+      recoveredAt: new Date().toISOString(),
+      quarantined: [],
+      replayedEntries: 0,
+      skippedEntries: 0,
+      truncatedTail: false
+    };
+
+    const snapshots = await this._recoverSnapshots(report);
+    const { entries, corruptLines, truncatedTail } = await this.journal.read();
+
+    report.truncatedTail = truncatedTail;
+    report.skippedEntries = corruptLines.length + (truncatedTail ? 1 : 0);
+
+    if (report.skippedEntries > 0) {
+      const quarantined = await quarantineFile(this.journalFile, this.quarantineDir);
+      if (quarantined) {
+        report.quarantined.push(quarantined);
+      }
+      console.warn(`Quarantined journal with ${report.skippedEntries} unreadable entries to ${quarantined}`);
+    }
+
+    const state = this._createState(snapshots);
+    for (const entry of entries) {
+      if (this._applyEntry(state, entry)) {
+        report.replayedEntries++;
+      } else {
+        report.skippedEntries++;
+      }
+    }
+
+    this._state = state;
+    this.recoveryReport = report;
+
+    // Fold whatever was replayed into fresh snapshots so we start from a clean journal
+    if (entries.length > 0 || report.quarantined.length > 0) {
+      await this._compact();
+      console.log(`Recovered data store: replayed ${report.replayedEntries} journal entries`);
+    } else {
+      await this.journal.truncate();
+      this._signature = await this._getSignature();
+    }
+  }
+
+  async savePipelineRun(pipelineRun) {
+    await this._write({ op: 'run', record: pipelineRun });
+    return pipelineRun;
+  }
+
+  async getPipelineRun(runId) {
+    const state = await this._read();
+    return this._clone(state.pipelineRuns.get(runId) || null);
+  }
+
+  async getPipelineRuns(filters = {}) {
+    const state = await this._read();
+    let runs = this._clone(Array.from(state.pipelineRuns.values()));
+
+    if (filters.status) {
+      runs = runs.filter(run => run.status === filters.status);
+    }
+
+    if (filters.triggerType) {
+      runs = runs.filter(run => run.trigger.type === filters.triggerType);
+    }
+
+    // Sort by start time (newest first)
+    runs.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+    if (filters.limit) {
+      runs = runs.slice(0, filters.limit);
+    }
+
+    return runs;
+  }
+
+  async saveWebhookRecord(webhookRecord) {
+    await this._write({ op: 'webhook', record: webhookRecord });
+    return webhookRecord;
+  }
+
+  async getWebhookRecord(webhookId) {
+    const state = await this._read();
+    return this._clone(state.webhookRecords.get(webhookId) || null);
+  }
+
+  async getWebhookRecords(runId) {
+    const state = await this._read();
+    const records = this._clone(Array.from(state.webhookRecords.values()));
+    if (runId === undefined) {
+      return records;
+    }
+    return records.filter(record => record.runId === runId);
+  }
+
+  async saveMetrics(runId, metrics) {
+    await this._write({
+      op: 'metrics',
+      runId,
+      record: {
+        ...metrics,
+        timestamp: new Date().toISOString()
+      }
+    });
+    return metrics;
+  }
+
+  async getMetrics(runId = null) {
+    const state = await this._read();
+
+    if (runId) {
+      return this._clone(state.metrics[runId] || null);
+    }
+
+    return this._clone(state.metrics);
+  }
+
+  async cleanup(keepCount) {
+    await this._write({ op: 'cleanup', keepCount });
+  }
+
+  async deletePipelineRuns(runIds) {
+    await this._write({ op: 'delete', collection: 'pipelineRuns', ids: runIds });
+  }
+
+  async deleteWebhookRecords(webhookIds) {
+    await this._write({ op: 'delete', collection: 'webhookRecords', ids: webhookIds });
+  }
+
+  async deleteMetrics(runIds) {
+    await this._write({ op: 'delete', collection: 'metrics', ids: runIds });
+  }
+
+  /**
+   * Write the current state to the snapshot files and empty the journal
+   */
+  async compact() {
+    await this._enqueue(async () => {
+      await this._loadState();
+      await this._compact();
+    });
+  }
+
+  // Private helper methods
+
+  _enqueue(task) {
+    const result = this._writeQueue.then(task);
+    // Keep the queue alive after a failed write
+    this._writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Reads share the write queue so they never observe a half-applied write
+   */
+  _read() {
+    return this._enqueue(() => this._loadState());
+  }
+
+  async _write(entry) {
+    await this._enqueue(async () => {
+      const state = await this._loadState();
+      await this.journal.append(entry);
+      // Keep our own copy so later changes to the caller's object are not seen until saved
+      this._applyEntry(state, this._clone(entry));
+      this._journalEntries++;
+
+      if (this.compactThreshold > 0 && this._journalEntries >= this.compactThreshold) {
+        await this._compact();
+      } else {
+        this._signature = await this._getSignature();
+      }
+    });
+  }
+
+  async _compact() {
+    const state = this._state;
+    await writeJsonFileAtomic(this.pipelineRunsFile, Array.from(state.pipelineRuns.values()));
+    await writeJsonFileAtomic(this.webhookRecordsFile, Array.from(state.webhookRecords.values()));
+    await writeJsonFileAtomic(this.metricsFile, state.metrics);
+    // Entries replayed twice are harmless, so a crash before this truncate loses nothing
+    await this.journal.truncate();
+
+    this._journalEntries = 0;
+    this._signature = await this._getSignature();
+  }
+
+  /**
+   * Return the in-memory state, reloading it when another process has changed the files
+   */
+  async _loadState() {
+    const signature = await this._getSignature();
+    if (this._state && signature === this._signature) {
+      return this._state;
+    }
+
+    const [pipelineRuns, webhookRecords, metrics] = await Promise.all([
+      this._readJsonFile(this.pipelineRunsFile),
+      this._readJsonFile(this.webhookRecordsFile),
+      this._readJsonFile(this.metricsFile)
+    ]);
+
+    const state = this._createState({ pipelineRuns, webhookRecords, metrics });
+    const { entries } = await this.journal.read();
+    entries.forEach(entry => this._applyEntry(state, entry));
+
+    this._state = state;
+    this._signature = signature;
+    this._journalEntries = entries.length;
+    return state;
+  }
+
+  async _getSignature() {
+    const files = [this.pipelineRunsFile, this.webhookRecordsFile, this.metricsFile, this.journalFile];
+    const stats = await Promise.all(files.map(file => fs.stat(file).catch(() => null)));
+    return stats.map(stat => (stat ? `${stat.size}:${stat.mtimeMs}` : '-')).join('|');
+  }
+
+  /**
+   * Load each snapshot, quarantining any that cannot be parsed and starting it empty
+   */
+  async _recoverSnapshots(report) {
+    const snapshots = {
+      pipelineRuns: { file: this.pipelineRunsFile, empty: [] },
+      webhookRecords: { file: this.webhookRecordsFile, empty: [] },
+      metrics: { file: this.metricsFile, empty: {} }
+    };
+
+    const result = {};
+    for (const [name, { file, empty }] of Object.entries(snapshots)) {
+      let data;
+      try {
+        data = await this._readJsonFile(file);
+      } catch (error) {
+        data = undefined;
+        console.warn(`Snapshot ${path.basename(file)} is unreadable: ${error.message}`);
+      }
+
+      const valid = data === null || (Array.isArray(empty) ? Array.isArray(data) : this._isPlainObject(data));
+      if (!valid) {
+        const quarantined = await quarantineFile(file, this.quarantineDir);
+        if (quarantined) {
+          report.quarantined.push(quarantined);
+          console.warn(`Quarantined corrupt snapshot ${path.basename(file)} to ${quarantined}`);
+        }
+        data = null;
+      }
+
+      if (data === null) {
+        await writeJsonFileAtomic(file, empty);
+      }
+
+      result[name] = data ?? empty;
+    }
+
+    return result;
+  }
+
+  _createState({ pipelineRuns, webhookRecords, metrics }) {
+    return {
+      pipelineRuns: new Map((pipelineRuns || []).filter(run => run?.id).map(run => [run.id, run])),
+      webhookRecords: new Map((webhookRecords || []).filter(record => record?.id).map(record => [record.id, record])),
+      metrics: this._isPlainObject(metrics) ? { ...metrics } : {}
+    };
+  }
+
+  /**
+   * Apply a journal entry to the state
+   * @returns {boolean} False if the entry was not recognised
+   */
+  _applyEntry(state, entry) {
+    switch (entry?.op) {
+      case 'run':
+        if (!entry.record?.id) return false;
+        state.pipelineRuns.set(entry.record.id, entry.record);
+        return true;
+
+      case 'webhook':
+        if (!entry.record?.id) return false;
+        state.webhookRecords.set(entry.record.id, entry.record);
+        return true;
+
+      case 'metrics':
+        if (!entry.runId) return false;
+        state.metrics[entry.runId] = entry.record;
+        return true;
+
+      case 'cleanup':
+        this._applyCleanup(state, entry.keepCount);
+        return true;
+
+      case 'delete':
+        if (!Array.isArray(entry.ids)) return false;
+        if (entry.collection === 'metrics') {
+          entry.ids.forEach(id => delete state.metrics[id]);
+        } else if (state[entry.collection] instanceof Map) {
+          entry.ids.forEach(id => state[entry.collection].delete(id));
+        } else {
+          return false;
+        }
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  _applyCleanup(state, keepCount) {
+    if (state.pipelineRuns.size > keepCount) {
+      const runs = Array.from(state.pipelineRuns.values())
+        .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+        .slice(0, keepCount);
+      state.pipelineRuns = new Map(runs.map(run => [run.id, run]));
+    }
+
+    if (state.webhookRecords.size > keepCount) {
+      const webhooks = Array.from(state.webhookRecords.values())
+        .sort((a, b) => new Date(b.timing.sent) - new Date(a.timing.sent))
+        .slice(0, keepCount);
+      state.webhookRecords = new Map(webhooks.map(record => [record.id, record]));
+    }
+  }
+
+  _clone(value) {
+    return value === null ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  async _readJsonFile(filePath) {
+    try {
+      const data = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,374 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { StorageBackend } from './storage-backend.js';
+import { migrateJsonToSqlite } from '../migrations/json-to-sqlite.js';
+import { matchesRunQuery, paginate } from '../pipeline-run-query.js';
+
+let databaseModulePromise = null;
+
+const getDatabase = async () => {
+  if (!databaseModulePromise) {
+    databaseModulePromise = import('better-sqlite3').then(module => module.default);
+  }
+  return databaseModulePromise;
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS pipeline_runs (
+    id TEXT PRIMARY KEY,
+    status TEXT,
+    trigger_type TEXT,
+    start_time TEXT,
+    end_time TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_pipeline_runs_start_time ON pipeline_runs (start_time);
+  CREATE INDEX IF NOT EXISTS idx_pipeline_runs_status ON pipeline_runs (status);
+
+  CREATE TABLE IF NOT EXISTS webhook_records (
+    id TEXT PRIMARY KEY,
+    run_id TEXT,
+    source TEXT,
+    sent_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_webhook_records_run_id ON webhook_records (run_id);
+  CREATE INDEX IF NOT EXISTS idx_webhook_records_sent_at ON webhook_records (sent_at);
+
+  CREATE TABLE IF NOT EXISTS metrics (
+    run_id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS storage_meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+/**
+ * Embedded SQLite storage backend
+ * Stores each record as its own row so saves are O(1) upserts instead of
+ * whole-file rewrites. Filter columns are denormalized out of the JSON document
+ * for indexed lookups; the document itself is kept verbatim in the data column.
+ */
+export class SqliteStorageBackend extends StorageBackend {
+  constructor(dataDir = './data', options = {}) {
+    super(dataDir, options);
+    this.databaseFile = options.databaseFile || path.join(dataDir, 'monitoring.db');
+    this.migrateFromJson = options.migrateFromJson !== false;
+    this.db = null;
+    this.statements = null;
+  }
+
+  async initialize() {
+    if (this.db) {
+      return;
+    }
+
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    const Database = await getDatabase();
+    this.db = new Database(this.databaseFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(SCHEMA);
+    this._prepareStatements();
+
+    if (this.migrateFromJson && !this.getMeta('json_migrated_at')) {
+      const result = await migrateJsonToSqlite(this.dataDir, this);
+      this.setMeta('json_migrated_at', new Date().toISOString());
+      if (result.pipelineRuns || result.webhookRecords || result.metrics) {
+        console.log(`Migrated JSON data into SQLite: ${result.pipelineRuns} runs, ${result.webhookRecords} webhooks, ${result.metrics} metric entries`);
+      }
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.statements = null;
+    }
+  }
+
+  async savePipelineRun(pipelineRun) {
+    this.statements.upsertRun.run(this._toRunRow(pipelineRun));
+    return pipelineRun;
+  }
+
+  async getPipelineRun(runId) {
+    const row = this.statements.getRun.get(runId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getPipelineRuns(filters = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (filters.status) {
+      clauses.push('status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.triggerType) {
+      clauses.push('trigger_type = ?');
+      params.push(filters.triggerType);
+    }
+
+    let sql = 'SELECT data FROM pipeline_runs';
+    if (clauses.length > 0) {
+      sql += ` WHERE ${clauses.join(' AND ')}`;
+    }
+    sql += ' ORDER BY start_time DESC';
+
+    if (filters.limit) {
+      sql += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+
+    return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Status, trigger type, date range and cursor are applied in SQL against the
+   * indexed columns; the remaining filters are checked on the decoded rows,
+   * which are streamed so we stop reading once the page is full.
+   */
+  async searchPipelineRuns(query) {
+    const clauses = [];
+    const params = [];
+
+    if (query.status) {
+      clauses.push('status = ?');
+      params.push(query.status);
+    }
+
+    if (query.triggerType) {
+      clauses.push('trigger_type = ?');
+      params.push(query.triggerType);
+    }
+
+    if (query.from) {
+      clauses.push('start_time >= ?');
+      params.push(query.from);
+    }
+
+    if (query.to) {
+      clauses.push('start_time <= ?');
+      params.push(query.to);
+    }
+
+    if (query.cursor) {
+      const cursorTime = query.cursor.startTime || '';
+      clauses.push("(COALESCE(start_time, '') < ? OR (COALESCE(start_time, '') = ? AND id < ?))");
+      params.push(cursorTime, cursorTime, query.cursor.id);
+    }
+
+    let sql = 'SELECT data FROM pipeline_runs';
+    if (clauses.length > 0) {
+      sql += ` WHERE ${clauses.join(' AND ')}`;
+    }
+    sql += ' ORDER BY start_time DESC, id DESC';
+
+    const matches = [];
+    for (const row of this.db.prepare(sql).iterate(...params)) {
+      const run = JSON.parse(row.data);
+      if (matchesRunQuery(run, query)) {
+        matches.push(run);
+        // One extra match tells us whether there is another page
+        if (matches.length > query.limit) {
+          break;
+        }
+      }
+    }
+
+    return paginate(matches, query.limit);
+  }
+
+  async saveWebhookRecord(webhookRecord) {
+    this.statements.upsertWebhook.run(this._toWebhookRow(webhookRecord));
+    return webhookRecord;
+  }
+
+  async getWebhookRecord(webhookId) {
+    const row = this.statements.getWebhook.get(webhookId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getWebhookRecords(runId) {
+    const rows = runId === undefined
+      ? this.statements.getAllWebhooks.all()
+      : this.statements.getWebhooksByRun.all(runId);
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async saveMetrics(runId, metrics) {
+    const timestamp = new Date().toISOString();
+    this.statements.upsertMetrics.run({
+      run_id: runId,
+      timestamp,
+      data: JSON.stringify({ ...metrics, timestamp })
+    });
+    return metrics;
+  }
+
+  async getMetrics(runId = null) {
+    if (runId) {
+      const row = this.statements.getMetrics.get(runId);
+      return row ? JSON.parse(row.data) : null;
+    }
+
+    const allMetrics = {};
+    for (const row of this.statements.getAllMetrics.all()) {
+      allMetrics[row.run_id] = JSON.parse(row.data);
+    }
+    return allMetrics;
+  }
+
+  async cleanup(keepCount) {
+    const prune = this.db.transaction(count => {
+      this.db.prepare(`
+        DELETE FROM pipeline_runs WHERE id NOT IN (
+          SELECT id FROM pipeline_runs ORDER BY start_time DESC LIMIT ?
+        )
+      `).run(count);
+      this.db.prepare(`
+        DELETE FROM webhook_records WHERE id NOT IN (
+          SELECT id FROM webhook_records ORDER BY sent_at DESC LIMIT ?
+        )
+      `).run(count);
+    });
+
+    prune(keepCount);
+  }
+
+  async deletePipelineRuns(runIds) {
+    this._deleteByKey(this.statements.deleteRun, runIds);
+  }
+
+  async deleteWebhookRecords(webhookIds) {
+    this._deleteByKey(this.statements.deleteWebhook, webhookIds);
+  }
+
+  async deleteMetrics(runIds) {
+    this._deleteByKey(this.statements.deleteMetrics, runIds);
+  }
+
+  /**
+   * Import records in a single transaction (used by the JSON migration)
+   * @param {Object} data
+   * @param {Object[]} [data.pipelineRuns]
+   * @param {Object[]} [data.webhookRecords]
+   * @param {Object} [data.metrics] - Map of run ID to metrics
+   */
+  importRecords({ pipelineRuns = [], webhookRecords = [], metrics = {} } = {}) {
+    const importAll = this.db.transaction(() => {
+      pipelineRuns.forEach(run => this.statements.upsertRun.run(this._toRunRow(run)));
+      webhookRecords.forEach(record => this.statements.upsertWebhook.run(this._toWebhookRow(record)));
+      Object.entries(metrics).forEach(([runId, entry]) => {
+        this.statements.upsertMetrics.run({
+          run_id: runId,
+          timestamp: entry?.timestamp || new Date().toISOString(),
+          data: JSON.stringify(entry)
+        });
+      });
+    });
+
+    importAll();
+  }
+
+  getMeta(key) {
+    const row = this.statements.getMeta.get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, value);
+  }
+
+  // Private helper methods
+
+  _deleteByKey(statement, keys = []) {
+    const deleteAll = this.db.transaction(() => {
+      keys.forEach(key => statement.run(key));
+    });
+    deleteAll();
+  }
+
+  _prepareStatements() {
+    this.statements = {
+      upsertRun: this.db.prepare(`
+        INSERT INTO pipeline_runs (id, status, trigger_type, start_time, end_time, data)
+        VALUES (@id, @status, @trigger_type, @start_time, @end_time, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status,
+          trigger_type = excluded.trigger_type,
+          start_time = excluded.start_time,
+          end_time = excluded.end_time,
+          data = excluded.data
+      `),
+      getRun: this.db.prepare('SELECT data FROM pipeline_runs WHERE id = ?'),
+      deleteRun: this.db.prepare('DELETE FROM pipeline_runs WHERE id = ?'),
+      upsertWebhook: this.db.prepare(`
+        INSERT INTO webhook_records (id, run_id, source, sent_at, data)
+        VALUES (@id, @run_id, @source, @sent_at, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          run_id = excluded.run_id,
+          source = excluded.source,
+          sent_at = excluded.sent_at,
+          data = excluded.data
+      `),
+      getWebhook: this.db.prepare('SELECT data FROM webhook_records WHERE id = ?'),
+      deleteWebhook: this.db.prepare('DELETE FROM webhook_records WHERE id = ?'),
+      getWebhooksByRun: this.db.prepare('SELECT data FROM webhook_records WHERE run_id = ? ORDER BY rowid'),
+      getAllWebhooks: this.db.prepare('SELECT data FROM webhook_records ORDER BY rowid'),
+      upsertMetrics: this.db.prepare(`
+        INSERT INTO metrics (run_id, timestamp, data) VALUES (@run_id, @timestamp, @data)
+        ON CONFLICT(run_id) DO UPDATE SET timestamp = excluded.timestamp, data = excluded.data
+      `),
+      getMetrics: this.db.prepare('SELECT data FROM metrics WHERE run_id = ?'),
+      deleteMetrics: this.db.prepare('DELETE FROM metrics WHERE run_id = ?'),
+      getAllMetrics: this.db.prepare('SELECT run_id, data FROM metrics ORDER BY timestamp'),
+      getMeta: this.db.prepare('SELECT value FROM storage_meta WHERE key = ?'),
+      setMeta: this.db.prepare(`
+        INSERT INTO storage_meta (key, value) VALUES (?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value
+      `)
+    };
+  }
+
+  _toRunRow(pipelineRun) {
+    return {
+      id: pipelineRun.id,
+      status: pipelineRun.status || null,
+      trigger_type: pipelineRun.trigger?.type || null,
+      start_time: this._toIsoTimestamp(pipelineRun.startTime),
+      end_time: pipelineRun.endTime || null,
+      data: JSON.stringify(pipelineRun)
+    };
+  }
+
+  _toWebhookRow(webhookRecord) {
+    return {
+      id: webhookRecord.id,
+      run_id: webhookRecord.runId ?? null,
+      source: webhookRecord.source || null,
+      sent_at: this._toIsoTimestamp(webhookRecord.timing?.sent),
+      data: JSON.stringify(webhookRecord)
+    };
+  }
+
+  /**
+   * Normalize timestamps so ORDER BY on the text column matches chronological order
+   */
+  _toIsoTimestamp(value) {
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
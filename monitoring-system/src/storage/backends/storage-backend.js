@@ -0,0 +1,147 @@
+import { searchRuns } from '../pipeline-run-query.js';
+
+/**
+ * Base class for monitoring data storage engines
+ * Backends persist pipeline runs, webhook records, and per-run metrics.
+ * DataStore delegates to a backend and keeps its own error wrapping and
+ * configuration handling, so implementations only need to cover the methods below.
+ */
+export class StorageBackend {
+  constructor(dataDir = './data', options = {}) {
+    this.dataDir = dataDir;
+    this.options = options;
+  }
+
+  /**
+   * Prepare the underlying storage (create files, tables, indexes)
+   */
+  async initialize() {
+    throw new Error('initialize method must be implemented by subclass');
+  }
+
+  /**
+   * Release any resources held by the backend
+   */
+  async close() {}
+
+  /**
+   * Insert or replace a pipeline run
+   * @param {import('../../types/index.js').PipelineRun} pipelineRun
+   */
+  async savePipelineRun(pipelineRun) {
+    throw new Error('savePipelineRun method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} runId
+   * @returns {Promise<import('../../types/index.js').PipelineRun|null>}
+   */
+  async getPipelineRun(runId) {
+    throw new Error('getPipelineRun method must be implemented by subclass');
+  }
+
+  /**
+   * Get pipeline runs, newest first
+   * @param {Object} filters
+   * @param {string} [filters.status]
+   * @param {string} [filters.triggerType]
+   * @param {number} [filters.limit]
+   * @returns {Promise<import('../../types/index.js').PipelineRun[]>}
+   */
+  async getPipelineRuns(filters = {}) {
+    throw new Error('getPipelineRuns method must be implemented by subclass');
+  }
+
+  /**
+   * Search pipeline runs with filters and cursor pagination.
+   * The default implementation filters every run in memory; backends with an
+   * index can override it.
+   * @param {Object} query - Query normalized by normalizeRunQuery
+   * @returns {Promise<{runs: Object[], nextCursor: string|null, hasMore: boolean}>}
+   */
+  async searchPipelineRuns(query) {
+    const runs = await this.getPipelineRuns();
+    return searchRuns(runs, query);
+  }
+
+  /**
+   * Insert or replace a webhook record
+   * @param {import('../../types/index.js').WebhookRecord} webhookRecord
+   */
+  async saveWebhookRecord(webhookRecord) {
+    throw new Error('saveWebhookRecord method must be implemented by subclass');
+  }
+
+  /**
+   * @param {string} webhookId
+   * @returns {Promise<import('../../types/index.js').WebhookRecord|null>}
+   */
+  async getWebhookRecord(webhookId) {
+    throw new Error('getWebhookRecord method must be implemented by subclass');
+  }
+
+  /**
+   * Get webhook records for a pipeline run, or every record when no run ID is given
+   * @param {string} [runId]
+   * @returns {Promise<import('../../types/index.js').WebhookRecord[]>}
+   */
+  async getWebhookRecords(runId) {
+    throw new Error('getWebhookRecords method must be implemented by subclass');
+  }
+
+  /**
+   * Store metrics for a run, stamped with the time they were recorded
+   * @param {string} runId
+   * @param {Object} metrics
+   */
+  async saveMetrics(runId, metrics) {
+    throw new Error('saveMetrics method must be implemented by subclass');
+  }
+
+  /**
+   * Get metrics for one run, or a map of run ID to metrics when no run ID is given
+   * @param {string} [runId]
+   * @returns {Promise<Object|null>}
+   */
+  async getMetrics(runId = null) {
+    throw new Error('getMetrics method must be implemented by subclass');
+  }
+
+  /**
+   * Keep only the newest N pipeline runs and webhook records
+   * @param {number} keepCount
+   */
+  async cleanup(keepCount) {
+    throw new Error('cleanup method must be implemented by subclass');
+  }
+
+  /**
+   * Delete pipeline runs by ID
+   * @param {string[]} runIds
+   */
+  async deletePipelineRuns(runIds) {
+    throw new Error('deletePipelineRuns method must be implemented by subclass');
+  }
+
+  /**
+   * Delete webhook records by ID
+   * @param {string[]} webhookIds
+   */
+  async deleteWebhookRecords(webhookIds) {
+    throw new Error('deleteWebhookRecords method must be implemented by subclass');
+  }
+
+  /**
+   * Delete the metrics stored for the given runs
+   * @param {string[]} runIds
+   */
+  async deleteMetrics(runIds) {
+    throw new Error('deleteMetrics method must be implemented by subclass');
+  }
+
+  /**
+   * Fold any buffered or journaled writes into durable storage.
+   * Backends that write in place have nothing to do.
+   */
+  async compact() {}
+}
@@ -1,17 +1,33 @@
 import { promises as fs } from 'fs';
 import path from 'path';
+import { StorageBackend, createStorageBackend } from './backends/index.js';
+import { writeJsonFileAtomic, quarantineFile } from './file-utils.js';
+import { normalizeRunQuery } from './pipeline-run-query.js';
 
 /**
  * Data persistence layer for monitoring system
- * Handles storage and retrieval of pipeline runs, webhooks, and metrics
+ * Handles storage and retrieval of pipeline runs, webhooks, and metrics.
+ * Records are persisted through a pluggable storage backend (JSON files by
+ * default, or embedded SQLite); configuration always lives in config.json.
  */
 export class DataStore {
-  constructor(dataDir = './data') {
+  /**
+   * @param {string} [dataDir='./data'] - Data directory
+   * @param {Object} [options]
+   * @param {'json'|'sqlite'|StorageBackend} [options.backend='json'] - Backend name or instance
+   * @param {Object} [options.backendOptions] - Options passed to a named backend
+   */
+  constructor(dataDir = './data', options = {}) {
     this.dataDir = dataDir;
     this.pipelineRunsFile = path.join(dataDir, 'pipeline-runs.json');
     this.webhookRecordsFile = path.join(dataDir, 'webhook-records.json');
     this.metricsFile = path.join(dataDir, 'metrics.json');
     this.configFile = path.join(dataDir, 'config.json');
+
+    const backend = options.backend || 'json';
+    this.backend = backend instanceof StorageBackend
+      ? backend
+      : createStorageBackend(backend, dataDir, options.backendOptions);
   }
 
   /**
@@ -21,11 +37,8 @@ export class DataStore {
     try {
       await fs.mkdir(this.dataDir, { recursive: true });
       
-      // Initialize empty data files if they don't exist
-      await this._ensureFileExists(this.pipelineRunsFile, []);
-      await this._ensureFileExists(this.webhookRecordsFile, []);
-      await this._ensureFileExists(this.metricsFile, {});
-      await this._ensureFileExists(this.configFile, this._getDefaultConfig());
+      await this.backend.initialize();
+      await this._recoverConfig();
       
       console.log(`Data store initialized at: ${this.dataDir}`);
     } catch (error) {
@@ -33,24 +46,39 @@ export class DataStore {
     }
   }
 
+  /**
+   * Get what the backend recovered or quarantined during initialization
+   * @returns {Object|null} Recovery report, or null if the backend does not keep one
+   */
+  getRecoveryReport() {
+    return this.backend.recoveryReport || null;
+  }
+
+  /**
+   * Fold journaled writes into the backend's snapshot files
+   */
+  async compact() {
+    try {
+      await this.backend.compact();
+    } catch (error) {
+      throw new Error(`Failed to compact data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Release resources held by the storage backend
+   */
+  async close() {
+    await this.backend.close();
+  }
+
   /**
    * Save a pipeline run record
    * @param {import('../types/index.js').PipelineRun} pipelineRun 
    */
   async savePipelineRun(pipelineRun) {
     try {
-      const runs = await this._readJsonFile(this.pipelineRunsFile);
-      
-      // Update existing run or add new one
-      const existingIndex = runs.findIndex(run => run.id === pipelineRun.id);
-      if (existingIndex >= 0) {
-        runs[existingIndex] = pipelineRun;
-      } else {
-        runs.push(pipelineRun);
-      }
-      
-      await this._writeJsonFile(this.pipelineRunsFile, runs);
-      return pipelineRun;
+      return await this.backend.savePipelineRun(pipelineRun);
     } catch (error) {
       throw new Error(`Failed to save pipeline run: ${error.message}`);
     }
@@ -63,8 +91,7 @@ export class DataStore {
    */
   async getPipelineRun(runId) {
     try {
-      const runs = await this._readJsonFile(this.pipelineRunsFile);
-      return runs.find(run => run.id === runId) || null;
+      return await this.backend.getPipelineRun(runId);
     } catch (error) {
       throw new Error(`Failed to get pipeline run: ${error.message}`);
     }
@@ -80,49 +107,33 @@ export class DataStore {
    */
   async getPipelineRuns(filters = {}) {
     try {
-      let runs = await this._readJsonFile(this.pipelineRunsFile);
-      
-      // Apply filters
-      if (filters.status) {
-        runs = runs.filter(run => run.status === filters.status);
-      }
-      
-      if (filters.triggerType) {
-        runs = runs.filter(run => run.trigger.type === filters.triggerType);
-      }
-      
-      // Sort by start time (newest first)
-      runs.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
-      
-      // Apply limit
-      if (filters.limit) {
-        runs = runs.slice(0, filters.limit);
-      }
-      
-      return runs;
+      return await this.backend.getPipelineRuns(filters);
     } catch (error) {
       throw new Error(`Failed to get pipeline runs: ${error.message}`);
     }
   }
 
+  /**
+   * Search pipeline runs with filters and cursor pagination
+   * @param {Object} [params] - Search parameters, see normalizeRunQuery
+   * @returns {Promise<{runs: import('../types/index.js').PipelineRun[], nextCursor: string|null, hasMore: boolean}>}
+   */
+  async searchPipelineRuns(params = {}) {
+    const query = normalizeRunQuery(params);
+    try {
+      return await this.backend.searchPipelineRuns(query);
+    } catch (error) {
+      throw new Error(`Failed to search pipeline runs: ${error.message}`);
+    }
+  }
+
   /**
    * Save a webhook record
    * @param {import('../types/index.js').WebhookRecord} webhookRecord 
    */
   async saveWebhookRecord(webhookRecord) {
     try {
-      const records = await this._readJsonFile(this.webhookRecordsFile);
-      
-      // Update existing record or add new one
-      const existingIndex = records.findIndex(record => record.id === webhookRecord.id);
-      if (existingIndex >= 0) {
-        records[existingIndex] = webhookRecord;
-      } else {
-        records.push(webhookRecord);
-      }
-      
-      await this._writeJsonFile(this.webhookRecordsFile, records);
-      return webhookRecord;
+      return await this.backend.saveWebhookRecord(webhookRecord);
     } catch (error) {
       throw new Error(`Failed to save webhook record: ${error.message}`);
     }
@@ -135,8 +146,7 @@ export class DataStore {
    */
   async getWebhookRecord(webhookId) {
     try {
-      const records = await this._readJsonFile(this.webhookRecordsFile);
-      return records.find(record => record.id === webhookId) || null;
+      return await this.backend.getWebhookRecord(webhookId);
     } catch (error) {
       throw new Error(`Failed to get webhook record: ${error.message}`);
     }
@@ -144,13 +154,12 @@ export class DataStore {
 
   /**
    * Get webhook records for a pipeline run
-   * @param {string} runId 
+   * @param {string} [runId] - Pipeline run ID; omit to get every webhook record
    * @returns {Promise<import('../types/index.js').WebhookRecord[]>}
    */
   async getWebhookRecords(runId) {
     try {
-      const records = await this._readJsonFile(this.webhookRecordsFile);
-      return records.filter(record => record.runId === runId);
+      return await this.backend.getWebhookRecords(runId);
     } catch (error) {
       throw new Error(`Failed to get webhook records: ${error.message}`);
     }
@@ -163,14 +172,7 @@ export class DataStore {
    */
   async saveMetrics(runId, metrics) {
     try {
-      const allMetrics = await this._readJsonFile(this.metricsFile);
-      allMetrics[runId] = {
-        ...metrics,
-        timestamp: new Date().toISOString()
-      };
-      
-      await this._writeJsonFile(this.metricsFile, allMetrics);
-      return metrics;
+      return await this.backend.saveMetrics(runId, metrics);
     } catch (error) {
       throw new Error(`Failed to save metrics: ${error.message}`);
     }
@@ -183,18 +185,48 @@ export class DataStore {
    */
   async getMetrics(runId = null) {
     try {
-      const allMetrics = await this._readJsonFile(this.metricsFile);
-      
-      if (runId) {
-        return allMetrics[runId] || null;
-      }
-      
-      return allMetrics;
+      return await this.backend.getMetrics(runId);
     } catch (error) {
       throw new Error(`Failed to get metrics: ${error.message}`);
     }
   }
 
+  /**
+   * Delete pipeline runs by ID
+   * @param {string[]} runIds
+   */
+  async deletePipelineRuns(runIds) {
+    try {
+      await this.backend.deletePipelineRuns(runIds);
+    } catch (error) {
+      throw new Error(`Failed to delete pipeline runs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete webhook records by ID
+   * @param {string[]} webhookIds
+   */
+  async deleteWebhookRecords(webhookIds) {
+    try {
+      await this.backend.deleteWebhookRecords(webhookIds);
+    } catch (error) {
+      throw new Error(`Failed to delete webhook records: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the performance metrics stored for the given runs
+   * @param {string[]} runIds
+   */
+  async deleteMetrics(runIds) {
+    try {
+      await this.backend.deleteMetrics(runIds);
+    } catch (error) {
+      throw new Error(`Failed to delete metrics: ${error.message}`);
+    }
+  }
+
   /**
    * Save configuration
    * @param {Object} config 
@@ -226,21 +258,7 @@ export class DataStore {
    */
   async cleanup(keepCount = 1000) {
     try {
-      // Clean up pipeline runs
-      const runs = await this._readJsonFile(this.pipelineRunsFile);
-      if (runs.length > keepCount) {
-        runs.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
-        const cleanedRuns = runs.slice(0, keepCount);
-        await this._writeJsonFile(this.pipelineRunsFile, cleanedRuns);
-      }
-
-      // Clean up webhook records
-      const webhooks = await this._readJsonFile(this.webhookRecordsFile);
-      if (webhooks.length > keepCount) {
-        webhooks.sort((a, b) => new Date(b.timing.sent) - new Date(a.timing.sent));
-        const cleanedWebhooks = webhooks.slice(0, keepCount);
-        await this._writeJsonFile(this.webhookRecordsFile, cleanedWebhooks);
-      }
+      await this.backend.cleanup(keepCount);
 
       console.log(`Data cleanup completed, kept ${keepCount} most recent records`);
     } catch (error) {
@@ -250,12 +268,24 @@ export class DataStore {
 
   // Private helper methods
 
-  async _ensureFileExists(filePath, defaultContent) {
+  /**
+   * Make sure config.json is readable, replacing a corrupt file with the defaults
+   */
+  async _recoverConfig() {
     try {
-      await fs.access(filePath);
-    } catch {
-      await this._writeJsonFile(filePath, defaultContent);
+      const config = await this._readJsonFile(this.configFile);
+      if (config && typeof config === 'object' && !Array.isArray(config)) {
+        return;
+      }
+      if (config !== null) {
+        throw new Error('config is not an object');
+      }
+    } catch (error) {
+      const quarantined = await quarantineFile(this.configFile, path.join(this.dataDir, 'quarantine'));
+      console.warn(`Quarantined corrupt config.json to ${quarantined}: ${error.message}`);
     }
+
+    await this._writeJsonFile(this.configFile, this._getDefaultConfig());
   }
 
   async _readJsonFile(filePath) {
@@ -271,8 +301,7 @@ export class DataStore {
   }
 
   async _writeJsonFile(filePath, data) {
-    const jsonData = JSON.stringify(data, null, 2);
-    await fs.writeFile(filePath, jsonData, 'utf8');
+    await writeJsonFileAtomic(filePath, data);
   }
 
   _getDefaultConfig() {
@@ -296,8 +325,10 @@ export class DataStore {
         }
       },
       storage: {
+        backend: 'json',
         maxRecords: 1000,
-        cleanupInterval: 86400000 // 24 hours
+        cleanupInterval: 86400000, // 24 hours
+        compactionInterval: 300000 // 5 minutes
       }
     };
   }
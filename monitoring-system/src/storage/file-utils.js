@@ -0,0 +1,50 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+let tempFileCounter = 0;
+
+/**
+ * Write a JSON document without ever leaving a half-written file behind.
+ * The data is written to a temporary sibling and renamed over the target,
+ * which is atomic on POSIX filesystems.
+ * @param {string} filePath - Destination file
+ * @param {*} data - JSON-serializable data
+ */
+export async function writeJsonFileAtomic(filePath, data) {
+  // Unique per call so concurrent writes to the same file never share a temp file
+  const tempFile = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+  const jsonData = JSON.stringify(data, null, 2);
+
+  const handle = await fs.open(tempFile, 'w');
+  try {
+    await handle.writeFile(jsonData, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  await fs.rename(tempFile, filePath);
+}
+
+/**
+ * Move a corrupt file into the data directory's quarantine folder
+ * @param {string} filePath - File to quarantine
+ * @param {string} quarantineDir - Quarantine directory
+ * @returns {Promise<string|null>} Path of the quarantined copy, or null if the file no longer exists
+ */
+export async function quarantineFile(filePath, quarantineDir) {
+  await fs.mkdir(quarantineDir, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const target = path.join(quarantineDir, `${path.basename(filePath)}.${stamp}.corrupt`);
+
+  try {
+    await fs.rename(filePath, target);
+    return target;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,89 @@
+import { promises as fs } from 'fs';
+
+/**
+ * Append-only JSON lines journal
+ * Each write is a single line appended to the file, so a crash can at worst
+ * leave one truncated trailing line, which is detected and skipped on replay.
+ */
+export class Journal {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.fsync = options.fsync === true;
+  }
+
+  /**
+   * Append an entry to the journal
+   * @param {Object} entry - JSON-serializable entry
+   */
+  async append(entry) {
+    const line = `${JSON.stringify({ ...entry, ts: new Date().toISOString() })}\n`;
+
+    const handle = await fs.open(this.filePath, 'a');
+    try {
+      await handle.appendFile(line, 'utf8');
+      if (this.fsync) {
+        await handle.datasync();
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Read every intact entry from the journal
+   * @returns {Promise<{entries: Object[], corruptLines: number[], truncatedTail: boolean}>}
+   */
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { entries: [], corruptLines: [], truncatedTail: false };
+      }
+      throw error;
+    }
+
+    const lines = content.split('\n');
+    // A complete journal ends with a newline; anything after the last one is a torn write
+    const tail = lines.pop();
+    const truncatedTail = tail.trim().length > 0;
+
+    const entries = [];
+    const corruptLines = [];
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        corruptLines.push(index + 1);
+      }
+    });
+
+    return { entries, corruptLines, truncatedTail };
+  }
+
+  /**
+   * Discard all journal entries (after they have been compacted into snapshots)
+   */
+  async truncate() {
+    await fs.writeFile(this.filePath, '', 'utf8');
+  }
+
+  /**
+   * Get the journal file stats, or null if it does not exist
+   */
+  async stat() {
+    try {
+      return await fs.stat(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,47 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { JsonStorageBackend } from '../backends/json-backend.js';
+
+const JSON_FILES = ['pipeline-runs.json', 'webhook-records.json', 'metrics.json', 'journal.jsonl'];
+
+/**
+ * One-shot import of the JSON backend's data into a SQLite backend
+ * The data is read through JsonStorageBackend so journaled writes that were
+ * never compacted are included. The JSON files are left in place so the
+ * migration can be inspected or rolled back.
+ * @param {string} dataDir - Directory containing the JSON files
+ * @param {import('../backends/sqlite-backend.js').SqliteStorageBackend} backend - Initialized SQLite backend
+ * @returns {Promise<{pipelineRuns: number, webhookRecords: number, metrics: number}>} Imported record counts
+ */
+export async function migrateJsonToSqlite(dataDir, backend) {
+  const data = { pipelineRuns: [], webhookRecords: [], metrics: {} };
+
+  if (await hasJsonData(dataDir)) {
+    const jsonBackend = new JsonStorageBackend(dataDir);
+    try {
+      await jsonBackend.initialize();
+      data.pipelineRuns = await jsonBackend.getPipelineRuns();
+      data.webhookRecords = await jsonBackend.getWebhookRecords();
+      data.metrics = await jsonBackend.getMetrics();
+    } catch (error) {
+      throw new Error(`Failed to read JSON data for migration: ${error.message}`);
+    } finally {
+      await jsonBackend.close();
+    }
+  }
+
+  backend.importRecords(data);
+
+  return {
+    pipelineRuns: data.pipelineRuns.length,
+    webhookRecords: data.webhookRecords.length,
+    metrics: Object.keys(data.metrics).length
+  };
+}
+
+async function hasJsonData(dataDir) {
+  const found = await Promise.all(JSON_FILES.map(file =>
+    fs.access(path.join(dataDir, file)).then(() => true, () => false)
+  ));
+  return found.includes(true);
+}
@@ -0,0 +1,251 @@
+/**
+ * Pipeline run search: query normalization, matching and cursor pagination
+ * Runs are ordered newest first by start time, with the run ID as a tie-breaker,
+ * and cursors encode the (startTime, id) position of the last run on a page so
+ * pages stay stable while new runs are being recorded.
+ */
+
+export const DEFAULT_SEARCH_LIMIT = 50;
+export const MAX_SEARCH_LIMIT = 500;
+
+const STRING_FILTERS = ['status', 'triggerType', 'triggerSource', 'failedStage', 'errorType', 'campaignId', 'slug', 'correlationId', 'workflowRunId', 'commitSha'];
+
+/**
+ * Every parameter accepted by normalizeRunQuery
+ */
+export const RUN_SEARCH_PARAMS = [...STRING_FILTERS, 'from', 'to', 'minDuration', 'maxDuration', 'limit', 'cursor'];
+
+// Where campaign IDs and post slugs show up in trigger metadata, depending on the trigger source
+const CAMPAIGN_ID_PATHS = [
+  ['campaign_id'],
+  ['campaignId'],
+  ['inputs', 'campaign_id'],
+  ['payload', 'campaign_id'],
+  ['payload', 'campaign', 'id'],
+  ['payload', 'data', 'campaign_id']
+];
+
+const SLUG_PATHS = [
+  ['slug'],
+  ['inputs', 'slug'],
+  ['payload', 'slug'],
+  ['payload', 'data', 'slug']
+];
+
+// Git polling records the commit as commitHash, GitHub Actions runs as commitSha
+const COMMIT_SHA_PATHS = [
+  ['commitSha'],
+  ['commitHash']
+];
+
+/**
+ * Validate and normalize search parameters (e.g. from a query string)
+ * @param {Object} params
+ * @param {string} [params.status]
+ * @param {string} [params.triggerType]
+ * @param {string} [params.triggerSource]
+ * @param {string} [params.from] - Earliest start time (inclusive)
+ * @param {string} [params.to] - Latest start time (inclusive)
+ * @param {number|string} [params.minDuration] - Minimum duration in ms
+ * @param {number|string} [params.maxDuration] - Maximum duration in ms
+ * @param {string} [params.failedStage] - Name of a stage that failed
+ * @param {string} [params.errorType] - Type of an error recorded on the run
+ * @param {string} [params.campaignId]
+ * @param {string} [params.slug]
+ * @param {string} [params.correlationId] - Correlation ID generated at webhook intake
+ * @param {string|number} [params.workflowRunId] - GitHub Actions run that started the pipeline run
+ * @param {string} [params.commitSha] - Commit the trigger reported
+ * @param {number|string} [params.limit]
+ * @param {string} [params.cursor] - Cursor returned with the previous page
+ * @returns {Object} Normalized query
+ */
+export function normalizeRunQuery(params = {}) {
+  const query = {};
+
+  for (const key of STRING_FILTERS) {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+      query[key] = String(params[key]);
+    }
+  }
+
+  for (const key of ['from', 'to']) {
+    if (params[key]) {
+      const time = new Date(params[key]).getTime();
+      if (Number.isNaN(time)) {
+        throw new Error(`Invalid ${key} date: ${params[key]}`);
+      }
+      query[key] = new Date(time).toISOString();
+    }
+  }
+
+  for (const key of ['minDuration', 'maxDuration']) {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+      const value = Number(params[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid ${key}: ${params[key]}`);
+      }
+      query[key] = value;
+    }
+  }
+
+  const limit = params.limit === undefined || params.limit === '' ? DEFAULT_SEARCH_LIMIT : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid limit: ${params.limit}`);
+  }
+  query.limit = Math.min(limit, MAX_SEARCH_LIMIT);
+
+  if (params.cursor) {
+    query.cursor = decodeRunCursor(params.cursor);
+  }
+
+  return query;
+}
+
+/**
+ * Check whether a run matches every filter in a normalized query (the cursor is not considered)
+ * @param {import('../types/index.js').PipelineRun} run
+ * @param {Object} query - Normalized query
+ * @returns {boolean}
+ */
+export function matchesRunQuery(run, query) {
+  if (query.status && run.status !== query.status) return false;
+  if (query.triggerType && run.trigger?.type !== query.triggerType) return false;
+  if (query.triggerSource && run.trigger?.source !== query.triggerSource) return false;
+
+  if (query.from || query.to) {
+    const start = new Date(run.startTime).getTime();
+    if (Number.isNaN(start)) return false;
+    if (query.from && start < new Date(query.from).getTime()) return false;
+    if (query.to && start > new Date(query.to).getTime()) return false;
+  }
+
+  if (query.minDuration !== undefined || query.maxDuration !== undefined) {
+    const duration = getRunDuration(run);
+    if (duration === null) return false;
+    if (query.minDuration !== undefined && duration < query.minDuration) return false;
+    if (query.maxDuration !== undefined && duration > query.maxDuration) return false;
+  }
+
+  if (query.failedStage) {
+    const failed = (run.stages || []).some(stage => stage.name === query.failedStage && stage.status === 'failed');
+    if (!failed) return false;
+  }
+
+  if (query.errorType && !(run.errors || []).some(error => error.type === query.errorType)) {
+    return false;
+  }
+
+  if (query.campaignId && getRunCampaignId(run) !== query.campaignId) return false;
+  if (query.slug && getRunSlug(run) !== query.slug) return false;
+  if (query.correlationId && run.correlationId !== query.correlationId) return false;
+  if (query.workflowRunId && String(run.trigger?.metadata?.workflowRunId) !== query.workflowRunId) return false;
+  if (query.commitSha && getRunCommitSha(run) !== query.commitSha) return false;
+
+  return true;
+}
+
+/**
+ * Order runs newest first, breaking ties on ID
+ */
+export function compareRuns(a, b) {
+  const diff = toTime(b.startTime) - toTime(a.startTime);
+  if (diff !== 0) {
+    return diff;
+  }
+  const idA = String(a.id);
+  const idB = String(b.id);
+  return idA < idB ? 1 : idA > idB ? -1 : 0;
+}
+
+/**
+ * Whether a run sorts after the cursor position (i.e. belongs on a later page)
+ */
+export function isAfterCursor(run, cursor) {
+  const time = toTime(run.startTime);
+  const cursorTime = toTime(cursor.startTime);
+  return time < cursorTime || (time === cursorTime && String(run.id) < cursor.id);
+}
+
+/**
+ * Filter, sort and paginate an in-memory list of runs
+ * @param {import('../types/index.js').PipelineRun[]} runs
+ * @param {Object} query - Normalized query
+ * @returns {{runs: Object[], nextCursor: string|null, hasMore: boolean}}
+ */
+export function searchRuns(runs, query) {
+  const matches = runs
+    .filter(run => matchesRunQuery(run, query))
+    .filter(run => !query.cursor || isAfterCursor(run, query.cursor))
+    .sort(compareRuns);
+
+  return paginate(matches, query.limit);
+}
+
+/**
+ * Build a result page from matches that are already sorted; pass at least limit + 1 matches to detect more pages
+ */
+export function paginate(sortedMatches, limit) {
+  const page = sortedMatches.slice(0, limit);
+  const hasMore = sortedMatches.length > limit;
+  return {
+    runs: page,
+    nextCursor: hasMore ? encodeRunCursor(page[page.length - 1]) : null,
+    hasMore
+  };
+}
+
+export function encodeRunCursor(run) {
+  const startTime = toTime(run.startTime) ? new Date(run.startTime).toISOString() : null;
+  return Buffer.from(JSON.stringify({ t: startTime, id: run.id })).toString('base64url');
+}
+
+export function decodeRunCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof id !== 'string') {
+      throw new Error('missing id');
+    }
+    return { startTime: t, id };
+  } catch (error) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+}
+
+/**
+ * Total run duration in ms, or null if the run has not finished
+ */
+export function getRunDuration(run) {
+  const duration = run.duration ?? run.metrics?.totalPipelineTime;
+  return typeof duration === 'number' && !Number.isNaN(duration) ? duration : null;
+}
+
+export function getRunCampaignId(run) {
+  const value = findMetadataValue(run, CAMPAIGN_ID_PATHS);
+  return value === undefined ? null : String(value);
+}
+
+export function getRunSlug(run) {
+  const value = findMetadataValue(run, SLUG_PATHS);
+  return value === undefined ? null : String(value);
+}
+
+export function getRunCommitSha(run) {
+  const value = findMetadataValue(run, COMMIT_SHA_PATHS);
+  return value === undefined ? null : String(value);
+}
+
+function findMetadataValue(run, paths) {
+  const metadata = run.trigger?.metadata || {};
+  for (const keys of paths) {
+    const value = keys.reduce((current, key) => (current == null ? undefined : current[key]), metadata);
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : 0;
+  return Number.isNaN(time) ? 0 : time;
+}
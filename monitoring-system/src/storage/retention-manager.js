@@ -0,0 +1,352 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { writeJsonFileAtomic } from './file-utils.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REPORT_HISTORY_LIMIT = 50;
+
+/**
+ * How to find the age of a record in each collection
+ */
+const COLLECTION_TIMESTAMPS = {
+  pipelineRuns: run => run.startTime,
+  webhookRecords: record => record.timing?.sent,
+  analyticsSnapshots: snapshot => snapshot.generatedAt,
+  alertHistory: alert => alert.timestamp
+};
+
+/**
+ * Remove alerts by ID from an alert source's in-memory `alertHistory`
+ * Alert sources implement `pruneAlertHistory` with this.
+ * @param {{alertHistory: Object[]}} source
+ * @param {string[]} alertIds
+ * @returns {number} Number of alerts removed
+ */
+export function removeAlertsFromHistory(source, alertIds = []) {
+  const ids = new Set(alertIds);
+  const before = source.alertHistory.length;
+  source.alertHistory = source.alertHistory.filter(alert => !ids.has(alert.id));
+  return before - source.alertHistory.length;
+}
+
+/**
+ * Enforces per-collection retention limits and archives what it prunes
+ * Each collection (pipeline runs, webhook records, analytics snapshots and alert
+ * history) is trimmed to a maximum age and record count. Pruned records are
+ * appended to gzip-compressed monthly archives under `<dataDir>/archive` and
+ * every run is summarized in a retention log that the dashboard reads.
+ */
+export class RetentionManager {
+  /**
+   * @param {Object} options
+   * @param {import('./data-store.js').DataStore} options.dataStore
+   * @param {import('./analytics-store.js').AnalyticsStore} [options.analyticsStore]
+   * @param {string} [options.dataDir='./data']
+   * @param {Object} [options.config] - The `storage` section of the monitoring config
+   */
+  constructor(options = {}) {
+    const {
+      dataStore,
+      analyticsStore = null,
+      dataDir = './data',
+      config = {}
+    } = options;
+
+    this.dataStore = dataStore;
+    this.analyticsStore = analyticsStore;
+    this.alertSources = [];
+    this.archiveDir = config.archiveDir || path.join(dataDir, 'archive');
+    this.logFile = path.join(this.archiveDir, 'retention-log.json');
+    this.lastReport = null;
+    this.updatePolicies(config);
+  }
+
+  /**
+   * Re-read the retention policies from the `storage` config section
+   * @param {Object} config
+   */
+  updatePolicies(config = {}) {
+    this.archiveEnabled = config.archive !== false;
+    this.policies = this._resolvePolicies(config);
+  }
+
+  /**
+   * Register an object whose in-memory `alertHistory` should be pruned
+   * @param {{alertHistory: Object[], pruneAlertHistory: function(string[]): number}} source
+   */
+  addAlertSource(source) {
+    if (source && !this.alertSources.includes(source)) {
+      this.alertSources.push(source);
+    }
+  }
+
+  /**
+   * Stop pruning an alert source registered with {@link RetentionManager#addAlertSource}
+   * @param {Object} source
+   */
+  removeAlertSource(source) {
+    this.alertSources = this.alertSources.filter(candidate => candidate !== source);
+  }
+
+  /**
+   * Apply every retention policy once
+   * @returns {Promise<Object>} Report of what was removed per collection
+   */
+  async enforce() {
+    const startedAt = new Date();
+    const report = {
+      startedAt: startedAt.toISOString(),
+      completedAt: null,
+      totalRemoved: 0,
+      collections: {}
+    };
+
+    const collections = {
+      pipelineRuns: () => this._prunePipelineRuns(startedAt),
+      webhookRecords: () => this._pruneWebhookRecords(startedAt),
+      analyticsSnapshots: () => this._pruneAnalyticsSnapshots(startedAt),
+      alertHistory: () => this._pruneAlertHistory(startedAt)
+    };
+
+    for (const [name, prune] of Object.entries(collections)) {
+      try {
+        report.collections[name] = await prune();
+        report.totalRemoved += report.collections[name].removed;
+      } catch (error) {
+        console.error(`Retention failed for ${name}:`, error.message);
+        report.collections[name] = { removed: 0, remaining: null, archiveFiles: [], error: error.message };
+      }
+    }
+
+    report.completedAt = new Date().toISOString();
+    this.lastReport = report;
+    await this._appendReport(report);
+
+    console.log(`Retention completed, removed ${report.totalRemoved} records`);
+    return report;
+  }
+
+  /**
+   * Get the configured policies and recent retention reports
+   * @returns {Promise<{policies: Object, lastReport: Object|null, history: Object[]}>}
+   */
+  async getStatus() {
+    const history = await this._readReports();
+    return {
+      policies: this.policies,
+      lastReport: history[history.length - 1] || this.lastReport,
+      history
+    };
+  }
+
+  /**
+   * Read the records archived for a collection in a given month
+   * @param {string} collection - Collection name (e.g. pipelineRuns)
+   * @param {string} month - Month in YYYY-MM form
+   * @returns {Promise<Object[]>}
+   */
+  async readArchive(collection, month) {
+    try {
+      const compressed = await fs.readFile(this._getArchiveFile(collection, month));
+      const content = (await gunzip(compressed)).toString('utf8');
+      return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to read ${collection} archive for ${month}: ${error.message}`);
+    }
+  }
+
+  // Private helper methods
+
+  async _prunePipelineRuns(now) {
+    const runs = await this.dataStore.getPipelineRuns();
+    // Never prune a run that is still in progress
+    const candidates = runs.filter(run => run.status !== 'running');
+    const expired = this._selectExpired('pipelineRuns', candidates, now);
+
+    if (expired.length === 0) {
+      return { removed: 0, remaining: runs.length, archiveFiles: [] };
+    }
+
+    const runIds = expired.map(run => run.id);
+    const metrics = await this.dataStore.getMetrics();
+    const expiredMetrics = expired
+      .filter(run => metrics[run.id])
+      .map(run => ({ runId: run.id, startTime: run.startTime, ...metrics[run.id] }));
+
+    const archiveFiles = [
+      ...await this._archive('pipelineRuns', expired),
+      ...await this._archive('metrics', expiredMetrics, entry => entry.startTime)
+    ];
+
+    await this.dataStore.deletePipelineRuns(runIds);
+    await this.dataStore.deleteMetrics(runIds);
+
+    return {
+      removed: expired.length,
+      remaining: runs.length - expired.length,
+      metricsRemoved: expiredMetrics.length,
+      archiveFiles
+    };
+  }
+
+  async _pruneWebhookRecords(now) {
+    const records = await this.dataStore.getWebhookRecords();
+    const expired = this._selectExpired('webhookRecords', records, now);
+
+    if (expired.length === 0) {
+      return { removed: 0, remaining: records.length, archiveFiles: [] };
+    }
+
+    const archiveFiles = await this._archive('webhookRecords', expired);
+    await this.dataStore.deleteWebhookRecords(expired.map(record => record.id));
+
+    return { removed: expired.length, remaining: records.length - expired.length, archiveFiles };
+  }
+
+  async _pruneAnalyticsSnapshots(now) {
+    if (!this.analyticsStore) {
+      return { removed: 0, remaining: 0, archiveFiles: [] };
+    }
+
+    const snapshots = await this.analyticsStore.getSnapshots();
+    const expired = this._selectExpired('analyticsSnapshots', snapshots, now);
+
+    if (expired.length === 0) {
+      return { removed: 0, remaining: snapshots.length, archiveFiles: [] };
+    }
+
+    const archiveFiles = await this._archive('analyticsSnapshots', expired);
+    await this.analyticsStore.removeSnapshots(expired);
+
+    return { removed: expired.length, remaining: snapshots.length - expired.length, archiveFiles };
+  }
+
+  async _pruneAlertHistory(now) {
+    const result = { removed: 0, remaining: 0, archiveFiles: [] };
+    // The engine mirrors the alert manager's alerts under the same IDs, archive each one once
+    const archivedIds = new Set();
+
+    for (const source of this.alertSources) {
+      const history = Array.isArray(source.alertHistory) ? source.alertHistory : [];
+      // Alerts that are still open stay in history regardless of age
+      const candidates = history.filter(alert => alert.status === 'resolved');
+      const expired = this._selectExpired('alertHistory', candidates, now);
+
+      if (expired.length > 0) {
+        const unarchived = expired.filter(alert => !archivedIds.has(alert.id));
+        if (unarchived.length > 0) {
+          result.archiveFiles.push(...await this._archive('alertHistory', unarchived));
+          unarchived.forEach(alert => archivedIds.add(alert.id));
+        }
+        result.removed += source.pruneAlertHistory(expired.map(alert => alert.id));
+      }
+
+      result.remaining += source.alertHistory.length;
+    }
+
+    result.archiveFiles = [...new Set(result.archiveFiles)];
+    return result;
+  }
+
+  /**
+   * Pick the records that are older than the collection's maximum age or
+   * beyond its maximum record count (newest records are kept)
+   */
+  _selectExpired(collection, records, now) {
+    const { maxAgeDays, maxRecords } = this.policies[collection];
+    const getTimestamp = COLLECTION_TIMESTAMPS[collection];
+    const cutoff = maxAgeDays ? now.getTime() - maxAgeDays * DAY_MS : null;
+
+    const sorted = [...records].sort((a, b) => this._toTime(getTimestamp(b)) - this._toTime(getTimestamp(a)));
+
+    return sorted.filter((record, index) => {
+      if (maxRecords && index >= maxRecords) {
+        return true;
+      }
+      const time = this._toTime(getTimestamp(record));
+      return cutoff !== null && time > 0 && time < cutoff;
+    });
+  }
+
+  /**
+   * Append records to their monthly compressed archive files
+   * @returns {Promise<string[]>} Archive files written to
+   */
+  async _archive(collection, records, getTimestamp = COLLECTION_TIMESTAMPS[collection]) {
+    if (!this.archiveEnabled || records.length === 0) {
+      return [];
+    }
+
+    const byMonth = new Map();
+    for (const record of records) {
+      const time = this._toTime(getTimestamp(record));
+      const month = time > 0 ? new Date(time).toISOString().slice(0, 7) : 'undated';
+      if (!byMonth.has(month)) {
+        byMonth.set(month, []);
+      }
+      byMonth.get(month).push(record);
+    }
+
+    const files = [];
+    for (const [month, monthRecords] of byMonth) {
+      const file = this._getArchiveFile(collection, month);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+
+      // Concatenated gzip members form a valid gzip file, so archives can be appended to
+      const lines = monthRecords.map(record => JSON.stringify(record)).join('\n') + '\n';
+      await fs.appendFile(file, await gzip(lines));
+      files.push(file);
+    }
+
+    return files;
+  }
+
+  _getArchiveFile(collection, month) {
+    return path.join(this.archiveDir, collection, `${month}.jsonl.gz`);
+  }
+
+  async _appendReport(report) {
+    try {
+      await fs.mkdir(this.archiveDir, { recursive: true });
+      const history = await this._readReports();
+      history.push(report);
+      await writeJsonFileAtomic(this.logFile, history.slice(-REPORT_HISTORY_LIMIT));
+    } catch (error) {
+      console.error('Failed to write retention log:', error.message);
+    }
+  }
+
+  async _readReports() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.logFile, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch {
+      return [];
+    }
+  }
+
+  _resolvePolicies(config) {
+    const defaults = {
+      maxAgeDays: config.retentionDays ?? 30,
+      maxRecords: config.maxRecords ?? 1000
+    };
+
+    return Object.fromEntries(Object.keys(COLLECTION_TIMESTAMPS).map(collection => [
+      collection,
+      { ...defaults, ...(config.retention?.[collection] || {}) }
+    ]));
+  }
+
+  _toTime(value) {
+    const time = value ? new Date(value).getTime() : 0;
+    return Number.isNaN(time) ? 0 : time;
+  }
+}
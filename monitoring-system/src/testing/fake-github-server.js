@@ -0,0 +1,555 @@
+import http from 'http';
+import crypto from 'crypto';
+
+/**
+ * Fake GitHub API server
+ * A local stand-in for the parts of api.github.com the monitors and the
+ * ml-to-hugo function use: workflow runs, jobs, logs, workflow dispatches and
+ * repository contents. Responses carry the usual x-ratelimit-* headers.
+ *
+ * Workflow runs follow a scenario, moving one status forward each time the run
+ * is fetched, so a monitor polling a run sees it go queued → in_progress →
+ * completed. Rate limiting and 5xx responses can be scripted as well. GET responses carry
+ * an ETag; a request sending it back in If-None-Match gets a 304 while the response is
+ * unchanged, and like on GitHub that 304 does not count against the rate limit.
+ */
+
+/**
+ * @typedef {Object} WorkflowScenario
+ * @property {string[]} [statuses] - Statuses the run passes through before it completes
+ * @property {string} [conclusion='success'] - Conclusion once the statuses are used up
+ * @property {Array<{name: string, conclusion?: string, duration?: number, log?: string}>} [jobs] - Jobs of the run
+ */
+
+export const DEFAULT_JOBS = [
+  { name: 'build', duration: 40000 },
+  { name: 'deploy', duration: 15000 }
+];
+
+/** @type {Object<string, WorkflowScenario>} */
+export const WORKFLOW_SCENARIOS = {
+  success: { statuses: ['queued', 'in_progress'], conclusion: 'success' },
+  failure: {
+    statuses: ['queued', 'in_progress'],
+    conclusion: 'failure',
+    jobs: [
+      { name: 'build', conclusion: 'success', duration: 40000 },
+      { name: 'deploy', conclusion: 'failure', duration: 15000, log: 'Error: Failed to deploy to GitHub Pages' }
+    ]
+  },
+  cancelled: { statuses: ['queued', 'in_progress'], conclusion: 'cancelled' },
+  stuck: { statuses: ['queued', 'in_progress'], conclusion: null }
+};
+
+const DEFAULT_WORKFLOW = {
+  id: 1,
+  name: 'Deploy Hugo to GitHub Pages',
+  path: '.github/workflows/deploy-gh-pages.yml'
+};
+
+const DEFAULT_RATE_LIMIT = 5000;
+const RATE_LIMIT_WINDOW = 3600000;
+
+export class FakeGitHubServer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.owner='captjreacher']
+   * @param {string} [options.repo='mgrnz-blog']
+   * @param {string} [options.token] - When set, requests must send this token
+   * @param {string} [options.defaultBranch='main']
+   * @param {Object[]} [options.workflows] - Workflows that can be dispatched ({ id, name, path })
+   * @param {string|WorkflowScenario} [options.scenario='success'] - Scenario for runs with none queued
+   * @param {boolean} [options.runOnPush=true] - Whether commits to the default branch start a workflow run
+   * @param {number} [options.rateLimit=5000] - Requests allowed per hour
+   * @param {Function} [options.now] - Clock used for timestamps and rate limit resets
+   */
+  constructor(options = {}) {
+    this.owner = options.owner || 'captjreacher';
+    this.repo = options.repo || 'mgrnz-blog';
+    this.token = options.token || null;
+    this.defaultBranch = options.defaultBranch || 'main';
+    this.workflows = options.workflows || [DEFAULT_WORKFLOW];
+    this.scenario = options.scenario || 'success';
+    this.runOnPush = options.runOnPush !== false;
+    this.now = options.now || Date.now;
+
+    this.rateLimit = {
+      limit: options.rateLimit || DEFAULT_RATE_LIMIT,
+      remaining: options.rateLimit || DEFAULT_RATE_LIMIT,
+      reset: Math.ceil((this.now() + RATE_LIMIT_WINDOW) / 1000)
+    };
+
+    this.runs = [];
+    this.files = new Map();
+    this.requests = [];
+    this.scenarioQueue = [];
+    this.faults = [];
+    this.nextRunId = 1000;
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Start listening
+   * @param {Object} [options]
+   * @param {number} [options.port=0] - Port to listen on (0 picks a free one)
+   * @param {string} [options.host='127.0.0.1']
+   * @returns {Promise<string>} Base URL to use in place of https://api.github.com
+   */
+  async start({ port = 0, host = '127.0.0.1' } = {}) {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    this.url = `http://${host}:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Use a scenario for the next workflow run that gets created
+   * Queued scenarios are used in order before falling back to the default one.
+   * @param {string|WorkflowScenario} scenario - Scenario name or definition
+   */
+  queueScenario(scenario) {
+    this._resolveScenario(scenario);
+    this.scenarioQueue.push(scenario);
+  }
+
+  /**
+   * Fail matching requests with an error status
+   * @param {Object} fault
+   * @param {number} [fault.status=500]
+   * @param {string} [fault.method] - Only fail this HTTP method
+   * @param {string|RegExp} [fault.path] - Only fail paths containing this string or matching this pattern
+   * @param {number} [fault.times=1] - How many requests to fail
+   * @param {string} [fault.message]
+   * @param {number} [fault.retryAfter] - Seconds sent in Retry-After, as with secondary rate limits
+   */
+  injectFault({ status = 500, method, path, times = 1, message, retryAfter } = {}) {
+    this.faults.push({ status, method, path, remaining: times, message, retryAfter });
+  }
+
+  /**
+   * Set the rate limit state; remaining 0 makes every request fail with 403
+   * @param {Object} state
+   * @param {number} [state.remaining]
+   * @param {number} [state.limit]
+   * @param {number} [state.resetIn] - Milliseconds until the limit resets
+   */
+  setRateLimit({ remaining, limit, resetIn } = {}) {
+    if (limit !== undefined) {
+      this.rateLimit.limit = limit;
+    }
+    if (remaining !== undefined) {
+      this.rateLimit.remaining = remaining;
+    }
+    if (resetIn !== undefined) {
+      this.rateLimit.reset = Math.ceil((this.now() + resetIn) / 1000);
+    }
+  }
+
+  /**
+   * Add a workflow run, as if GitHub had started one
+   * @param {Object} [attributes] - Fields to set on the run (event, name, head_commit, ...)
+   * @param {string|WorkflowScenario} [scenario] - Scenario for this run
+   * @returns {Object} The run as the API returns it
+   */
+  addWorkflowRun(attributes = {}, scenario) {
+    const workflow = this.workflows[0];
+    const createdAt = new Date(this.now()).toISOString();
+    const resolved = this._resolveScenario(scenario || this.scenarioQueue.shift() || this.scenario);
+    const statuses = resolved.statuses && resolved.statuses.length > 0 ? resolved.statuses : ['completed'];
+
+    const run = {
+      id: this.nextRunId++,
+      name: workflow.name,
+      display_title: workflow.name,
+      workflow_id: workflow.id,
+      path: workflow.path,
+      event: 'push',
+      status: statuses[0],
+      conclusion: null,
+      head_branch: this.defaultBranch,
+      head_sha: randomSha(),
+      run_number: this.runs.length + 1,
+      created_at: createdAt,
+      updated_at: createdAt,
+      run_started_at: createdAt,
+      actor: { login: this.owner },
+      repository: { full_name: `${this.owner}/${this.repo}` },
+      ...attributes
+    };
+    run.html_url = `https://github.com/${this.owner}/${this.repo}/actions/runs/${run.id}`;
+
+    Object.defineProperty(run, '_scenario', {
+      value: { statuses, conclusion: resolved.conclusion === undefined ? 'success' : resolved.conclusion, jobs: resolved.jobs || DEFAULT_JOBS, step: 0 },
+      enumerable: false
+    });
+
+    if (run.status === 'completed') {
+      this._complete(run);
+    }
+
+    this.runs.unshift(run);
+    return run;
+  }
+
+  /**
+   * Read a file committed through the contents API
+   * @param {string} path - Repository path
+   * @returns {string|null} File content, or null if it does not exist
+   */
+  getFile(path) {
+    const file = this.files.get(path);
+    return file ? Buffer.from(file.content, 'base64').toString('utf8') : null;
+  }
+
+  // Private methods
+
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let body = {};
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      return this._send(res, 400, { message: 'Problems parsing JSON' });
+    }
+
+    this.requests.push({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body
+    });
+
+    if (this.token && !this._isAuthorized(req.headers.authorization)) {
+      return this._send(res, 401, { message: 'Bad credentials' });
+    }
+
+    if (url.pathname === '/rate_limit') {
+      return this._send(res, 200, { resources: { core: this._rateLimitResource() }, rate: this._rateLimitResource() });
+    }
+
+    if (this.now() >= this.rateLimit.reset * 1000) {
+      this.rateLimit.remaining = this.rateLimit.limit;
+      this.rateLimit.reset = Math.ceil((this.now() + RATE_LIMIT_WINDOW) / 1000);
+    }
+    if (this.rateLimit.remaining <= 0) {
+      return this._send(res, 403, {
+        message: `API rate limit exceeded for ${this.owner}.`,
+        documentation_url: 'https://docs.github.com/rest/overview/resources-in-the-rest-api#rate-limiting'
+      });
+    }
+    this.rateLimit.remaining--;
+
+    const fault = this.faults.find(candidate => candidate.remaining > 0 && matchesFault(candidate, req.method, url.pathname));
+    if (fault) {
+      fault.remaining--;
+      const headers = fault.retryAfter === undefined ? {} : { 'Retry-After': String(fault.retryAfter) };
+      return this._send(res, fault.status, { message: fault.message || http.STATUS_CODES[fault.status] || 'Server Error' }, undefined, headers);
+    }
+
+    try {
+      const [status, payload, contentType] = this._route(req.method, url, body);
+      if (req.method !== 'GET' || status !== 200) {
+        return this._send(res, status, payload, contentType);
+      }
+
+      const etag = `W/"${crypto.createHash('sha1').update(typeof payload === 'string' ? payload : JSON.stringify(payload)).digest('hex')}"`;
+      if (req.headers['if-none-match'] === etag) {
+        this.rateLimit.remaining++;
+        return this._send(res, 304, null, contentType, { ETag: etag });
+      }
+      return this._send(res, status, payload, contentType, { ETag: etag });
+    } catch (error) {
+      return this._send(res, 500, { message: error.message });
+    }
+  }
+
+  _route(method, url, body) {
+    const prefix = `/repos/${this.owner}/${this.repo}`;
+    if (url.pathname !== prefix && !url.pathname.startsWith(`${prefix}/`)) {
+      return [404, { message: 'Not Found' }];
+    }
+
+    const path = url.pathname.slice(prefix.length);
+    const query = url.searchParams;
+    let match;
+
+    if (path === '' && method === 'GET') {
+      return [200, {
+        id: 1,
+        name: this.repo,
+        full_name: `${this.owner}/${this.repo}`,
+        default_branch: this.defaultBranch,
+        owner: { login: this.owner }
+      }];
+    }
+
+    if (path === '/actions/runs' && method === 'GET') {
+      return [200, this._listRuns(this.runs, query)];
+    }
+
+    if ((match = path.match(/^\/actions\/workflows\/([^/]+)\/runs$/)) && method === 'GET') {
+      const workflow = this._findWorkflow(match[1]);
+      if (!workflow) {
+        return [404, { message: 'Not Found' }];
+      }
+      return [200, this._listRuns(this.runs.filter(run => run.workflow_id === workflow.id), query)];
+    }
+
+    if ((match = path.match(/^\/actions\/workflows\/([^/]+)\/dispatches$/)) && method === 'POST') {
+      return this._dispatch(match[1], body);
+    }
+
+    if ((match = path.match(/^\/actions\/runs\/(\d+)(\/jobs|\/logs)?$/)) && method === 'GET') {
+      const run = this.runs.find(candidate => candidate.id === Number(match[1]));
+      if (!run) {
+        return [404, { message: 'Not Found' }];
+      }
+      if (match[2] === '/jobs') {
+        const jobs = this._jobs(run);
+        return [200, { total_count: jobs.length, jobs }];
+      }
+      if (match[2] === '/logs') {
+        // GitHub redirects to a zip archive; the fake returns the log text directly
+        return [200, this._logs(run), 'text/plain'];
+      }
+      this._advance(run);
+      return [200, run];
+    }
+
+    if ((match = path.match(/^\/contents\/(.+)$/))) {
+      return this._contents(method, decodeURIComponent(match[1]), body);
+    }
+
+    return [404, { message: 'Not Found' }];
+  }
+
+  _listRuns(runs, query) {
+    const filtered = runs.filter(run =>
+      (!query.get('event') || run.event === query.get('event')) &&
+      (!query.get('status') || run.status === query.get('status') || run.conclusion === query.get('status')) &&
+      (!query.get('branch') || run.head_branch === query.get('branch'))
+    );
+    const perPage = Math.min(parseInt(query.get('per_page') || '30', 10), 100);
+    return { total_count: filtered.length, workflow_runs: filtered.slice(0, perPage) };
+  }
+
+  _dispatch(workflowKey, body) {
+    const workflow = this._findWorkflow(workflowKey);
+    if (!workflow) {
+      return [404, { message: 'Not Found' }];
+    }
+    if (!body.ref) {
+      return [422, { message: 'Invalid request.\n\n"ref" wasn\'t supplied.' }];
+    }
+
+    const inputs = body.inputs || {};
+    // Mirrors the run-name in deploy-gh-pages.yml
+    const title = inputs.correlation_id ? `${workflow.name} [${inputs.correlation_id}]` : workflow.name;
+    this.addWorkflowRun({
+      name: title,
+      display_title: title,
+      workflow_id: workflow.id,
+      path: workflow.path,
+      event: 'workflow_dispatch',
+      head_branch: body.ref.replace(/^refs\/heads\//, ''),
+      inputs
+    });
+    return [204, null];
+  }
+
+  _contents(method, path, body) {
+    const existing = this.files.get(path);
+
+    if (method === 'GET') {
+      if (!existing) {
+        return [404, { message: 'Not Found' }];
+      }
+      return [200, { type: 'file', name: path.split('/').pop(), path, sha: existing.sha, encoding: 'base64', content: existing.content }];
+    }
+
+    if (method !== 'PUT' && method !== 'DELETE') {
+      return [404, { message: 'Not Found' }];
+    }
+    if (method === 'DELETE' && !existing) {
+      return [404, { message: 'Not Found' }];
+    }
+    if (existing && !body.sha) {
+      return [422, { message: 'Invalid request.\n\n"sha" wasn\'t supplied.' }];
+    }
+    if (existing && body.sha !== existing.sha) {
+      return [409, { message: `${path} does not match ${body.sha}` }];
+    }
+    if (method === 'PUT' && typeof body.content !== 'string') {
+      return [422, { message: 'Invalid request.\n\n"content" wasn\'t supplied.' }];
+    }
+
+    const commit = {
+      sha: randomSha(),
+      message: body.message || '',
+      committer: body.committer || { name: this.owner },
+      branch: body.branch || this.defaultBranch
+    };
+
+    let content = null;
+    if (method === 'PUT') {
+      const sha = crypto.createHash('sha1').update(body.content).digest('hex');
+      this.files.set(path, { content: body.content, sha });
+      content = { name: path.split('/').pop(), path, sha };
+    } else {
+      this.files.delete(path);
+    }
+
+    if (this.runOnPush && commit.branch === this.defaultBranch) {
+      this.addWorkflowRun({
+        display_title: commit.message.split('\n')[0],
+        head_sha: commit.sha,
+        head_commit: { id: commit.sha, message: commit.message }
+      });
+    }
+
+    return [method === 'PUT' && !existing ? 201 : 200, { content, commit: { sha: commit.sha, message: commit.message } }];
+  }
+
+  _findWorkflow(key) {
+    return this.workflows.find(workflow =>
+      String(workflow.id) === key || workflow.path.split('/').pop() === key
+    ) || null;
+  }
+
+  _advance(run) {
+    const scenario = run._scenario;
+    if (run.status === 'completed') {
+      return;
+    }
+
+    scenario.step++;
+    if (scenario.step < scenario.statuses.length) {
+      run.status = scenario.statuses[scenario.step];
+      run.updated_at = new Date(this.now()).toISOString();
+    } else if (scenario.conclusion !== null) {
+      this._complete(run);
+    }
+  }
+
+  _complete(run) {
+    const jobs = this._jobs({ ...run, status: 'completed' }, run._scenario);
+    run.status = 'completed';
+    run.conclusion = run._scenario.conclusion;
+    run.updated_at = jobs.length > 0 ? jobs[jobs.length - 1].completed_at : run.created_at;
+  }
+
+  _jobs(run, scenario = run._scenario) {
+    const completed = run.status === 'completed';
+    let startTime = new Date(run.created_at).getTime();
+
+    return scenario.jobs.map((job, index) => {
+      const duration = job.duration || 0;
+      const startedAt = new Date(startTime).toISOString();
+      startTime += duration;
+      return {
+        id: run.id * 10 + index,
+        run_id: run.id,
+        name: job.name,
+        status: completed ? 'completed' : index === 0 && run.status === 'in_progress' ? 'in_progress' : 'queued',
+        conclusion: completed ? job.conclusion || scenario.conclusion : null,
+        started_at: startedAt,
+        completed_at: completed ? new Date(startTime).toISOString() : null,
+        steps: [{ name: `Run ${job.name}`, status: completed ? 'completed' : 'queued', number: 1 }]
+      };
+    });
+  }
+
+  _logs(run) {
+    return run._scenario.jobs
+      .map(job => `${job.name}\t${job.log || `${job.name} finished`}`)
+      .join('\n');
+  }
+
+  _resolveScenario(scenario) {
+    if (typeof scenario === 'string') {
+      if (!WORKFLOW_SCENARIOS[scenario]) {
+        throw new Error(`Unknown workflow scenario: ${scenario}`);
+      }
+      return WORKFLOW_SCENARIOS[scenario];
+    }
+    return scenario;
+  }
+
+  _isAuthorized(header = '') {
+    const [scheme, value] = header.split(' ');
+    return ['token', 'bearer'].includes((scheme || '').toLowerCase()) && value === this.token;
+  }
+
+  _rateLimitResource() {
+    return {
+      limit: this.rateLimit.limit,
+      remaining: this.rateLimit.remaining,
+      reset: this.rateLimit.reset,
+      used: this.rateLimit.limit - this.rateLimit.remaining
+    };
+  }
+
+  _send(res, status, payload, contentType = 'application/json; charset=utf-8', headers = {}) {
+    const rate = this._rateLimitResource();
+    res.writeHead(status, {
+      ...headers,
+      'Content-Type': contentType,
+      'X-GitHub-Request-Id': crypto.randomBytes(8).toString('hex').toUpperCase(),
+      'X-RateLimit-Limit': String(rate.limit),
+      'X-RateLimit-Remaining': String(rate.remaining),
+      'X-RateLimit-Reset': String(rate.reset),
+      'X-RateLimit-Used': String(rate.used),
+      'X-RateLimit-Resource': 'core'
+    });
+    if (payload === null) {
+      res.end();
+    } else {
+      res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    }
+  }
+}
+
+function matchesFault(fault, method, path) {
+  if (fault.method && fault.method !== method) {
+    return false;
+  }
+  if (fault.path instanceof RegExp) {
+    return fault.path.test(path);
+  }
+  return !fault.path || path.includes(fault.path);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function randomSha() {
+  return crypto.randomBytes(20).toString('hex');
+}
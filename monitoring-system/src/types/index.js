@@ -37,6 +37,7 @@
  * @property {number} webhookLatency - Time for webhook processing (ms)
  * @property {number} buildTime - Time for build process (ms)
  * @property {number} deploymentTime - Time for deployment (ms)
+ * @property {number} [queueTime] - Time the GitHub Actions run waited before starting (ms)
  * @property {number} siteResponseTime - Site response time (ms)
  * @property {number} totalPipelineTime - Total end-to-end time (ms)
  * @property {number} errorRate - Error rate percentage (0-100)
@@ -56,6 +57,10 @@
  * @property {boolean} success - Whether pipeline completed successfully
  * @property {ErrorRecord[]} errors - Array of errors that occurred
  * @property {PerformanceMetrics} metrics - Performance metrics for this run
+ * @property {string} [correlationId] - Correlation ID that follows the post from webhook intake to the live site
+ * @property {import('../core/synthetic-test-cycle.js').SyntheticTestVerdict} [verdict] - Outcome of a synthetic test cycle
+ * @property {import('../core/pipeline-definition.js').StageIssue[]} [stageIssues] - Stages that arrived out of order or were skipped
+ * @property {{windowId: string, reason: string}} [maintenance] - Maintenance window the run started in
  */
 
 /**
@@ -98,6 +103,7 @@
  * @property {WebhookTiming} timing - Webhook timing information
  * @property {WebhookAuthentication} authentication - Authentication details
  * @property {RetryAttempt[]} retries - Array of retry attempts
+ * @property {string} [correlationId] - Correlation ID assigned at intake
  */
 
 export {
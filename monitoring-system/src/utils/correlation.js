@@ -0,0 +1,68 @@
+import { IdGenerator } from './id-generator.js';
+
+/**
+ * Correlation ID helpers
+ * A correlation ID is generated when a webhook arrives and follows that post
+ * through the pipeline. The ml-to-hugo function receives it as a header. It adds
+ * the ID to the commit as a trailer, passes it as a workflow_dispatch input
+ * (which the workflow puts in its run name), and writes it into the post's front
+ * matter, where the site renders it as a meta tag.
+ */
+
+export const CORRELATION_HEADER = 'x-correlation-id';
+export const CORRELATION_TRAILER = 'Correlation-Id';
+
+const TRAILER_PATTERN = new RegExp(`^${CORRELATION_TRAILER}:\\s*(\\S+)\\s*$`, 'im');
+const EMBEDDED_ID_PATTERN = /\bcorr_[a-f0-9]{12}\b/;
+
+/**
+ * Read the correlation ID trailer from a commit message
+ * @param {string} message - Full commit message
+ * @returns {string|null} Correlation ID, or null if the message has no valid trailer
+ */
+export function parseCorrelationTrailer(message) {
+  const match = typeof message === 'string' ? message.match(TRAILER_PATTERN) : null;
+  return match && IdGenerator.validateId(match[1], 'correlation') ? match[1] : null;
+}
+
+/**
+ * Find the correlation ID of a GitHub Actions workflow run
+ * Dispatched runs carry it in their run name; runs started by the push carry it
+ * in the head commit trailer.
+ * @param {Object} workflowRun - Workflow run from the GitHub API
+ * @returns {string|null}
+ */
+export function extractWorkflowRunCorrelationId(workflowRun) {
+  if (!workflowRun) {
+    return null;
+  }
+
+  const title = workflowRun.display_title || workflowRun.name || '';
+  const embedded = title.match(EMBEDDED_ID_PATTERN);
+  if (embedded) {
+    return embedded[0];
+  }
+
+  return parseCorrelationTrailer(workflowRun.head_commit?.message);
+}
+
+/**
+ * Find a correlation ID already attached to an incoming webhook
+ * @param {string} webhookType - Type of webhook (mailerlite, github, etc.)
+ * @param {Object} payload - Webhook payload
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {string|null}
+ */
+export function extractWebhookCorrelationId(webhookType, payload = {}, headers = {}) {
+  const candidates = [headers[CORRELATION_HEADER], payload?.correlation_id];
+
+  if (webhookType === 'github') {
+    candidates.push(
+      payload?.inputs?.correlation_id,
+      parseCorrelationTrailer(payload?.head_commit?.message),
+      extractWorkflowRunCorrelationId(payload?.workflow_run)
+    );
+  }
+
+  return candidates.find(candidate => IdGenerator.validateId(candidate, 'correlation')) || null;
+}
@@ -0,0 +1,243 @@
+/**
+ * GitHub API client shared by the monitors that poll GitHub
+ * One instance per token keeps a single view of the quota: every response updates the
+ * x-ratelimit-* state, GET responses are cached by ETag and revalidated with If-None-Match
+ * (a 304 does not count against the rate limit), and rate limited requests block further
+ * requests until GitHub says they may resume. Pollers ask getPollInterval how long to wait.
+ */
+
+const DEFAULT_USER_AGENT = 'mgrnz-monitoring-system';
+// Backoff for secondary rate limits that come without a Retry-After
+const SECONDARY_BACKOFF_BASE = 60000;
+const SECONDARY_BACKOFF_MAX = 900000;
+
+const readHeader = (headers, name) => {
+  if (!headers) {
+    return undefined;
+  }
+  return typeof headers.get === 'function' ? headers.get(name) ?? undefined : headers[name];
+};
+
+/**
+ * Read GitHub's x-ratelimit-* headers
+ * @param {Headers|Object} headers - Response headers, a fetch Headers object or lower-case names
+ * @returns {{limit: number|null, remaining: number|null, resetTime: number|null, used: number|null, resource: string}}
+ *   resetTime in milliseconds
+ */
+export function parseRateLimitHeaders(headers) {
+  const number = (name) => {
+    const value = parseInt(readHeader(headers, name), 10);
+    return Number.isNaN(value) ? null : value;
+  };
+  const reset = number('x-ratelimit-reset');
+
+  return {
+    limit: number('x-ratelimit-limit'),
+    remaining: number('x-ratelimit-remaining'),
+    resetTime: reset === null ? null : reset * 1000,
+    used: number('x-ratelimit-used'),
+    resource: readHeader(headers, 'x-ratelimit-resource') || 'core'
+  };
+}
+
+export class GitHubApiClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.token] - Sent as `Authorization: token …`
+   * @param {string} [options.userAgent='mgrnz-monitoring-system']
+   * @param {number} [options.cacheSize=100] - Responses kept for conditional requests
+   * @param {number} [options.slowDownBelow=0.5] - Share of the quota left below which polling slows down
+   * @param {number} [options.reserve=0.1] - Share of the quota kept back for requests that are not polls
+   */
+  constructor(options = {}) {
+    this.token = options.token || null;
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    this.cacheSize = options.cacheSize ?? 100;
+    this.slowDownBelow = options.slowDownBelow ?? 0.5;
+    this.reserve = options.reserve ?? 0.1;
+
+    this.cache = new Map();
+    this.rateLimit = parseRateLimitHeaders({});
+    this.blockedUntil = 0;
+    this.blockReason = null;
+    this.secondaryBackoffs = 0;
+    this.stats = { requests: 0, notModified: 0, rateLimited: 0 };
+    this.updatedAt = null;
+  }
+
+  /**
+   * Make a request to the GitHub API
+   * @param {string} url - Full API URL
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {Object} [options.headers] - Extra request headers
+   * @param {string} [options.body]
+   * @param {string} [options.responseType='json'] - 'json' or 'text'
+   * @returns {Promise<*>} Response body; a 304 returns the cached body
+   * @throws {Error} While rate limited, and for error responses
+   */
+  async request(url, { method = 'GET', headers = {}, body, responseType = 'json' } = {}) {
+    if (this.blockedUntil > Date.now()) {
+      throw new Error(this._describeBlock());
+    }
+
+    const requestHeaders = {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': this.userAgent,
+      ...headers
+    };
+    if (this.token) {
+      requestHeaders.Authorization = `token ${this.token}`;
+    }
+    const cacheKey = `${responseType} ${url}`;
+    const cached = method === 'GET' ? this.cache.get(cacheKey) : null;
+    if (cached) {
+      requestHeaders['If-None-Match'] = cached.etag;
+    }
+
+    const response = await fetch(url, { method, headers: requestHeaders, body });
+    this.stats.requests++;
+    this._updateRateLimit(response.headers);
+
+    if (response.status === 304 && cached) {
+      this.stats.notModified++;
+      // Most recently used last, so the oldest entry is the first one evicted
+      this.cache.delete(cacheKey);
+      this.cache.set(cacheKey, cached);
+      return cached.data;
+    }
+
+    if (!response.ok) {
+      throw new Error(await this._describeErrorResponse(response));
+    }
+
+    this.secondaryBackoffs = 0;
+    let data = null;
+    if (response.status !== 204) {
+      data = responseType === 'text' ? await response.text() : await response.json();
+    }
+
+    const etag = readHeader(response.headers, 'etag');
+    if (method === 'GET' && etag && this.cacheSize > 0) {
+      this.cache.delete(cacheKey);
+      this.cache.set(cacheKey, { etag, data });
+      if (this.cache.size > this.cacheSize) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * How long a poller should wait before its next poll
+   * The configured interval is kept while more than `slowDownBelow` of the quota is left.
+   * Below that, the rest of the quota (less the reserve) is spread until the reset, and
+   * while rate limited the poller waits until requests may resume.
+   * @param {number} baseInterval - Configured poll interval (ms)
+   * @param {number} [requestsPerPoll=1] - Requests one poll makes
+   * @returns {number} Delay in milliseconds
+   */
+  getPollInterval(baseInterval, requestsPerPoll = 1) {
+    const now = Date.now();
+    if (this.blockedUntil > now) {
+      return Math.max(baseInterval, this.blockedUntil - now);
+    }
+
+    const { limit, remaining, resetTime } = this.rateLimit;
+    if (!limit || remaining === null || !resetTime || resetTime <= now || remaining >= limit * this.slowDownBelow) {
+      return baseInterval;
+    }
+
+    const untilReset = resetTime - now;
+    const budget = remaining - Math.ceil(limit * this.reserve);
+    if (budget <= 0) {
+      return Math.max(baseInterval, untilReset);
+    }
+    return Math.max(baseInterval, Math.min(untilReset, Math.ceil(untilReset / budget) * requestsPerPoll));
+  }
+
+  /**
+   * Quota usage for the dashboard
+   * @returns {Object}
+   */
+  getQuota() {
+    const { limit, remaining, used, resource, resetTime } = this.rateLimit;
+    const blocked = this.blockedUntil > Date.now();
+
+    return {
+      limit,
+      remaining,
+      used,
+      resource,
+      resetAt: resetTime ? new Date(resetTime).toISOString() : null,
+      blockedUntil: blocked ? new Date(this.blockedUntil).toISOString() : null,
+      blockReason: blocked ? this.blockReason : null,
+      requests: this.stats.requests,
+      notModified: this.stats.notModified,
+      rateLimited: this.stats.rateLimited,
+      cachedResponses: this.cache.size,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Private methods
+
+  _updateRateLimit(headers) {
+    const rateLimit = parseRateLimitHeaders(headers);
+    if (rateLimit.remaining === null) {
+      return;
+    }
+    this.rateLimit = rateLimit;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Describe a failed response, blocking further requests when it was rate limited
+   * A primary limit lasts until x-ratelimit-reset. A secondary limit lasts for Retry-After,
+   * or without one for a backoff that doubles with each secondary limit in a row.
+   */
+  async _describeErrorResponse(response) {
+    if (response.status === 403 || response.status === 429) {
+      const now = Date.now();
+      const retryAfter = parseInt(readHeader(response.headers, 'retry-after'), 10);
+
+      if (readHeader(response.headers, 'x-ratelimit-remaining') === '0') {
+        const reset = this.rateLimit.resetTime;
+        this._block(reset && reset > now ? reset : now + (Number.isNaN(retryAfter) ? SECONDARY_BACKOFF_BASE : retryAfter * 1000), 'primary');
+        return this._describeBlock(reset ? new Date(reset).toISOString() : 'unknown');
+      }
+
+      let message = '';
+      try {
+        message = (await response.text?.()) || '';
+      } catch (error) {
+        // The status and headers are enough to go on
+      }
+
+      if (!Number.isNaN(retryAfter) || /secondary rate limit/i.test(message)) {
+        this.secondaryBackoffs++;
+        const delay = Number.isNaN(retryAfter)
+          ? Math.min(SECONDARY_BACKOFF_BASE * 2 ** (this.secondaryBackoffs - 1), SECONDARY_BACKOFF_MAX)
+          : retryAfter * 1000;
+        this._block(now + delay, 'secondary');
+        return this._describeBlock();
+      }
+    }
+
+    return `GitHub API error: ${response.status} ${response.statusText}`;
+  }
+
+  _block(until, reason) {
+    this.blockedUntil = until;
+    this.blockReason = reason;
+    this.stats.rateLimited++;
+    console.warn(`GitHub API ${reason} rate limit hit, pausing requests until ${new Date(until).toISOString()}`);
+  }
+
+  _describeBlock(resetAt = new Date(this.blockedUntil).toISOString()) {
+    return this.blockReason === 'secondary'
+      ? `GitHub API secondary rate limit hit (retry after ${new Date(this.blockedUntil).toISOString()})`
+      : `GitHub API rate limit exceeded (resets at ${resetAt})`;
+  }
+}
@@ -48,6 +48,16 @@ export class IdGenerator {
     return `stage_${shortUuid}`;
   }
 
+  /**
+   * Generate a correlation ID that follows one post from webhook intake to the live site
+   * Format: corr_shortUuid
+   * @returns {string} Unique correlation ID
+   */
+  static generateCorrelationId() {
+    const shortUuid = uuidv4().replace(/-/g, '').slice(0, 12);
+    return `corr_${shortUuid}`;
+  }
+
   /**
    * Generate a full UUID for general purposes
    * @returns {string} Full UUID
@@ -83,7 +93,7 @@ export class IdGenerator {
   /**
    * Validate ID format
    * @param {string} id - ID to validate
-   * @param {'run'|'webhook'|'error'|'stage'|'uuid'} type - Expected ID type
+   * @param {'run'|'webhook'|'error'|'stage'|'correlation'|'uuid'} type - Expected ID type
    * @returns {boolean} Whether ID is valid for the specified type
    */
   static validateId(id, type) {
@@ -94,6 +104,7 @@ export class IdGenerator {
       webhook: /^webhook_[a-f0-9]{12}$/,
       error: /^error_[a-f0-9]{10}$/,
       stage: /^stage_[a-f0-9]{8}$/,
+      correlation: /^corr_[a-f0-9]{12}$/,
       uuid: /^[a-f0-9]{8}-[a-f0-9]{4}-4[a-f0-9]{3}-[89ab][a-f0-9]{3}-[a-f0-9]{12}$/i
     };
 
@@ -102,7 +113,7 @@ export class IdGenerator {
 
   /**
    * Generate a batch of unique IDs
-   * @param {'run'|'webhook'|'error'|'stage'|'uuid'} type - Type of IDs to generate
+   * @param {'run'|'webhook'|'error'|'stage'|'correlation'|'uuid'} type - Type of IDs to generate
    * @param {number} count - Number of IDs to generate
    * @returns {string[]} Array of unique IDs
    */
@@ -112,6 +123,7 @@ export class IdGenerator {
       webhook: this.generateWebhookId,
       error: this.generateErrorId,
       stage: this.generateStageId,
+      correlation: this.generateCorrelationId,
       uuid: this.generateUuid
     };
 
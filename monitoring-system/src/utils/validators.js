@@ -42,6 +42,10 @@ export class Validators {
       errors.push('Success must be a boolean value');
     }
 
+    if (pipelineRun.correlationId !== undefined && !IdGenerator.validateId(pipelineRun.correlationId, 'correlation')) {
+      errors.push('Invalid correlation ID format');
+    }
+
     // Validate stages array
     if (!Array.isArray(pipelineRun.stages)) {
       errors.push('Stages must be an array');
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+
+/**
+ * HMAC-SHA256 signatures for webhook payloads
+ * The signature covers `${timestamp}.${body}`, so a receiver can reject replayed
+ * requests by checking the timestamp as well as the signature. GitHub and MailerLite
+ * sign the body alone, with their own headers.
+ */
+
+export const SIGNATURE_HEADER = 'x-monitoring-signature';
+export const TIMESTAMP_HEADER = 'x-monitoring-timestamp';
+export const DELIVERY_HEADER = 'x-monitoring-delivery';
+
+const hmac = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const safeEqual = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Sign a raw request body
+ * @param {string} secret - Shared secret
+ * @param {string} body - Exact body that will be sent
+ * @param {number} [timestamp] - Unix time in seconds; defaults to now
+ * @returns {{timestamp: number, signature: string}} Header values; the signature looks like `sha256=<hex>`
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return { timestamp, signature: `sha256=${hmac(secret, timestamp, body)}` };
+}
+
+/**
+ * Check a signature made by {@link signPayload}
+ * @param {Object} options
+ * @param {string} options.secret - Shared secret
+ * @param {string} options.body - Raw request body
+ * @param {string|number} options.timestamp - Timestamp header value
+ * @param {string} options.signature - Signature header value
+ * @param {number} [options.tolerance=300] - Maximum age (and clock skew) in seconds
+ * @param {number} [options.now=Date.now()] - Reference time in ms
+ * @returns {boolean}
+ */
+export function verifySignature({ secret, body, timestamp, signature, tolerance = 300, now = Date.now() }) {
+  const seconds = Number(timestamp);
+  if (!secret || typeof signature !== 'string' || !Number.isInteger(seconds)) {
+    return false;
+  }
+  if (Math.abs(now / 1000 - seconds) > tolerance) {
+    return false;
+  }
+
+  return safeEqual(`sha256=${hmac(secret, seconds, body)}`, signature);
+}
+
+/**
+ * Check the `X-Hub-Signature-256` header GitHub sends with webhook deliveries
+ * @param {Object} options
+ * @param {string} options.secret - Webhook secret set on the GitHub hook
+ * @param {string|Buffer} options.body - Raw request body
+ * @param {string} options.signature - Header value, `sha256=<hex>`
+ * @returns {boolean}
+ */
+export function verifyGitHubSignature({ secret, body, signature }) {
+  if (!secret || typeof signature !== 'string') {
+    return false;
+  }
+  return safeEqual(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`, signature);
+}
+
+/**
+ * Check the `Signature` header MailerLite sends with webhook deliveries
+ * @param {Object} options
+ * @param {string} options.secret - Signing secret of the MailerLite webhook
+ * @param {string|Buffer} options.body - Raw request body
+ * @param {string} options.signature - Header value, a hex HMAC-SHA256 of the body
+ * @returns {boolean}
+ */
+export function verifyMailerLiteSignature({ secret, body, signature }) {
+  if (!secret || typeof signature !== 'string') {
+    return false;
+  }
+  return safeEqual(crypto.createHmac('sha256', secret).update(body).digest('hex'), signature);
+}
+
+/**
+ * Read a secret written as an `${ENV_NAME}` placeholder in the config files
+ * @param {string} value - Secret or placeholder
+ * @returns {string|null} The secret, or null when it is empty or the variable is not set
+ */
+export function resolveSecret(value) {
+  const placeholder = typeof value === 'string' ? value.match(/^\$\{(\w+)\}$/) : null;
+  return placeholder ? process.env[placeholder[1]] || null : value || null;
+}
+
+/**
+ * Remembers the deliveries already accepted so a captured request cannot be replayed
+ * Signatures serve as nonces: they change with the body (and with the timestamp where the
+ * sender signs one), while a replayed request carries the same signature again. A delivery
+ * can be known by several nonces (GitHub's delivery ID as well as its signature); it is a
+ * replay if any of them was seen.
+ */
+export class ReplayGuard {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl=86400000] - How long a delivery is remembered (ms)
+   * @param {number} [options.maxEntries=10000] - Deliveries remembered at most; the oldest are forgotten first
+   */
+  constructor({ ttl = 86400000, maxEntries = 10000 } = {}) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.seen = new Map();
+  }
+
+  /**
+   * Record a delivery
+   * @param {string|string[]} nonces
+   * @param {number} [now=Date.now()]
+   * @returns {boolean} False if the delivery was seen before
+   */
+  accept(nonces, now = Date.now()) {
+    for (const [seenNonce, seenAt] of this.seen) {
+      if (now - seenAt <= this.ttl && this.seen.size < this.maxEntries) {
+        break;
+      }
+      this.seen.delete(seenNonce);
+    }
+
+    const keys = [].concat(nonces);
+    if (keys.some(key => this.seen.has(key))) {
+      return false;
+    }
+    keys.forEach(key => this.seen.set(key, now));
+    return true;
+  }
+
+  /**
+   * Forget a delivery, so the sender can retry one that could not be processed
+   * @param {string|string[]} nonces
+   */
+  release(nonces) {
+    [].concat(nonces).forEach(key => this.seen.delete(key));
+  }
+}
+
+const parseTime = (value) => {
+  if (typeof value === 'number') {
+    return value * 1000;
+  }
+  return typeof value === 'string' ? Date.parse(value) : NaN;
+};
+
+// Where the GitHub events that start or update runs say when they happened
+const GITHUB_EVENT_TIMES = {
+  workflow_run: payload => payload.workflow_run?.updated_at,
+  deployment_status: payload => payload.deployment_status?.updated_at,
+  // pushed_at is in unix seconds in push payloads
+  push: payload => payload.repository?.pushed_at ?? payload.head_commit?.timestamp
+};
+
+// Where each sender puts its signature and whether it signs a timestamp
+const DELIVERY_SIGNATURES = {
+  github: { label: 'GitHub', headers: ['x-hub-signature-256'] },
+  mailerlite: { label: 'MailerLite', headers: ['signature', 'x-mailerlite-signature'] },
+  supabase: { label: 'Supabase', headers: [SIGNATURE_HEADER], timestampHeader: TIMESTAMP_HEADER }
+};
+
+/**
+ * Whether {@link verifyWebhookDelivery} knows how a source signs its webhooks
+ * @param {string} source
+ * @returns {boolean}
+ */
+export function isSignedSource(source) {
+  return Object.hasOwn(DELIVERY_SIGNATURES, source);
+}
+
+/**
+ * The nonces {@link verifyWebhookDelivery} records for a delivery in the replay guard
+ * GitHub deliveries are known by `X-GitHub-Delivery` as well as their signature. The
+ * delivery ID is not signed, so the signature is kept too: a replay under a new ID is
+ * still caught.
+ * @param {string} source - github, mailerlite or supabase
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {string[]} Empty when the delivery carries no signature
+ */
+export function deliveryNonces(source, headers = {}) {
+  const signature = DELIVERY_SIGNATURES[source]?.headers.map(name => headers[name]).find(Boolean);
+  if (!signature) {
+    return [];
+  }
+  const delivery = source === 'github' ? headers['x-github-delivery'] : null;
+  return delivery ? [`github:delivery:${delivery}`, `github:${signature}`] : [`${source}:${signature}`];
+}
+
+/**
+ * When a GitHub delivery was sent, as written in its signed body
+ * GitHub signs the body only, so the event's own time is what bounds a replay. Events other
+ * than those in GITHUB_EVENT_TIMES (pings, ignored events) carry none. MailerLite payloads
+ * have no delivery time at all (their `created_at` is when the subscriber or campaign was
+ * created), so MailerLite deliveries rely on the replay guard alone.
+ * @param {string} source - github, mailerlite or supabase
+ * @param {string|Buffer} body - Raw request body
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {number|null} Time in ms (NaN when the body has no readable time), or null when none is expected
+ */
+export function deliverySentAt(source, body, headers = {}) {
+  const eventTime = source === 'github' ? GITHUB_EVENT_TIMES[headers['x-github-event']] : null;
+  if (!eventTime) {
+    return null;
+  }
+
+  try {
+    return parseTime(eventTime(JSON.parse(body.toString()) ?? {}));
+  } catch (error) {
+    return NaN;
+  }
+}
+
+/**
+ * Verify a webhook delivery from GitHub, MailerLite or the Supabase functions
+ * The HMAC is checked over the raw body in constant time. The delivery's time must be within
+ * the tolerance where there is one: the signed timestamp header for Supabase callbacks, the
+ * time in the signed body for GitHub (see {@link deliverySentAt}). The replay guard catches
+ * repeats inside that window, and is all there is for MailerLite.
+ * @param {string} source - github, mailerlite or supabase
+ * @param {Object} options
+ * @param {string} options.secret - Signing secret of the source
+ * @param {string|Buffer} [options.body] - Raw request body
+ * @param {Object} options.headers - Request headers (lower-case names)
+ * @param {ReplayGuard} [options.replayGuard]
+ * @param {number} [options.tolerance=300] - Maximum age of signed timestamps in seconds
+ * @param {number} [options.now=Date.now()]
+ * @returns {{method: string, success: boolean, errors: string[], failureReason?: string}}
+ *   failureReason is missing_signature, missing_raw_body, stale_timestamp, invalid_signature or replayed
+ */
+export function verifyWebhookDelivery(source, { secret, body, headers = {}, replayGuard, tolerance = 300, now = Date.now() }) {
+  const { label, headers: signatureHeaders, timestampHeader } = DELIVERY_SIGNATURES[source];
+  const fail = (failureReason, message) => ({ method: 'hmac-sha256', success: false, errors: [message], failureReason });
+
+  const signature = signatureHeaders.map(name => headers[name]).find(Boolean);
+  if (!signature) {
+    return fail('missing_signature', `Missing ${label} webhook signature`);
+  }
+  if (body === undefined || body === null) {
+    return fail('missing_raw_body', `The raw body of the ${label} webhook is needed to check its signature`);
+  }
+
+  let valid;
+  if (timestampHeader) {
+    const seconds = Number(headers[timestampHeader]);
+    if (!Number.isInteger(seconds) || Math.abs(now / 1000 - seconds) > tolerance) {
+      return fail('stale_timestamp', `${label} webhook timestamp is missing or more than ${tolerance}s off`);
+    }
+    valid = verifySignature({ secret, body: body.toString(), timestamp: seconds, signature, tolerance, now });
+  } else if (source === 'github') {
+    valid = verifyGitHubSignature({ secret, body, signature });
+  } else {
+    valid = verifyMailerLiteSignature({ secret, body, signature });
+  }
+
+  if (!valid) {
+    return fail('invalid_signature', `${label} webhook signature does not match the payload`);
+  }
+  if (!timestampHeader) {
+    const sentAt = deliverySentAt(source, body, headers);
+    if (sentAt !== null && !(Math.abs(now - sentAt) <= tolerance * 1000)) {
+      return fail('stale_timestamp', `${label} webhook time is missing or more than ${tolerance}s off`);
+    }
+  }
+  if (replayGuard && !replayGuard.accept(deliveryNonces(source, headers), now)) {
+    return fail('replayed', `${label} webhook was already received`);
+  }
+  return { method: 'hmac-sha256', success: true, errors: [] };
+}
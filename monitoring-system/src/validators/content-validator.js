@@ -21,11 +21,14 @@ class ContentValidator {
    * Validate deployed content against expected changes
    * @param {string} runId - Pipeline run ID for tracking
    * @param {Object} expectedChanges - Expected content changes
+   * @param {Object[]} [expectedChanges.newPosts] - Posts that should now be live
+   * @param {string} [expectedChanges.correlationId] - Correlation ID the new posts should carry
    * @returns {Promise<Object>} Content validation results
    */
   async validateDeployedContent(runId, expectedChanges = {}) {
     const results = {
       runId,
+      correlationId: expectedChanges.correlationId || null,
       timestamp: new Date().toISOString(),
       validations: {},
       overall: {
@@ -41,7 +44,10 @@ class ContentValidator {
       
       // Validate new posts if specified
       if (expectedChanges.newPosts && expectedChanges.newPosts.length > 0) {
-        results.validations.newPosts = await this._validateNewPosts(expectedChanges.newPosts);
+        const newPosts = expectedChanges.correlationId
+          ? expectedChanges.newPosts.map(post => ({ correlationId: expectedChanges.correlationId, ...post }))
+          : expectedChanges.newPosts;
+        results.validations.newPosts = await this._validateNewPosts(newPosts);
       }
       
       // Validate admin functionality
@@ -164,6 +170,7 @@ class ContentValidator {
       title: null,
       content: null,
       publishDate: null,
+      correlationId: null,
       errors: []
     };
 
@@ -192,6 +199,13 @@ class ContentValidator {
           // Extract publish date
           const dateElement = document.querySelector('time, .date, .publish-date');
           result.publishDate = dateElement ? dateElement.textContent || dateElement.getAttribute('datetime') : null;
+
+          // Posts published by ml-to-hugo carry the correlation ID of their pipeline run
+          const correlationElement = document.querySelector('meta[name="correlation-id"]');
+          result.correlationId = correlationElement ? correlationElement.getAttribute('content') : null;
+          if (expectedPost.correlationId && result.correlationId !== expectedPost.correlationId) {
+            result.errors.push(`Expected correlation ID ${expectedPost.correlationId} but post has ${result.correlationId || 'none'}`);
+          }
           
           // Validate expected content if provided
           if (expectedPost.expectedContent) {
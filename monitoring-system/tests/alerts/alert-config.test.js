@@ -1,7 +1,7 @@
-const { describe, it, expect, beforeEach, afterEach, vi } = require('vitest');
-const fs = require('fs').promises;
-const path = require('path');
-const AlertConfig = require('../../src/alerts/alert-config');
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import AlertConfig from '../../src/alerts/alert-config.js';
 
 // Mock fs module
 vi.mock('fs', () => ({
@@ -72,7 +72,7 @@ describe('AlertConfig', () => {
 
     it('should include all notification channels', () => {
       const defaultConfig = alertConfig.getDefaultConfig();
-      const channels = ['console', 'dashboard', 'email', 'webhook'];
+      const channels = ['console', 'dashboard', 'email', 'webhook', 'slack', 'discord', 'teams'];
       
       channels.forEach(channel => {
         expect(defaultConfig.notifications[channel]).toBeDefined();
@@ -336,6 +336,56 @@ describe('AlertConfig', () => {
     });
   });
 
+  describe('change history', () => {
+    let files;
+
+    beforeEach(() => {
+      files = {};
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockImplementation(async (file, content) => {
+        files[file] = content;
+      });
+      fs.readFile.mockImplementation(async (file) => {
+        if (!(file in files)) {
+          throw Object.assign(new Error('File not found'), { code: 'ENOENT' });
+        }
+        return files[file];
+      });
+    });
+
+    it('should preview changes as a diff with validation errors', () => {
+      alertConfig.config.notifications.slack.token = 'xoxb-secret';
+
+      const { diff, errors } = alertConfig.previewChanges({
+        thresholds: { errorRate: -1 },
+        notifications: { slack: { enabled: true, token: '********' } }
+      });
+
+      expect(diff).toEqual([
+        { path: 'thresholds.errorRate', before: 0.1, after: -1 },
+        { path: 'notifications.slack.enabled', before: false, after: true }
+      ]);
+      expect(errors).toEqual(['Invalid threshold value for errorRate: -1']);
+      expect(alertConfig.config.thresholds.errorRate).toBe(0.1);
+    });
+
+    it('should record applied changes and roll them back', async () => {
+      const change = await alertConfig.applyChanges({ alertTypes: { slow_build: { cooldown: 60000 } } }, { changedBy: 'ada', reason: 'Noisy builds' });
+      expect(await alertConfig.applyChanges({ alertTypes: { slow_build: { cooldown: 60000 } } })).toBeNull();
+      await expect(alertConfig.applyChanges({ alertRules: { cooldownPeriod: 'soon' } })).rejects.toThrow('Invalid cooldownPeriod: soon');
+
+      expect(change).toMatchObject({ changedBy: 'ada', reason: 'Noisy builds', diff: [{ path: 'alertTypes.slow_build.cooldown', after: 60000 }] });
+      expect(alertConfig.historyPath).toBe('/test/config/alert-config-history.json');
+      expect(await alertConfig.getHistory()).toEqual([change]);
+
+      const rollback = await alertConfig.rollback(change.id, { changedBy: 'ada' });
+      expect(rollback).toMatchObject({ rollbackOf: change.id, diff: [{ path: 'alertTypes.slow_build.cooldown', before: 60000 }] });
+      expect(alertConfig.config.alertTypes.slow_build).not.toHaveProperty('cooldown');
+      expect((await alertConfig.getHistory()).map(entry => entry.id)).toEqual([rollback.id, change.id]);
+      expect(await alertConfig.rollback('unknown')).toBeNull();
+    });
+  });
+
   describe('mergeWithDefaults', () => {
     it('should merge loaded config with defaults', () => {
       const loadedConfig = {
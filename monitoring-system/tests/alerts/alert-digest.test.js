@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { AlertDigester, buildDigest, isDailySummaryDue, localDate } from '../../src/alerts/alert-digest.js';
+
+const alert = (id, type, severity, overrides = {}) => ({
+  id,
+  type,
+  severity,
+  signature: `${type}:${severity}:${id}`,
+  message: `${type} ${id}`,
+  status: 'active',
+  timestamp: `2026-10-18T01:0${id}:00.000Z`,
+  occurrences: 1,
+  ...overrides
+});
+
+describe('alert digests', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should count alerts by type and severity and list top signatures and the newest alerts', () => {
+    const digest = buildDigest([
+      alert('1', 'pipeline_failure', 'high', { occurrences: 3 }),
+      alert('2', 'stage_failure', 'medium'),
+      alert('3', 'pipeline_failure', 'high'),
+      alert('4', 'slow_build', 'low')
+    ], { channel: 'email', windowEnd: Date.parse('2026-10-18T01:15:00Z'), topSignatures: 2, examples: 2 });
+
+    expect(digest).toMatchObject({
+      channel: 'email',
+      windowStart: '2026-10-18T01:01:00.000Z',
+      windowEnd: '2026-10-18T01:15:00.000Z',
+      alertCount: 4,
+      occurrenceCount: 6,
+      highestSeverity: 'high',
+      countsByType: { pipeline_failure: 4, stage_failure: 1, slow_build: 1 },
+      countsBySeverity: { high: 4, medium: 1, low: 1 }
+    });
+    expect(digest.topSignatures.map(entry => [entry.signature, entry.count])).toEqual([
+      ['pipeline_failure:high:1', 3],
+      ['stage_failure:medium:2', 1]
+    ]);
+    expect(digest.examples.map(example => example.id)).toEqual(['4', '3']);
+  });
+
+  it('should batch per channel and recipients and flush once the window ends', async () => {
+    vi.useFakeTimers();
+    const deliver = vi.fn().mockResolvedValue();
+    const digester = new AlertDigester({
+      settings: (channel) => (channel === 'email' ? { enabled: true, window: '10m', immediateSeverities: ['critical'] } : null),
+      deliver
+    });
+
+    expect(digester.add(alert('1', 'pipeline_failure', 'high'), ['console', 'email'])).toEqual(['email']);
+    expect(digester.add(alert('2', 'pipeline_failure', 'high'), ['email'], { email: ['site@example.com'] })).toEqual(['email']);
+    expect(digester.add(alert('3', 'consecutive_failures', 'critical'), ['email'])).toEqual([]);
+    expect(digester.add(alert('4', 'slow_build', 'medium'), ['email'])).toEqual(['email']);
+    expect(digester.getPending().map(batch => [batch.recipients, batch.alertCount])).toEqual([[null, 2], [['site@example.com'], 1]]);
+
+    await vi.advanceTimersByTimeAsync(10 * 60000);
+
+    expect(deliver).toHaveBeenCalledTimes(2);
+    expect(deliver).toHaveBeenCalledWith('email', expect.objectContaining({ alertCount: 2 }), undefined);
+    expect(deliver).toHaveBeenCalledWith('email', expect.objectContaining({ alertCount: 1 }), ['site@example.com']);
+    expect(digester.getPending()).toEqual([]);
+  });
+
+  it('should send the daily summary once a day after the local send time', () => {
+    const config = { enabled: true, time: '08:00', timezone: 'Pacific/Auckland' };
+    // 07:30 and 08:30 on 19 October 2026 in Pacific/Auckland (NZDT)
+    const early = Date.parse('2026-10-18T18:30:00Z');
+    const due = Date.parse('2026-10-18T19:30:00Z');
+
+    expect(localDate(due, 'Pacific/Auckland')).toBe('2026-10-19');
+    expect(isDailySummaryDue(config, null, early)).toBe(false);
+    expect(isDailySummaryDue(config, null, due)).toBe(true);
+    expect(isDailySummaryDue(config, '2026-10-19', due)).toBe(false);
+    expect(isDailySummaryDue({ ...config, enabled: false }, null, due)).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { FlapDetector } from '../../src/alerts/alert-flapping.js';
+
+const observeAll = (detector, condition, states) => states.map((breached, index) => detector.observe(condition, breached, Date.parse('2026-10-18T01:00:00Z') + index * 60000));
+
+describe('flapping detection', () => {
+  it('should start flapping once enough observations change state', () => {
+    const detector = new FlapDetector(() => ({ window: 6, minObservations: 4 }));
+
+    const results = observeAll(detector, 'pipeline_failure', [true, false, true, false]);
+
+    expect(results.slice(0, 3).every(result => !result.flapping)).toBe(true);
+    expect(results[3]).toEqual({ flapping: true, changed: true, since: '2026-10-18T01:03:00.000Z', changeRatio: 1 });
+    expect(detector.getState('pipeline_failure')).toEqual({ flapping: true, since: '2026-10-18T01:03:00.000Z' });
+    expect(detector.getState('stage_failure')).toEqual({ flapping: false, since: null });
+  });
+
+  it('should keep flapping until the change ratio drops to the recovery threshold', () => {
+    const detector = new FlapDetector(() => ({ window: 6, minObservations: 4 }));
+    observeAll(detector, 'pipeline_failure', [true, false, true, false]);
+
+    // 0.8, 0.6 and 0.4 are below the start threshold but above the recovery threshold
+    const settling = observeAll(detector, 'pipeline_failure', [true, true, true, true]);
+
+    expect(settling.map(result => result.changeRatio)).toEqual([1, 0.8, 0.6, 0.4]);
+    expect(settling.every(result => result.flapping && !result.changed)).toBe(true);
+    expect(detector.getFlapping()).toEqual([{ condition: 'pipeline_failure', since: expect.any(String), changeRatio: 0.4 }]);
+
+    expect(detector.observe('pipeline_failure', true)).toMatchObject({ flapping: false, changed: true, since: null, changeRatio: 0.2 });
+    expect(detector.getFlapping()).toEqual([]);
+  });
+
+  it('should never flap when disabled', () => {
+    const detector = new FlapDetector(() => ({ enabled: false, minObservations: 2 }));
+
+    const results = observeAll(detector, 'webhook_error', [true, false, true, false, true]);
+
+    expect(results.some(result => result.flapping)).toBe(false);
+  });
+});
@@ -1,4 +1,7 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
 import AlertManager from '../../src/alerts/alert-manager.js';
 
 describe('AlertManager', () => {
@@ -54,7 +57,7 @@ describe('AlertManager', () => {
       const manager = new AlertManager(customConfig);
 
       expect(manager.config.thresholds.errorRate).toBe(0.2);
-      expect(manager.config.notifications.dashboard).toBe(true);
+      expect(manager.config.notifications.dashboard.enabled).toBe(true);
     });
 
     it('should initialize empty collections', () => {
@@ -353,12 +356,12 @@ describe('AlertManager', () => {
   });
 
   describe('updateThresholds', () => {
-    it('should update thresholds and emit event', () => {
+    it('should update thresholds and emit event', async () => {
       const thresholdsUpdatedSpy = vi.fn();
       alertManager.on('thresholds_updated', thresholdsUpdatedSpy);
 
       const newThresholds = { errorRate: 0.2, responseTime: 8000 };
-      alertManager.updateThresholds(newThresholds);
+      await alertManager.updateThresholds(newThresholds);
 
       expect(alertManager.config.thresholds.errorRate).toBe(0.2);
       expect(alertManager.config.thresholds.responseTime).toBe(8000);
@@ -400,27 +403,32 @@ describe('AlertManager', () => {
         resolvedAt: null
       };
 
-      vi.spyOn(alertManager, 'sendConsoleNotification').mockResolvedValue();
-      vi.spyOn(alertManager, 'sendDashboardNotification').mockResolvedValue();
-      vi.spyOn(alertManager, 'sendEmailNotification').mockResolvedValue();
+      for (const name of ['console', 'dashboard', 'email']) {
+        vi.spyOn(alertManager.notificationManager.getChannel(name), 'send').mockResolvedValue();
+      }
     });
 
+    const channel = (name) => alertManager.notificationManager.getChannel(name);
+
     it('should route alerts to enabled channels only', async () => {
       await alertManager.sendNotifications(alert);
 
-      expect(alertManager.sendConsoleNotification).toHaveBeenCalledWith(alert);
-      expect(alertManager.sendDashboardNotification).toHaveBeenCalledWith(alert);
-      expect(alertManager.sendEmailNotification).not.toHaveBeenCalled();
+      expect(channel('console').send).toHaveBeenCalledWith(alert, 'alert_generated', expect.any(Object));
+      expect(channel('dashboard').send).toHaveBeenCalledWith(alert, 'alert_generated', expect.any(Object));
+      expect(channel('email').send).not.toHaveBeenCalled();
     });
 
     it('should respect runtime notification configuration updates', async () => {
-      alertManager.updateNotificationSettings({ console: false, email: true });
+      await alertManager.updateNotificationSettings({ console: false, email: true });
+      for (const name of ['console', 'dashboard', 'email']) {
+        vi.spyOn(channel(name), 'send').mockResolvedValue();
+      }
 
       await alertManager.sendNotifications(alert);
 
-      expect(alertManager.sendConsoleNotification).not.toHaveBeenCalled();
-      expect(alertManager.sendDashboardNotification).toHaveBeenCalledWith(alert);
-      expect(alertManager.sendEmailNotification).toHaveBeenCalledWith(alert);
+      expect(channel('console').send).not.toHaveBeenCalled();
+      expect(channel('dashboard').send).toHaveBeenCalledWith(alert, 'alert_generated', expect.any(Object));
+      expect(channel('email').send).toHaveBeenCalledWith(alert, 'alert_generated', expect.any(Object));
     });
   });
 
@@ -469,6 +477,9 @@ describe('AlertManager', () => {
       expect(firstActive).toHaveLength(1);
       expect(firstActive[0].occurrences).toBe(1);
 
+      // Repeats inside the cooldown are suppressed; once it has passed they count against the active alert
+      const cooledDown = Date.now() + mockConfig.cooldown + 1;
+      vi.spyOn(Date, 'now').mockReturnValue(cooledDown);
       await alertManager.checkAlerts(pipelineRun);
 
       const metrics = alertManager.getMetrics();
@@ -510,6 +521,323 @@ describe('AlertManager', () => {
     });
   });
 
+  describe('snoozes and silences', () => {
+    const hourFromNow = () => new Date(Date.now() + 3600000).toISOString();
+
+    it('should snooze an alert and notify again when the snooze ends', async () => {
+      const sendSpy = vi.spyOn(alertManager.notificationManager, 'sendToAll');
+      const alert = await alertManager.createAlert('pipeline_failure', 'high', { runId: 'run-snooze', error: 'Failed' });
+      await alertManager.processAlert(alert);
+
+      const snoozed = await alertManager.snoozeAlert(alert.id, hourFromNow(), 'tester');
+      expect(snoozed).toMatchObject({ snoozedBy: 'tester', snoozedUntil: expect.any(String) });
+      expect(await alertManager.expireSnoozes()).toEqual([]);
+
+      const expired = await alertManager.expireSnoozes(Date.now() + 3600001);
+      expect(expired.map(entry => entry.id)).toEqual([alert.id]);
+      expect(alertManager.activeAlerts.get(alert.id).snoozedUntil).toBeNull();
+      expect(sendSpy.mock.calls.map(call => call[2])).toEqual(['alert_generated', 'alert_snoozed', 'alert_snooze_expired']);
+    });
+
+    it('should reject snoozes that end in the past', async () => {
+      const alert = await alertManager.createAlert('pipeline_failure', 'high', { runId: 'run-past' });
+      await alertManager.processAlert(alert);
+
+      await expect(alertManager.snoozeAlert(alert.id, '2020-01-01T00:00:00Z')).rejects.toThrow('must be in the future');
+    });
+
+    it('should suppress matching alerts while a silence lasts', async () => {
+      const silencedSpy = vi.fn();
+      alertManager.on('silence_created', silencedSpy);
+
+      const silence = await alertManager.addSilence({ type: 'slow_build' }, { until: hourFromNow(), createdBy: 'tester', reason: 'Known slow runner' });
+      expect(silencedSpy).toHaveBeenCalledWith(silence);
+
+      const slowBuild = await alertManager.createAlert('slow_build', 'medium', { runId: 'run-1', duration: 700000 });
+      const failure = await alertManager.createAlert('pipeline_failure', 'high', { runId: 'run-1', error: 'Failed' });
+
+      expect(await alertManager.processAlert(slowBuild)).toBeNull();
+      expect(await alertManager.processAlert(failure)).not.toBeNull();
+      expect(alertManager.getMetrics().silencedAlerts).toBe(1);
+      expect(alertManager.getSilences()[0].suppressed).toBe(1);
+
+      const persistedState = JSON.parse(await fs.readFile(path.join(tempDir, 'alert-state.json'), 'utf8'));
+      expect(persistedState.silences[0]).toMatchObject({ matcher: { type: 'slow_build' }, createdBy: 'tester' });
+    });
+
+    it('should match silences by signature and stop after removal', async () => {
+      const alert = await alertManager.createAlert('webhook_error', 'high', { source: 'mailerlite', status: 500 });
+      const signature = alertManager._generateAlertSignature(alert.type, alert.severity, alert.data);
+      const silence = await alertManager.addSilence({ signature }, { until: hourFromNow() });
+
+      expect(alertManager.findSilence(alert)).toMatchObject({ id: silence.id });
+      expect(alertManager.findSilence({ ...alert, data: { source: 'mailerlite', status: 502 } })).toBeNull();
+
+      const removed = await alertManager.removeSilence(silence.id, 'tester');
+      expect(removed).toMatchObject({ id: silence.id, removedBy: 'tester' });
+      expect(alertManager.getSilences()).toEqual([]);
+      expect(await alertManager.removeSilence(silence.id)).toBeNull();
+    });
+
+    it('should require something to match and ignore ended silences', async () => {
+      await expect(alertManager.addSilence({}, { until: hourFromNow() })).rejects.toThrow('needs a type, severity or signature');
+
+      await alertManager.addSilence({ severity: 'low' }, { until: hourFromNow() });
+      expect(alertManager.getSilences(Date.now() + 3600001)).toEqual([]);
+    });
+  });
+
+  describe('routing and escalation', () => {
+    const routing = {
+      contacts: {
+        newsletter_owner: { email: 'newsletter@example.com' },
+        on_call: { email: 'oncall@example.com' }
+      },
+      routes: [{ match: { type: 'webhook_*' }, contacts: ['newsletter_owner'] }],
+      escalations: [{ id: 'unacknowledged', steps: [{ after: '15m', channels: ['email'], contacts: ['on_call'] }] }],
+      quietHours: { enabled: true, start: '22:00', end: '07:00' }
+    };
+    // 02:00 and 09:00 on 19 October 2026 in Pacific/Auckland (NZDT)
+    const night = Date.parse('2026-10-18T13:00:00Z');
+    const morning = Date.parse('2026-10-18T20:00:00Z');
+
+    beforeEach(async () => {
+      await alertManager.updateRouting(routing);
+      vi.useFakeTimers({ toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should send routed alerts to the owning contact', async () => {
+      vi.setSystemTime(morning);
+      const sendSpy = vi.spyOn(alertManager.notificationManager, 'sendToAll');
+
+      await alertManager.processAlert(await alertManager.createAlert('webhook_timeout', 'high', { source: 'mailerlite', duration: 40000 }));
+
+      expect(sendSpy).toHaveBeenCalledWith(expect.objectContaining({ type: 'webhook_timeout' }), ['console', 'dashboard', 'email', 'webhook', 'slack', 'discord', 'teams'], 'alert_generated', {
+        recipients: { email: ['newsletter@example.com'] }
+      });
+      const persistedConfig = JSON.parse(await fs.readFile(path.join(tempDir, 'alert-thresholds.json'), 'utf8'));
+      expect(persistedConfig.routing.contacts.newsletter_owner).toEqual({ email: 'newsletter@example.com' });
+    });
+
+    it('should hold paging channels over quiet hours and escalate once they end', async () => {
+      vi.setSystemTime(night);
+      const sendSpy = vi.spyOn(alertManager.notificationManager, 'sendToAll');
+      const escalated = vi.fn();
+      alertManager.on('alert_escalated', escalated);
+
+      const alert = await alertManager.processAlert(await alertManager.createAlert('pipeline_failure', 'high', { runId: 'run-night' }));
+      expect(sendSpy.mock.calls[0][1]).toEqual(['console', 'dashboard']);
+      expect(alert.heldChannels).toEqual(['email', 'webhook', 'slack', 'discord', 'teams']);
+
+      // Still quiet an hour later: nothing is sent and nothing escalates
+      expect(await alertManager.checkEscalations(night + 3600000)).toEqual([]);
+      expect(sendSpy).toHaveBeenCalledTimes(1);
+
+      expect(await alertManager.checkEscalations(morning)).toEqual([alert]);
+      expect(sendSpy.mock.calls.slice(1).map(call => call.slice(1))).toEqual([
+        [['email', 'webhook', 'slack', 'discord', 'teams'], 'alert_generated', { recipients: {} }],
+        [['email'], 'alert_escalated', { recipients: { email: ['oncall@example.com'] } }]
+      ]);
+      expect(alert).toMatchObject({ heldChannels: null, escalationLevel: 1, escalationPolicy: 'unacknowledged' });
+      expect(escalated).toHaveBeenCalledWith(alert);
+
+      expect(await alertManager.checkEscalations(morning + 3600000)).toEqual([]);
+    });
+
+    it('should let critical alerts through quiet hours and stop escalating once acknowledged', async () => {
+      vi.setSystemTime(night);
+      const sendSpy = vi.spyOn(alertManager.notificationManager, 'sendToAll');
+
+      const alert = await alertManager.processAlert(await alertManager.createAlert('consecutive_failures', 'critical', {}));
+      expect(sendSpy.mock.calls[0][1]).toEqual(['console', 'dashboard', 'email', 'webhook', 'slack', 'discord', 'teams']);
+
+      await alertManager.acknowledgeAlert(alert.id, 'tester');
+      expect(await alertManager.checkEscalations(night + 3600000)).toEqual([]);
+    });
+
+    it('should reject invalid routing', async () => {
+      await expect(alertManager.updateRouting({ routes: [{ match: { type: 'x' }, contacts: ['ghost'] }] }))
+        .rejects.toThrow('unknown contact ghost');
+      expect(alertManager.getRouting().contacts).toHaveProperty('on_call');
+    });
+  });
+
+  describe('digests and daily summary', () => {
+    const useEmail = async (settings = {}) => {
+      await alertManager.updateNotificationSettings({
+        email: { enabled: true, recipients: ['ops@example.com'], smtp: { host: 'smtp.example.com' }, ...settings }
+      });
+      const sendMail = vi.fn().mockResolvedValue({});
+      alertManager.notificationManager.getChannel('email')._transporter = { sendMail };
+      return sendMail;
+    };
+
+    it('should batch new alerts into one digest email while critical alerts go out at once', async () => {
+      const sendMail = await useEmail({ digest: { enabled: true, window: '10m' } });
+      const sendSpy = vi.spyOn(alertManager.notificationManager, 'sendToAll');
+
+      const [first] = await Promise.all([1, 2, 3].map(async run =>
+        alertManager.processAlert(await alertManager.createAlert('pipeline_failure', 'high', { runId: `run-${run}`, error: 'Build failed' }))
+      ));
+      // Occurrences deduplicated before the window ends are counted when the digest is built
+      first.occurrences = 2;
+      await alertManager.processAlert(await alertManager.createAlert('consecutive_failures', 'critical', {}));
+
+      expect(sendSpy.mock.calls[0][1]).not.toContain('email');
+      expect(sendSpy.mock.calls[3][1]).toContain('email');
+      expect(alertManager.getPendingDigests()).toEqual([{ channel: 'email', recipients: null, alertCount: 3, windowStart: expect.any(String) }]);
+
+      const [digest] = await alertManager.flushDigests();
+      expect(digest).toMatchObject({
+        channel: 'email',
+        alertCount: 3,
+        occurrenceCount: 4,
+        countsByType: { pipeline_failure: 4 }
+      });
+      expect(digest.topSignatures[0]).toMatchObject({ type: 'pipeline_failure', count: 2, message: 'Pipeline run run-1 failed: Build failed' });
+
+      expect(sendMail).toHaveBeenCalledTimes(2);
+      const digestMail = sendMail.mock.calls[1][0];
+      expect(digestMail).toMatchObject({ to: 'ops@example.com', subject: expect.stringMatching(/^\[DIGEST\] 3 alerts since /) });
+      expect(digestMail.html).toContain('Top signatures');
+      expect(digestMail.text).toContain('- pipeline_failure: 4');
+      expect(alertManager.getMetrics()).toMatchObject({ batchedNotifications: 3, digestsSent: 1 });
+      expect(alertManager.getPendingDigests()).toEqual([]);
+    });
+
+    it('should email the daily summary once a day', async () => {
+      const manager = new AlertManager({
+        ...mockConfig,
+        configDir: path.join(tempDir, 'summary'),
+        notifications: { console: false, dashboard: false, email: { enabled: true, recipients: ['ops@example.com'], smtp: { host: 'smtp.example.com' } } },
+        dailySummary: { enabled: true, time: '08:00', timezone: 'Pacific/Auckland', recipients: ['owner@example.com'] }
+      });
+      await manager.persistenceReady;
+      const sendMail = vi.fn().mockResolvedValue({});
+      manager.notificationManager.getChannel('email')._transporter = { sendMail };
+      // 07:00 and 09:00 on 19 October 2026 in Pacific/Auckland (NZDT)
+      const early = Date.parse('2026-10-18T18:00:00Z');
+      const morning = Date.parse('2026-10-18T20:00:00Z');
+
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(morning - 3600000);
+      await manager.processAlert(await manager.createAlert('stage_failure', 'high', { runId: 'run-4', stage: 'deploy', error: 'Deployment timed out' }));
+      vi.useRealTimers();
+
+      expect(manager.isDailySummaryDue(early)).toBe(false);
+      expect(manager.isDailySummaryDue(morning)).toBe(true);
+
+      const summary = await manager.sendDailySummary({
+        runs: { totalRuns: 4, successCount: 3, failureCount: 1, successRate: 75, averageDuration: 1200 },
+        slowestStages: [{ name: 'build_process', averageDuration: 900, maxDuration: 1000, runCount: 4 }],
+        frequentFailures: [{ name: 'deploy', failureCount: 1 }],
+        failedRuns: [{ id: 'run-4', startTime: new Date(morning - 3600000).toISOString(), error: 'Deployment timed out' }]
+      }, { now: morning });
+
+      expect(summary).toMatchObject({ date: '2026-10-19', alerts: { alertCount: 1, countsByType: { stage_failure: 1 } }, activeAlerts: 1 });
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'owner@example.com',
+        subject: 'Daily summary 2026-10-19: 4 runs, 75% successful, 1 alerts'
+      }));
+      expect(sendMail.mock.calls.at(-1)[0].text).toContain('- run-4 at');
+
+      expect(manager.isDailySummaryDue(morning + 3600000)).toBe(false);
+      expect(manager.isDailySummaryDue(morning + 24 * 3600000)).toBe(true);
+      const state = JSON.parse(await fs.readFile(path.join(tempDir, 'summary', 'alert-state.json'), 'utf8'));
+      expect(state.lastDailySummary).toBe('2026-10-19');
+    });
+  });
+
+  describe('alert rules', () => {
+    it('should raise alerts from configured rules with their message', async () => {
+      await alertManager.updateRules([
+        { id: 'slow_deploy', source: 'run', metric: 'deploymentTime', comparator: '>', threshold: 60000, severity: 'low', data: ['runId', 'deploymentTime'], message: 'Deploy of {runId} took {deploymentTime}ms' },
+        { id: 'slow_pipeline', enabled: false }
+      ]);
+
+      const alerts = await alertManager.checkAlerts({ id: 'run-deploy', success: true, duration: 90000, stages: [], metrics: { deploymentTime: 120000 } });
+
+      expect(alerts.map(alert => alert.type)).toEqual(['slow_deploy']);
+      expect(alerts[0]).toMatchObject({ rule: 'slow_deploy', severity: 'low', message: 'Deploy of run-deploy took 120000ms' });
+
+      const persistedConfig = JSON.parse(await fs.readFile(path.join(tempDir, 'alert-thresholds.json'), 'utf8'));
+      expect(persistedConfig.rules.map(rule => rule.id)).toEqual(['slow_deploy', 'slow_pipeline']);
+      expect(alertManager.getRules().find(rule => rule.id === 'slow_pipeline').enabled).toBe(false);
+    });
+
+    it('should reject invalid rules and keep the current ones', async () => {
+      await expect(alertManager.updateRules([{ id: 'broken', source: 'run', metric: 'duration', comparator: '>', threshold: 'nope', severity: 'low' }]))
+        .rejects.toThrow('refers to unknown threshold nope');
+      expect(alertManager.getRules().some(rule => rule.id === 'broken')).toBe(false);
+    });
+
+    it('should evaluate analytics snapshots', async () => {
+      const alerts = await alertManager.checkAnalyticsAlerts({
+        latestRun: { id: 'run-slow', duration: 30000 },
+        bottlenecks: { averagePipelineDuration: 10000 }
+      });
+
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0]).toMatchObject({ type: 'performance_degradation', message: 'Run run-slow took 2 longer than the average run (threshold: 0.5)' });
+    });
+  });
+
+  describe('auto-resolution and flapping', () => {
+    const run = (id, success) => ({ id, success, duration: 1000, stages: [], errors: [], metrics: {} });
+    const pipelineFailures = () => alertManager.getActiveAlerts().filter(alert => alert.type === 'pipeline_failure');
+
+    it('should resolve an alert once its condition stays clear for the configured runs', async () => {
+      const [alert] = await alertManager.checkAlerts(run('run-1', false));
+      expect(alert).toMatchObject({ type: 'pipeline_failure', condition: 'pipeline_failure' });
+
+      await alertManager.checkAlerts(run('run-2', true));
+      await alertManager.checkAlerts(run('run-3', true));
+      expect(pipelineFailures()).toHaveLength(1);
+
+      await alertManager.checkAlerts(run('run-4', true));
+      expect(pipelineFailures()).toEqual([]);
+      expect(alert).toMatchObject({ status: 'resolved', resolvedBy: 'auto-resolve', autoResolved: true });
+      expect(alertManager.getMetrics().autoResolvedAlerts).toBe(1);
+    });
+
+    it('should only notify the dashboard while a condition flaps', async () => {
+      await alertManager.updateRules([{ id: 'consecutive_failures', enabled: false }, { id: 'high_error_rate', enabled: false }]);
+      alertManager.config.flapping = { window: 6, minObservations: 4 };
+      const sendSpy = vi.spyOn(alertManager.notificationManager, 'sendToAll');
+      const flapping = [];
+      alertManager.on('alert_flapping', alert => flapping.push(alert.flapping));
+
+      for (const [index, success] of [false, true, false, true].entries()) {
+        await alertManager.checkAlerts(run(`run-${index + 1}`, success));
+      }
+      expect(flapping).toEqual([true, true]);
+      expect(alertManager.getFlappingConditions()).toEqual([
+        { condition: 'pipeline_failure', since: expect.any(String), changeRatio: 1 }
+      ]);
+
+      const [alert] = await alertManager.checkAlerts(run('run-5', false));
+      expect(alert.flapping).toBe(true);
+      expect(sendSpy.mock.calls.at(-1).slice(1)).toEqual([['dashboard'], 'alert_generated']);
+
+      // The condition settles once it has stayed breached for most of the window
+      for (const index of [6, 7, 8]) {
+        await alertManager.checkAlerts(run(`run-${index}`, false));
+      }
+      expect(alertManager.getFlappingConditions()).toHaveLength(1);
+      sendSpy.mockClear();
+      await alertManager.checkAlerts(run('run-9', false));
+
+      expect(alertManager.getFlappingConditions()).toEqual([]);
+      expect(pipelineFailures().every(active => !active.flapping)).toBe(true);
+      expect(sendSpy).toHaveBeenCalledWith(alert, expect.arrayContaining(['console', 'dashboard']), 'alert_generated', { recipients: {} });
+      expect(alertManager.getMetrics().flappingSuppressed).toBeGreaterThan(0);
+    });
+  });
+
   describe('persistent thresholds', () => {
     it('should save updated thresholds to disk', async () => {
       await alertManager.updateThresholds({ responseTime: 7500 });
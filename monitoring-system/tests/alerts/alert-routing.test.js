@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { AlertRouter, localMinutes, matchesAlert, validateRouting } from '../../src/alerts/alert-routing.js';
+
+const channels = () => ['console', 'dashboard', 'email', 'webhook'];
+
+const routing = {
+  contacts: {
+    newsletter_owner: { email: 'newsletter@example.com' },
+    site_maintainer: { email: ['site@example.com'], webhook: 'https://hooks.example.com/site' },
+    on_call: { email: 'oncall@example.com' }
+  },
+  routes: [
+    { match: { type: 'webhook_*' }, contacts: ['newsletter_owner'] },
+    { match: { type: ['slow_build', 'stage_failure'] }, channels: ['dashboard', 'email', 'webhook'], contacts: ['site_maintainer'] }
+  ],
+  escalations: [
+    {
+      id: 'critical',
+      match: { severity: 'critical' },
+      steps: [
+        { after: '5m', channels: ['email'], contacts: ['on_call'] },
+        { after: '30m', channels: ['email', 'webhook'], contacts: ['on_call', 'site_maintainer'] }
+      ]
+    },
+    { id: 'default', steps: [{ after: '1h', channels: ['email'] }] }
+  ],
+  quietHours: { enabled: true, start: '22:00', end: '07:00' }
+};
+
+const alert = (overrides = {}) => ({ type: 'pipeline_failure', severity: 'high', timestamp: '2026-10-18T00:00:00.000Z', ...overrides });
+
+describe('alert routing', () => {
+  it('should match alerts by type pattern and severity', () => {
+    expect(matchesAlert({ type: 'webhook_*' }, alert({ type: 'webhook_timeout' }))).toBe(true);
+    expect(matchesAlert({ type: 'webhook_*' }, alert({ type: 'slow_webhook' }))).toBe(false);
+    expect(matchesAlert({ type: ['slow_build'], severity: ['low', 'high'] }, alert({ type: 'slow_build' }))).toBe(true);
+    expect(matchesAlert({ severity: 'critical' }, alert())).toBe(false);
+    expect(matchesAlert({}, alert())).toBe(true);
+  });
+
+  it('should report invalid routing', () => {
+    expect(validateRouting({
+      routes: [{ match: { severity: 'urgent' }, contacts: ['nobody'] }, { match: {} }],
+      escalations: [{ id: 'x', steps: [{ after: '1h', channels: ['email'] }, { after: '30m' }] }],
+      quietHours: { timezone: 'Mars/Olympus', start: '10pm' }
+    })).toEqual([
+      'routes[0]: severity must be one of low, medium, high, critical',
+      'routes[0]: unknown contact nobody',
+      'routes[1]: needs a match',
+      'routes[1]: needs channels or contacts',
+      'x: steps[1].after must be later than the previous step',
+      'x: steps[1] needs channels',
+      'quietHours: unknown timezone Mars/Olympus',
+      'quietHours: start and end must be HH:MM'
+    ]);
+
+    expect(() => new AlertRouter({ routing: { escalations: [{ steps: [] }] }, channels }))
+      .toThrow('Invalid alert routing: escalations[0]: needs an id');
+  });
+
+  it('should route alerts to contacts by type and fall back to every channel', () => {
+    const router = new AlertRouter({ routing: { ...routing, quietHours: undefined }, channels });
+
+    expect(router.plan(alert({ type: 'webhook_timeout' }))).toEqual({
+      channels: channels(),
+      recipients: { email: ['newsletter@example.com'] },
+      held: []
+    });
+    expect(router.plan(alert({ type: 'slow_build' }))).toEqual({
+      channels: ['dashboard', 'email', 'webhook'],
+      recipients: { email: ['site@example.com'], webhook: ['https://hooks.example.com/site'] },
+      held: []
+    });
+    expect(router.plan(alert(), { channels: ['email'], contacts: ['on_call'] })).toEqual({
+      channels: ['email'],
+      recipients: { email: ['oncall@example.com'] },
+      held: []
+    });
+  });
+
+  it('should keep quiet hours in Pacific/Auckland across daylight saving', () => {
+    const router = new AlertRouter({ routing, channels });
+
+    // 23:00 NZDT and 22:30 NZST are quiet; 09:00 NZDT and 21:30 NZST are not
+    expect(localMinutes(Date.parse('2026-10-18T10:00:00Z'), 'Pacific/Auckland')).toBe(23 * 60);
+    expect(router.isQuietHours(Date.parse('2026-10-18T10:00:00Z'))).toBe(true);
+    expect(router.isQuietHours(Date.parse('2026-10-18T20:00:00Z'))).toBe(false);
+    expect(router.isQuietHours(Date.parse('2026-07-01T10:30:00Z'))).toBe(true);
+    expect(router.isQuietHours(Date.parse('2026-07-01T09:30:00Z'))).toBe(false);
+  });
+
+  it('should hold paging channels during quiet hours unless the alert is critical', () => {
+    const router = new AlertRouter({ routing, channels });
+    const night = Date.parse('2026-10-18T12:00:00Z');
+
+    expect(router.plan(alert(), { now: night })).toMatchObject({ channels: ['console', 'dashboard'], held: ['email', 'webhook'] });
+    expect(router.plan(alert({ severity: 'critical' }), { now: night })).toMatchObject({ channels: channels(), held: [] });
+  });
+
+  it('should escalate through the first matching policy step by step', () => {
+    const router = new AlertRouter({ routing, channels });
+    const start = Date.parse('2026-10-18T00:00:00Z');
+    const critical = alert({ severity: 'critical' });
+
+    expect(router.dueEscalation(critical, start + 4 * 60000)).toBeNull();
+    expect(router.dueEscalation(critical, start + 5 * 60000)).toMatchObject({ level: 1, policy: { id: 'critical' }, step: { contacts: ['on_call'] } });
+
+    critical.escalationLevel = 1;
+    expect(router.dueEscalation(critical, start + 10 * 60000)).toBeNull();
+    expect(router.dueEscalation(critical, start + 30 * 60000)).toMatchObject({ level: 2 });
+
+    critical.escalationLevel = 2;
+    expect(router.dueEscalation(critical, start + 24 * 3600000)).toBeNull();
+    expect(router.dueEscalation(alert(), start + 3600000)).toMatchObject({ level: 1, policy: { id: 'default' } });
+  });
+});
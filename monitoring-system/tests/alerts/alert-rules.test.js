@@ -0,0 +1,209 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AlertRuleEngine,
+  DEFAULT_ALERT_RULES,
+  buildContexts,
+  mergeAlertRules,
+  validateAlertRule
+} from '../../src/alerts/alert-rules.js';
+
+const thresholds = {
+  errorRate: 0.1,
+  responseTime: 5000,
+  failureCount: 3,
+  webhookTimeout: 30000,
+  webhookErrorRate: 0.05,
+  buildTime: 600000,
+  queueTime: 300000,
+  siteErrorRate: 0.02,
+  performanceDegradation: 0.5
+};
+
+const run = (overrides = {}) => ({
+  id: `run-${Math.random().toString(36).slice(2, 8)}`,
+  success: true,
+  duration: 1000,
+  trigger: { type: 'webhook' },
+  errors: [],
+  stages: [],
+  metrics: {},
+  ...overrides
+});
+
+const firedTypes = (engine, source, record) => engine.evaluate(source, record).map(match => match.type);
+
+describe('alert rules', () => {
+  it('should ship valid default rules for every threshold', () => {
+    for (const rule of DEFAULT_ALERT_RULES) {
+      expect(validateAlertRule(rule, thresholds)).toEqual([]);
+    }
+
+    const referenced = new Set(DEFAULT_ALERT_RULES.flatMap(rule => [rule.threshold, rule.consecutive]));
+    for (const key of Object.keys(thresholds)) {
+      expect(referenced.has(key)).toBe(true);
+    }
+  });
+
+  it('should report invalid rules', () => {
+    expect(validateAlertRule({ source: 'run' })).toEqual(['Alert rule needs an id']);
+    expect(validateAlertRule({
+      id: 'bad',
+      source: 'queue',
+      metric: 'duration',
+      aggregation: 'median',
+      comparator: '=>',
+      threshold: 'missing',
+      severity: 'urgent',
+      consecutive: 0,
+      window: { minSamples: 2 }
+    }, thresholds)).toEqual([
+      'bad: source must be one of run, stage, webhook, analytics',
+      'bad: aggregation must be one of last, avg, min, max, sum, count',
+      'bad: comparator must be one of > >= < <= == !=',
+      'bad: severity must be one of low, medium, high, critical',
+      'bad: threshold refers to unknown threshold missing',
+      'bad: consecutive must be a positive integer',
+      'bad: window needs a size or a duration'
+    ]);
+
+    expect(() => new AlertRuleEngine({ rules: [{ id: 'slow_pipeline', comparator: '~' }], thresholds: () => thresholds }))
+      .toThrow('Invalid alert rules: slow_pipeline: comparator');
+  });
+
+  it('should override and disable default rules by id', () => {
+    const rules = mergeAlertRules([
+      { id: 'slow_pipeline', threshold: 20000 },
+      { id: 'pipeline_failure', enabled: false },
+      { id: 'slow_deploy', source: 'run', metric: 'deploymentTime', comparator: '>', threshold: 60000, severity: 'low' }
+    ]);
+
+    expect(rules.find(rule => rule.id === 'slow_pipeline')).toMatchObject({ threshold: 20000, comparator: '>', severity: 'medium' });
+    expect(rules.find(rule => rule.id === 'pipeline_failure').enabled).toBe(false);
+    expect(rules.at(-1).id).toBe('slow_deploy');
+    expect(rules).toHaveLength(DEFAULT_ALERT_RULES.length + 1);
+  });
+
+  it('should read named thresholds when evaluating', () => {
+    const current = { ...thresholds };
+    const engine = new AlertRuleEngine({ thresholds: () => current });
+
+    const [match] = engine.evaluate('run', run({ id: 'run-1', duration: 8000 }));
+    expect(match).toMatchObject({ type: 'slow_pipeline', severity: 'medium', data: { runId: 'run-1', duration: 8000, threshold: 5000 } });
+
+    current.responseTime = 10000;
+    expect(firedTypes(engine, 'run', run({ duration: 8000 }))).toEqual([]);
+  });
+
+  it('should fire consecutive-count rules only after enough breaches in a row', () => {
+    const engine = new AlertRuleEngine({ rules: [{ id: 'high_error_rate', enabled: false }], thresholds: () => thresholds });
+    const failed = () => run({ success: false, errors: ['Build failed'] });
+
+    expect(firedTypes(engine, 'run', failed())).toEqual(['pipeline_failure']);
+    expect(firedTypes(engine, 'run', failed())).toEqual(['pipeline_failure']);
+    engine.evaluate('run', run());
+    engine.evaluate('run', failed());
+    engine.evaluate('run', failed());
+
+    const matches = engine.evaluate('run', failed());
+    expect(matches.map(match => match.type)).toEqual(['pipeline_failure', 'consecutive_failures']);
+    expect(matches[1]).toMatchObject({ severity: 'critical', data: {}, message: '3 pipeline runs failed in a row' });
+  });
+
+  it('should aggregate rate rules over a window once it has enough samples', () => {
+    const engine = new AlertRuleEngine({
+      rules: [{ id: 'pipeline_failure', enabled: false }, { id: 'consecutive_failures', enabled: false }],
+      thresholds: () => thresholds
+    });
+
+    for (let index = 0; index < 3; index++) {
+      engine.evaluate('run', run());
+    }
+    expect(firedTypes(engine, 'run', run({ success: false }))).toEqual([]);
+
+    const [match] = engine.evaluate('run', run());
+    expect(match).toMatchObject({
+      type: 'high_error_rate',
+      message: '0.2 of the last 5 pipeline runs failed (threshold: 0.1)'
+    });
+
+    // Twenty successes push the failure out of the window
+    for (let index = 0; index < 20; index++) {
+      engine.evaluate('run', run());
+    }
+    expect(firedTypes(engine, 'run', run())).toEqual([]);
+  });
+
+  it('should drop samples older than a duration window', () => {
+    const engine = new AlertRuleEngine({
+      rules: [{ id: 'build_failures', source: 'stage', where: { stage: 'build_process' }, metric: 'failed', aggregation: 'sum', window: { duration: '1h' }, comparator: '>=', threshold: 2, severity: 'high' }],
+      thresholds: () => thresholds
+    });
+    const failedBuild = run({ stages: [{ name: 'build_process', status: 'failed', duration: 1000 }] });
+    const now = Date.now();
+
+    expect(engine.evaluate('stage', failedBuild, { now }).map(match => match.type)).toEqual(['stage_failure']);
+    expect(engine.evaluate('stage', failedBuild, { now: now + 3600001 }).map(match => match.type)).toEqual(['stage_failure']);
+    expect(engine.evaluate('stage', failedBuild, { now: now + 3600002 }).map(match => match.type)).toEqual(['stage_failure', 'build_failures']);
+  });
+
+  it('should evaluate webhook and analytics records', () => {
+    const engine = new AlertRuleEngine({ thresholds: () => thresholds });
+
+    const webhook = {
+      id: 'webhook-1',
+      runId: 'run-1',
+      source: 'mailerlite',
+      timing: { sent: '2026-10-18T12:00:00Z', processed: '2026-10-18T12:01:00Z' },
+      authentication: { success: true },
+      response: { status: 200 }
+    };
+    expect(engine.evaluate('webhook', webhook)[0]).toMatchObject({
+      type: 'webhook_timeout',
+      data: { webhookId: 'webhook-1', runId: 'run-1', duration: 60000, threshold: 30000, source: 'mailerlite' }
+    });
+
+    const snapshot = {
+      latestRun: { id: 'run-9', duration: 9000 },
+      bottlenecks: { averagePipelineDuration: 4000 },
+      successMetrics: { overall: { successRate: 50, failureCount: 1, totalRuns: 2 } }
+    };
+    expect(buildContexts('analytics', snapshot)[0]).toMatchObject({ failureRate: 0.5, durationDegradation: 1.25 });
+    expect(engine.evaluate('analytics', snapshot)[0]).toMatchObject({
+      type: 'performance_degradation',
+      message: 'Run run-9 took 1.25 longer than the average run (threshold: 0.5)'
+    });
+  });
+
+  it('should report every evaluated condition as breached or clear', () => {
+    const engine = new AlertRuleEngine({
+      rules: [{ id: 'failing_stage', source: 'stage', metric: 'failed', comparator: '==', threshold: 1, severity: 'high', groupBy: 'stage' }],
+      thresholds: () => thresholds
+    });
+    const stages = [
+      { name: 'build_process', status: 'failed' },
+      { name: 'deploy', status: 'completed' }
+    ];
+
+    const { fired, observations } = engine.assess('stage', run({ stages }));
+
+    expect(fired.map(match => match.condition)).toEqual(['stage_failure', 'failing_stage:build_process']);
+    const breached = Object.fromEntries(observations.map(observation => [observation.condition, observation.breached]));
+    expect(breached).toMatchObject({ stage_failure: true, 'failing_stage:build_process': true, 'failing_stage:deploy': false });
+    expect(breached).not.toHaveProperty('slow_build');
+  });
+
+  it('should alert on slow queues and failing site validation', () => {
+    const engine = new AlertRuleEngine({ thresholds: () => thresholds });
+
+    expect(engine.evaluate('run', run({ id: 'run-q', metrics: { queueTime: 400000 } }))[0]).toMatchObject({
+      type: 'slow_queue',
+      message: 'Workflow for run run-q queued for 400000ms (threshold: 300000ms)'
+    });
+
+    const siteStage = status => ({ stages: [{ name: 'site_validation', status }] });
+    for (let index = 0; index < 4; index++) {
+      engine.evaluate('run', run(siteStage('completed')));
+    }
+    expect(firedTypes(engine, 'run', run(siteStage('failed')))).toContain('site_error_rate');
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import http from 'http';
+import {
+  SlackNotificationChannel,
+  DiscordNotificationChannel,
+  TeamsNotificationChannel,
+  NotificationManager
+} from '../../src/alerts/notification-channels.js';
+
+// Answers like Slack, Discord and Microsoft Graph and records every request
+const startChatStandIn = () => new Promise(resolve => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') };
+      requests.push(request);
+
+      // Message ids count the requests of the current test
+      const id = String(requests.length);
+      const response = req.url.startsWith('/slack/api/')
+        ? { ok: request.headers.authorization === 'Bearer xoxb-test', error: 'invalid_auth', channel: 'C123', ts: `1700000000.00${id}` }
+        : { id };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+});
+
+describe('chat notification channels', () => {
+  let standIn;
+  let alert;
+
+  beforeAll(async () => {
+    standIn = await startChatStandIn();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => standIn.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    standIn.requests.length = 0;
+    alert = {
+      id: 'alert-1',
+      type: 'stage_failure',
+      severity: 'high',
+      timestamp: '2026-10-18T01:00:00.000Z',
+      message: "Stage 'build_process' failed in run run-7: hugo: error building site",
+      data: { runId: 'run-7', stage: 'build_process', error: `hugo: error building site\n${'x'.repeat(600)}` },
+      status: 'active',
+      acknowledged: false,
+      occurrences: 1
+    };
+  });
+
+  it('should post Slack messages and thread lifecycle updates under them', async () => {
+    const channel = new SlackNotificationChannel({
+      token: 'xoxb-test',
+      channel: 'C123',
+      apiUrl: `${standIn.url}/slack/api`,
+      dashboardUrl: 'https://monitor.example.com/'
+    });
+
+    await channel.send(alert);
+    await channel.send({ ...alert, acknowledged: true, acknowledgedBy: 'olivia' }, 'alert_acknowledged');
+    await channel.send({ ...alert, escalationLevel: 1 }, 'alert_escalated');
+    await channel.send({ ...alert, status: 'resolved', resolvedBy: 'olivia' }, 'alert_resolved');
+
+    const [posted, acknowledged, escalated, resolved] = standIn.requests.map(request => request.body);
+    const attachment = posted.attachments[0];
+    expect(attachment.color).toBe('#dc3545');
+    expect(attachment.blocks[1].fields.map(field => field.text)).toEqual(expect.arrayContaining(['*Run*\nrun-7', '*Stage*\nbuild_process']));
+    expect(attachment.blocks[2].text.text).toMatch(/^```hugo: error building site\nx+…```$/);
+    expect(attachment.blocks[3].elements.map(button => button.url)).toEqual([
+      'https://monitor.example.com/?alert=alert-1&action=acknowledge',
+      'https://monitor.example.com/?run=run-7'
+    ]);
+
+    expect(acknowledged).toEqual({ channel: 'C123', thread_ts: '1700000000.001', text: 'Acknowledged by olivia', reply_broadcast: false });
+    expect(escalated).toMatchObject({ thread_ts: '1700000000.001', reply_broadcast: true });
+    expect(resolved).toMatchObject({ thread_ts: '1700000000.001', text: 'Resolved by olivia' });
+    expect(channel.threads.size).toBe(0);
+  });
+
+  it('should post new Slack messages for updates when only a webhook is configured', async () => {
+    const channel = new SlackNotificationChannel({ webhookUrl: `${standIn.url}/slack/hook` });
+
+    await channel.send({ ...alert, acknowledged: true, acknowledgedBy: 'olivia' }, 'alert_acknowledged');
+
+    expect(standIn.requests[0].url).toBe('/slack/hook');
+    expect(standIn.requests[0].body.text).toMatch(/^Acknowledged by olivia: \[HIGH\] stage_failure/);
+    expect(standIn.requests[0].body.attachments[0].blocks).toHaveLength(3);
+  });
+
+  it('should report Slack API errors without throwing', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const channel = new SlackNotificationChannel({ token: 'wrong', channel: 'C123', apiUrl: `${standIn.url}/slack/api` });
+
+    await channel.send(alert);
+
+    expect(console.error).toHaveBeenCalledWith('Failed to send SlackNotificationChannel notification: Slack chat.postMessage failed: invalid_auth');
+    vi.restoreAllMocks();
+  });
+
+  it('should edit the original Discord embed as the alert changes', async () => {
+    const channel = new DiscordNotificationChannel({ webhookUrl: `${standIn.url}/api/webhooks/1/token`, dashboardUrl: 'https://monitor.example.com' });
+
+    await channel.send(alert);
+    await channel.send({ ...alert, status: 'resolved', resolvedBy: 'olivia' }, 'alert_resolved');
+
+    const [posted, edited] = standIn.requests;
+    expect(posted).toMatchObject({ method: 'POST', url: '/api/webhooks/1/token?wait=true' });
+    expect(posted.body.embeds[0]).toMatchObject({ title: '[HIGH] stage_failure', color: 0xdc3545 });
+    expect(posted.body.embeds[0].fields.at(-1).value)
+      .toBe('[Acknowledge](https://monitor.example.com/?alert=alert-1&action=acknowledge) · [View run](https://monitor.example.com/?run=run-7)');
+
+    expect(edited).toMatchObject({ method: 'PATCH', url: '/api/webhooks/1/token/messages/1' });
+    expect(edited.body.embeds[0].color).toBe(0x28a745);
+    expect(edited.body.embeds[0].fields.at(-1)).toMatchObject({ name: 'Updates', value: expect.stringContaining('Resolved by olivia') });
+  });
+
+  it('should post Teams cards through Graph and reply with updates', async () => {
+    const channel = new TeamsNotificationChannel({
+      graph: { teamId: 'team-1', channelId: 'channel-1', accessToken: 'graph-token', apiUrl: `${standIn.url}/graph` }
+    });
+
+    await channel.send({ ...alert, severity: 'critical' });
+    await channel.send({ ...alert, snoozedBy: 'olivia', snoozedUntil: '2026-10-18T03:00:00.000Z' }, 'alert_snoozed');
+
+    const [posted, reply] = standIn.requests;
+    expect(posted.url).toBe('/graph/teams/team-1/channels/channel-1/messages');
+    expect(posted.headers.authorization).toBe('Bearer graph-token');
+    const card = JSON.parse(posted.body.attachments[0].content);
+    expect(card.body[0]).toMatchObject({ style: 'attention', items: [{ text: '[CRITICAL] stage_failure' }] });
+    expect(card.body[2].facts).toEqual(expect.arrayContaining([{ title: 'Stage', value: 'build_process' }]));
+
+    expect(reply.url).toBe('/graph/teams/team-1/channels/channel-1/messages/1/replies');
+    expect(reply.body.body.content).toMatch(/^Snoozed by olivia until /);
+  });
+
+  it('should respect notifyOnLifecycle and severityFilter', async () => {
+    const manager = new NotificationManager();
+    manager.addChannel('teams', new TeamsNotificationChannel({
+      webhookUrl: `${standIn.url}/teams/hook`,
+      severityFilter: ['high', 'critical'],
+      notifyOnLifecycle: false
+    }));
+
+    await manager.sendToAll({ ...alert, severity: 'low' });
+    await manager.sendToAll(alert, null, 'alert_acknowledged');
+    expect(standIn.requests).toEqual([]);
+
+    await manager.sendToAll(alert);
+    expect(standIn.requests[0].body).toMatchObject({
+      type: 'message',
+      attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', content: { type: 'AdaptiveCard' } }]
+    });
+  });
+});
@@ -1,11 +1,14 @@
-const { describe, it, expect, beforeEach, afterEach, vi } = require('vitest');
-const {
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fetch from 'node-fetch';
+import {
   ConsoleNotificationChannel,
   DashboardNotificationChannel,
   EmailNotificationChannel,
   WebhookNotificationChannel,
   NotificationManager
-} = require('../../src/alerts/notification-channels');
+} from '../../src/alerts/notification-channels.js';
+
+vi.mock('node-fetch', () => ({ default: vi.fn() }));
 
 describe('NotificationChannels', () => {
   let mockAlert;
@@ -45,7 +48,7 @@ describe('NotificationChannels', () => {
       await channel.send(mockAlert);
       
       expect(console.log).toHaveBeenCalledWith(
-        expect.stringContaining('[ALERT HIGH]')
+        expect.stringContaining('ALERT [HIGH]')
       );
       expect(console.log).toHaveBeenCalledWith(
         expect.stringContaining('pipeline_failure')
@@ -65,9 +68,13 @@ describe('NotificationChannels', () => {
       for (const severity of severities) {
         const alert = { ...mockAlert, severity };
         await channel.send(alert);
+
+        expect(console.log).toHaveBeenCalledWith(
+          expect.stringContaining(`${channel.colors[severity]}[`)
+        );
       }
       
-      expect(console.log).toHaveBeenCalledTimes(severities.length * 2); // Message + data
+      expect(console.log).toHaveBeenCalledTimes(severities.length * 4); // Header, message, data and a blank line
     });
 
     it('should display alert data when present', async () => {
@@ -96,15 +103,12 @@ describe('NotificationChannels', () => {
     it('should send notification via WebSocket handler', async () => {
       await channel.send(mockAlert);
       
-      expect(mockWebSocketHandler.broadcast).toHaveBeenCalledWith({
-        type: 'alert',
-        timestamp: expect.any(String),
-        alert: expect.objectContaining({
-          id: mockAlert.id,
-          type: mockAlert.type,
-          severity: mockAlert.severity
-        })
-      });
+      expect(mockWebSocketHandler.broadcast).toHaveBeenCalledWith('alert_generated', expect.objectContaining({
+        id: mockAlert.id,
+        type: mockAlert.type,
+        severity: mockAlert.severity,
+        timestamp: mockAlert.timestamp
+      }));
     });
 
     it('should not send when WebSocket handler is missing', async () => {
@@ -128,13 +132,9 @@ describe('NotificationChannels', () => {
       
       await channel.send(alertWithoutMessage);
       
-      expect(mockWebSocketHandler.broadcast).toHaveBeenCalledWith(
-        expect.objectContaining({
-          alert: expect.objectContaining({
-            message: expect.stringContaining('Pipeline failed')
-          })
-        })
-      );
+      expect(mockWebSocketHandler.broadcast).toHaveBeenCalledWith('alert_generated', expect.objectContaining({
+        message: 'Pipeline failed: Build failed'
+      }));
     });
 
     it('should allow setting WebSocket handler after construction', () => {
@@ -154,15 +154,15 @@ describe('NotificationChannels', () => {
       });
     });
 
-    it('should log email notification (placeholder implementation)', async () => {
+    it('should send the email through the transporter', async () => {
+      channel._transporter = { sendMail: vi.fn().mockResolvedValue({}) };
       await channel.send(mockAlert);
       
-      expect(console.log).toHaveBeenCalledWith(
-        '[EMAIL NOTIFICATION] Would send email:',
+      expect(channel._transporter.sendMail).toHaveBeenCalledWith(
         expect.objectContaining({
-          to: ['admin@example.com', 'dev@example.com'],
+          to: 'admin@example.com,dev@example.com',
           subject: expect.stringContaining('[HIGH] Alert: pipeline_failure'),
-          body: expect.stringContaining('Pipeline failed'),
+          text: expect.stringContaining('Pipeline failed'),
           html: expect.stringContaining('<div')
         })
       );
@@ -228,20 +228,22 @@ describe('NotificationChannels', () => {
       });
     });
 
-    it('should log webhook notification (placeholder implementation)', async () => {
+    it('should post the alert payload to the configured URL', async () => {
+      fetch.mockResolvedValue({ ok: true });
       await channel.send(mockAlert);
       
-      expect(console.log).toHaveBeenCalledWith(
-        '[WEBHOOK NOTIFICATION] Would POST to https://example.com/webhook:',
-        expect.objectContaining({
-          alert: expect.objectContaining({
-            id: mockAlert.id,
-            type: mockAlert.type,
-            severity: mockAlert.severity
-          }),
-          timestamp: expect.any(String)
-        })
-      );
+      const [url, request] = fetch.mock.calls[0];
+      expect(url).toBe('https://example.com/webhook');
+      expect(request.headers).toMatchObject({ 'Content-Type': 'application/json', Authorization: 'Bearer token' });
+      expect(JSON.parse(request.body)).toMatchObject({
+        event: 'alert_generated',
+        alert: {
+          id: mockAlert.id,
+          type: mockAlert.type,
+          severity: mockAlert.severity
+        },
+        timestamp: expect.any(String)
+      });
     });
 
     it('should not send when no URL configured', async () => {
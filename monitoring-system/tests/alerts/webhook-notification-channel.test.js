@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { WebhookNotificationChannel } from '../../src/alerts/notification-channels.js';
+import { verifySignature } from '../../src/utils/webhook-signature.js';
+
+// Answers each request with the next queued status (200 once the queue is empty)
+const startReceiver = () => new Promise(resolve => {
+  const requests = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      const status = statuses.shift() || 200;
+      res.writeHead(status, status === 429 ? { 'Retry-After': '0' } : {});
+      res.end(status === 200 ? 'ok' : 'nope');
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, requests, statuses, url: `http://127.0.0.1:${server.address().port}` }));
+});
+
+const alert = {
+  id: 'alert-1',
+  type: 'pipeline_failure',
+  severity: 'high',
+  message: 'Pipeline failed',
+  timestamp: '2026-10-18T01:00:00.000Z',
+  status: 'active'
+};
+
+describe('WebhookNotificationChannel deliveries', () => {
+  let receiver;
+  let tempDir;
+  let channel;
+
+  beforeAll(async () => {
+    receiver = await startReceiver();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    receiver.requests.length = 0;
+    receiver.statuses.length = 0;
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhook-deliveries-'));
+    channel = new WebhookNotificationChannel({
+      url: `${receiver.url}/hook`,
+      secret: 'shh',
+      retry: { attempts: 3, initialDelay: 10, maxDelay: 50 },
+      deadLetterFile: path.join(tempDir, 'dead-letters.jsonl')
+    });
+  });
+
+  afterEach(async () => {
+    await channel.whenIdle();
+    await fs.rm(tempDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should sign each delivery so receivers can verify it', async () => {
+    await channel.send(alert);
+
+    const [request] = receiver.requests;
+    expect(JSON.parse(request.body)).toMatchObject({ event: 'alert_generated', alert: { id: 'alert-1', severity: 'high' } });
+    expect(request.headers['x-monitoring-delivery']).toMatch(/^dlv_/);
+    expect(verifySignature({
+      secret: 'shh',
+      body: request.body,
+      timestamp: request.headers['x-monitoring-timestamp'],
+      signature: request.headers['x-monitoring-signature']
+    })).toBe(true);
+
+    expect(channel.getDeliveries()).toEqual([expect.objectContaining({
+      id: request.headers['x-monitoring-delivery'],
+      status: 'delivered',
+      alertId: 'alert-1',
+      attempts: [expect.objectContaining({ status: 200, error: null })]
+    })]);
+  });
+
+  it('should retry server errors and rate limits with backoff until delivered', async () => {
+    receiver.statuses.push(500, 429);
+
+    await channel.send(alert);
+    expect(channel.getDeliveries({ status: 'retrying' })).toHaveLength(1);
+
+    await channel.whenIdle();
+    const [delivery] = channel.getDeliveries();
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts.map(attempt => attempt.status)).toEqual([500, 429, 200]);
+    expect(new Set(receiver.requests.map(request => request.headers['x-monitoring-delivery'])).size).toBe(1);
+    expect(await channel.getDeadLetters()).toEqual([]);
+  });
+
+  it('should dead-letter deliveries that run out of attempts or are rejected', async () => {
+    receiver.statuses.push(503, 503, 503, 400);
+
+    await channel.send(alert);
+    await channel.whenIdle();
+    await channel.send({ ...alert, acknowledged: true }, 'alert_acknowledged');
+    await channel.whenIdle();
+
+    expect(receiver.requests).toHaveLength(4);
+    expect(channel.getDeliveries({ status: 'failed' })).toHaveLength(2);
+
+    const [rejected, exhausted] = await channel.getDeadLetters();
+    expect(rejected).toMatchObject({ event: 'alert_acknowledged', attempts: [{ status: 400 }], payload: { alert: { acknowledged: true } } });
+    expect(exhausted.attempts).toHaveLength(3);
+    expect(exhausted.attempts[2].error).toBe('Webhook failed: 503 Service Unavailable - nope');
+    expect(console.error).toHaveBeenCalledWith('Failed to send webhook notification (attempt 3/3): Webhook failed: 503 Service Unavailable - nope');
+  });
+
+  it('should post digests as alert_digest payloads', async () => {
+    await channel.sendDigest({ id: 'digest-1', alertCount: 2, countsByType: { pipeline_failure: 2 } });
+    await channel.sendDigest({ id: 'digest-2', alertCount: 0 });
+
+    expect(receiver.requests).toHaveLength(1);
+    expect(JSON.parse(receiver.requests[0].body)).toMatchObject({ event: 'alert_digest', digest: { id: 'digest-1', countsByType: { pipeline_failure: 2 } } });
+    expect(channel.getDeliveries()[0]).toMatchObject({ event: 'alert_digest', alertId: null, digestId: 'digest-1', status: 'delivered' });
+  });
+
+  it('should back off exponentially up to the maximum delay', () => {
+    channel = new WebhookNotificationChannel({ url: `${receiver.url}/hook` });
+
+    expect([1, 2, 3, 4].map(attempt => channel._backoff(attempt))).toEqual([1000, 2000, 4000, 8000]);
+    expect(channel._backoff(20)).toBe(300000);
+    expect(channel._backoff(1, 30000)).toBe(30000);
+  });
+});
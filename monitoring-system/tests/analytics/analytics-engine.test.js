@@ -127,4 +127,65 @@ describe('AnalyticsEngine', () => {
     expect(snapshots).toHaveLength(1);
     expect(snapshots[0].latestRun.id).toBe('run-failed');
   });
+
+  it('summarises the runs of the last day for the daily summary', async () => {
+    const now = Date.parse('2026-10-18T20:00:00Z');
+    const run = (id, hoursAgo, success, stages, errors = []) => ({
+      id,
+      trigger: { type: 'webhook' },
+      stages,
+      status: success ? 'completed' : 'failed',
+      startTime: new Date(now - hoursAgo * 3600000).toISOString(),
+      duration: stages.reduce((total, stage) => total + stage.duration, 0),
+      success,
+      errors,
+      metrics: {}
+    });
+
+    await dataStore.savePipelineRun(run('run-old', 30, false, [createStage('deploy', 'failed', 500)]));
+    await dataStore.savePipelineRun(run('run-ok', 5, true, [createStage('build', 'completed', 1000), createStage('deploy', 'completed', 500)]));
+    await dataStore.savePipelineRun(run('run-failed', 2, false, [createStage('build', 'completed', 2000), createStage('deploy', 'failed', 1000)], [{ stage: 'deploy', message: 'Deployment timed out' }]));
+
+    const summary = await analyticsEngine.generateSummary({ until: now });
+
+    expect(summary.period).toEqual({ start: '2026-10-17T20:00:00.000Z', end: '2026-10-18T20:00:00.000Z' });
+    expect(summary.runs).toEqual({ successRate: 50, successCount: 1, failureCount: 1, totalRuns: 2, averageDuration: 2250 });
+    expect(summary.slowestStages[0]).toMatchObject({ name: 'build', averageDuration: 1500 });
+    expect(summary.frequentFailures).toEqual([{ name: 'deploy', failureCount: 1 }]);
+    expect(summary.failedRuns).toEqual([{ id: 'run-failed', startTime: '2026-10-18T18:00:00.000Z', error: 'Deployment timed out' }]);
+  });
+
+  it('leaves runs started during maintenance out of success rates when configured', async () => {
+    const now = Date.now();
+    const run = (id, success, maintenance) => ({
+      id,
+      trigger: { type: 'webhook' },
+      stages: [createStage('deploy', success ? 'completed' : 'failed', 500)],
+      status: success ? 'completed' : 'failed',
+      startTime: new Date(now - 3600000).toISOString(),
+      duration: 500,
+      success,
+      errors: [],
+      metrics: {},
+      ...(maintenance ? { maintenance: { windowId: 'mnt_1', reason: 'Rotating the MailerLite key' } } : {})
+    });
+
+    await dataStore.savePipelineRun(run('run-ok', true, false));
+    await dataStore.savePipelineRun(run('run-broken-1', false, true));
+    await dataStore.savePipelineRun(run('run-broken-2', false, true));
+
+    const counted = await analyticsEngine.updateAfterRun(null);
+    expect(counted.successMetrics.overall.successRate).toBeCloseTo(33.33, 1);
+    expect(counted.totals.maintenanceRuns).toBe(2);
+
+    analyticsEngine.config.excludeMaintenanceRuns = true;
+    const excluded = await analyticsEngine.updateAfterRun(null);
+    expect(excluded.successMetrics.overall).toMatchObject({ successRate: 100, totalRuns: 1 });
+    expect(excluded.totals).toMatchObject({ totalRuns: 3, maintenanceRuns: 2 });
+
+    const summary = await analyticsEngine.generateSummary({ until: now });
+    expect(summary.runs).toMatchObject({ totalRuns: 1, successRate: 100 });
+    expect(summary.maintenanceRuns).toBe(2);
+    expect(summary.failedRuns).toEqual([]);
+  });
 });
@@ -0,0 +1,268 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import { TestCycleEngine } from '../../src/core/test-cycle-engine.js';
+import { EngineEvents } from '../../src/core/engine-events.js';
+import { AlertManager } from '../../src/alerts/alert-manager.js';
+import { DashboardServer } from '../../src/dashboard/dashboard-server.js';
+
+const createTrigger = () => ({
+  type: 'webhook',
+  source: 'mailerlite',
+  timestamp: new Date().toISOString(),
+  metadata: {}
+});
+
+describe('TestCycleEngine lifecycle events', () => {
+  let engine;
+  const testDataDir = './test-data/engine-events-test';
+
+  beforeEach(async () => {
+    engine = new TestCycleEngine({ dataDir: testDataDir });
+    await engine.initialize();
+  });
+
+  afterEach(async () => {
+    await engine.stopMonitoring();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  const record = () => {
+    const events = [];
+    for (const event of Object.values(EngineEvents)) {
+      engine.on(event, payload => events.push({ event, payload }));
+    }
+    return events;
+  };
+
+  it('should emit an event for each step of a run', async () => {
+    const events = record();
+
+    const runId = await engine.createPipelineRun(createTrigger());
+    await engine.updatePipelineStage(runId, 'build_process', 'running');
+    await engine.addError(runId, 'build_process', 'build', 'Hugo failed');
+    await engine.recordMetrics(runId, { buildTime: 1200 });
+    await engine.completePipelineRun(runId, false);
+
+    expect(events.map(({ event }) => event)).toEqual([
+      'run_created',
+      'stage_changed',
+      'error_added',
+      'metrics_recorded',
+      'run_completed'
+    ]);
+
+    const [created, stageChanged, errorAdded, metricsRecorded, completed] = events.map(({ payload }) => payload);
+    expect(created.run).toMatchObject({ id: runId, status: 'running' });
+    expect(stageChanged).toMatchObject({ previousStatus: 'pending', stage: { name: 'build_process', status: 'running' } });
+    expect(errorAdded.error).toMatchObject({ stage: 'build_process', type: 'build', message: 'Hugo failed' });
+    expect(metricsRecorded).toMatchObject({ runId, metrics: { buildTime: 1200 } });
+    expect(completed).toMatchObject({ status: 'failed', run: { id: runId, success: false } });
+    expect(completed.timestamp).toEqual(expect.any(String));
+  });
+
+  it('should hand listeners a snapshot of the run', async () => {
+    const created = [];
+    engine.on(EngineEvents.RUN_CREATED, ({ run }) => created.push(run));
+
+    const runId = await engine.createPipelineRun(createTrigger());
+    await engine.updatePipelineStage(runId, 'deploy', 'running');
+
+    expect(created[0].stages).toEqual([]);
+  });
+
+  it('should emit alert raised and resolved events', async () => {
+    const events = record();
+
+    const alert = engine.recordAlert({ type: 'pipeline_timeout', severity: 'high', message: 'Timed out' });
+    engine.resolveAlert(alert.id, 'operator');
+
+    expect(events.map(({ event }) => event)).toEqual(['alert_raised', 'alert_resolved']);
+    expect(events[1].payload.alert).toMatchObject({ id: alert.id, status: 'resolved', resolvedBy: 'operator' });
+  });
+
+  it('should emit alert updated events for acknowledgements and snoozes', async () => {
+    const events = record();
+
+    const alert = engine.recordAlert({ type: 'pipeline_timeout', severity: 'high', message: 'Timed out' });
+    engine.acknowledgeAlert(alert.id, 'operator');
+    engine.acknowledgeAlert(alert.id, 'someone-else');
+    engine.snoozeAlert(alert.id, { duration: '30m', snoozedBy: 'operator' });
+    await engine.expireAlertSnoozes(Date.now() + 1800001);
+
+    expect(events.map(({ event, payload }) => payload.action || event))
+      .toEqual(['alert_raised', 'acknowledged', 'snoozed', 'snooze_expired']);
+    expect((await engine.getAlerts())[0]).toMatchObject({ acknowledgedBy: 'operator', snoozedUntil: null });
+    expect(() => engine.snoozeAlert(alert.id, { duration: 'soon' })).toThrow('positive duration');
+  });
+
+  it('should keep alert changes in step with an attached AlertManager', async () => {
+    const alertManager = new AlertManager({
+      configDir: testDataDir,
+      notifications: { console: false, dashboard: false }
+    });
+    engine.setAlertManager(alertManager);
+    const events = record();
+
+    const managed = await alertManager.createAlert('slow_build', 'medium', { runId: 'run-1', duration: 700000 });
+    await alertManager.processAlert(managed);
+
+    engine.acknowledgeAlert(managed.id, 'operator');
+    await vi.waitFor(() => expect(alertManager.activeAlerts.get(managed.id).acknowledgedBy).toBe('operator'));
+
+    await alertManager.snoozeAlert(managed.id, new Date(Date.now() + 60000), 'operator');
+    expect(engine.activeAlerts.get(managed.id).snoozedBy).toBe('operator');
+
+    engine.resolveAlert(managed.id, 'operator');
+    await vi.waitFor(() => expect(alertManager.getActiveAlerts()).toEqual([]));
+
+    const silence = await engine.silenceAlerts({ type: 'slow_build' }, { duration: '1h', createdBy: 'operator' });
+    expect(engine.getAlertSilences()).toEqual([silence]);
+    await engine.removeAlertSilence(silence.id, 'operator');
+
+    expect(events.map(({ event, payload }) => payload.action || event)).toEqual([
+      'alert_raised', 'acknowledged', 'snoozed', 'alert_resolved', 'created', 'removed'
+    ]);
+    engine.setAlertManager(null);
+  });
+
+  it('should mirror escalations of an attached AlertManager', async () => {
+    const alertManager = new AlertManager({
+      configDir: testDataDir,
+      notifications: { console: false, dashboard: false },
+      routing: { escalations: [{ id: 'unacknowledged', steps: [{ after: '10m', channels: ['email'] }] }] }
+    });
+    engine.setAlertManager(alertManager);
+    const events = record();
+
+    const managed = await alertManager.processAlert(await alertManager.createAlert('slow_build', 'medium', { runId: 'run-2', duration: 700000 }));
+    expect(await engine.escalateAlerts()).toEqual([]);
+    expect(await engine.escalateAlerts(Date.now() + 600000)).toEqual([managed.id]);
+
+    expect(events.map(({ payload }) => payload.action)).toEqual([undefined, 'escalated']);
+    expect(engine.activeAlerts.get(managed.id)).toMatchObject({ escalationLevel: 1, escalationPolicy: 'unacknowledged' });
+    engine.setAlertManager(null);
+  });
+
+  it('should mirror flapping and automatic resolution of an attached AlertManager', async () => {
+    const alertManager = new AlertManager({
+      configDir: testDataDir,
+      notifications: { console: false, dashboard: false },
+      rules: [{ id: 'high_error_rate', enabled: false }],
+      flapping: { minObservations: 4 }
+    });
+    engine.setAlertManager(alertManager);
+    const events = record();
+    const run = (id, success) => alertManager.checkAlerts({ id, success, duration: 1000, stages: [], errors: [], metrics: {} });
+
+    const [first] = await run('run-1', false);
+    await run('run-2', true);
+    await run('run-3', false);
+    await run('run-4', true);
+    expect(engine.activeAlerts.get(first.id)).toMatchObject({ flapping: true, flappingSince: expect.any(String) });
+
+    await run('run-5', true);
+    await run('run-6', true);
+    expect(engine.activeAlerts.size).toBe(0);
+    expect(events.map(({ event, payload }) => payload.action || event)).toEqual([
+      'alert_raised', 'alert_raised', 'flapping', 'flapping', 'alert_resolved', 'alert_resolved'
+    ]);
+    expect(events.at(-1).payload.alert.resolvedBy).toBe('auto-resolve');
+    engine.setAlertManager(null);
+  });
+
+  it('should send the daily summary of an attached AlertManager from analytics', async () => {
+    const alertManager = new AlertManager({
+      configDir: testDataDir,
+      notifications: { console: false, dashboard: false, email: { enabled: true, recipients: ['ops@example.com'], smtp: { host: 'smtp.example.com' } } },
+      dailySummary: { enabled: true, time: '00:00' }
+    });
+    await alertManager.persistenceReady;
+    const sendSummary = vi.spyOn(alertManager.notificationManager.getChannel('email'), 'sendSummary').mockResolvedValue();
+    expect(await engine.sendDailySummary()).toBeNull();
+    engine.setAlertManager(alertManager);
+
+    const runId = await engine.createPipelineRun(createTrigger());
+    await engine.completePipelineRun(runId, true);
+
+    const summary = await engine.sendDailySummary();
+    expect(summary).toMatchObject({ runs: { totalRuns: 1, successRate: 100 }, timezone: 'Pacific/Auckland' });
+    expect(sendSummary).toHaveBeenCalledWith(summary, { recipients: [] });
+    expect(await engine.sendDailySummary()).toBeNull();
+    engine.setAlertManager(null);
+  });
+
+  it('should update analytics when a run completes', async () => {
+    const updateAfterRun = vi.spyOn(engine.analyticsEngine, 'updateAfterRun');
+    const analyticsUpdates = [];
+    engine.on(EngineEvents.ANALYTICS_UPDATED, event => analyticsUpdates.push(event));
+
+    const runId = await engine.createPipelineRun(createTrigger());
+    await engine.completePipelineRun(runId, true);
+    await engine.analyticsEngine.whenIdle();
+
+    expect(updateAfterRun).toHaveBeenCalledWith(expect.objectContaining({ id: runId, status: 'completed' }));
+    expect(await engine.analyticsStore.getSnapshots()).toHaveLength(1);
+    expect(analyticsUpdates[0].snapshot.latestRun).toMatchObject({ id: runId, success: true });
+  });
+
+  it('should record alerts generated by an attached AlertManager', async () => {
+    const alertManager = new AlertManager({
+      configDir: testDataDir,
+      notifications: { console: false, dashboard: false }
+    });
+    engine.setAlertManager(alertManager);
+
+    const runId = await engine.createPipelineRun(createTrigger());
+    await engine.updatePipelineStage(runId, 'deploy', 'failed');
+    await engine.completePipelineRun(runId, false);
+    await vi.waitFor(() => {
+      expect(alertManager.getActiveAlerts().map(alert => alert.type)).toEqual(['stage_failure', 'pipeline_failure']);
+    });
+
+    const alerts = await engine.getAlerts();
+    expect(alerts.map(alert => alert.type).sort()).toEqual(['pipeline_failure', 'stage_failure']);
+    expect(alerts.every(alert => alert.source === 'alert-manager' && alert.context.runId === runId)).toBe(true);
+
+    engine.setAlertManager(null);
+    expect(engine.listenerCount(EngineEvents.RUN_COMPLETED)).toBe(1);
+  });
+
+  it('should prune an attached AlertManager\'s alert history with the engine\'s retention', async () => {
+    const alertManager = new AlertManager({
+      configDir: testDataDir,
+      notifications: { console: false, dashboard: false }
+    });
+    engine.setAlertManager(alertManager);
+
+    const timestamp = new Date(Date.now() - 100 * 24 * 60 * 60 * 1000).toISOString();
+    const expired = { id: 'alert-expired', type: 'pipeline_failure', status: 'resolved', timestamp };
+    alertManager.alertHistory.push({ ...expired }, { id: 'alert-open', status: 'active', timestamp });
+    engine.alertHistory.push({ ...expired, source: 'alert-manager' });
+
+    const report = await engine.runRetention();
+
+    expect(alertManager.alertHistory.map(alert => alert.id)).toEqual(['alert-open']);
+    expect(engine.alertHistory.some(alert => alert.id === 'alert-expired')).toBe(false);
+    expect(report.collections.alertHistory.removed).toBe(2);
+    const archived = await engine.retentionManager.readArchive('alertHistory', timestamp.slice(0, 7));
+    expect(archived.map(alert => alert.id)).toEqual(['alert-expired']);
+
+    engine.setAlertManager(null);
+    expect(engine.retentionManager.alertSources).toEqual([engine]);
+  });
+
+  it('should broadcast engine events to dashboard clients', async () => {
+    const dashboard = new DashboardServer(engine, { port: 0 });
+    const broadcast = vi.spyOn(dashboard, 'broadcast').mockImplementation(() => {});
+
+    const runId = await engine.createPipelineRun(createTrigger());
+    await engine.completePipelineRun(runId, true);
+
+    expect(broadcast.mock.calls.map(([message]) => message.type)).toEqual(['pipeline_started', 'pipeline_completed']);
+    expect(broadcast.mock.calls[1][0].data).toMatchObject({ id: runId, status: 'completed' });
+
+    dashboard.unsubscribeFromEngine();
+    expect(engine.listenerCount(EngineEvents.RUN_CREATED)).toBe(0);
+    dashboard.wss.close();
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { MaintenanceSchedule } from '../../src/core/maintenance-windows.js';
+import { TestCycleEngine } from '../../src/core/test-cycle-engine.js';
+import { EngineEvents } from '../../src/core/engine-events.js';
+import { AlertManager } from '../../src/alerts/alert-manager.js';
+
+const testDataDir = './test-data/maintenance-windows-test';
+const HOUR = 60 * 60 * 1000;
+
+describe('MaintenanceSchedule', () => {
+  const file = path.join(testDataDir, 'maintenance-windows.json');
+  let schedule;
+
+  beforeEach(async () => {
+    await fs.mkdir(testDataDir, { recursive: true });
+    schedule = new MaintenanceSchedule({ file });
+    await schedule.load();
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('should find the window covering a time and keep windows across restarts', async () => {
+    const now = Date.now();
+    const active = await schedule.add({ endsAt: now + HOUR, reason: 'Rotating the MailerLite key', createdBy: 'ada' });
+    const later = await schedule.add({ startsAt: now + 2 * HOUR, endsAt: now + 3 * HOUR, reason: 'Pages migration' });
+
+    expect(schedule.findWindow()).toMatchObject({ id: active.id, reason: 'Rotating the MailerLite key', createdBy: 'ada' });
+    expect(schedule.findWindow(now + 2.5 * HOUR).id).toBe(later.id);
+    expect(schedule.findWindow(now + 1.5 * HOUR)).toBeNull();
+
+    const reloaded = new MaintenanceSchedule({ file });
+    await reloaded.load();
+    expect(reloaded.list().map(window => window.id)).toEqual([active.id, later.id]);
+  });
+
+  it('should end active windows early and cancel scheduled ones', async () => {
+    const now = Date.now();
+    const active = await schedule.add({ endsAt: now + HOUR });
+    const later = await schedule.add({ startsAt: now + HOUR, endsAt: now + 2 * HOUR });
+
+    expect(await schedule.end(active.id, 'ada')).toMatchObject({ id: active.id, endedBy: 'ada' });
+    expect(await schedule.end(later.id, 'ada')).toMatchObject({ id: later.id, endedBy: 'ada' });
+    expect(schedule.findWindow()).toBeNull();
+    expect(schedule.list()).toEqual([]);
+    expect(await schedule.end(active.id)).toBeNull();
+    expect(await schedule.end('unknown')).toBeNull();
+  });
+
+  it('should reject windows that end before they start or are already over', async () => {
+    const now = Date.now();
+    await expect(schedule.add({ startsAt: now + HOUR, endsAt: now })).rejects.toThrow('must end after it starts');
+    await expect(schedule.add({ startsAt: now - 2 * HOUR, endsAt: now - HOUR })).rejects.toThrow('must end in the future');
+    await expect(schedule.add({ endsAt: 'soon' })).rejects.toThrow('endsAt must be a valid date');
+  });
+});
+
+describe('TestCycleEngine maintenance windows', () => {
+  let engine;
+
+  const trigger = () => ({ type: 'webhook', source: 'mailerlite', timestamp: new Date().toISOString(), metadata: {} });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    engine = new TestCycleEngine({ dataDir: testDataDir });
+    await engine.initialize();
+  });
+
+  afterEach(async () => {
+    engine.setAlertManager(null);
+    await engine.stopMonitoring();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should tag runs that start during a window and announce changes', async () => {
+    const changes = [];
+    engine.on(EngineEvents.MAINTENANCE_CHANGED, ({ window, action }) => changes.push([action, window.id]));
+
+    const window = await engine.scheduleMaintenance({ duration: '2h', reason: 'Migrating Pages settings', createdBy: 'ada' });
+    expect(Date.parse(window.endsAt) - Date.parse(window.startsAt)).toBe(2 * HOUR);
+    expect(engine.getActiveMaintenanceWindow()).toMatchObject({ id: window.id });
+    expect((await engine.getSystemStatus()).maintenance).toMatchObject({ id: window.id });
+
+    const taggedId = await engine.createPipelineRun(trigger());
+    expect((await engine.getPipelineRun(taggedId)).maintenance).toEqual({ windowId: window.id, reason: 'Migrating Pages settings' });
+
+    await engine.endMaintenance(window.id, 'ada');
+    const untaggedId = await engine.createPipelineRun(trigger());
+    expect(await engine.getPipelineRun(untaggedId)).not.toHaveProperty('maintenance');
+    expect(changes).toEqual([['scheduled', window.id], ['ended', window.id]]);
+  });
+
+  it('should schedule windows from a start time and reject invalid ones', async () => {
+    const startsAt = new Date(Date.now() + HOUR).toISOString();
+    const window = await engine.scheduleMaintenance({ startsAt, duration: '30m' });
+    expect(window).toMatchObject({ startsAt, endsAt: new Date(Date.parse(startsAt) + 30 * 60 * 1000).toISOString() });
+    expect(engine.getActiveMaintenanceWindow()).toBeNull();
+    expect(engine.getMaintenanceWindows()).toHaveLength(1);
+
+    await expect(engine.scheduleMaintenance({ startsAt, until: startsAt })).rejects.toThrow('until must be after the start');
+    await expect(engine.scheduleMaintenance({ startsAt: 'tomorrow', duration: '1h' })).rejects.toThrow('startsAt must be an ISO date');
+    await expect(engine.scheduleMaintenance({})).rejects.toThrow('positive duration');
+  });
+
+  it('should only notify the dashboard about alerts raised during maintenance', async () => {
+    const alertManager = new AlertManager({
+      configDir: testDataDir,
+      notifications: { console: true, dashboard: true }
+    });
+    engine.setAlertManager(alertManager);
+    await alertManager.persistenceReady;
+    await alertManager.updateRules([{ id: 'consecutive_failures', enabled: false }, { id: 'high_error_rate', enabled: false }]);
+    const sendSpy = vi.spyOn(alertManager.notificationManager, 'sendToAll').mockResolvedValue();
+
+    const window = await engine.scheduleMaintenance({ duration: '1h', reason: 'Rotating the MailerLite key' });
+    const runId = await engine.createPipelineRun(trigger());
+    await engine.endMaintenance(window.id);
+
+    // The run started during the window, so its failure stays quiet after the window ended
+    await engine.completePipelineRun(runId, false);
+    await vi.waitFor(() => expect(engine.activeAlerts.size).toBe(1));
+    const [alert] = engine.activeAlerts.values();
+    expect(alert.maintenance).toEqual({ windowId: window.id, reason: 'Rotating the MailerLite key' });
+    expect(sendSpy.mock.calls.map(call => call[1])).toEqual([['dashboard']]);
+    expect(alertManager.getMetrics().maintenanceSuppressed).toBe(1);
+
+    sendSpy.mockClear();
+    await alertManager.checkAlerts({ id: 'run-after', success: false, duration: 1000, stages: [], errors: [], metrics: {} });
+    expect(sendSpy).toHaveBeenCalledWith(expect.objectContaining({ data: expect.objectContaining({ runId: 'run-after' }) }),
+      expect.arrayContaining(['console', 'dashboard']), 'alert_generated', { recipients: {} });
+  });
+});
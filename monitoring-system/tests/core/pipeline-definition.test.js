@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import { PipelineDefinition } from '../../src/core/pipeline-definition.js';
+import { TestCycleEngine } from '../../src/core/test-cycle-engine.js';
+import { ConfigManager } from '../../src/core/config-manager.js';
+
+const at = (seconds) => new Date(Date.UTC(2026, 8, 15, 12, 0, seconds)).toISOString();
+
+const createTrigger = () => ({
+  type: 'webhook',
+  source: 'mailerlite',
+  timestamp: new Date().toISOString(),
+  metadata: {}
+});
+
+describe('PipelineDefinition', () => {
+  const definition = new PipelineDefinition();
+
+  it('should resolve monitor stage names to canonical stages', () => {
+    expect(definition.resolve('trigger_detected')).toBe('webhook_received');
+    expect(definition.resolve('github_workflow_completed')).toBe('build_process');
+    expect(definition.resolve('deploy')).toBe('deploy');
+    expect(definition.resolve('unrelated')).toBeNull();
+  });
+
+  it('should reject dependencies on stages that are not declared earlier', () => {
+    expect(PipelineDefinition.validate([])).toEqual(['pipeline.stages must be a non-empty array']);
+    expect(PipelineDefinition.validate([
+      { name: 'build', dependsOn: ['deploy'] },
+      { name: 'deploy' },
+      { name: 'deploy' }
+    ])).toEqual([
+      'pipeline.stages.build depends on deploy, which is not declared before it',
+      'pipeline.stages[2].name duplicates deploy'
+    ]);
+    expect(() => new PipelineDefinition({ stages: [{ name: '' }] })).toThrow('Invalid pipeline definition');
+  });
+
+  it('should flag stages reported after one of their downstream stages', () => {
+    const run = { stages: [{ name: 'deploy', status: 'completed' }] };
+
+    expect(definition.checkStageOrder(run, 'build_process')).toMatchObject({
+      type: 'out_of_order',
+      stage: 'build_process',
+      after: ['deploy']
+    });
+    expect(definition.checkStageOrder(run, 'post_deploy_validation')).toBeNull();
+  });
+
+  it('should report required upstream stages that never arrived', () => {
+    const run = {
+      stages: [
+        { name: 'webhook_received', status: 'completed' },
+        { name: 'deploy', status: 'completed' }
+      ]
+    };
+
+    expect(definition.findSkippedStages(run).map(issue => issue.stage)).toEqual([
+      'supabase_processing',
+      'workflow_dispatch',
+      'build_process'
+    ]);
+  });
+
+  it('should split stage time into wait and work along the critical path', () => {
+    const custom = new PipelineDefinition({
+      stages: [
+        { name: 'webhook' },
+        { name: 'lint', dependsOn: ['webhook'] },
+        { name: 'build', dependsOn: ['webhook'] },
+        { name: 'deploy', dependsOn: ['lint', 'build'] }
+      ]
+    });
+    const run = {
+      startTime: at(0),
+      stages: [
+        { name: 'webhook', status: 'completed', startTime: at(0), endTime: at(2) },
+        { name: 'lint', status: 'completed', startTime: at(3), endTime: at(5) },
+        { name: 'build', status: 'completed', startTime: at(4), endTime: at(20) },
+        { name: 'deploy', status: 'running', startTime: at(25) }
+      ]
+    };
+
+    const { stages, criticalPath } = custom.analyze(run);
+
+    expect(stages.find(stage => stage.name === 'build')).toMatchObject({ waitTime: 2000, workTime: 16000, onCriticalPath: true });
+    expect(stages.find(stage => stage.name === 'lint')).toMatchObject({ waitTime: 1000, workTime: 2000, onCriticalPath: false });
+    expect(stages.find(stage => stage.name === 'deploy')).toMatchObject({ waitTime: 5000, workTime: null, endTime: null });
+    expect(criticalPath).toEqual({
+      stages: ['webhook', 'build', 'deploy'],
+      waitTime: 7000,
+      workTime: 18000,
+      duration: 25000,
+      blockingStage: 'deploy'
+    });
+  });
+
+  it('should merge raw monitor stages and bridge unreported optional stages', () => {
+    const run = {
+      startTime: at(0),
+      stages: [
+        { name: 'trigger_detected', status: 'completed', startTime: at(0), endTime: at(1) },
+        { name: 'supabase_processing_triggered', status: 'completed', startTime: at(1), endTime: at(4) },
+        { name: 'github_workflow_triggered', status: 'completed', endTime: at(6) },
+        { name: 'github_workflow_started', status: 'running', startTime: at(10) },
+        { name: 'github_workflow_completed', status: 'completed', startTime: at(10), endTime: at(70) }
+      ]
+    };
+
+    const { stages, criticalPath } = definition.analyze(run);
+    const workflow = stages.find(stage => stage.name === 'workflow_dispatch');
+    const build = stages.find(stage => stage.name === 'build_process');
+
+    expect(workflow).toMatchObject({ waitTime: 2000, workTime: 0 });
+    expect(build).toMatchObject({
+      status: 'completed',
+      waitTime: 4000,
+      workTime: 60000,
+      reportedAs: ['github_workflow_started', 'github_workflow_completed']
+    });
+    expect(criticalPath.stages).toEqual(['webhook_received', 'supabase_processing', 'workflow_dispatch', 'build_process']);
+    expect(criticalPath.blockingStage).toBeNull();
+    expect(definition.findSkippedStages(run)).toEqual([]);
+  });
+});
+
+describe('TestCycleEngine stage dependency checks', () => {
+  let engine;
+  const testDataDir = './test-data/pipeline-definition-test';
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    engine = new TestCycleEngine({ dataDir: testDataDir });
+    await engine.initialize();
+  });
+
+  afterEach(async () => {
+    await engine.stopMonitoring();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should record out-of-order and skipped stages on the run', async () => {
+    const runId = await engine.createPipelineRun(createTrigger());
+    await engine.updatePipelineStage(runId, 'webhook_received', 'completed');
+    await engine.updatePipelineStage(runId, 'deploy', 'completed');
+    await engine.updatePipelineStage(runId, 'build_process', 'completed');
+    await engine.completePipelineRun(runId, true);
+
+    const stored = await engine.getPipelineRun(runId);
+    expect(stored.stageIssues.map(({ type, stage }) => ({ type, stage }))).toEqual([
+      { type: 'out_of_order', stage: 'build_process' },
+      { type: 'skipped', stage: 'supabase_processing' },
+      { type: 'skipped', stage: 'workflow_dispatch' }
+    ]);
+    expect(stored.stageIssues[0].after).toEqual(['deploy']);
+  });
+
+  it('should add stage timing and the critical path to run reports', async () => {
+    const runId = await engine.createPipelineRun(createTrigger());
+    await engine.updatePipelineStage(runId, 'webhook_received', 'completed');
+    await engine.updatePipelineStage(runId, 'supabase_processing', 'completed');
+    await engine.completePipelineRun(runId, true);
+
+    const report = await engine.generateReport(runId);
+
+    expect(report.stageTiming.map(stage => stage.name)).toEqual(['webhook_received', 'supabase_processing']);
+    expect(report.criticalPath.stages).toEqual(['webhook_received', 'supabase_processing']);
+    expect(report.stageIssues).toEqual([]);
+  });
+
+  it('should use the pipeline definition from config', async () => {
+    const custom = new TestCycleEngine({
+      dataDir: testDataDir,
+      pipeline: { stages: [{ name: 'build' }, { name: 'deploy' }] }
+    });
+    await custom.initialize();
+
+    const runId = await custom.createPipelineRun(createTrigger());
+    await custom.updatePipelineStage(runId, 'deploy', 'completed');
+    await custom.updatePipelineStage(runId, 'build', 'completed');
+
+    expect(custom.activePipelines.get(runId).stageIssues).toEqual([
+      expect.objectContaining({ type: 'out_of_order', stage: 'build', after: ['deploy'] })
+    ]);
+    await custom.stopMonitoring();
+  });
+
+  it('should reject invalid pipeline definitions in config', () => {
+    const configManager = new ConfigManager(engine.dataStore);
+    const result = configManager.validateConfig({
+      ...configManager.defaultConfig,
+      pipeline: { stages: [{ name: 'deploy', dependsOn: ['build'] }] }
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('pipeline.stages.deploy depends on build, which is not declared before it');
+  });
+});
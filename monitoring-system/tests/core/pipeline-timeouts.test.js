@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { TestCycleEngine } from '../../src/core/test-cycle-engine.js';
+import { DataStore } from '../../src/storage/data-store.js';
+import { IdGenerator } from '../../src/utils/id-generator.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const createTrigger = () => ({
+  type: 'webhook',
+  source: 'mailerlite',
+  timestamp: new Date().toISOString(),
+  metadata: {}
+});
+
+const createStoredRun = (startTime, overrides = {}) => ({
+  id: IdGenerator.generatePipelineRunId(),
+  trigger: createTrigger(),
+  stages: [],
+  status: 'running',
+  startTime,
+  success: false,
+  errors: [],
+  metrics: { webhookLatency: 0, buildTime: 0, deploymentTime: 0, siteResponseTime: 0, totalPipelineTime: 0, errorRate: 0, successRate: 0, throughput: 0 },
+  ...overrides
+});
+
+describe('TestCycleEngine timeouts', () => {
+  let engine;
+  const testDataDir = './test-data/engine-timeouts-test';
+  const config = {
+    dataDir: testDataDir,
+    monitoring: {
+      interval: 30000,
+      timeout: 10 * MINUTE_MS,
+      retryAttempts: 3,
+      stageTimeouts: { build_process: 2 * MINUTE_MS }
+    }
+  };
+
+  beforeEach(async () => {
+    engine = new TestCycleEngine(config);
+    await engine.initialize();
+  });
+
+  afterEach(async () => {
+    await engine.stopMonitoring();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('should leave runs within their limits alone', async () => {
+    const runId = await engine.createPipelineRun(createTrigger());
+
+    const timedOut = await engine.checkTimeouts(Date.now() + MINUTE_MS);
+
+    expect(timedOut).toEqual([]);
+    expect(engine.activePipelines.has(runId)).toBe(true);
+    expect(engine.activeAlerts.size).toBe(0);
+  });
+
+  it('should time out runs that exceed the global timeout', async () => {
+    const runId = await engine.createPipelineRun(createTrigger());
+
+    const timedOut = await engine.checkTimeouts(Date.now() + 11 * MINUTE_MS);
+
+    expect(timedOut).toEqual([runId]);
+    expect(engine.activePipelines.has(runId)).toBe(false);
+
+    const stored = await engine.dataStore.getPipelineRun(runId);
+    expect(stored).toMatchObject({ status: 'timeout', success: false });
+    expect(stored.duration).toBeGreaterThan(10 * MINUTE_MS);
+    expect(stored.errors).toEqual([
+      expect.objectContaining({ stage: 'system', type: 'timeout', context: expect.objectContaining({ scope: 'pipeline' }) })
+    ]);
+
+    const [alert] = Array.from(engine.activeAlerts.values());
+    expect(alert).toMatchObject({ type: 'pipeline_timeout', severity: 'high', context: { runId, stage: 'system' } });
+  });
+
+  it('should time out runs whose running stage exceeds its stage timeout', async () => {
+    const now = Date.now();
+    const buildRunId = await engine.createPipelineRun(createTrigger());
+    const deployRunId = await engine.createPipelineRun(createTrigger());
+
+    const stageStart = new Date(now).toISOString();
+    engine.activePipelines.get(buildRunId).stages.push(
+      { name: 'build_process', status: 'running', startTime: stageStart, data: {}, errors: [] }
+    );
+    engine.activePipelines.get(deployRunId).stages.push(
+      { name: 'deploy', status: 'running', startTime: stageStart, data: {}, errors: [] }
+    );
+
+    const timedOut = await engine.checkTimeouts(now + 3 * MINUTE_MS);
+
+    expect(timedOut).toEqual([buildRunId]);
+    expect(engine.activePipelines.has(deployRunId)).toBe(true);
+
+    const stored = await engine.dataStore.getPipelineRun(buildRunId);
+    expect(stored.status).toBe('timeout');
+    expect(stored.stages[0]).toMatchObject({ status: 'failed', duration: 3 * MINUTE_MS });
+    expect(stored.stages[0].errors[0]).toContain('build_process exceeded its timeout');
+    expect(stored.errors[0]).toMatchObject({ stage: 'build_process', type: 'timeout', context: { scope: 'stage', timeout: 2 * MINUTE_MS } });
+  });
+
+  it('should reload running runs from storage on startup and time out stale ones', async () => {
+    const store = new DataStore(testDataDir);
+    await store.initialize();
+
+    const inFlight = createStoredRun(new Date(Date.now() - MINUTE_MS).toISOString());
+    const stale = createStoredRun(new Date(Date.now() - 60 * MINUTE_MS).toISOString());
+    const finished = createStoredRun(new Date().toISOString(), { status: 'completed', success: true });
+    for (const run of [inFlight, stale, finished]) {
+      await store.savePipelineRun(run);
+    }
+
+    const restarted = new TestCycleEngine(config);
+    await restarted.initialize();
+
+    expect(Array.from(restarted.activePipelines.keys())).toEqual([inFlight.id]);
+    expect((await restarted.getPipelineRun(stale.id)).status).toBe('timeout');
+    expect(Array.from(restarted.activeAlerts.values()).map(alert => alert.context.runId)).toEqual([stale.id]);
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import http from 'http';
+import { TestCycleEngine } from '../../src/core/test-cycle-engine.js';
+
+const startFunctionStandIn = (handler) => new Promise(resolve => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const request = { headers: req.headers, body: JSON.parse(body || '{}') };
+      requests.push(request);
+      const [status, response] = handler(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/functions/v1/ml-to-hugo` });
+  });
+});
+
+const mlToHugo = ({ headers }) => {
+  if (headers['x-webhook-token'] !== 'test-token') {
+    return [401, { ok: false, error: 'unauthorized' }];
+  }
+  return [200, {
+    ok: true,
+    status: 204,
+    processed_campaign: 'cmp-synthetic',
+    created: 'content/blog/2026/18-October/synthetic-post.md',
+    title: 'Synthetic post',
+    slug: 'synthetic-post',
+    correlation_id: headers['x-correlation-id']
+  }];
+};
+
+describe('TestCycleEngine synthetic test cycles', () => {
+  let engine;
+  let standIn;
+  let githubMonitor;
+  let contentValidator;
+  let clock;
+  const testDataDir = './test-data/synthetic-test-cycle-test';
+
+  const createGithubMonitor = (conclusion = 'success') => ({
+    findWorkflowRunByCorrelationId: vi.fn()
+      .mockResolvedValueOnce(null)
+      .mockResolvedValue({ id: 4242, event: 'workflow_dispatch' }),
+    monitorWorkflow: vi.fn(async (runId, workflowRunId) => {
+      await engine.updatePipelineStage(runId, 'github_workflow_started', 'running', { workflowRunId });
+      await engine.updatePipelineStage(runId, 'github_workflow_completed', 'completed', { workflowRunId });
+      return {
+        success: conclusion === 'success',
+        workflowRun: { id: workflowRunId, conclusion },
+        analysis: {
+          buildTime: 40000,
+          deploymentTime: 15000,
+          jobs: [
+            { name: 'build', conclusion: 'success', duration: 40000 },
+            { name: 'deploy', conclusion, duration: 15000 }
+          ]
+        }
+      };
+    })
+  });
+
+  const siteCheck = (correlationId) => ({
+    overall: { valid: true, errors: [], warnings: [] },
+    validations: {
+      homepage: { accessible: true, responseTime: 120 },
+      newPosts: {
+        foundPosts: correlationId === undefined ? [] : [{ validation: { found: true, correlationId } }],
+        missingPosts: []
+      }
+    }
+  });
+
+  const run = (options = {}) => engine.runSyntheticTestCycle(
+    { functionUrl: standIn.url, webhookToken: 'test-token', pollInterval: 1000, timeout: 10000, ...options },
+    {
+      githubMonitor,
+      contentValidator,
+      sleep: async (ms) => { clock += ms; },
+      now: () => clock
+    }
+  );
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    clock = 0;
+    engine = new TestCycleEngine({ dataDir: testDataDir });
+    await engine.initialize();
+    githubMonitor = createGithubMonitor();
+    contentValidator = { validateDeployedContent: vi.fn() };
+  });
+
+  afterEach(async () => {
+    await engine.stopMonitoring();
+    await new Promise(resolve => standIn.server.close(resolve));
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should follow a synthetic post to the live site and pass', async () => {
+    standIn = await startFunctionStandIn(mlToHugo);
+    contentValidator.validateDeployedContent.mockImplementation(async (runId, { correlationId }) =>
+      contentValidator.validateDeployedContent.mock.calls.length > 1 ? siteCheck(correlationId) : siteCheck()
+    );
+
+    const { runId, correlationId, verdict } = await run();
+
+    expect(verdict).toMatchObject({ passed: true, failedStage: null, reason: null });
+    expect(standIn.requests[0].headers['x-correlation-id']).toBe(correlationId);
+    expect(standIn.requests[0].body).toMatchObject({ type: 'campaign.sent', data: { id: 'synthetic' } });
+    expect(githubMonitor.findWorkflowRunByCorrelationId).toHaveBeenCalledTimes(2);
+    expect(githubMonitor.monitorWorkflow).toHaveBeenCalledWith(runId, 4242);
+    expect(contentValidator.validateDeployedContent).toHaveBeenCalledWith(runId, {
+      newPosts: [{ title: 'Synthetic post', url: '/blog/2026/18-october/synthetic-post/', correlationId }],
+      correlationId
+    });
+
+    const stored = await engine.getPipelineRun(runId);
+    expect(stored).toMatchObject({ status: 'completed', success: true, correlationId, verdict: { passed: true } });
+    expect(stored.trigger).toMatchObject({ type: 'manual', source: 'synthetic_test_cycle' });
+    expect(stored.metrics).toMatchObject({ buildTime: 40000, deploymentTime: 15000, siteResponseTime: 120 });
+    expect(stored.stageIssues).toBeUndefined();
+
+    const report = await engine.generateReport(runId);
+    expect(report.criticalPath.stages).toEqual([
+      'webhook_received', 'supabase_processing', 'github_commit', 'workflow_dispatch', 'build_process', 'deploy', 'site_validation'
+    ]);
+
+    const [webhook] = await engine.dataStore.getWebhookRecords(runId);
+    expect(webhook).toMatchObject({ destination: 'supabase', correlationId, response: { status: 200 } });
+  });
+
+  it('should fail at the stage ml-to-hugo reports', async () => {
+    standIn = await startFunctionStandIn(() => [502, { ok: false, step: 'github', status: 409, upstream: 'sha mismatch' }]);
+
+    const { runId, verdict } = await run();
+
+    expect(verdict).toMatchObject({ passed: false, failedStage: 'github_commit', reason: 'ml-to-hugo failed (502): sha mismatch' });
+    expect(githubMonitor.findWorkflowRunByCorrelationId).not.toHaveBeenCalled();
+
+    const stored = await engine.getPipelineRun(runId);
+    expect(stored.status).toBe('failed');
+    expect(stored.stages.map(stage => [stage.name, stage.status])).toEqual([
+      ['webhook_received', 'completed'],
+      ['supabase_processing', 'completed'],
+      ['github_commit', 'failed']
+    ]);
+    expect(stored.errors).toEqual([expect.objectContaining({ stage: 'github_commit', type: 'webhook' })]);
+  });
+
+  it('should fail when the deploy job fails', async () => {
+    standIn = await startFunctionStandIn(mlToHugo);
+    githubMonitor = createGithubMonitor('failure');
+
+    const { verdict } = await run();
+
+    expect(verdict).toMatchObject({ passed: false, failedStage: 'deploy' });
+    expect(contentValidator.validateDeployedContent).not.toHaveBeenCalled();
+  });
+
+  it('should fail when the post never shows up before the timeout', async () => {
+    standIn = await startFunctionStandIn(mlToHugo);
+    contentValidator.validateDeployedContent.mockResolvedValue(siteCheck());
+
+    const { runId, verdict } = await run({ timeout: 5000 });
+
+    expect(verdict.passed).toBe(false);
+    expect(verdict.failedStage).toBe('site_validation');
+    expect(verdict.reason).toMatch(/^Post not found at \/blog\/2026\/18-october\/synthetic-post\/ after \d+ checks$/);
+    expect((await engine.getPipelineRun(runId)).verdict).toEqual(verdict);
+  });
+
+  it('should require an ml-to-hugo URL', async () => {
+    standIn = await startFunctionStandIn(mlToHugo);
+
+    await expect(engine.runSyntheticTestCycle({})).rejects.toThrow('Synthetic test cycle requires a functionUrl');
+  });
+});
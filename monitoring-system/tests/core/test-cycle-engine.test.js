@@ -209,6 +209,46 @@ describe('TestCycleEngine', () => {
       const recentRuns = await engine.getRecentPipelineRuns(5);
       expect(recentRuns.length).toBeGreaterThanOrEqual(2);
     });
+
+    it('should find runs by correlation ID', async () => {
+      const correlationId = 'corr_0123456789ab';
+      const trigger = { type: 'webhook', source: 'mailerlite', timestamp: new Date().toISOString(), metadata: { correlationId } };
+
+      const runId = await engine.createPipelineRun(trigger);
+      expect((await engine.findRunByCorrelationId(correlationId)).id).toBe(runId);
+
+      await engine.completePipelineRun(runId, true);
+      const stored = await engine.findRunByCorrelationId(correlationId);
+      expect(stored).toMatchObject({ id: runId, correlationId, status: 'completed' });
+      expect((await engine.generateReport(runId)).correlationId).toBe(correlationId);
+
+      expect(await engine.findRunByCorrelationId('corr_ffffffffffff')).toBeNull();
+    });
+
+    it('should find runs by the workflow run that started them', async () => {
+      const trigger = { type: 'manual', source: 'github_actions', timestamp: new Date().toISOString(), metadata: { workflowRunId: 1001 } };
+
+      const runId = await engine.createPipelineRun(trigger);
+      expect((await engine.findRunByWorkflowRunId(1001)).id).toBe(runId);
+
+      await engine.completePipelineRun(runId, true);
+      expect((await engine.findRunByWorkflowRunId('1001')).id).toBe(runId);
+      expect(await engine.findRunByWorkflowRunId(1002)).toBeNull();
+    });
+
+    it('should find git-triggered runs by commit from either poller', async () => {
+      const commitHash = 'abc123def4567890abc123def4567890abc123de';
+      const polled = await engine.createPipelineRun({ type: 'git', source: 'commit', timestamp: new Date().toISOString(), metadata: { commitHash } });
+      await engine.createPipelineRun({ type: 'manual', source: 'github_actions', timestamp: new Date().toISOString(), metadata: { commitSha: 'fed321' } });
+      expect((await engine.findRunByCommit(commitHash)).id).toBe(polled);
+
+      await engine.completePipelineRun(polled, true);
+      expect((await engine.findRunByCommit(commitHash)).id).toBe(polled);
+
+      const pushed = await engine.createPipelineRun({ type: 'git', source: 'github_actions', timestamp: new Date().toISOString(), metadata: { commitSha: 'fed321' } });
+      expect((await engine.findRunByCommit('fed321')).id).toBe(pushed);
+      expect(await engine.findRunByCommit('0000000')).toBeNull();
+    });
   });
 
   describe('error handling', () => {
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DashboardAuth, hashPassword, verifyPassword, hasRole } from '../../src/dashboard/auth.js';
+
+vi.mock('crypto', async (importOriginal) => {
+  const actual = await importOriginal();
+  const scrypt = vi.fn(actual.scrypt);
+  return { ...actual, default: { ...actual.default, scrypt }, scrypt };
+});
+
+describe('DashboardAuth', () => {
+  const testDataDir = './test-data/dashboard-auth-test';
+  const usersFile = path.join(testDataDir, 'users.json');
+  let auth;
+
+  const request = (headers = {}, url = '/api/status') => ({ headers, url });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    auth = new DashboardAuth({ enabled: true, usersFile });
+    await auth.load();
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should hash passwords with a random salt', async () => {
+    const first = await hashPassword('correct horse');
+    const second = await hashPassword('correct horse');
+
+    expect(first).toMatch(/^scrypt\$/);
+    expect(first).not.toBe(second);
+    expect(await verifyPassword('correct horse', first)).toBe(true);
+    expect(await verifyPassword('wrong horse', first)).toBe(false);
+    expect(await verifyPassword('correct horse', 'plain-text')).toBe(false);
+  });
+
+  it('should rank roles', () => {
+    expect(hasRole('admin', 'operator')).toBe(true);
+    expect(hasRole('operator', 'viewer')).toBe(true);
+    expect(hasRole('viewer', 'operator')).toBe(false);
+    expect(hasRole('guest', 'viewer')).toBe(false);
+  });
+
+  it('should store users without plain-text secrets', async () => {
+    await auth.saveUser('alice', { role: 'admin', password: 'correct horse' });
+    const { token } = await auth.createToken('alice', 'ci');
+
+    const raw = await fs.readFile(usersFile, 'utf8');
+    expect(raw).not.toContain('correct horse');
+    expect(raw).not.toContain(token);
+    expect((await fs.stat(usersFile)).mode & 0o777).toBe(0o600);
+
+    const reloaded = new DashboardAuth({ enabled: true, usersFile });
+    await reloaded.load();
+    expect(reloaded.authenticate(request({ authorization: `Bearer ${token}` })))
+      .toMatchObject({ username: 'alice', role: 'admin', method: 'token' });
+  });
+
+  it('should validate users', async () => {
+    await expect(auth.saveUser('alice', { role: 'owner', password: 'correct horse' })).rejects.toThrow('Role must be one of');
+    await expect(auth.saveUser('alice', { password: 'short' })).rejects.toThrow('at least 8 characters');
+    await expect(auth.saveUser('al ice', { password: 'correct horse' })).rejects.toThrow('Username must be');
+  });
+
+  it('should open sessions on login and read them from the cookie', async () => {
+    await auth.saveUser('bob', { role: 'viewer', password: 'correct horse' });
+
+    expect(await auth.login('bob', 'wrong horse')).toBeNull();
+    const session = await auth.login('bob', 'correct horse');
+
+    const cookie = auth.sessionCookie(session.sessionId);
+    expect(cookie).toContain('HttpOnly');
+    expect(auth.authenticate(request({ cookie: cookie.split(';')[0] })))
+      .toEqual({ username: 'bob', role: 'viewer', method: 'session' });
+
+    auth.logout(session.sessionId);
+    expect(auth.authenticate(request({ cookie: cookie.split(';')[0] }))).toBeNull();
+  });
+
+  it('should end sessions when the password changes', async () => {
+    await auth.saveUser('bob', { password: 'correct horse' });
+    const session = await auth.login('bob', 'correct horse');
+
+    await auth.saveUser('bob', { password: 'battery staple' });
+
+    expect(auth.authenticate(request({ cookie: `monitoring_session=${session.sessionId}` }))).toBeNull();
+  });
+
+  it('should accept API tokens from the key header and WebSocket query', async () => {
+    await auth.saveUser('ci', { role: 'operator', password: 'correct horse' });
+    const { id, token } = await auth.createToken('ci');
+
+    expect(auth.authenticate(request({ 'x-monitoring-key': token }))).toMatchObject({ username: 'ci', tokenId: id });
+    expect(auth.authenticate(request({}, `/?token=${token}`), { allowQueryToken: true })).toMatchObject({ username: 'ci' });
+    expect(auth.authenticate(request({}, `/api/status?token=${token}`))).toBeNull();
+
+    await auth.revokeToken('ci', id);
+    expect(auth.authenticate(request({ authorization: `Bearer ${token}` }))).toBeNull();
+  });
+
+  it('should not revive tokens of a deleted user', async () => {
+    await auth.saveUser('carol', { password: 'correct horse' });
+    const { token } = await auth.createToken('carol');
+
+    await auth.deleteUser('carol');
+    await auth.saveUser('carol', { password: 'correct horse' });
+
+    expect(auth.authenticate(request({ authorization: `Bearer ${token}` }))).toBeNull();
+  });
+
+  it('should revalidate users against their current session, token and role', async () => {
+    await auth.saveUser('heidi', { role: 'operator', password: 'correct horse' });
+    const { sessionId, user: sessionUser } = await auth.login('heidi', 'correct horse');
+    const { id, token } = await auth.createToken('heidi');
+    const tokenUser = auth.authenticate(request({ authorization: `Bearer ${token}` }));
+
+    await auth.saveUser('heidi', { role: 'viewer' });
+    expect(auth.revalidate(sessionUser, sessionId)).toMatchObject({ username: 'heidi', role: 'viewer' });
+    expect(auth.revalidate(tokenUser)).toMatchObject({ role: 'viewer', tokenId: id });
+    expect(auth.revalidate(sessionUser, 'another-session')).toBeNull();
+
+    await auth.revokeToken('heidi', id);
+    auth.logout(sessionId);
+    expect(auth.revalidate(tokenUser)).toBeNull();
+    expect(auth.revalidate(sessionUser, sessionId)).toBeNull();
+  });
+
+  it('should lock out an address after repeated failed logins', async () => {
+    await auth.saveUser('dave', { password: 'correct horse' });
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      await auth.login('dave', 'wrong horse', '10.0.0.1');
+    }
+
+    await expect(auth.login('dave', 'correct horse', '10.0.0.1')).rejects.toMatchObject({ code: 'LOGIN_LOCKED' });
+    expect(await auth.login('dave', 'correct horse', '10.0.0.2')).not.toBeNull();
+  });
+
+  it('should forget failed logins once they are outside the window', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await auth.saveUser('erin', { password: 'correct horse' });
+
+    await auth.login('erin', 'wrong horse', '10.0.0.3');
+    expect(auth.failedLogins.get('10.0.0.3')).toHaveLength(1);
+
+    vi.setSystemTime(Date.now() + 16 * 60 * 1000);
+    expect(await auth.login('erin', 'correct horse', '10.0.0.3')).not.toBeNull();
+    await auth.login('nobody', 'wrong horse', '10.0.0.4');
+    vi.setSystemTime(Date.now() + 16 * 60 * 1000);
+    await auth.login('erin', 'correct horse', '10.0.0.4');
+
+    expect(auth.failedLogins.size).toBe(0);
+  });
+
+  it('should check a password even when the user does not exist', async () => {
+    await auth.saveUser('frank', { password: 'correct horse' });
+    await auth.saveUser('grace', { role: 'viewer' });
+    await auth.login('nobody', 'wrong horse', '10.0.0.5');
+
+    for (const username of ['frank', 'grace', 'nobody']) {
+      crypto.scrypt.mockClear();
+      expect(await auth.login(username, 'wrong horse', '10.0.0.5')).toBeNull();
+      expect(crypto.scrypt).toHaveBeenCalledTimes(1);
+    }
+  });
+});
@@ -43,7 +43,8 @@ describe('WebSocketHandler', () => {
       getSystemStatus: vi.fn().mockResolvedValue({ status: 'ok' }),
       getPipelineRuns: vi.fn().mockResolvedValue([{ id: 'run-1' }]),
       getPipelineRun: vi.fn().mockResolvedValue({ id: 'run-1' }),
-      getMetrics: vi.fn().mockResolvedValue({ throughput: 42 })
+      getMetrics: vi.fn().mockResolvedValue({ throughput: 42 }),
+      searchPipelineRuns: vi.fn().mockResolvedValue({ runs: [{ id: 'run-2' }], nextCursor: 'next-page', hasMore: true })
     };
 
     handler = new WebSocketHandler(mockWss, mockEngine);
@@ -110,4 +111,42 @@ describe('WebSocketHandler', () => {
     expect(response.type).toBe('status_response');
     expect(response.data).toEqual({ status: 'ok' });
   });
+
+  it('should search runs with filters for get_recent_runs', async () => {
+    const client = connectClient('127.0.0.4');
+
+    client.emit('message', Buffer.from(JSON.stringify({
+      type: 'get_recent_runs',
+      limit: 5,
+      filters: { status: 'failed', triggerSource: 'mailerlite' }
+    })));
+
+    await vi.waitFor(() => expect(client.sentMessages.length).toBeGreaterThan(1));
+
+    expect(mockEngine.searchPipelineRuns).toHaveBeenCalledWith({
+      status: 'failed',
+      triggerSource: 'mailerlite',
+      limit: 5,
+      cursor: undefined
+    });
+
+    const response = JSON.parse(client.sentMessages.at(-1));
+    expect(response.type).toBe('recent_runs_response');
+    expect(response.data).toMatchObject({ runs: [{ id: 'run-2' }], nextCursor: 'next-page', hasMore: true });
+  });
+
+  it('should reject invalid run search filters', async () => {
+    const client = connectClient('127.0.0.5');
+
+    client.emit('message', Buffer.from(JSON.stringify({
+      type: 'get_recent_runs',
+      filters: { from: 'yesterday-ish' }
+    })));
+
+    await vi.waitFor(() => expect(client.sentMessages.length).toBeGreaterThan(1));
+
+    const response = JSON.parse(client.sentMessages.at(-1));
+    expect(response.type).toBe('error');
+    expect(mockEngine.searchPipelineRuns).not.toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import http from 'http';
+import path from 'path';
+import WebSocket from 'ws';
+import { DashboardServer } from '../../src/dashboard/dashboard-server.js';
+import { DashboardAuth } from '../../src/dashboard/auth.js';
+import { TestCycleEngine } from '../../src/core/test-cycle-engine.js';
+import { AlertManager } from '../../src/alerts/alert-manager.js';
+
+const HOST = '127.0.0.1';
+
+describe('Dashboard alert actions integration', () => {
+  const testDataDir = './test-data/dashboard-alert-actions-integration';
+  let engine;
+  let alertManager;
+  let server;
+  let baseUrl;
+  let viewerToken;
+  let operatorToken;
+
+  const api = (route, { token, method = 'GET', body } = {}) => fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const connect = (token) => new Promise(resolve => {
+    const ws = new WebSocket(`ws://${HOST}:${server.server.address().port}/?token=${token}`);
+    const messages = [];
+    ws.on('message', message => messages.push(JSON.parse(message.toString())));
+    ws.once('open', () => {
+      ws.send(JSON.stringify({ type: 'subscribe', events: ['all'] }));
+      resolve({ ws, messages });
+    });
+  });
+
+  const raiseAlert = async (type = 'slow_build', data = { runId: `run-${Date.now()}`, duration: 700000 }) => {
+    const alert = await alertManager.createAlert(type, 'medium', data);
+    return alertManager.processAlert(alert);
+  };
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const usersFile = path.join(testDataDir, 'users.json');
+    const seed = new DashboardAuth({ usersFile });
+    await seed.saveUser('viewer', { role: 'viewer', password: 'viewer-password' });
+    await seed.saveUser('olivia', { role: 'operator', password: 'operator-password' });
+    viewerToken = (await seed.createToken('viewer')).token;
+    operatorToken = (await seed.createToken('olivia')).token;
+
+    engine = new TestCycleEngine({ dataDir: testDataDir });
+    await engine.initialize();
+    alertManager = new AlertManager({
+      configDir: testDataDir,
+      notifications: { console: false, dashboard: false }
+    });
+    engine.setAlertManager(alertManager);
+
+    server = new DashboardServer(engine, { port: 0, host: HOST, auth: { enabled: true, usersFile } });
+    await server.start();
+    baseUrl = `http://${HOST}:${server.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    engine.setAlertManager(null);
+    await engine.stopMonitoring();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should keep viewers read-only', async () => {
+    const alert = await raiseAlert();
+
+    expect((await api(`/api/alerts/${alert.id}/acknowledge`, { method: 'POST', token: viewerToken })).status).toBe(403);
+    expect((await api('/api/alerts/silences', { method: 'POST', token: viewerToken, body: { type: 'slow_build', duration: '1h' } })).status).toBe(403);
+    expect((await api('/api/alerts/silences', { token: viewerToken })).status).toBe(200);
+
+    const { ws, messages } = await connect(viewerToken);
+    ws.send(JSON.stringify({ type: 'acknowledge_alert', alertId: alert.id, requestId: 'r1' }));
+    await vi.waitFor(() => expect(messages.find(message => message.type === 'error')).toBeDefined());
+    expect(messages.find(message => message.type === 'error').data).toMatchObject({ requestId: 'r1', message: 'Operator role required' });
+    expect(alertManager.activeAlerts.get(alert.id).acknowledged).toBe(false);
+    ws.close();
+  });
+
+  it('should acknowledge and resolve over REST and tell every dashboard who did it', async () => {
+    const alert = await raiseAlert();
+    const { ws, messages } = await connect(viewerToken);
+
+    const acknowledged = await api(`/api/alerts/${alert.id}/acknowledge`, { method: 'POST', token: operatorToken });
+    expect(acknowledged.status).toBe(200);
+    expect(await acknowledged.json()).toMatchObject({ id: alert.id, acknowledged: true, acknowledgedBy: 'olivia' });
+
+    const resolved = await api(`/api/alerts/${alert.id}/resolve`, { method: 'POST', token: operatorToken });
+    expect(await resolved.json()).toMatchObject({ status: 'resolved', resolvedBy: 'olivia' });
+
+    await vi.waitFor(() => expect(messages.map(message => message.type)).toContain('alert_resolved'));
+    expect(messages.find(message => message.type === 'alert_acknowledged').data).toMatchObject({ id: alert.id, acknowledgedBy: 'olivia' });
+    await vi.waitFor(() => expect(alertManager.activeAlerts.has(alert.id)).toBe(false));
+    expect(alertManager.alertHistory.find(entry => entry.id === alert.id)).toMatchObject({ acknowledgedBy: 'olivia', resolvedBy: 'olivia' });
+
+    expect((await api('/api/alerts/unknown/acknowledge', { method: 'POST', token: operatorToken })).status).toBe(404);
+    ws.close();
+  });
+
+  it('should snooze an alert from a WebSocket command', async () => {
+    const alert = await raiseAlert();
+    const { ws, messages } = await connect(operatorToken);
+
+    ws.send(JSON.stringify({ type: 'snooze_alert', alertId: alert.id, duration: '2h', requestId: 'r2' }));
+    await vi.waitFor(() => expect(messages.find(message => message.type === 'alert_action_result')).toBeDefined());
+
+    expect(messages.find(message => message.type === 'alert_action_result').data)
+      .toMatchObject({ action: 'snooze', requestId: 'r2', result: { id: alert.id, snoozedBy: 'olivia' } });
+    expect(messages.find(message => message.type === 'alert_snoozed').data).toMatchObject({ id: alert.id });
+    await vi.waitFor(() => expect(alertManager.activeAlerts.get(alert.id).snoozedBy).toBe('olivia'));
+
+    const invalid = await api(`/api/alerts/${alert.id}/snooze`, { method: 'POST', token: operatorToken, body: {} });
+    expect(invalid.status).toBe(400);
+    ws.close();
+  });
+
+  it('should create, apply and lift silences', async () => {
+    const { ws, messages } = await connect(viewerToken);
+
+    const created = await api('/api/alerts/silences', {
+      method: 'POST',
+      token: operatorToken,
+      body: { type: 'webhook_timeout', duration: '1h', reason: 'MailerLite incident' }
+    });
+    expect(created.status).toBe(201);
+    const silence = await created.json();
+    expect(silence).toMatchObject({ matcher: { type: 'webhook_timeout' }, createdBy: 'olivia', reason: 'MailerLite incident' });
+
+    expect(await raiseAlert('webhook_timeout', { source: 'mailerlite', duration: 40000 })).toBeNull();
+    expect((await (await api('/api/alerts/silences', { token: viewerToken })).json())[0]).toMatchObject({ id: silence.id, suppressed: 1 });
+
+    expect((await api('/api/alerts/silences', { method: 'POST', token: operatorToken, body: { duration: '1h' } })).status).toBe(400);
+
+    expect((await api(`/api/alerts/silences/${silence.id}`, { method: 'DELETE', token: operatorToken })).status).toBe(200);
+    expect((await api(`/api/alerts/silences/${silence.id}`, { method: 'DELETE', token: operatorToken })).status).toBe(404);
+
+    await vi.waitFor(() => expect(messages.map(message => message.type)).toEqual(expect.arrayContaining(['silence_created', 'silence_removed'])));
+    expect(messages.find(message => message.type === 'silence_removed').data).toMatchObject({ id: silence.id, removedBy: 'olivia' });
+    ws.close();
+  });
+
+  it('should list webhook deliveries and dead letters for viewers', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const receiver = http.createServer((req, res) => res.writeHead(410).end('gone'));
+    await new Promise(resolve => receiver.listen(0, HOST, resolve));
+
+    try {
+      await alertManager.updateNotificationSettings({
+        webhook: { enabled: true, url: `http://${HOST}:${receiver.address().port}/hook`, retry: { attempts: 1 } }
+      });
+      const alert = await raiseAlert('slow_build', { runId: 'run-webhook', duration: 700000 });
+      await alertManager.notificationManager.getChannel('webhook').whenIdle();
+
+      const deliveries = await (await api('/api/notifications/webhook/deliveries?status=failed', { token: viewerToken })).json();
+      expect(deliveries).toEqual([expect.objectContaining({ alertId: alert.id, status: 'failed', attempts: [expect.objectContaining({ status: 410 })] })]);
+
+      const deadLetters = await (await api('/api/notifications/webhook/dead-letters?limit=1', { token: viewerToken })).json();
+      expect(deadLetters).toEqual([expect.objectContaining({ id: deliveries[0].id, payload: expect.objectContaining({ event: 'alert_generated' }) })]);
+    } finally {
+      await alertManager.updateNotificationSettings({ webhook: { enabled: false } });
+      await new Promise(resolve => receiver.close(resolve));
+    }
+  });
+});
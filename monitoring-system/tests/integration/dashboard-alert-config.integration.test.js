@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import WebSocket from 'ws';
+import { DashboardServer } from '../../src/dashboard/dashboard-server.js';
+import { DashboardAuth } from '../../src/dashboard/auth.js';
+import { TestCycleEngine } from '../../src/core/test-cycle-engine.js';
+import { AlertManager } from '../../src/alerts/alert-manager.js';
+
+const HOST = '127.0.0.1';
+
+describe('Dashboard alert settings integration', () => {
+  const testDataDir = './test-data/dashboard-alert-config-integration';
+  let engine;
+  let alertManager;
+  let server;
+  let baseUrl;
+  let viewerToken;
+  let adminToken;
+
+  const api = (route, { token, method = 'GET', body } = {}) => fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const usersFile = path.join(testDataDir, 'users.json');
+    const seed = new DashboardAuth({ usersFile });
+    await seed.saveUser('viewer', { role: 'viewer', password: 'viewer-password' });
+    await seed.saveUser('ada', { role: 'admin', password: 'admin-password' });
+    viewerToken = (await seed.createToken('viewer')).token;
+    adminToken = (await seed.createToken('ada')).token;
+
+    engine = new TestCycleEngine({ dataDir: testDataDir });
+    await engine.initialize();
+    alertManager = new AlertManager({
+      configDir: testDataDir,
+      notifications: { console: false, dashboard: false }
+    });
+    engine.setAlertManager(alertManager);
+
+    server = new DashboardServer(engine, {
+      port: 0,
+      host: HOST,
+      alertConfigPath: path.join(testDataDir, 'alert-config.json'),
+      auth: { enabled: true, usersFile }
+    });
+    await server.start();
+    baseUrl = `http://${HOST}:${server.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    engine.setAlertManager(null);
+    await engine.stopMonitoring();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should show the settings to viewers without secrets and keep them read-only', async () => {
+    await server.loadAlertConfig();
+    server.alertConfig.config.notifications.email.smtp.auth.pass = 'smtp-password';
+
+    const response = await api('/api/alert-config', { token: viewerToken });
+    const { config, errors } = await response.json();
+    expect(errors).toEqual([]);
+    expect(config.thresholds.errorRate).toBe(0.1);
+    expect(config.notifications.email.smtp.auth.pass).toBe('********');
+
+    expect((await api('/api/alert-config', { method: 'PUT', token: viewerToken, body: { changes: {} } })).status).toBe(403);
+    expect((await api('/api/alert-config/preview', { method: 'POST', token: viewerToken, body: { changes: {} } })).status).toBe(403);
+  });
+
+  it('should preview, validate and save changes and apply them to the alert manager', async () => {
+    const changes = {
+      thresholds: { buildTime: 900000 },
+      notifications: { email: { smtp: { auth: { pass: '********' } } } },
+      alertTypes: { slow_build: { severity: 'high', cooldown: 60000 } }
+    };
+
+    const preview = await (await api('/api/alert-config/preview', { method: 'POST', token: adminToken, body: { changes } })).json();
+    expect(preview).toEqual({
+      diff: [
+        { path: 'thresholds.buildTime', before: 600000, after: 900000 },
+        { path: 'alertTypes.slow_build.severity', before: 'medium', after: 'high' },
+        { path: 'alertTypes.slow_build.cooldown', before: undefined, after: 60000 }
+      ].map(entry => JSON.parse(JSON.stringify(entry))),
+      errors: []
+    });
+
+    const invalid = await api('/api/alert-config', { method: 'PUT', token: adminToken, body: { changes: { thresholds: { errorRate: -1 } } } });
+    expect(invalid.status).toBe(400);
+    expect(await invalid.json()).toEqual({ error: 'Invalid alert configuration', errors: ['Invalid threshold value for errorRate: -1'] });
+
+    const ws = new WebSocket(`ws://${HOST}:${server.server.address().port}/?token=${viewerToken}`);
+    const messages = [];
+    ws.on('message', message => messages.push(JSON.parse(message.toString())));
+    await new Promise(resolve => ws.once('open', resolve));
+    ws.send(JSON.stringify({ type: 'subscribe', events: ['all'] }));
+
+    const saved = await api('/api/alert-config', { method: 'PUT', token: adminToken, body: { changes, reason: 'Builds got slower' } });
+    const { change, config } = await saved.json();
+    expect(change).toMatchObject({ changedBy: 'ada', reason: 'Builds got slower' });
+    expect(change.diff).toHaveLength(3);
+    expect(config.alertTypes.slow_build).toMatchObject({ severity: 'high', cooldown: 60000 });
+    expect(server.alertConfig.getConfig().notifications.email.smtp.auth.pass).toBe('smtp-password');
+
+    expect(alertManager.config.thresholds.buildTime).toBe(900000);
+    expect(alertManager.getRules().find(rule => rule.id === 'slow_build').severity).toBe('high');
+    expect(alertManager.config.cooldowns.byType.slow_build).toBe(60000);
+    // Untouched settings of the alert manager are left alone
+    expect(alertManager.config.notifications.dashboard.enabled).toBe(false);
+
+    await vi.waitFor(() => expect(messages.map(message => message.type)).toContain('alert_config_updated'));
+    ws.close();
+  });
+
+  it('should list changes and roll one back', async () => {
+    const history = await (await api('/api/alert-config/history', { token: viewerToken })).json();
+    expect(history[0]).toMatchObject({ changedBy: 'ada', reason: 'Builds got slower' });
+    expect(history[0]).not.toHaveProperty('previous');
+
+    const rolledBack = await api(`/api/alert-config/history/${history[0].id}/rollback`, { method: 'POST', token: adminToken });
+    const { change, config } = await rolledBack.json();
+    expect(change).toMatchObject({ changedBy: 'ada', reason: `Rollback of ${history[0].id}`, rollbackOf: history[0].id });
+    expect(config.thresholds.buildTime).toBe(600000);
+    expect(config.alertTypes.slow_build).not.toHaveProperty('cooldown');
+    expect(alertManager.config.thresholds.buildTime).toBe(600000);
+    expect(alertManager.getRules().find(rule => rule.id === 'slow_build').severity).toBe('medium');
+    expect(alertManager.config.cooldowns.byType).not.toHaveProperty('slow_build');
+
+    expect((await api('/api/alert-config/history/unknown/rollback', { method: 'POST', token: adminToken })).status).toBe(404);
+    expect(await (await api('/api/alert-config/history', { token: viewerToken })).json()).toHaveLength(2);
+  });
+});
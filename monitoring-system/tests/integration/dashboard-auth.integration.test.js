@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import WebSocket from 'ws';
+import { DashboardServer } from '../../src/dashboard/dashboard-server.js';
+import { DashboardAuth } from '../../src/dashboard/auth.js';
+
+const HOST = '127.0.0.1';
+
+describe('Dashboard authentication integration', () => {
+  const testDataDir = './test-data/dashboard-auth-integration';
+  const usersFile = path.join(testDataDir, 'users.json');
+  let server;
+  let baseUrl;
+  let engine;
+  let viewerToken;
+  let operatorToken;
+
+  const api = (route, { token, cookie, method = 'GET', body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (cookie) headers.Cookie = cookie;
+    return fetch(`${baseUrl}${route}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), redirect: 'manual' });
+  };
+
+  const connect = (options = {}) => new Promise(resolve => {
+    const ws = new WebSocket(`ws://${HOST}:${server.server.address().port}${options.query || ''}`, { headers: options.headers });
+    ws.once('open', () => resolve({ ws, opened: true }));
+    ws.once('unexpected-response', (req, res) => resolve({ opened: false, status: res.statusCode }));
+  });
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const seed = new DashboardAuth({ usersFile });
+    await seed.saveUser('admin', { role: 'admin', password: 'admin-password' });
+    await seed.saveUser('viewer', { role: 'viewer', password: 'viewer-password' });
+    await seed.saveUser('operator', { role: 'operator', password: 'operator-password' });
+    viewerToken = (await seed.createToken('viewer')).token;
+    operatorToken = (await seed.createToken('operator')).token;
+
+    engine = {
+      getSystemStatus: vi.fn().mockResolvedValue({ status: 'ok' }),
+      runRetention: vi.fn().mockResolvedValue({ removed: 0 })
+    };
+
+    server = new DashboardServer(engine, { port: 0, host: HOST, auth: { enabled: true, usersFile } });
+    await server.start();
+    baseUrl = `http://${HOST}:${server.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should reject anonymous API requests but keep health public', async () => {
+    expect((await api('/api/status')).status).toBe(401);
+    expect(engine.getSystemStatus).not.toHaveBeenCalled();
+    expect((await api('/health')).status).toBe(200);
+
+    const home = await api('/');
+    expect(home.status).toBe(302);
+    expect(home.headers.get('location')).toBe('/login');
+
+    const deepLink = await api('/?alert=alert-1&action=acknowledge');
+    expect(deepLink.headers.get('location')).toBe('/login?next=%2F%3Falert%3Dalert-1%26action%3Dacknowledge');
+  });
+
+  it('should log in with a password and use the session cookie', async () => {
+    expect((await api('/api/auth/login', { method: 'POST', body: { username: 'admin', password: 'nope' } })).status).toBe(401);
+
+    const login = await api('/api/auth/login', { method: 'POST', body: { username: 'admin', password: 'admin-password' } });
+    expect(login.status).toBe(200);
+    expect(await login.json()).toMatchObject({ user: { username: 'admin', role: 'admin' } });
+
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+    expect((await api('/api/status', { cookie })).status).toBe(200);
+    expect(await (await api('/api/auth/me', { cookie })).json()).toMatchObject({ user: { username: 'admin' }, authEnabled: true });
+
+    await api('/api/auth/logout', { method: 'POST', cookie });
+    expect((await api('/api/status', { cookie })).status).toBe(401);
+  });
+
+  it('should enforce roles on REST routes', async () => {
+    expect((await api('/api/status', { token: viewerToken })).status).toBe(200);
+    expect((await api('/api/retention/run', { method: 'POST', token: viewerToken })).status).toBe(403);
+    expect(engine.runRetention).not.toHaveBeenCalled();
+
+    expect((await api('/api/retention/run', { method: 'POST', token: operatorToken })).status).toBe(200);
+    expect(engine.runRetention).toHaveBeenCalledTimes(1);
+
+    expect((await api('/api/auth/users', { token: operatorToken })).status).toBe(403);
+    expect((await api(`/api/status?token=${viewerToken}`)).status).toBe(401);
+  });
+
+  it('should let admins manage users', async () => {
+    const login = await api('/api/auth/login', { method: 'POST', body: { username: 'admin', password: 'admin-password' } });
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+
+    const created = await api('/api/auth/users/erin', { method: 'PUT', cookie, body: { role: 'operator', password: 'erin-password' } });
+    expect(created.status).toBe(200);
+    expect(await created.json()).toMatchObject({ username: 'erin', role: 'operator' });
+
+    const users = await (await api('/api/auth/users', { cookie })).json();
+    expect(users.map(user => user.username)).toContain('erin');
+    expect(JSON.stringify(users)).not.toContain('passwordHash');
+
+    expect((await api('/api/auth/users/admin', { method: 'DELETE', cookie })).status).toBe(400);
+    expect((await api('/api/auth/users/erin', { method: 'DELETE', cookie })).status).toBe(200);
+  });
+
+  it('should issue API tokens to the signed-in user', async () => {
+    const issued = await api('/api/auth/tokens', { method: 'POST', token: viewerToken, body: { name: 'laptop' } });
+    expect(issued.status).toBe(201);
+    const { id, token } = await issued.json();
+
+    expect((await api('/api/status', { token })).status).toBe(200);
+    expect((await api(`/api/auth/tokens/${id}`, { method: 'DELETE', token: viewerToken })).status).toBe(200);
+    expect((await api('/api/status', { token })).status).toBe(401);
+  });
+
+  it('should require authentication for WebSocket upgrades', async () => {
+    expect(await connect()).toEqual({ opened: false, status: 401 });
+
+    const withHeader = await connect({ headers: { Authorization: `Bearer ${viewerToken}` } });
+    expect(withHeader.opened).toBe(true);
+    withHeader.ws.close();
+
+    const withQuery = await connect({ query: `/?token=${viewerToken}` });
+    expect(withQuery.opened).toBe(true);
+    withQuery.ws.close();
+  });
+
+  it('should close a session\'s WebSocket connections on logout', async () => {
+    const login = await api('/api/auth/login', { method: 'POST', body: { username: 'viewer', password: 'viewer-password' } });
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+    const { ws } = await connect({ headers: { Cookie: cookie } });
+    const closed = new Promise(resolve => ws.once('close', code => resolve(code)));
+
+    await api('/api/auth/logout', { method: 'POST', cookie });
+
+    expect(await closed).toBe(4001);
+  });
+
+  it('should close a token\'s WebSocket connections when it is revoked', async () => {
+    const { id, token } = await (await api('/api/auth/tokens', { method: 'POST', token: viewerToken, body: { name: 'feed' } })).json();
+    const { ws } = await connect({ headers: { Authorization: `Bearer ${token}` } });
+    const { ws: other } = await connect({ headers: { Authorization: `Bearer ${viewerToken}` } });
+    const closed = new Promise(resolve => ws.once('close', code => resolve(code)));
+
+    await api(`/api/auth/tokens/${id}`, { method: 'DELETE', token: viewerToken });
+
+    expect(await closed).toBe(4001);
+    expect(other.readyState).toBe(WebSocket.OPEN);
+    other.close();
+  });
+
+  it('should apply role changes to open WebSocket connections', async () => {
+    const login = await api('/api/auth/login', { method: 'POST', body: { username: 'admin', password: 'admin-password' } });
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+    await api('/api/auth/users/frank', { method: 'PUT', cookie, body: { role: 'operator', password: 'frank-password' } });
+    const { token } = await (await api('/api/auth/tokens', {
+      method: 'POST',
+      cookie: (await api('/api/auth/login', { method: 'POST', body: { username: 'frank', password: 'frank-password' } }))
+        .headers.get('set-cookie').split(';')[0]
+    })).json();
+
+    const { ws } = await connect({ headers: { Authorization: `Bearer ${token}` } });
+    const replies = [];
+    ws.on('message', message => replies.push(JSON.parse(message.toString())));
+    await api('/api/auth/users/frank', { method: 'PUT', cookie, body: { role: 'viewer' } });
+
+    ws.send(JSON.stringify({ type: 'resolve_alert', alertId: 'alert-1', requestId: 'r1' }));
+    await vi.waitFor(() => expect(replies.some(reply => reply.data?.requestId === 'r1')).toBe(true));
+    expect(replies.find(reply => reply.data?.requestId === 'r1')).toMatchObject({ type: 'error', data: { message: 'Operator role required' } });
+
+    const closed = new Promise(resolve => ws.once('close', code => resolve(code)));
+    await api('/api/auth/users/frank', { method: 'DELETE', cookie });
+    expect(await closed).toBe(4001);
+  });
+});
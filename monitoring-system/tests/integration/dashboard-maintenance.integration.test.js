@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import WebSocket from 'ws';
+import { DashboardServer } from '../../src/dashboard/dashboard-server.js';
+import { DashboardAuth } from '../../src/dashboard/auth.js';
+import { TestCycleEngine } from '../../src/core/test-cycle-engine.js';
+
+const HOST = '127.0.0.1';
+
+describe('Dashboard maintenance windows integration', () => {
+  const testDataDir = './test-data/dashboard-maintenance-integration';
+  let engine;
+  let server;
+  let baseUrl;
+  let viewerToken;
+  let operatorToken;
+
+  const api = (route, { token, method = 'GET', body } = {}) => fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const usersFile = path.join(testDataDir, 'users.json');
+    const seed = new DashboardAuth({ usersFile });
+    await seed.saveUser('viewer', { role: 'viewer', password: 'viewer-password' });
+    await seed.saveUser('grace', { role: 'operator', password: 'operator-password' });
+    viewerToken = (await seed.createToken('viewer')).token;
+    operatorToken = (await seed.createToken('grace')).token;
+
+    engine = new TestCycleEngine({ dataDir: testDataDir });
+    await engine.initialize();
+
+    server = new DashboardServer(engine, {
+      port: 0,
+      host: HOST,
+      alertConfigPath: path.join(testDataDir, 'alert-config.json'),
+      auth: { enabled: true, usersFile }
+    });
+    await server.start();
+    baseUrl = `http://${HOST}:${server.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await engine.stopMonitoring();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should let operators schedule and end maintenance windows', async () => {
+    const ws = new WebSocket(`ws://${HOST}:${server.server.address().port}/?token=${viewerToken}`);
+    const messages = [];
+    ws.on('message', message => messages.push(JSON.parse(message.toString())));
+    await new Promise(resolve => ws.once('open', resolve));
+    ws.send(JSON.stringify({ type: 'subscribe', events: ['all'] }));
+
+    const body = { duration: '1h', reason: 'Rotating the MailerLite key' };
+    expect((await api('/api/maintenance', { method: 'POST', token: viewerToken, body })).status).toBe(403);
+
+    const created = await api('/api/maintenance', { method: 'POST', token: operatorToken, body });
+    expect(created.status).toBe(201);
+    const window = await created.json();
+    expect(window).toMatchObject({ reason: 'Rotating the MailerLite key', createdBy: 'grace' });
+
+    const windows = await (await api('/api/maintenance', { token: viewerToken })).json();
+    expect(windows.map(entry => entry.id)).toEqual([window.id]);
+
+    const ended = await api(`/api/maintenance/${window.id}`, { method: 'DELETE', token: operatorToken });
+    expect(await ended.json()).toMatchObject({ id: window.id, endedBy: 'grace' });
+    expect(await (await api('/api/maintenance', { token: viewerToken })).json()).toEqual([]);
+
+    await vi.waitFor(() => expect(messages.map(message => message.type)).toEqual(
+      expect.arrayContaining(['maintenance_scheduled', 'maintenance_ended'])
+    ));
+    ws.close();
+  });
+
+  it('should reject invalid windows and unknown ids', async () => {
+    const invalid = await api('/api/maintenance', { method: 'POST', token: operatorToken, body: { reason: 'No end' } });
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).error).toMatch('positive duration');
+
+    expect((await api('/api/maintenance/unknown', { method: 'DELETE', token: operatorToken })).status).toBe(404);
+  });
+});
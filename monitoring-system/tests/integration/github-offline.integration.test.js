@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import http from 'http';
+import { FakeGitHubServer } from '../../src/testing/fake-github-server.js';
+import { GitHubActionsMonitor } from '../../src/monitors/github-actions-monitor.js';
+import { SupabaseGitHubMonitor } from '../../src/monitors/supabase-github-monitor.js';
+import { TestCycleEngine } from '../../src/core/test-cycle-engine.js';
+import { GitHubApiClient } from '../../src/utils/github-api-client.js';
+
+describe('GitHub monitors against the fake GitHub API', () => {
+  let server;
+  let apiUrl;
+  let mockEngine;
+  let monitor;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    server = new FakeGitHubServer({ owner: 'test-owner', repo: 'test-repo', token: 'test-token' });
+    apiUrl = await server.start();
+
+    mockEngine = {
+      createPipelineRun: vi.fn().mockResolvedValue('test-run-id'),
+      updatePipelineStage: vi.fn().mockResolvedValue(),
+      findRunByCorrelationId: vi.fn().mockResolvedValue(null),
+      findRunByWorkflowRunId: vi.fn().mockResolvedValue(null),
+      addError: vi.fn().mockResolvedValue()
+    };
+    monitor = new GitHubActionsMonitor(mockEngine, {
+      githubApiUrl: apiUrl,
+      githubToken: 'test-token',
+      githubOwner: 'test-owner',
+      githubRepo: 'test-repo',
+      workflowPollInterval: 5,
+      workflowTimeout: 5000
+    });
+  });
+
+  afterEach(async () => {
+    await monitor.stopMonitoring();
+    await server.stop();
+    vi.restoreAllMocks();
+  });
+
+  it('should follow a dispatched run from queued to success', async () => {
+    await monitor.initialize();
+    server.queueScenario({ statuses: ['queued', 'in_progress', 'in_progress'], conclusion: 'success' });
+    await fetch(`${apiUrl}/repos/test-owner/test-repo/actions/workflows/deploy-gh-pages.yml/dispatches`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer test-token' },
+      body: JSON.stringify({ ref: 'main', inputs: { correlation_id: 'corr_0123456789ab' } })
+    });
+
+    const workflowRun = await monitor.findWorkflowRunByCorrelationId('corr_0123456789ab');
+    const result = await monitor.monitorWorkflow('test-run-id', workflowRun.id);
+
+    expect(result.success).toBe(true);
+    expect(result.analysis).toMatchObject({ conclusion: 'success', buildTime: 40000, deploymentTime: 15000 });
+    expect(mockEngine.updatePipelineStage.mock.calls
+      .filter(call => call[1] === 'github_workflow_progress')
+      .map(call => call[3].workflowStatus)).toEqual(['in_progress', 'completed']);
+    expect(mockEngine.updatePipelineStage).toHaveBeenLastCalledWith(
+      'test-run-id', 'github_workflow_completed', 'completed', expect.any(Object)
+    );
+    const monitorRequests = server.requests.filter(request => request.headers['user-agent'] === 'mgrnz-monitoring-system');
+    expect(monitorRequests.length).toBeGreaterThan(0);
+    expect(monitorRequests.every(request => request.headers.authorization === 'token test-token')).toBe(true);
+  });
+
+  it('should report a failed deploy job', async () => {
+    const workflowRun = server.addWorkflowRun({}, 'failure');
+
+    const result = await monitor.monitorWorkflow('test-run-id', workflowRun.id);
+
+    expect(result.success).toBe(false);
+    expect(result.jobs.find(job => job.name === 'deploy').conclusion).toBe('failure');
+    expect(await monitor.getWorkflowLogs(workflowRun.id)).toContain('Failed to deploy to GitHub Pages');
+  });
+
+  it('should fail the stage when GitHub returns a server error mid-run', async () => {
+    const workflowRun = server.addWorkflowRun();
+    server.injectFault({ status: 503, path: `/actions/runs/${workflowRun.id}`, times: 2 });
+
+    await expect(monitor.monitorWorkflow('test-run-id', workflowRun.id))
+      .rejects.toThrow('GitHub API error: 503 Service Unavailable');
+    expect(mockEngine.updatePipelineStage).toHaveBeenLastCalledWith(
+      'test-run-id', 'github_workflow_failed', 'failed', expect.objectContaining({ workflowRunId: workflowRun.id })
+    );
+  });
+
+  it('should explain an exhausted rate limit', async () => {
+    server.setRateLimit({ remaining: 0, resetIn: 60000 });
+
+    await expect(monitor.initialize()).rejects.toThrow(/GitHub API rate limit exceeded \(resets at \d{4}-/);
+  });
+
+  it('should let SupabaseGitHubMonitor confirm a dispatch started', async () => {
+    const supabaseMonitor = new SupabaseGitHubMonitor({}, {
+      githubApiUrl: apiUrl,
+      githubToken: 'test-token',
+      githubOwner: 'test-owner',
+      githubRepo: 'test-repo'
+    });
+
+    expect(await supabaseMonitor._verifyWorkflowStarted('deploy-gh-pages.yml')).toBe(false);
+
+    server.addWorkflowRun({ event: 'workflow_dispatch' });
+    expect(await supabaseMonitor._verifyWorkflowStarted('deploy-gh-pages.yml')).toBe(true);
+    expect(supabaseMonitor.rateLimitInfo).toMatchObject({ limit: 5000, remaining: 4998, resource: 'core' });
+  });
+
+  it('should share one quota between monitors and revalidate unchanged responses', async () => {
+    const githubClient = new GitHubApiClient({ token: 'test-token' });
+    const config = { githubApiUrl: apiUrl, githubToken: 'test-token', githubOwner: 'test-owner', githubRepo: 'test-repo', githubClient };
+    const actionsMonitor = new GitHubActionsMonitor(mockEngine, config);
+    const supabaseMonitor = new SupabaseGitHubMonitor({}, config);
+    const workflowRun = server.addWorkflowRun({}, 'success');
+
+    await actionsMonitor.getWorkflowJobs(workflowRun.id);
+    await actionsMonitor.getWorkflowJobs(workflowRun.id);
+    await supabaseMonitor._verifyWorkflowStarted('deploy-gh-pages.yml');
+
+    expect(server.requests.map(request => request.headers['if-none-match'])).toEqual([undefined, expect.stringMatching(/^W\//), undefined]);
+    expect(githubClient.getQuota()).toMatchObject({ requests: 3, notModified: 1, remaining: 4998 });
+    expect(supabaseMonitor.rateLimitInfo.remaining).toBe(4998);
+  });
+});
+
+describe('Synthetic test cycle against the fake GitHub API', () => {
+  const testDataDir = './test-data/github-offline-test';
+  let server;
+  let functionStandIn;
+  let engine;
+
+  // Does what ml-to-hugo does with GitHub: commit the post, then dispatch the deploy workflow
+  const startMlToHugo = (apiUrl) => new Promise(resolve => {
+    const repoUrl = `${apiUrl}/repos/captjreacher/mgrnz-blog`;
+    const standIn = http.createServer(async (req, res) => {
+      const correlationId = req.headers['x-correlation-id'];
+      const path = 'content/blog/2026/18-October/offline-post.md';
+      const headers = { Authorization: 'Bearer test-token', Accept: 'application/vnd.github+json' };
+
+      const commit = await fetch(`${repoUrl}/contents/${encodeURIComponent(path)}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({
+          message: `Add post from MailerLite: Offline post\n\nCorrelation-Id: ${correlationId}`,
+          content: Buffer.from('---\ntitle: Offline post\n---\n').toString('base64')
+        })
+      });
+      const dispatch = await fetch(`${repoUrl}/actions/workflows/deploy-gh-pages.yml/dispatches`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ ref: 'main', inputs: { correlation_id: correlationId } })
+      });
+
+      res.writeHead(commit.ok && dispatch.ok ? 200 : 502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        ok: dispatch.ok,
+        status: dispatch.status,
+        created: path,
+        title: 'Offline post',
+        slug: 'offline-post',
+        correlation_id: correlationId
+      }));
+    });
+    standIn.listen(0, '127.0.0.1', () => resolve(standIn));
+  });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    server = new FakeGitHubServer();
+    const apiUrl = await server.start();
+    functionStandIn = await startMlToHugo(apiUrl);
+    engine = new TestCycleEngine({ dataDir: testDataDir });
+    await engine.initialize();
+  });
+
+  afterEach(async () => {
+    await engine.stopMonitoring();
+    await new Promise(resolve => functionStandIn.close(resolve));
+    await server.stop();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  const run = () => engine.runSyntheticTestCycle({
+    functionUrl: `http://127.0.0.1:${functionStandIn.address().port}/functions/v1/ml-to-hugo`,
+    githubApiUrl: server.url,
+    pollInterval: 5,
+    timeout: 5000
+  }, {
+    contentValidator: {
+      validateDeployedContent: vi.fn(async (runId, { correlationId }) => ({
+        overall: { valid: true, errors: [], warnings: [] },
+        validations: {
+          homepage: { accessible: true, responseTime: 80 },
+          newPosts: { foundPosts: [{ validation: { found: true, correlationId } }], missingPosts: [] }
+        }
+      }))
+    }
+  });
+
+  it('should pass when the dispatched workflow succeeds', async () => {
+    const { runId, correlationId, verdict } = await run();
+
+    expect(verdict).toMatchObject({ passed: true, failedStage: null });
+    expect(server.getFile('content/blog/2026/18-October/offline-post.md')).toContain('title: Offline post');
+    expect(server.runs.map(workflowRun => workflowRun.event).sort()).toEqual(['push', 'workflow_dispatch']);
+
+    const stored = await engine.getPipelineRun(runId);
+    expect(stored).toMatchObject({ status: 'completed', success: true, correlationId });
+    expect(stored.metrics).toMatchObject({ buildTime: 40000, deploymentTime: 15000 });
+  });
+
+  it('should fail at deploy when the workflow fails', async () => {
+    // The commit starts a push run before the dispatch, so the dispatched run gets the second scenario
+    server.queueScenario('success');
+    server.queueScenario('failure');
+
+    const { verdict } = await run();
+
+    expect(verdict).toMatchObject({ passed: false, failedStage: 'deploy' });
+  });
+});
@@ -0,0 +1,342 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import http from 'http';
+import zlib from 'zlib';
+import { TestCycleEngine } from '../../src/core/test-cycle-engine.js';
+import { TriggerMonitor } from '../../src/monitors/trigger-monitor.js';
+import { WebhookListener } from '../../src/monitors/webhook-listener.js';
+import { WebhookReceiver, REJECTED_BODY_PREVIEW } from '../../src/monitors/webhook-receiver.js';
+import { signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../../src/utils/webhook-signature.js';
+
+const HOST = '127.0.0.1';
+const secrets = { mailerlite: 'ml-secret', github: 'gh-secret', supabase: 'sb-secret' };
+
+describe('Webhook receiver integration', () => {
+  const testDataDir = './test-data/webhook-receiver-integration';
+  let engine;
+  let webhookListener;
+  let receiver;
+  let baseUrl;
+
+  const post = (source, body, headers = {}) => fetch(`${baseUrl}/webhooks/${source}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body
+  });
+  const hmac = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+  const postGitHub = (event, payload) => {
+    const body = JSON.stringify(payload);
+    return post('github', body, {
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': crypto.randomUUID(),
+      'X-Hub-Signature-256': `sha256=${hmac(secrets.github, body)}`
+    });
+  };
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    engine = new TestCycleEngine({ dataDir: testDataDir });
+    await engine.initialize();
+    const triggerMonitor = new TriggerMonitor(engine, {});
+    webhookListener = new WebhookListener(triggerMonitor, engine.dataStore, { webhookSecrets: secrets });
+    await webhookListener.initialize();
+
+    receiver = new WebhookReceiver(webhookListener, { port: 0, host: HOST });
+    await receiver.start();
+    baseUrl = `http://${HOST}:${receiver.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await receiver.stop();
+    await engine.stopMonitoring();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should record signed MailerLite webhooks and let the Supabase callback join their run', async () => {
+    const body = JSON.stringify({ type: 'campaign.sent', data: { id: 'cmp_42' } });
+
+    expect((await post('mailerlite', body, { Signature: hmac('wrong', body) })).status).toBe(401);
+
+    const accepted = await post('mailerlite', body, { Signature: hmac(secrets.mailerlite, body) });
+    expect(accepted.status).toBe(202);
+    const { webhookId } = await accepted.json();
+    const record = webhookListener.activeWebhooks.get(webhookId);
+    expect(record).toMatchObject({
+      source: 'mailerlite',
+      authentication: { method: 'hmac-sha256', success: true },
+      response: { status: 202 }
+    });
+    const run = await engine.getPipelineRun(record.runId);
+    expect(run.trigger).toMatchObject({ type: 'webhook', source: 'mailerlite' });
+
+    const callback = JSON.stringify({ status: 'success', slug: 'spring-newsletter' });
+    const { timestamp, signature } = signPayload(secrets.supabase, callback);
+    const joined = await post('supabase', callback, {
+      'X-Correlation-Id': record.correlationId,
+      [SIGNATURE_HEADER]: signature,
+      [TIMESTAMP_HEADER]: String(timestamp)
+    });
+    expect(joined.status).toBe(202);
+    const callbackRecord = webhookListener.activeWebhooks.get((await joined.json()).webhookId);
+    expect(callbackRecord.runId).toBe(record.runId);
+    expect((await engine.getPipelineRun(record.runId)).stages.map(stage => stage.name)).toContain('supabase_processing');
+  });
+
+  it('should follow a workflow run through its deliveries in one pipeline run', async () => {
+    const workflowRun = {
+      id: 4242,
+      name: 'Deploy Hugo to GitHub Pages',
+      event: 'push',
+      head_sha: 'abc123',
+      status: 'queued',
+      updated_at: new Date().toISOString()
+    };
+
+    const requested = await postGitHub('workflow_run', { action: 'requested', workflow_run: workflowRun });
+    expect(requested.status).toBe(202);
+    const first = webhookListener.activeWebhooks.get((await requested.json()).webhookId);
+
+    const completed = await postGitHub('workflow_run', {
+      action: 'completed',
+      workflow_run: { ...workflowRun, status: 'completed', conclusion: 'success' }
+    });
+    const second = webhookListener.activeWebhooks.get((await completed.json()).webhookId);
+
+    expect(second.runId).toBe(first.runId);
+    expect((await engine.findRunByWorkflowRunId(4242)).id).toBe(first.runId);
+    const stages = (await engine.getPipelineRun(first.runId)).stages;
+    expect(stages.find(stage => stage.name === 'github_workflow_completed')).toMatchObject({ status: 'completed' });
+  });
+
+  it('should answer pings, skip other GitHub events and refuse sources without a secret', async () => {
+    expect(await (await postGitHub('ping', { zen: 'Keep it logically awesome.' })).json()).toEqual({ ok: true });
+    expect(await (await postGitHub('issues', { action: 'opened' })).json()).toEqual({ ignored: true, event: 'issues' });
+
+    const signed = await postGitHub('push', { ref: 'refs/heads/main', repository: { pushed_at: Math.floor(Date.now() / 1000) } });
+    expect(signed.status).toBe(202);
+    const tampered = await post('github', '{"ref":"refs/heads/main"}', {
+      'X-GitHub-Event': 'push',
+      'X-Hub-Signature-256': `sha256=${hmac(secrets.github, '{}')}`
+    });
+    expect(tampered.status).toBe(401);
+    expect(await tampered.json()).toEqual({ error: 'Invalid signature', reason: 'invalid_signature' });
+
+    const closedListener = new WebhookListener(new TriggerMonitor(engine, {}), engine.dataStore, {
+      webhookSecrets: { github: 'gh-secret', mailerlite: '${UNSET_MAILERLITE_WEBHOOK_SECRET}' }
+    });
+    const closed = new WebhookReceiver(closedListener, { port: 0, host: HOST });
+    await closed.start();
+    const response = await fetch(`http://${HOST}:${closed.server.address().port}/webhooks/mailerlite`, { method: 'POST', body: '{}' });
+    expect(response.status).toBe(404);
+    await closed.stop();
+  });
+
+  it('should record replayed and stale deliveries with the reason and start no run', async () => {
+    const body = JSON.stringify({ type: 'campaign.sent', data: { id: 'cmp_43' } });
+    const headers = { Signature: hmac(secrets.mailerlite, body) };
+    const runsBefore = (await engine.getActivePipelineRuns()).length;
+
+    expect((await post('mailerlite', body, headers)).status).toBe(202);
+    const replayed = await post('mailerlite', body, headers);
+    expect(replayed.status).toBe(401);
+    expect((await replayed.json()).reason).toBe('replayed');
+    expect((await engine.getActivePipelineRuns()).length).toBe(runsBefore + 1);
+
+    const callback = JSON.stringify({ status: 'success' });
+    const timestamp = Math.floor(Date.now() / 1000) - 600;
+    const stale = await post('supabase', callback, {
+      [SIGNATURE_HEADER]: signPayload(secrets.supabase, callback, timestamp).signature,
+      [TIMESTAMP_HEADER]: String(timestamp)
+    });
+    expect(stale.status).toBe(401);
+
+    const lastHour = new Date(Date.now() - 3600000);
+    const oldPush = await postGitHub('push', { ref: 'refs/heads/main', repository: { pushed_at: Math.floor(lastHour / 1000) } });
+    expect(await oldPush.json()).toEqual({ error: 'Invalid signature', reason: 'stale_timestamp' });
+
+    const rejected = [...webhookListener.activeWebhooks.values()].filter(record => !record.authentication.success);
+    expect(rejected.map(record => [record.source, record.runId, record.authentication.failureReason, record.response.status]))
+      .toEqual(expect.arrayContaining([
+        ['mailerlite', 'unknown', 'replayed', 401],
+        ['supabase', 'unknown', 'stale_timestamp', 401],
+        ['github', 'unknown', 'stale_timestamp', 401]
+      ]));
+    expect((await engine.getActivePipelineRuns()).length).toBe(runsBefore + 1);
+  });
+
+  it('should keep only a summary of a rejected delivery', async () => {
+    const body = JSON.stringify({ type: 'campaign.sent', data: { id: 'cmp_47', filler: 'x'.repeat(200000) } });
+    const response = await post('mailerlite', body, { Signature: hmac('wrong', body) });
+    expect(response.status).toBe(401);
+
+    const record = [...webhookListener.activeWebhooks.values()]
+      .find(candidate => candidate.payload?.body?.startsWith('{"type":"campaign.sent","data":{"id":"cmp_47"'));
+    expect(record).toMatchObject({
+      source: 'mailerlite',
+      runId: 'unknown',
+      payload: { rejected: true, reason: 'invalid_signature', size: body.length, truncated: true },
+      response: { status: 401 }
+    });
+    expect(record.payload.body).toBe(body.slice(0, REJECTED_BODY_PREVIEW));
+  });
+
+  it('should accept MailerLite deliveries whatever their created_at says', async () => {
+    // created_at is when the campaign was created, not when the delivery was sent
+    const drafted = new Date(Date.now() - 3600000).toISOString().replace('T', ' ').slice(0, 19);
+    const campaign = JSON.stringify({ type: 'campaign.sent', created_at: drafted, data: { id: 'cmp_45', created_at: drafted } });
+    const undated = JSON.stringify({ type: 'campaign.sent', data: { id: 'cmp_46' } });
+
+    for (const body of [campaign, undated]) {
+      const response = await post('mailerlite', body, { Signature: hmac(secrets.mailerlite, body) });
+      expect(response.status).toBe(202);
+      const record = webhookListener.activeWebhooks.get((await response.json()).webhookId);
+      expect(record.authentication.success).toBe(true);
+    }
+  });
+
+  it('should accept the retry of a delivery that failed with a 500', async () => {
+    const body = JSON.stringify({ type: 'campaign.sent', data: { id: 'cmp_44' } });
+    const headers = { Signature: hmac(secrets.mailerlite, body) };
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const saveWebhookRecord = vi.spyOn(engine.dataStore, 'saveWebhookRecord').mockRejectedValueOnce(new Error('disk full'));
+
+    expect((await post('mailerlite', body, headers)).status).toBe(500);
+    saveWebhookRecord.mockRestore();
+
+    const retried = await post('mailerlite', body, headers);
+    expect(retried.status).toBe(202);
+    const record = webhookListener.activeWebhooks.get((await retried.json()).webhookId);
+    expect(record.authentication.success).toBe(true);
+
+    const replayed = await post('mailerlite', body, headers);
+    expect((await replayed.json()).reason).toBe('replayed');
+  });
+});
+
+describe('Webhook proxy integration', () => {
+  const testDataDir = './test-data/webhook-proxy-integration';
+  const destinationResponse = '{"ok":true,"slug":"spring-newsletter","correlation_id":"corr_0123456789ab"}';
+  let engine;
+  let webhookListener;
+  let receiver;
+  let destination;
+  let delivered;
+  let baseUrl;
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Stands in for ml-to-hugo
+    destination = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        delivered = { url: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+        res.writeHead(201, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip', 'X-Function-Version': '42' });
+        res.end(zlib.gzipSync(destinationResponse));
+      });
+    });
+    await new Promise(resolve => destination.listen(0, HOST, resolve));
+
+    engine = new TestCycleEngine({ dataDir: testDataDir });
+    await engine.initialize();
+    webhookListener = new WebhookListener(new TriggerMonitor(engine, {}), engine.dataStore, {
+      proxyTargets: {
+        mailerlite: `http://${HOST}:${destination.address().port}/functions/v1/ml-to-hugo`,
+        github: `http://${HOST}:1/unreachable`
+      }
+    });
+    await webhookListener.initialize();
+
+    receiver = new WebhookReceiver(webhookListener, { port: 0, host: HOST });
+    await receiver.start();
+    baseUrl = `http://${HOST}:${receiver.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await receiver.stop();
+    await new Promise(resolve => destination.close(resolve));
+    await engine.stopMonitoring();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should forward deliveries unchanged and record the destination response', async () => {
+    const body = '{ "type":"campaign.sent",\n  "data": {"id": "cmp_42"} }';
+    const response = await new Promise((resolve, reject) => {
+      // fetch would rewrite Accept-Encoding and decompress the answer
+      const request = http.request(`${baseUrl}/proxy/mailerlite?token=abc`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept-Encoding': 'gzip', Signature: 'mailerlite-signature' }
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.headers['x-function-version']).toBe('42');
+    expect(response.headers['content-encoding']).toBe('gzip');
+    expect(response.headers['x-powered-by']).toBeUndefined();
+    expect(zlib.gunzipSync(response.body).toString('utf8')).toBe(destinationResponse);
+
+    expect(delivered.url).toBe('/functions/v1/ml-to-hugo?token=abc');
+    expect(delivered.body.toString('utf8')).toBe(body);
+    expect(delivered.headers.signature).toBe('mailerlite-signature');
+    expect(delivered.headers['accept-encoding']).toBe('gzip');
+    expect(delivered.headers['x-correlation-id']).toBeUndefined();
+
+    const record = await vi.waitFor(() => {
+      const [entry] = webhookListener.activeWebhooks.values();
+      expect(entry?.response).toBeDefined();
+      return entry;
+    });
+    expect(record).toMatchObject({
+      source: 'mailerlite',
+      correlationId: 'corr_0123456789ab',
+      payload: { type: 'campaign.sent' },
+      response: { status: 201, body: { ok: true, slug: 'spring-newsletter' } }
+    });
+    expect(record.metadata.upstreamLatencyMs).toEqual(expect.any(Number));
+    expect((await engine.getPipelineRun(record.runId)).trigger.source).toBe('mailerlite');
+  });
+
+  it('should forward deliveries when they cannot be recorded', async () => {
+    const saveWebhookRecord = vi.spyOn(engine.dataStore, 'saveWebhookRecord').mockRejectedValueOnce(new Error('disk full'));
+    const response = await fetch(`${baseUrl}/proxy/mailerlite`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"type":"campaign.sent"}'
+    });
+
+    expect(response.status).toBe(201);
+    expect(delivered.body.toString('utf8')).toBe('{"type":"campaign.sent"}');
+    await vi.waitFor(() => expect(saveWebhookRecord).toHaveBeenCalled());
+    saveWebhookRecord.mockRestore();
+  });
+
+  it('should answer 502 and record it when the destination cannot be reached', async () => {
+    const response = await fetch(`${baseUrl}/proxy/github`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-GitHub-Event': 'push' },
+      body: '{"ref":"refs/heads/main"}'
+    });
+
+    expect(response.status).toBe(502);
+    const record = await vi.waitFor(() => {
+      const entry = [...webhookListener.activeWebhooks.values()].find(candidate => candidate.source === 'github');
+      expect(entry?.response).toBeDefined();
+      return entry;
+    });
+    expect(record.response.status).toBe(502);
+    expect((await fetch(`${baseUrl}/proxy/supabase`, { method: 'POST', body: '{}' })).status).toBe(404);
+  });
+});
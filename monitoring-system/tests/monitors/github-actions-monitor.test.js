@@ -23,6 +23,7 @@ describe('GitHubActionsMonitor', () => {
     mockEngine = {
       createPipelineRun: vi.fn().mockResolvedValue('test-run-id'),
       updatePipelineStage: vi.fn().mockResolvedValue(),
+      findRunByWorkflowRunId: vi.fn().mockResolvedValue(null),
       addError: vi.fn().mockResolvedValue()
     };
 
@@ -235,6 +236,36 @@ describe('GitHubActionsMonitor', () => {
       expect(githubMonitor.lastCheckedWorkflowRun).toEqual(newWorkflowRun);
     });
 
+    it('should add correlated workflow runs to the pipeline run in progress', async () => {
+      mockEngine.findRunByCorrelationId = vi.fn().mockResolvedValue({ id: 'existing-run-id', status: 'running' });
+
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          workflow_runs: [{
+            id: 789,
+            name: 'Deploy Hugo to GitHub Pages',
+            display_title: 'Deploy Hugo to GitHub Pages [corr_0123456789ab]',
+            status: 'in_progress',
+            event: 'workflow_dispatch',
+            head_sha: 'def456',
+            created_at: '2025-10-28T12:15:00Z'
+          }]
+        })
+      });
+
+      await githubMonitor._checkForNewWorkflowRuns();
+
+      expect(mockEngine.findRunByCorrelationId).toHaveBeenCalledWith('corr_0123456789ab');
+      expect(mockEngine.createPipelineRun).not.toHaveBeenCalled();
+      expect(mockEngine.updatePipelineStage).toHaveBeenCalledWith(
+        'existing-run-id',
+        'github_workflow_started',
+        'running',
+        expect.objectContaining({ workflowRunId: 789, commitSha: 'def456' })
+      );
+    });
+
     it('should not detect old workflow runs', async () => {
       // Set a recent workflow run as last checked
       githubMonitor.lastCheckedWorkflowRun = {
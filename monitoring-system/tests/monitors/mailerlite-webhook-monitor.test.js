@@ -1,4 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
+import crypto from 'crypto';
 import { MailerLiteWebhookMonitor } from '../../src/monitors/mailerlite-webhook-monitor.js';
 import { DataStore } from '../../src/storage/data-store.js';
 
@@ -16,6 +17,7 @@ describe('MailerLiteWebhookMonitor', () => {
     };
 
     config = {
+      webhookSecret: 'ml-secret',
       monitoring: {
         timeout: 30000,
         retryAttempts: 3
@@ -452,13 +454,35 @@ describe('MailerLiteWebhookMonitor', () => {
     });
 
     it('should validate signature authentication', () => {
-      const authData = { signature: 'valid-signature-abc' };
-      const result = monitor._validateAuthentication(authData);
+      const rawBody = '{"type":"campaign.sent"}';
+      const signature = crypto.createHmac('sha256', 'ml-secret').update(rawBody).digest('hex');
+      const result = monitor._validateAuthentication({ signature, rawBody });
 
       expect(result.success).toBe(true);
       expect(result.errors).toHaveLength(0);
     });
 
+    it('should accept deliveries of campaigns created long before they were sent', () => {
+      const drafted = new Date(Date.now() - 3600000).toISOString().replace('T', ' ').slice(0, 19);
+      const rawBody = JSON.stringify({ type: 'campaign.sent', created_at: drafted, data: { id: 'cmp_42' } });
+      const signature = crypto.createHmac('sha256', 'ml-secret').update(rawBody).digest('hex');
+
+      expect(monitor._validateAuthentication({ signature, rawBody })).toEqual({ success: true, errors: [] });
+    });
+
+    it('should reject forged and replayed signatures with a reason', () => {
+      const rawBody = '{"type":"campaign.sent"}';
+      const signature = crypto.createHmac('sha256', 'ml-secret').update(rawBody).digest('hex');
+
+      expect(monitor._validateAuthentication({ signature: 'valid-signature-abc', rawBody }))
+        .toMatchObject({ success: false, failureReason: 'invalid_signature' });
+      expect(monitor._validateAuthentication({ signature, rawBody }).success).toBe(true);
+      expect(monitor._validateAuthentication({ signature, rawBody }))
+        .toMatchObject({ success: false, failureReason: 'replayed' });
+      expect(new MailerLiteWebhookMonitor(mockDataStore, {})._validateAuthentication({ signature, rawBody }))
+        .toMatchObject({ success: false, failureReason: 'no_secret' });
+    });
+
     it('should reject missing authentication', () => {
       const authData = {};
       const result = monitor._validateAuthentication(authData);
@@ -530,42 +530,6 @@ describe('SupabaseGitHubMonitor', () => {
     });
   });
 
-  describe('rate limit extraction', () => {
-    it('should extract complete rate limit information', () => {
-      const headers = {
-        'x-ratelimit-limit': '5000',
-        'x-ratelimit-remaining': '4999',
-        'x-ratelimit-reset': '1640995200',
-        'x-ratelimit-used': '1',
-        'x-ratelimit-resource': 'core'
-      };
-
-      const rateLimitInfo = monitor._extractRateLimitInfo(headers);
-
-      expect(rateLimitInfo).toEqual({
-        limit: 5000,
-        remaining: 4999,
-        resetTime: 1640995200000,
-        used: 1,
-        resource: 'core'
-      });
-    });
-
-    it('should handle missing rate limit headers', () => {
-      const headers = {};
-
-      const rateLimitInfo = monitor._extractRateLimitInfo(headers);
-
-      expect(rateLimitInfo).toEqual({
-        limit: null,
-        remaining: null,
-        resetTime: null,
-        used: null,
-        resource: 'core'
-      });
-    });
-  });
-
   describe('backoff delay calculation', () => {
     it('should calculate appropriate delays for different remaining counts', () => {
       const testCases = [
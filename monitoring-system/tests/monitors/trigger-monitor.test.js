@@ -2,6 +2,7 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { TriggerMonitor } from '../../src/monitors/trigger-monitor.js';
 import { TestCycleEngine } from '../../src/core/test-cycle-engine.js';
 import { execSync } from 'child_process';
+import { FakeGitHubServer } from '../../src/testing/fake-github-server.js';
 
 // Mock child_process
 vi.mock('child_process', () => ({
@@ -25,7 +26,8 @@ describe('TriggerMonitor', () => {
     mockEngine = {
       createPipelineRun: vi.fn().mockResolvedValue('test-run-id'),
       updatePipelineStage: vi.fn().mockResolvedValue(),
-      addError: vi.fn().mockResolvedValue()
+      addError: vi.fn().mockResolvedValue(),
+      findRunByCommit: vi.fn().mockResolvedValue(null)
     };
 
     mockConfig = {
@@ -231,6 +233,25 @@ describe('TriggerMonitor', () => {
       expect(mockCallback).toHaveBeenCalledWith('test-run-id', payload, headers);
     });
 
+    it('should add correlated webhooks to the run in progress', async () => {
+      const mockCallback = vi.fn().mockResolvedValue();
+      const payload = { ref: 'refs/heads/main' };
+      mockEngine.findRunByCorrelationId = vi.fn()
+        .mockResolvedValueOnce({ id: 'existing-run-id', status: 'running' })
+        .mockResolvedValueOnce({ id: 'finished-run-id', status: 'completed' });
+
+      triggerMonitor.registerWebhookListener('github', mockCallback);
+
+      const joined = await triggerMonitor.processWebhookTrigger('github', payload, {}, { correlationId: 'corr_0123456789ab' });
+      expect(joined).toBe('existing-run-id');
+      expect(mockEngine.createPipelineRun).not.toHaveBeenCalled();
+      expect(mockCallback).toHaveBeenCalledWith('existing-run-id', payload, {});
+
+      const created = await triggerMonitor.processWebhookTrigger('github', payload, {}, { correlationId: 'corr_0123456789ab' });
+      expect(created).toBe('test-run-id');
+      expect(mockEngine.createPipelineRun.mock.calls[0][0].metadata.correlationId).toBe('corr_0123456789ab');
+    });
+
     it('should return null for unregistered webhook types', async () => {
       const payload = { type: 'test' };
       
@@ -319,54 +340,131 @@ describe('TriggerMonitor', () => {
   });
 
   describe('GitHub Actions monitoring', () => {
+    let github;
+
     beforeEach(async () => {
       execSync.mockReturnValue('abc123def456\n');
-      await triggerMonitor.initialize();
-      
-      // Mock fs.promises.stat
-      const fs = await import('fs');
-      fs.promises.stat.mockResolvedValue({
-        mtime: new Date(Date.now() - 60000) // 1 minute ago
+      github = new FakeGitHubServer({
+        token: 'test-token',
+        workflows: [{ id: 7, name: 'Deploy Hugo to GitHub Pages', path: '.github/workflows/deploy-gh-pages.yml' }]
+      });
+      const githubApiUrl = await github.start();
+      mockEngine.findRunByWorkflowRunId = vi.fn().mockResolvedValue(null);
+      mockEngine.findRunByCorrelationId = vi.fn().mockResolvedValue(null);
+      triggerMonitor = new TriggerMonitor(mockEngine, {
+        ...mockConfig,
+        githubToken: 'test-token',
+        githubApiUrl,
+        githubWorkflows: ['deploy-gh-pages.yml']
       });
     });
 
-    it('should detect file system changes as manual triggers', async () => {
-      const fs = await import('fs');
-      fs.promises.stat.mockResolvedValue({
-        mtime: new Date(Date.now() - 30000) // 30 seconds ago (recent)
-      });
+    afterEach(async () => {
+      await triggerMonitor.stopMonitoring();
+      await github.stop();
+    });
 
-      await triggerMonitor._checkForGitHubActionsTriggers();
+    it('should create typed triggers for new dispatch, schedule and push runs', async () => {
+      github.addWorkflowRun({ event: 'push' });
+      await triggerMonitor.initialize();
+      expect(mockEngine.createPipelineRun).not.toHaveBeenCalled();
 
-      expect(mockEngine.createPipelineRun).toHaveBeenCalledWith({
-        type: 'manual',
-        source: 'github_actions_dispatch',
-        timestamp: expect.any(String),
-        metadata: {
-          markerFile: 'deployment-timestamp.txt',
-          detectionMethod: 'file_system_change',
-          timestamp: expect.any(String)
-        }
+      const inputs = { triggered_by: 'ada', campaign_id: 'cmp_42', slug: 'spring-newsletter' };
+      const dispatched = github.addWorkflowRun({ event: 'workflow_dispatch', inputs });
+      const scheduled = github.addWorkflowRun({ event: 'schedule' });
+      github.addWorkflowRun({ event: 'pull_request' });
+      const pushed = github.addWorkflowRun({ event: 'push' });
+
+      const runIds = await triggerMonitor._checkForGitHubActionsTriggers();
+
+      expect(runIds).toHaveLength(3);
+      const triggers = mockEngine.createPipelineRun.mock.calls.map(([trigger]) => trigger);
+      expect(triggers.map(trigger => [trigger.type, trigger.source, trigger.metadata.workflowRunId])).toEqual([
+        ['manual', 'github_actions', dispatched.id],
+        ['scheduled', 'github_actions', scheduled.id],
+        ['git', 'github_actions', pushed.id]
+      ]);
+      expect(triggers[0].metadata).toMatchObject({ event: 'workflow_dispatch', branch: 'main', inputs });
+      expect(github.requests.some(request => request.path.includes('/actions/workflows/deploy-gh-pages.yml/runs'))).toBe(true);
+    });
+
+    it('should not trigger twice for the same run or for runs that already have a pipeline run', async () => {
+      await triggerMonitor.initialize();
+      const recorded = github.addWorkflowRun({ event: 'push' });
+      mockEngine.findRunByWorkflowRunId.mockImplementation(async id => (id === recorded.id ? { id: 'run-known' } : null));
+      github.addWorkflowRun({ event: 'workflow_dispatch', inputs: { triggered_by: 'ada' } });
+
+      expect(await triggerMonitor._checkForGitHubActionsTriggers()).toEqual(['test-run-id']);
+      expect(await triggerMonitor._checkForGitHubActionsTriggers()).toEqual([]);
+      expect(mockEngine.createPipelineRun).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave dispatches for a pipeline run in progress to that run', async () => {
+      await triggerMonitor.initialize();
+      mockEngine.findRunByCorrelationId.mockResolvedValue({ id: 'run-webhook', status: 'running' });
+      github.addWorkflowRun({
+        event: 'workflow_dispatch',
+        display_title: 'Deploy Hugo to GitHub Pages [corr_0123456789ab]',
+        inputs: { correlation_id: 'corr_0123456789ab' }
       });
+
+      expect(await triggerMonitor._checkForGitHubActionsTriggers()).toEqual([]);
+      expect(mockEngine.findRunByCorrelationId).toHaveBeenCalledWith('corr_0123456789ab');
+      expect(mockEngine.createPipelineRun).not.toHaveBeenCalled();
     });
 
-    it('should not trigger on old file changes', async () => {
-      const fs = await import('fs');
-      fs.promises.stat.mockResolvedValue({
-        mtime: new Date(Date.now() - 600000) // 10 minutes ago (old)
+    it('should start one pipeline run per push whichever poller sees the commit first', async () => {
+      // Answers from the git triggers created so far, as the engine would
+      mockEngine.findRunByCommit.mockImplementation(async sha => {
+        const trigger = mockEngine.createPipelineRun.mock.calls.map(([call]) => call)
+          .find(call => call.type === 'git' && (call.metadata.commitSha || call.metadata.commitHash) === sha);
+        return trigger ? { id: 'run-git', trigger } : null;
       });
+      const pollGit = (sha) => {
+        execSync
+          .mockReturnValueOnce(`${sha}\n`)
+          .mockReturnValueOnce('Ada|ada@example.com|Add post|2026-10-18 12:00:00 +0000')
+          .mockReturnValueOnce('main\n');
+        return triggerMonitor._checkForGitTriggers();
+      };
+      await triggerMonitor.initialize();
 
-      await triggerMonitor._checkForGitHubActionsTriggers();
+      // Git polling first, then the push run
+      await pollGit('1111111111111111111111111111111111111111');
+      github.addWorkflowRun({ event: 'push', head_sha: '1111111111111111111111111111111111111111' });
+      expect(await triggerMonitor._checkForGitHubActionsTriggers()).toEqual([]);
+
+      // The push run first, then git polling
+      github.addWorkflowRun({ event: 'push', head_sha: '2222222222222222222222222222222222222222' });
+      expect(await triggerMonitor._checkForGitHubActionsTriggers()).toHaveLength(1);
+      await pollGit('2222222222222222222222222222222222222222');
+
+      const triggers = mockEngine.createPipelineRun.mock.calls.map(([trigger]) => [trigger.source, trigger.metadata.commitHash || trigger.metadata.commitSha]);
+      expect(triggers).toEqual([
+        ['commit', '1111111111111111111111111111111111111111'],
+        ['github_actions', '2222222222222222222222222222222222222222']
+      ]);
+      expect(triggerMonitor.lastCheckedCommit).toBe('2222222222222222222222222222222222222222');
+    });
 
-      expect(mockEngine.createPipelineRun).not.toHaveBeenCalled();
+    it('should keep monitoring when the GitHub API fails', async () => {
+      github.injectFault({ status: 502, path: '/runs' });
+      await expect(triggerMonitor.initialize()).resolves.toBe(true);
+
+      github.addWorkflowRun({ event: 'push' });
+      await expect(triggerMonitor._checkForGitHubActionsTriggers()).resolves.toEqual([]);
+      expect(triggerMonitor.knownWorkflowRuns.size).toBe(1);
     });
 
-    it('should handle file access errors gracefully', async () => {
-      const fs = await import('fs');
-      fs.promises.stat.mockRejectedValue(new Error('File not found'));
+    it('should skip GitHub polling without a token', async () => {
+      vi.stubEnv('GITHUB_TOKEN', '');
+      const monitor = new TriggerMonitor(mockEngine, mockConfig);
+      await monitor.initialize();
+      await monitor.startMonitoring();
 
-      await expect(triggerMonitor._checkForGitHubActionsTriggers()).resolves.toBeUndefined();
-      expect(mockEngine.createPipelineRun).not.toHaveBeenCalled();
+      expect(monitor.githubMonitoringInterval).toBeNull();
+      await monitor.stopMonitoring();
+      vi.unstubAllEnvs();
     });
   });
-});
\ No newline at end of file
+});
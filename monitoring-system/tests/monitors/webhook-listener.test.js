@@ -1,8 +1,13 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
 import { WebhookListener } from '../../src/monitors/webhook-listener.js';
 import { TriggerMonitor } from '../../src/monitors/trigger-monitor.js';
 import { DataStore } from '../../src/storage/data-store.js';
 
+const hmac = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const webhookSecrets = { mailerlite: 'ml-secret', github: 'gh-secret' };
+
 // Mock dependencies
 vi.mock('../../src/monitors/trigger-monitor.js');
 vi.mock('../../src/storage/data-store.js');
@@ -55,6 +60,10 @@ describe('WebhookListener', () => {
         'github',
         expect.any(Function)
       );
+      expect(mockTriggerMonitor.registerWebhookListener).toHaveBeenCalledWith(
+        'supabase',
+        expect.any(Function)
+      );
     });
 
     it('should handle initialization errors', async () => {
@@ -76,17 +85,21 @@ describe('WebhookListener', () => {
         type: 'subscriber.created',
         data: { email: 'test@example.com', name: 'Test User' }
       };
+      const rawBody = JSON.stringify(payload);
       const headers = {
         'content-type': 'application/json',
         'user-agent': 'MailerLite-Webhook/1.0',
-        'x-mailerlite-signature': 'valid-signature'
+        'signature': hmac('ml-secret', rawBody)
       };
-      const requestInfo = { sentTime: '2025-10-28T12:00:00Z' };
+      const requestInfo = { sentTime: '2025-10-28T12:00:00Z', rawBody };
+      webhookListener = new WebhookListener(mockTriggerMonitor, mockDataStore, { ...mockConfig, webhookSecrets });
 
       const webhookId = await webhookListener.interceptWebhook('mailerlite', payload, headers, requestInfo);
 
       expect(webhookId).toMatch(/^webhook_[a-f0-9]{12}$/);
-      expect(mockTriggerMonitor.processWebhookTrigger).toHaveBeenCalledWith('mailerlite', payload, headers);
+      expect(mockTriggerMonitor.processWebhookTrigger).toHaveBeenCalledWith('mailerlite', payload, headers, {
+        correlationId: expect.stringMatching(/^corr_[a-f0-9]{12}$/)
+      });
       expect(mockDataStore.saveWebhookRecord).toHaveBeenCalledWith(
         expect.objectContaining({
           id: webhookId,
@@ -102,7 +115,7 @@ describe('WebhookListener', () => {
             received: expect.any(String)
           }),
           authentication: expect.objectContaining({
-            method: 'token',
+            method: 'hmac-sha256',
             success: true
           })
         })
@@ -115,14 +128,17 @@ describe('WebhookListener', () => {
         repository: { full_name: 'user/repo' },
         pull_request: { id: 123 }
       };
+      const rawBody = JSON.stringify(payload);
       const headers = {
         'content-type': 'application/json',
         'x-github-event': 'pull_request',
         'x-github-delivery': 'delivery-123',
-        'x-hub-signature-256': 'sha256=valid-signature'
+        'x-hub-signature-256': `sha256=${hmac('gh-secret', rawBody)}`
       };
 
-      const webhookId = await webhookListener.interceptWebhook('github', payload, headers);
+      webhookListener = new WebhookListener(mockTriggerMonitor, mockDataStore, { ...mockConfig, webhookSecrets });
+
+      const webhookId = await webhookListener.interceptWebhook('github', payload, headers, { rawBody });
 
       expect(webhookId).toMatch(/^webhook_[a-f0-9]{12}$/);
       expect(mockDataStore.saveWebhookRecord).toHaveBeenCalledWith(
@@ -130,7 +146,7 @@ describe('WebhookListener', () => {
           source: 'github',
           destination: 'site',
           authentication: expect.objectContaining({
-            method: 'signature',
+            method: 'hmac-sha256',
             success: true
           }),
           metadata: expect.objectContaining({
@@ -291,6 +307,38 @@ describe('WebhookListener', () => {
       expect(mockDataStore.getWebhookRecords).toHaveBeenCalledWith('test-run-id');
     });
 
+    it('should reuse the correlation ID of a post already in flight', async () => {
+      const payload = {
+        ref: 'refs/heads/main',
+        head_commit: { message: 'Add post from MailerLite: Hello\n\nCorrelation-Id: corr_0123456789ab' }
+      };
+
+      await webhookListener.interceptWebhook('github', payload, { 'x-github-event': 'push' });
+      await webhookListener.interceptWebhook('mailerlite', {}, { 'x-correlation-id': 'corr_ba9876543210' });
+
+      expect(mockTriggerMonitor.processWebhookTrigger.mock.calls.map(call => call[3].correlationId))
+        .toEqual(['corr_0123456789ab', 'corr_ba9876543210']);
+      expect(mockDataStore.saveWebhookRecord.mock.calls.map(([record]) => record.correlationId))
+        .toEqual(['corr_0123456789ab', 'corr_ba9876543210']);
+    });
+
+    it('should stitch together webhooks that share a correlation ID', async () => {
+      const webhooks = [
+        { id: 'webhook_3', runId: 'other-run', source: 'github', correlationId: 'corr_0123456789ab', timing: { received: '2025-10-28T12:05:00Z' } },
+        { id: 'webhook_1', runId: 'test-run-id', source: 'mailerlite', correlationId: 'corr_0123456789ab', timing: { received: '2025-10-28T12:00:00Z' } },
+        { id: 'webhook_2', runId: 'unrelated-run', source: 'mailerlite', correlationId: 'corr_ffffffffffff', timing: { received: '2025-10-28T12:01:00Z' } }
+      ];
+      mockDataStore.getWebhookRecords.mockImplementation(async (runId) =>
+        runId === undefined ? webhooks : webhooks.filter(record => record.runId === runId)
+      );
+
+      const byRun = await webhookListener.getWebhookCorrelation('test-run-id');
+      const byCorrelation = await webhookListener.getWebhookCorrelation('corr_0123456789ab');
+
+      expect(byRun.map(record => record.id)).toEqual(['webhook_1', 'webhook_3']);
+      expect(byCorrelation.map(record => record.id)).toEqual(['webhook_1', 'webhook_3']);
+    });
+
     it('should handle correlation errors', async () => {
       mockDataStore.getWebhookRecords.mockRejectedValue(new Error('Database error'));
 
@@ -405,6 +453,35 @@ describe('WebhookListener', () => {
       );
     });
 
+    it('should record workflow_run deliveries as build stages', async () => {
+      const headers = { 'x-github-event': 'workflow_run' };
+      const workflowRun = { id: 1001, name: 'Deploy Hugo to GitHub Pages', event: 'push', head_sha: 'abc123' };
+
+      await webhookListener._handleGitHubWebhook('test-run-id', { action: 'in_progress', workflow_run: workflowRun }, headers);
+      await webhookListener._handleGitHubWebhook('test-run-id', {
+        action: 'completed',
+        workflow_run: { ...workflowRun, status: 'completed', conclusion: 'failure' }
+      }, headers);
+
+      expect(mockTriggerMonitor.engine.updatePipelineStage).toHaveBeenCalledWith(
+        'test-run-id', 'github_workflow_started', 'running', expect.objectContaining({ workflowRunId: 1001 })
+      );
+      expect(mockTriggerMonitor.engine.updatePipelineStage).toHaveBeenCalledWith(
+        'test-run-id', 'github_workflow_failed', 'failed', expect.objectContaining({ workflowRunId: 1001, conclusion: 'failure' })
+      );
+    });
+
+    it('should record deployment_status deliveries as the deploy stage', async () => {
+      await webhookListener._handleGitHubWebhook('test-run-id', {
+        deployment_status: { state: 'success', environment: 'github-pages', environment_url: 'https://mgrnz.com' },
+        deployment: { sha: 'abc123' }
+      }, { 'x-github-event': 'deployment_status' });
+
+      expect(mockTriggerMonitor.engine.updatePipelineStage).toHaveBeenCalledWith(
+        'test-run-id', 'deployment', 'completed', expect.objectContaining({ environment: 'github-pages', commitSha: 'abc123' })
+      );
+    });
+
     it('should handle GitHub webhook errors', async () => {
       mockTriggerMonitor.engine.updatePipelineStage.mockRejectedValue(new Error('Stage update failed'));
 
@@ -419,55 +496,116 @@ describe('WebhookListener', () => {
     });
   });
 
+  describe('Supabase callback handler', () => {
+    it('should record the outcome of the function run', async () => {
+      await webhookListener._handleSupabaseCallback('test-run-id', { status: 'success', slug: 'spring-newsletter' }, {});
+      await webhookListener._handleSupabaseCallback('test-run-id', { status: 'error', error: 'Front matter is invalid' }, {});
+
+      expect(mockTriggerMonitor.engine.updatePipelineStage).toHaveBeenCalledWith(
+        'test-run-id', 'supabase_processing', 'completed', expect.objectContaining({ slug: 'spring-newsletter' })
+      );
+      expect(mockTriggerMonitor.engine.updatePipelineStage).toHaveBeenCalledWith(
+        'test-run-id', 'supabase_processing', 'failed', expect.objectContaining({ status: 'error' })
+      );
+      expect(mockTriggerMonitor.engine.addError).toHaveBeenCalledWith(
+        'test-run-id', 'supabase_processing', 'function_error', 'Front matter is invalid'
+      );
+    });
+  });
+
   describe('authentication validation', () => {
     beforeEach(async () => {
+      webhookListener = new WebhookListener(mockTriggerMonitor, mockDataStore, { ...mockConfig, webhookSecrets });
       await webhookListener.initialize();
     });
 
-    it('should validate MailerLite authentication with token', async () => {
-      const headers = { 'x-mailerlite-signature': 'valid-signature' };
-      
-      const auth = await webhookListener._validateAuthentication('mailerlite', headers, {});
-      
-      expect(auth).toEqual({
-        method: 'token',
-        success: true,
-        errors: []
-      });
+    it('should verify MailerLite signatures over the raw body', async () => {
+      const rawBody = '{"type":"campaign.sent"}';
+
+      expect(await webhookListener._validateAuthentication('mailerlite', { signature: hmac('ml-secret', rawBody) }, {}, rawBody))
+        .toEqual({ method: 'hmac-sha256', success: true, errors: [] });
+      expect(await webhookListener._validateAuthentication('mailerlite', { signature: hmac('other', rawBody) }, {}, rawBody))
+        .toMatchObject({ success: false, failureReason: 'invalid_signature' });
     });
 
-    it('should fail MailerLite authentication without token', async () => {
-      const auth = await webhookListener._validateAuthentication('mailerlite', {}, {});
-      
-      expect(auth).toEqual({
-        method: 'token',
+    it('should accept MailerLite deliveries of campaigns created long before they were sent', () => {
+      const drafted = new Date(Date.now() - 3600000).toISOString().replace('T', ' ').slice(0, 19);
+      const campaign = JSON.stringify({ type: 'campaign.sent', created_at: drafted, data: { id: 'cmp_42' } });
+      const undated = JSON.stringify({ type: 'campaign.sent', data: { id: 'cmp_43' } });
+
+      expect(webhookListener.verifyWebhook('mailerlite', campaign, { signature: hmac('ml-secret', campaign) }).success).toBe(true);
+      expect(webhookListener.verifyWebhook('mailerlite', undated, { signature: hmac('ml-secret', undated) }).success).toBe(true);
+    });
+
+    it('should fail MailerLite authentication without signature or raw body', async () => {
+      expect(await webhookListener._validateAuthentication('mailerlite', {}, {}, '{}')).toEqual({
+        method: 'hmac-sha256',
         success: false,
-        errors: ['Missing MailerLite webhook signature/token']
+        errors: ['Missing MailerLite webhook signature'],
+        failureReason: 'missing_signature'
       });
+      expect(await webhookListener._validateAuthentication('mailerlite', { signature: 'abc' }, {}))
+        .toMatchObject({ success: false, failureReason: 'missing_raw_body' });
     });
 
-    it('should validate GitHub authentication with signature', async () => {
-      const headers = { 'x-hub-signature-256': 'sha256=valid-signature' };
-      
-      const auth = await webhookListener._validateAuthentication('github', headers, {});
-      
-      expect(auth).toEqual({
-        method: 'signature',
-        success: true,
-        errors: []
-      });
+    it('should verify GitHub signatures and reject replayed deliveries', async () => {
+      const rawBody = '{"action":"completed"}';
+      const headers = { 'x-hub-signature-256': `sha256=${hmac('gh-secret', rawBody)}` };
+
+      // Recording the check for an in-process delivery does not use up the delivery
+      expect(await webhookListener._validateAuthentication('github', headers, {}, rawBody))
+        .toEqual({ method: 'hmac-sha256', success: true, errors: [] });
+      expect(webhookListener.verifyWebhook('github', rawBody, headers))
+        .toEqual({ method: 'hmac-sha256', success: true, errors: [] });
+      expect(webhookListener.verifyWebhook('github', rawBody, headers))
+        .toMatchObject({ success: false, failureReason: 'replayed', errors: ['GitHub webhook was already received'] });
     });
 
-    it('should fail GitHub authentication without signature', async () => {
-      const auth = await webhookListener._validateAuthentication('github', {}, {});
-      
-      expect(auth).toEqual({
-        method: 'signature',
+    it('should report sources without a secret', async () => {
+      const listener = new WebhookListener(mockTriggerMonitor, mockDataStore, {
+        webhookSecrets: { github: '${UNSET_GITHUB_WEBHOOK_SECRET}' }
+      });
+
+      expect(await listener._validateAuthentication('github', { 'x-hub-signature-256': 'sha256=abc' }, {}, '{}')).toEqual({
+        method: 'none',
         success: false,
-        errors: ['Missing GitHub webhook signature']
+        errors: ['No webhook secret configured for github'],
+        failureReason: 'no_secret'
       });
     });
 
+    it('should record deliveries the receiver rejected without starting a run', async () => {
+      const payload = { type: 'campaign.sent' };
+      const rawBody = JSON.stringify(payload);
+      const headers = { signature: hmac('other', rawBody) };
+      const authentication = webhookListener.verifyWebhook('mailerlite', rawBody, headers);
+
+      const webhookId = await webhookListener.interceptWebhook('mailerlite', payload, headers, { authentication });
+
+      expect(mockTriggerMonitor.processWebhookTrigger).not.toHaveBeenCalled();
+      expect(webhookListener.activeWebhooks.get(webhookId)).toMatchObject({
+        runId: 'unknown',
+        authentication: { success: false, failureReason: 'invalid_signature' }
+      });
+    });
+
+    it('should record the signature check of in-process deliveries and still process them', async () => {
+      const payload = { type: 'campaign.sent' };
+      const badSignature = { signature: hmac('other', JSON.stringify(payload)) };
+
+      const unsigned = await webhookListener.interceptWebhook('mailerlite', payload, {});
+      const withoutBody = await webhookListener.interceptWebhook('mailerlite', payload, badSignature);
+      const tampered = await webhookListener.interceptWebhook('mailerlite', payload, badSignature, { rawBody: JSON.stringify(payload) });
+
+      expect(mockTriggerMonitor.processWebhookTrigger).toHaveBeenCalledTimes(3);
+      expect([unsigned, withoutBody, tampered].map(id => webhookListener.activeWebhooks.get(id)))
+        .toEqual([
+          expect.objectContaining({ runId: 'test-run-id', authentication: expect.objectContaining({ failureReason: 'missing_signature' }) }),
+          expect.objectContaining({ runId: 'test-run-id', authentication: expect.objectContaining({ failureReason: 'missing_raw_body' }) }),
+          expect.objectContaining({ runId: 'test-run-id', authentication: expect.objectContaining({ failureReason: 'invalid_signature' }) })
+        ]);
+    });
+
     it('should handle unknown webhook types', async () => {
       const auth = await webhookListener._validateAuthentication('unknown', {}, {});
       
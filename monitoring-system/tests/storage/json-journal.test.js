@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DataStore } from '../../src/storage/data-store.js';
+import { IdGenerator } from '../../src/utils/id-generator.js';
+
+const createRun = (overrides = {}) => ({
+  id: IdGenerator.generatePipelineRunId(),
+  trigger: { type: 'webhook', source: 'mailerlite', timestamp: new Date().toISOString(), metadata: {} },
+  stages: [],
+  status: 'running',
+  startTime: new Date().toISOString(),
+  success: false,
+  errors: [],
+  metrics: {},
+  ...overrides
+});
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+describe('JSON backend journal', () => {
+  let dataStore;
+  const testDataDir = './test-data/json-journal-test';
+
+  beforeEach(async () => {
+    dataStore = new DataStore(testDataDir);
+    await dataStore.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('should append writes to the journal instead of rewriting snapshots', async () => {
+    const run = createRun();
+    await dataStore.savePipelineRun(run);
+    await dataStore.saveMetrics(run.id, { buildTime: 1000 });
+
+    const journal = await fs.readFile(dataStore.backend.journalFile, 'utf8');
+    expect(journal.trim().split('\n')).toHaveLength(2);
+    expect(await readJson(dataStore.pipelineRunsFile)).toEqual([]);
+
+    expect(await dataStore.getPipelineRun(run.id)).toEqual(run);
+  });
+
+  it('should compact the journal into snapshot files', async () => {
+    const run = createRun();
+    await dataStore.savePipelineRun(run);
+    await dataStore.compact();
+
+    expect(await readJson(dataStore.pipelineRunsFile)).toEqual([run]);
+    expect(await fs.readFile(dataStore.backend.journalFile, 'utf8')).toBe('');
+  });
+
+  it('should compact automatically once the threshold is reached', async () => {
+    const store = new DataStore(testDataDir, { backendOptions: { compactThreshold: 3 } });
+    await store.initialize();
+
+    for (let i = 0; i < 3; i++) {
+      await store.savePipelineRun(createRun());
+    }
+
+    expect(await readJson(store.pipelineRunsFile)).toHaveLength(3);
+    expect(await fs.readFile(store.backend.journalFile, 'utf8')).toBe('');
+  });
+
+  it('should not expose caller mutations until the record is saved again', async () => {
+    const run = createRun();
+    await dataStore.savePipelineRun(run);
+
+    run.status = 'completed';
+    expect((await dataStore.getPipelineRun(run.id)).status).toBe('running');
+  });
+
+  it('should pick up writes made by another instance on the same directory', async () => {
+    const reader = new DataStore(testDataDir);
+    await reader.initialize();
+    expect(await reader.getPipelineRuns()).toEqual([]);
+
+    const run = createRun();
+    await dataStore.savePipelineRun(run);
+
+    expect(await reader.getPipelineRun(run.id)).toEqual(run);
+  });
+
+  describe('crash recovery', () => {
+    it('should replay uncompacted journal entries on startup', async () => {
+      const run = createRun();
+      await dataStore.savePipelineRun(run);
+      run.status = 'completed';
+      await dataStore.savePipelineRun(run);
+      await dataStore.cleanup(10);
+
+      const restarted = new DataStore(testDataDir);
+      await restarted.initialize();
+
+      expect(await restarted.getPipelineRun(run.id)).toEqual(run);
+      expect(restarted.getRecoveryReport()).toMatchObject({ replayedEntries: 3, skippedEntries: 0, quarantined: [] });
+      expect(await readJson(restarted.pipelineRunsFile)).toEqual([run]);
+    });
+
+    it('should skip a torn trailing journal line and quarantine the journal', async () => {
+      const run = createRun();
+      await dataStore.savePipelineRun(run);
+      await fs.appendFile(dataStore.backend.journalFile, '{"op":"run","record":{"id":"run_');
+
+      const restarted = new DataStore(testDataDir);
+      await restarted.initialize();
+
+      const report = restarted.getRecoveryReport();
+      expect(report.truncatedTail).toBe(true);
+      expect(report.replayedEntries).toBe(1);
+      expect(report.quarantined).toHaveLength(1);
+      expect(await restarted.getPipelineRuns()).toEqual([run]);
+    });
+
+    it('should quarantine a corrupt snapshot instead of failing to initialize', async () => {
+      const run = createRun();
+      await dataStore.savePipelineRun(run);
+      await fs.writeFile(dataStore.webhookRecordsFile, '[{"id": "webhook_1", "runId":', 'utf8');
+
+      const restarted = new DataStore(testDataDir);
+      await expect(restarted.initialize()).resolves.toBeUndefined();
+
+      const report = restarted.getRecoveryReport();
+      expect(report.quarantined).toHaveLength(1);
+      expect(path.basename(report.quarantined[0])).toMatch(/^webhook-records\.json\..+\.corrupt$/);
+      await fs.access(report.quarantined[0]);
+
+      expect(await restarted.getWebhookRecords()).toEqual([]);
+      expect(await restarted.getPipelineRun(run.id)).toEqual(run);
+    });
+
+    it('should replace a corrupt config file with the defaults', async () => {
+      await fs.writeFile(dataStore.configFile, '{"monitoring": ', 'utf8');
+
+      const restarted = new DataStore(testDataDir);
+      await restarted.initialize();
+
+      const config = await restarted.getConfig();
+      expect(config).toHaveProperty('storage.backend', 'json');
+
+      const quarantined = await fs.readdir(path.join(testDataDir, 'quarantine'));
+      expect(quarantined.some(file => file.startsWith('config.json.'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { DataStore } from '../../src/storage/data-store.js';
+import { normalizeRunQuery, decodeRunCursor } from '../../src/storage/pipeline-run-query.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const base = new Date('2026-09-15T12:00:00.000Z').getTime();
+
+const createRun = (id, hoursAgo, overrides = {}) => ({
+  id,
+  trigger: {
+    type: 'webhook',
+    source: 'mailerlite',
+    timestamp: new Date(base - hoursAgo * HOUR_MS).toISOString(),
+    metadata: {}
+  },
+  stages: [],
+  status: 'completed',
+  startTime: new Date(base - hoursAgo * HOUR_MS).toISOString(),
+  duration: 60000,
+  success: true,
+  errors: [],
+  metrics: {},
+  ...overrides
+});
+
+const seedRuns = () => [
+  createRun('run_a', 1, { correlationId: 'corr_0123456789ab' }),
+  createRun('run_b', 2, {
+    status: 'failed',
+    success: false,
+    duration: 240000,
+    stages: [
+      { name: 'build_process', status: 'completed', errors: [], data: {} },
+      { name: 'deploy', status: 'failed', errors: ['upload failed'], data: {} }
+    ],
+    errors: [{ id: 'e1', stage: 'deploy', type: 'network', message: 'upload failed', timestamp: '', context: {} }],
+    trigger: {
+      type: 'webhook',
+      source: 'mailerlite',
+      timestamp: '',
+      metadata: { payload: { campaign: { id: 'cmp-42' } } }
+    }
+  }),
+  createRun('run_c', 3, {
+    trigger: { type: 'manual', source: 'github_actions_dispatch', timestamp: '', metadata: { inputs: { slug: 'hello-world' } } }
+  }),
+  createRun('run_d', 48, { status: 'failed', success: false, duration: 30000 }),
+  createRun('run_e', 72)
+];
+
+const backends = ['json', 'sqlite'];
+
+describe.each(backends)('DataStore.searchPipelineRuns (%s backend)', (backend) => {
+  let dataStore;
+  const testDataDir = `./test-data/run-search-${backend}-test`;
+
+  beforeEach(async () => {
+    dataStore = new DataStore(testDataDir, { backend });
+    await dataStore.initialize();
+    for (const run of seedRuns()) {
+      await dataStore.savePipelineRun(run);
+    }
+  });
+
+  afterEach(async () => {
+    await dataStore.close();
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  const ids = (result) => result.runs.map(run => run.id);
+
+  it('should return newest runs first without filters', async () => {
+    const result = await dataStore.searchPipelineRuns();
+    expect(ids(result)).toEqual(['run_a', 'run_b', 'run_c', 'run_d', 'run_e']);
+    expect(result).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  it('should page through results with a cursor', async () => {
+    const first = await dataStore.searchPipelineRuns({ limit: 2 });
+    expect(ids(first)).toEqual(['run_a', 'run_b']);
+    expect(first.hasMore).toBe(true);
+
+    // A run recorded between page requests must not shift later pages
+    await dataStore.savePipelineRun(createRun('run_new', 0));
+
+    const second = await dataStore.searchPipelineRuns({ limit: 2, cursor: first.nextCursor });
+    expect(ids(second)).toEqual(['run_c', 'run_d']);
+
+    const third = await dataStore.searchPipelineRuns({ limit: 2, cursor: second.nextCursor });
+    expect(ids(third)).toEqual(['run_e']);
+    expect(third).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  it('should filter by date range and duration bounds', async () => {
+    const recent = await dataStore.searchPipelineRuns({
+      from: new Date(base - 4 * HOUR_MS).toISOString(),
+      to: new Date(base).toISOString()
+    });
+    expect(ids(recent)).toEqual(['run_a', 'run_b', 'run_c']);
+
+    const slow = await dataStore.searchPipelineRuns({ minDuration: '100000' });
+    expect(ids(slow)).toEqual(['run_b']);
+
+    const fast = await dataStore.searchPipelineRuns({ maxDuration: 30000 });
+    expect(ids(fast)).toEqual(['run_d']);
+  });
+
+  it('should filter by failed stage, error type and trigger source', async () => {
+    const result = await dataStore.searchPipelineRuns({
+      status: 'failed',
+      triggerSource: 'mailerlite',
+      failedStage: 'deploy',
+      errorType: 'network'
+    });
+    expect(ids(result)).toEqual(['run_b']);
+
+    expect(ids(await dataStore.searchPipelineRuns({ failedStage: 'build_process' }))).toEqual([]);
+    expect(ids(await dataStore.searchPipelineRuns({ triggerSource: 'github_actions_dispatch' }))).toEqual(['run_c']);
+  });
+
+  it('should filter by campaign ID and slug from trigger metadata', async () => {
+    expect(ids(await dataStore.searchPipelineRuns({ campaignId: 'cmp-42' }))).toEqual(['run_b']);
+    expect(ids(await dataStore.searchPipelineRuns({ slug: 'hello-world' }))).toEqual(['run_c']);
+  });
+
+  it('should filter by correlation ID', async () => {
+    expect(ids(await dataStore.searchPipelineRuns({ correlationId: 'corr_0123456789ab' }))).toEqual(['run_a']);
+  });
+
+  it('should fill the page when later rows are filtered out', async () => {
+    const result = await dataStore.searchPipelineRuns({ status: 'failed', limit: 1 });
+    expect(ids(result)).toEqual(['run_b']);
+    expect(result.hasMore).toBe(true);
+
+    const next = await dataStore.searchPipelineRuns({ status: 'failed', limit: 1, cursor: result.nextCursor });
+    expect(ids(next)).toEqual(['run_d']);
+    expect(next.hasMore).toBe(false);
+  });
+});
+
+describe('normalizeRunQuery', () => {
+  it('should reject invalid parameters', () => {
+    expect(() => normalizeRunQuery({ from: 'not-a-date' })).toThrow('Invalid from date');
+    expect(() => normalizeRunQuery({ minDuration: '-5' })).toThrow('Invalid minDuration');
+    expect(() => normalizeRunQuery({ limit: '0' })).toThrow('Invalid limit');
+    expect(() => normalizeRunQuery({ cursor: 'garbage' })).toThrow('Invalid cursor');
+  });
+
+  it('should cap the page size and decode cursors', () => {
+    const cursor = Buffer.from(JSON.stringify({ t: '2026-09-15T12:00:00.000Z', id: 'run_a' })).toString('base64url');
+    const query = normalizeRunQuery({ limit: '10000', cursor });
+
+    expect(query.limit).toBe(500);
+    expect(query.cursor).toEqual(decodeRunCursor(cursor));
+    expect(query.cursor).toEqual({ startTime: '2026-09-15T12:00:00.000Z', id: 'run_a' });
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { DataStore } from '../../src/storage/data-store.js';
+import { AnalyticsStore } from '../../src/storage/analytics-store.js';
+import { RetentionManager } from '../../src/storage/retention-manager.js';
+import { IdGenerator } from '../../src/utils/id-generator.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+const createRun = (startTime, overrides = {}) => ({
+  id: IdGenerator.generatePipelineRunId(),
+  trigger: { type: 'webhook', source: 'mailerlite', timestamp: startTime, metadata: {} },
+  stages: [],
+  status: 'completed',
+  startTime,
+  success: true,
+  errors: [],
+  metrics: {},
+  ...overrides
+});
+
+const createWebhook = (sent) => ({
+  id: IdGenerator.generateWebhookId(),
+  runId: null,
+  source: 'mailerlite',
+  destination: 'supabase',
+  payload: {},
+  response: { status: 200, body: {}, headers: {} },
+  timing: { sent, received: sent, processed: sent },
+  authentication: { method: 'token', success: true },
+  retries: []
+});
+
+describe('RetentionManager', () => {
+  let dataStore;
+  let analyticsStore;
+  let retentionManager;
+  const testDataDir = './test-data/retention-manager-test';
+
+  beforeEach(async () => {
+    dataStore = new DataStore(testDataDir);
+    analyticsStore = new AnalyticsStore(testDataDir);
+    await dataStore.initialize();
+    await analyticsStore.initialize();
+
+    retentionManager = new RetentionManager({
+      dataStore,
+      analyticsStore,
+      dataDir: testDataDir,
+      config: { retentionDays: 30, maxRecords: 100 }
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDataDir, { recursive: true, force: true });
+  });
+
+  it('should prune and archive pipeline runs older than the retention period', async () => {
+    const oldRun = createRun(daysAgo(45));
+    const recentRun = createRun(daysAgo(1));
+    const stuckRun = createRun(daysAgo(60), { status: 'running', success: false });
+
+    await dataStore.savePipelineRun(oldRun);
+    await dataStore.savePipelineRun(recentRun);
+    await dataStore.savePipelineRun(stuckRun);
+    await dataStore.saveMetrics(oldRun.id, { buildTime: 4000 });
+
+    const report = await retentionManager.enforce();
+
+    expect(report.collections.pipelineRuns).toMatchObject({ removed: 1, remaining: 2, metricsRemoved: 1 });
+    expect(await dataStore.getPipelineRun(oldRun.id)).toBeNull();
+    expect(await dataStore.getPipelineRun(stuckRun.id)).not.toBeNull();
+    expect(await dataStore.getMetrics(oldRun.id)).toBeNull();
+
+    const month = oldRun.startTime.slice(0, 7);
+    expect(await retentionManager.readArchive('pipelineRuns', month)).toEqual([oldRun]);
+    expect(await retentionManager.readArchive('metrics', month)).toEqual([
+      expect.objectContaining({ runId: oldRun.id, buildTime: 4000 })
+    ]);
+  });
+
+  it('should keep only the newest records when a collection exceeds its size limit', async () => {
+    retentionManager.updatePolicies({ retentionDays: 30, retention: { webhookRecords: { maxRecords: 2 } } });
+
+    const webhooks = [3, 2, 1].map(days => createWebhook(daysAgo(days)));
+    for (const webhook of webhooks) {
+      await dataStore.saveWebhookRecord(webhook);
+    }
+
+    const report = await retentionManager.enforce();
+
+    expect(report.collections.webhookRecords).toMatchObject({ removed: 1, remaining: 2 });
+    const remaining = await dataStore.getWebhookRecords();
+    expect(remaining.map(record => record.id)).toEqual([webhooks[1].id, webhooks[2].id]);
+  });
+
+  it('should append to an existing monthly archive', async () => {
+    const first = createRun(daysAgo(40));
+    await dataStore.savePipelineRun(first);
+    await retentionManager.enforce();
+
+    const second = createRun(first.startTime);
+    await dataStore.savePipelineRun(second);
+    await retentionManager.enforce();
+
+    const archived = await retentionManager.readArchive('pipelineRuns', first.startTime.slice(0, 7));
+    expect(archived.map(run => run.id)).toEqual([first.id, second.id]);
+  });
+
+  it('should prune analytics snapshots and resolved alerts only', async () => {
+    await analyticsStore.saveSnapshot({ generatedAt: daysAgo(40), totals: {} });
+    await analyticsStore.saveSnapshot({ generatedAt: daysAgo(2), totals: {} });
+
+    const alertSource = {
+      alertHistory: [
+        { id: 'alert-old-resolved', status: 'resolved', timestamp: daysAgo(40) },
+        { id: 'alert-old-active', status: 'active', timestamp: daysAgo(40) },
+        { id: 'alert-recent', status: 'resolved', timestamp: daysAgo(1) }
+      ],
+      pruneAlertHistory(alertIds) {
+        const before = this.alertHistory.length;
+        this.alertHistory = this.alertHistory.filter(alert => !alertIds.includes(alert.id));
+        return before - this.alertHistory.length;
+      }
+    };
+    retentionManager.addAlertSource(alertSource);
+
+    const report = await retentionManager.enforce();
+
+    expect(report.collections.analyticsSnapshots).toMatchObject({ removed: 1, remaining: 1 });
+    expect(await analyticsStore.getSnapshots()).toHaveLength(1);
+    expect(report.collections.alertHistory).toMatchObject({ removed: 1, remaining: 2 });
+    expect(alertSource.alertHistory.map(alert => alert.id)).toEqual(['alert-old-active', 'alert-recent']);
+  });
+
+  it('should record each run in the retention log', async () => {
+    await dataStore.savePipelineRun(createRun(daysAgo(50)));
+    await retentionManager.enforce();
+    await retentionManager.enforce();
+
+    const status = await retentionManager.getStatus();
+    expect(status.history).toHaveLength(2);
+    expect(status.history[0].totalRemoved).toBe(1);
+    expect(status.lastReport.totalRemoved).toBe(0);
+    expect(status.policies.pipelineRuns).toEqual({ maxAgeDays: 30, maxRecords: 100 });
+  });
+});
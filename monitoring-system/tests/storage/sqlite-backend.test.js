@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DataStore } from '../../src/storage/data-store.js';
+import { SqliteStorageBackend } from '../../src/storage/backends/sqlite-backend.js';
+import { IdGenerator } from '../../src/utils/id-generator.js';
+
+const createRun = (overrides = {}) => ({
+  id: IdGenerator.generatePipelineRunId(),
+  trigger: { type: 'webhook', source: 'mailerlite', timestamp: new Date().toISOString(), metadata: {} },
+  stages: [],
+  status: 'completed',
+  startTime: new Date().toISOString(),
+  success: true,
+  errors: [],
+  metrics: { webhookLatency: 0, buildTime: 0, deploymentTime: 0, siteResponseTime: 0, totalPipelineTime: 0, errorRate: 0, successRate: 0, throughput: 0 },
+  ...overrides
+});
+
+const createWebhook = (runId, overrides = {}) => ({
+  id: IdGenerator.generateWebhookId(),
+  runId,
+  source: 'mailerlite',
+  destination: 'supabase',
+  payload: { test: 'data' },
+  response: { status: 200, body: { success: true }, headers: {} },
+  timing: {
+    sent: new Date().toISOString(),
+    received: new Date().toISOString(),
+    processed: new Date().toISOString()
+  },
+  authentication: { method: 'token', success: true },
+  retries: [],
+  ...overrides
+});
+
+describe('SqliteStorageBackend', () => {
+  let dataStore;
+  const testDataDir = './test-data/sqlite-backend-test';
+
+  beforeEach(async () => {
+    dataStore = new DataStore(testDataDir, { backend: 'sqlite' });
+    await dataStore.initialize();
+  });
+
+  afterEach(async () => {
+    await dataStore.close();
+    try {
+      await fs.rm(testDataDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('initialization', () => {
+    it('should create the database file and config', async () => {
+      expect(dataStore.backend).toBeInstanceOf(SqliteStorageBackend);
+      await fs.access(path.join(testDataDir, 'monitoring.db'));
+      await fs.access(dataStore.configFile);
+
+      const runs = await dataStore.getPipelineRuns();
+      expect(runs).toEqual([]);
+    });
+  });
+
+  describe('pipeline run operations', () => {
+    it('should save, update and retrieve a pipeline run', async () => {
+      const run = createRun({ status: 'running', success: false });
+      await dataStore.savePipelineRun(run);
+
+      run.status = 'completed';
+      run.success = true;
+      await dataStore.savePipelineRun(run);
+
+      const retrieved = await dataStore.getPipelineRun(run.id);
+      expect(retrieved).toEqual(run);
+      expect(await dataStore.getPipelineRun('missing')).toBeNull();
+    });
+
+    it('should filter by status and trigger type, newest first with limit', async () => {
+      const older = createRun({ startTime: new Date(Date.now() - 60000).toISOString() });
+      const newer = createRun({ startTime: new Date().toISOString() });
+      const failedGit = createRun({
+        status: 'failed',
+        success: false,
+        trigger: { type: 'git', source: 'commit', timestamp: new Date().toISOString(), metadata: {} }
+      });
+
+      await dataStore.savePipelineRun(older);
+      await dataStore.savePipelineRun(newer);
+      await dataStore.savePipelineRun(failedGit);
+
+      const completed = await dataStore.getPipelineRuns({ status: 'completed' });
+      expect(completed.map(run => run.id)).toEqual([newer.id, older.id]);
+
+      const gitRuns = await dataStore.getPipelineRuns({ triggerType: 'git' });
+      expect(gitRuns.map(run => run.id)).toEqual([failedGit.id]);
+
+      const limited = await dataStore.getPipelineRuns({ status: 'completed', limit: 1 });
+      expect(limited.map(run => run.id)).toEqual([newer.id]);
+    });
+  });
+
+  describe('webhook record operations', () => {
+    it('should return records for a run, or all records when no run ID is given', async () => {
+      const runId = IdGenerator.generatePipelineRunId();
+      const first = createWebhook(runId);
+      const second = createWebhook(runId);
+      const other = createWebhook(IdGenerator.generatePipelineRunId());
+
+      await dataStore.saveWebhookRecord(first);
+      await dataStore.saveWebhookRecord(second);
+      await dataStore.saveWebhookRecord(other);
+
+      const records = await dataStore.getWebhookRecords(runId);
+      expect(records).toEqual([first, second]);
+      expect(await dataStore.getWebhookRecord(other.id)).toEqual(other);
+      expect(await dataStore.getWebhookRecords()).toHaveLength(3);
+    });
+  });
+
+  describe('metrics operations', () => {
+    it('should save metrics per run with a timestamp', async () => {
+      const runId = IdGenerator.generatePipelineRunId();
+      await dataStore.saveMetrics(runId, { buildTime: 5000 });
+
+      const retrieved = await dataStore.getMetrics(runId);
+      expect(retrieved).toMatchObject({ buildTime: 5000 });
+      expect(retrieved).toHaveProperty('timestamp');
+
+      const all = await dataStore.getMetrics();
+      expect(Object.keys(all)).toEqual([runId]);
+    });
+  });
+
+  describe('cleanup operations', () => {
+    it('should keep only the newest records', async () => {
+      for (let i = 0; i < 5; i++) {
+        const run = createRun({ startTime: new Date(Date.now() - i * 1000).toISOString() });
+        await dataStore.savePipelineRun(run);
+        await dataStore.saveWebhookRecord(createWebhook(run.id, {
+          timing: { sent: new Date(Date.now() - i * 1000).toISOString(), received: null, processed: null }
+        }));
+      }
+
+      await dataStore.cleanup(3);
+
+      expect(await dataStore.getPipelineRuns()).toHaveLength(3);
+      expect(await dataStore.getWebhookRecords()).toHaveLength(3);
+    });
+  });
+
+  describe('delete operations', () => {
+    it('should delete runs, webhook records and metrics by ID', async () => {
+      const kept = createRun();
+      const removed = createRun();
+      const webhook = createWebhook(removed.id);
+
+      await dataStore.savePipelineRun(kept);
+      await dataStore.savePipelineRun(removed);
+      await dataStore.saveWebhookRecord(webhook);
+      await dataStore.saveMetrics(removed.id, { buildTime: 100 });
+
+      await dataStore.deletePipelineRuns([removed.id]);
+      await dataStore.deleteWebhookRecords([webhook.id]);
+      await dataStore.deleteMetrics([removed.id]);
+
+      expect((await dataStore.getPipelineRuns()).map(run => run.id)).toEqual([kept.id]);
+      expect(await dataStore.getWebhookRecords()).toEqual([]);
+      expect(await dataStore.getMetrics(removed.id)).toBeNull();
+    });
+  });
+
+  describe('JSON migration', () => {
+    const migrationDir = './test-data/sqlite-migration-test';
+
+    afterEach(async () => {
+      await fs.rm(migrationDir, { recursive: true, force: true });
+    });
+
+    it('should import existing JSON files once on first initialization', async () => {
+      const jsonStore = new DataStore(migrationDir);
+      await jsonStore.initialize();
+
+      const run = createRun();
+      const webhook = createWebhook(run.id);
+      await jsonStore.savePipelineRun(run);
+      await jsonStore.saveWebhookRecord(webhook);
+      await jsonStore.saveMetrics(run.id, { buildTime: 1200 });
+
+      const sqliteStore = new DataStore(migrationDir, { backend: 'sqlite' });
+      await sqliteStore.initialize();
+
+      expect(await sqliteStore.getPipelineRun(run.id)).toEqual(run);
+      expect(await sqliteStore.getWebhookRecords(run.id)).toEqual([webhook]);
+      expect(await sqliteStore.getMetrics(run.id)).toMatchObject({ buildTime: 1200 });
+      expect(sqliteStore.backend.getMeta('json_migrated_at')).toBeTruthy();
+
+      await sqliteStore.cleanup(0);
+      await sqliteStore.close();
+
+      // Reopening must not import the JSON files a second time
+      const reopened = new DataStore(migrationDir, { backend: 'sqlite' });
+      await reopened.initialize();
+      expect(await reopened.getPipelineRuns()).toEqual([]);
+      await reopened.close();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { FakeGitHubServer } from '../../src/testing/fake-github-server.js';
+
+describe('FakeGitHubServer', () => {
+  let server;
+  let repoUrl;
+
+  const request = (path, { method = 'GET', body, token = 'test-token', headers = {} } = {}) => fetch(`${repoUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const json = async (path, options) => (await request(path, options)).json();
+
+  beforeEach(async () => {
+    server = new FakeGitHubServer({ owner: 'test-owner', repo: 'test-repo', token: 'test-token' });
+    repoUrl = `${await server.start()}/repos/test-owner/test-repo`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it('should answer repository requests with rate limit headers', async () => {
+    const response = await request('');
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ full_name: 'test-owner/test-repo', default_branch: 'main' });
+    expect(response.headers.get('x-ratelimit-limit')).toBe('5000');
+    expect(response.headers.get('x-ratelimit-remaining')).toBe('4999');
+    expect(Number(response.headers.get('x-ratelimit-reset'))).toBeGreaterThan(Date.now() / 1000);
+  });
+
+  it('should reject requests without the configured token', async () => {
+    const response = await request('', { token: 'wrong' });
+
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual({ message: 'Bad credentials' });
+  });
+
+  it('should create a dispatched run named after the correlation ID', async () => {
+    const response = await request('/actions/workflows/deploy-gh-pages.yml/dispatches', {
+      method: 'POST',
+      body: { ref: 'main', inputs: { correlation_id: 'corr_0123456789ab' } }
+    });
+
+    expect(response.status).toBe(204);
+    const { workflow_runs: runs } = await json('/actions/runs?event=workflow_dispatch');
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({
+      event: 'workflow_dispatch',
+      status: 'queued',
+      display_title: 'Deploy Hugo to GitHub Pages [corr_0123456789ab]',
+      inputs: { correlation_id: 'corr_0123456789ab' }
+    });
+
+    const missing = await request('/actions/workflows/unknown.yml/dispatches', { method: 'POST', body: { ref: 'main' } });
+    expect(missing.status).toBe(404);
+  });
+
+  it('should move a run through its scenario one poll at a time', async () => {
+    server.queueScenario('failure');
+    const run = server.addWorkflowRun();
+
+    expect((await json(`/actions/runs/${run.id}`)).status).toBe('in_progress');
+    expect((await json(`/actions/runs/${run.id}/jobs`)).jobs.map(job => job.status)).toEqual(['in_progress', 'queued']);
+
+    const completed = await json(`/actions/runs/${run.id}`);
+    expect(completed).toMatchObject({ status: 'completed', conclusion: 'failure' });
+
+    const { jobs } = await json(`/actions/runs/${run.id}/jobs`);
+    expect(jobs.map(job => [job.name, job.conclusion])).toEqual([['build', 'success'], ['deploy', 'failure']]);
+    expect(new Date(jobs[1].completed_at) - new Date(jobs[1].started_at)).toBe(15000);
+
+    const logs = await request(`/actions/runs/${run.id}/logs`);
+    expect(await logs.text()).toContain('Failed to deploy to GitHub Pages');
+  });
+
+  it('should commit and delete contents with GitHub sha rules', async () => {
+    const path = 'content%2Fblog%2Fpost.md';
+    const message = 'Add post\n\nCorrelation-Id: corr_0123456789ab';
+
+    const created = await request(`/contents/${path}`, { method: 'PUT', body: { message, content: Buffer.from('# Post').toString('base64') } });
+    expect(created.status).toBe(201);
+    const { content } = await created.json();
+    expect(server.getFile('content/blog/post.md')).toBe('# Post');
+
+    const [pushRun] = server.runs;
+    expect(pushRun).toMatchObject({ event: 'push', display_title: 'Add post', head_commit: { message } });
+
+    const withoutSha = await request(`/contents/${path}`, { method: 'PUT', body: { message, content: 'eA==' } });
+    expect(withoutSha.status).toBe(422);
+    const staleSha = await request(`/contents/${path}`, { method: 'DELETE', body: { message, sha: 'stale' } });
+    expect(staleSha.status).toBe(409);
+
+    const deleted = await request(`/contents/${path}`, { method: 'DELETE', body: { message, sha: content.sha } });
+    expect(deleted.status).toBe(200);
+    expect(server.getFile('content/blog/post.md')).toBeNull();
+  });
+
+  it('should fail scripted requests with server errors', async () => {
+    server.injectFault({ status: 502, path: '/actions/runs', times: 2 });
+
+    expect((await request('/actions/runs')).status).toBe(502);
+    expect((await request('')).status).toBe(200);
+    expect((await request('/actions/runs')).status).toBe(502);
+    expect((await request('/actions/runs')).status).toBe(200);
+  });
+
+  it('should refuse requests once the rate limit is used up until it resets', async () => {
+    let now = Date.now();
+    server.now = () => now;
+    server.setRateLimit({ remaining: 0, resetIn: 60000 });
+
+    const limited = await request('');
+    expect(limited.status).toBe(403);
+    expect(limited.headers.get('x-ratelimit-remaining')).toBe('0');
+    expect((await limited.json()).message).toMatch(/^API rate limit exceeded/);
+
+    now += 61000;
+    const reset = await request('');
+    expect(reset.status).toBe(200);
+    expect(reset.headers.get('x-ratelimit-remaining')).toBe('4999');
+  });
+
+  it('should answer unchanged conditional requests with 304 without using the rate limit', async () => {
+    server.addWorkflowRun({ status: 'completed' });
+    const first = await request('/actions/runs');
+    const etag = first.headers.get('etag');
+    expect(first.headers.get('x-ratelimit-remaining')).toBe('4999');
+
+    const unchanged = await request('/actions/runs', { headers: { 'If-None-Match': etag } });
+    expect(unchanged.status).toBe(304);
+    expect(unchanged.headers.get('x-ratelimit-remaining')).toBe('4999');
+
+    server.addWorkflowRun();
+    const changed = await request('/actions/runs', { headers: { 'If-None-Match': etag } });
+    expect(changed.status).toBe(200);
+    expect(changed.headers.get('etag')).not.toBe(etag);
+  });
+
+  it('should send Retry-After with scripted secondary rate limits', async () => {
+    server.injectFault({ status: 403, retryAfter: 30, message: 'You have exceeded a secondary rate limit' });
+
+    const limited = await request('/actions/runs');
+    expect(limited.status).toBe(403);
+    expect(limited.headers.get('retry-after')).toBe('30');
+  });
+});
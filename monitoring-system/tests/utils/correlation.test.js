@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCorrelationTrailer,
+  extractWorkflowRunCorrelationId,
+  extractWebhookCorrelationId
+} from '../../src/utils/correlation.js';
+
+describe('correlation helpers', () => {
+  it('should read the correlation trailer from commit messages', () => {
+    expect(parseCorrelationTrailer('Add post from MailerLite: Hello\n\nCorrelation-Id: corr_0123456789ab')).toBe('corr_0123456789ab');
+    expect(parseCorrelationTrailer('Add post\n\ncorrelation-id: corr_0123456789ab\n')).toBe('corr_0123456789ab');
+    expect(parseCorrelationTrailer('Correlation-Id: not-an-id')).toBeNull();
+    expect(parseCorrelationTrailer(undefined)).toBeNull();
+  });
+
+  it('should find the correlation ID of workflow runs', () => {
+    expect(extractWorkflowRunCorrelationId({ display_title: 'Deploy Hugo to GitHub Pages [corr_0123456789ab]' })).toBe('corr_0123456789ab');
+    expect(extractWorkflowRunCorrelationId({
+      display_title: 'Add post from MailerLite: Hello',
+      head_commit: { message: 'Add post from MailerLite: Hello\n\nCorrelation-Id: corr_ba9876543210' }
+    })).toBe('corr_ba9876543210');
+    expect(extractWorkflowRunCorrelationId({ display_title: 'Update theme' })).toBeNull();
+  });
+
+  it('should find correlation IDs on incoming webhooks', () => {
+    expect(extractWebhookCorrelationId('mailerlite', {}, { 'x-correlation-id': 'corr_0123456789ab' })).toBe('corr_0123456789ab');
+    expect(extractWebhookCorrelationId('github', { inputs: { correlation_id: 'corr_0123456789ab' } })).toBe('corr_0123456789ab');
+    expect(extractWebhookCorrelationId('github', {
+      workflow_run: { display_title: 'Deploy Hugo to GitHub Pages [corr_ba9876543210]' }
+    })).toBe('corr_ba9876543210');
+    expect(extractWebhookCorrelationId('mailerlite', { correlation_id: 'bogus' }, {})).toBeNull();
+  });
+});
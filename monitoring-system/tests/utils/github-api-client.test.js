@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FakeGitHubServer } from '../../src/testing/fake-github-server.js';
+import { GitHubApiClient, parseRateLimitHeaders } from '../../src/utils/github-api-client.js';
+
+describe('parseRateLimitHeaders', () => {
+  it('should extract complete rate limit information', () => {
+    const headers = {
+      'x-ratelimit-limit': '5000',
+      'x-ratelimit-remaining': '4999',
+      'x-ratelimit-reset': '1640995200',
+      'x-ratelimit-used': '1',
+      'x-ratelimit-resource': 'core'
+    };
+
+    expect(parseRateLimitHeaders(headers)).toEqual({
+      limit: 5000,
+      remaining: 4999,
+      resetTime: 1640995200000,
+      used: 1,
+      resource: 'core'
+    });
+    expect(parseRateLimitHeaders(new Headers(headers)).remaining).toBe(4999);
+  });
+
+  it('should handle missing rate limit headers', () => {
+    expect(parseRateLimitHeaders({})).toEqual({
+      limit: null,
+      remaining: null,
+      resetTime: null,
+      used: null,
+      resource: 'core'
+    });
+  });
+});
+
+describe('GitHubApiClient', () => {
+  let server;
+  let repoUrl;
+  let client;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    server = new FakeGitHubServer({ owner: 'test-owner', repo: 'test-repo', token: 'test-token' });
+    repoUrl = `${await server.start()}/repos/test-owner/test-repo`;
+    client = new GitHubApiClient({ token: 'test-token' });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    vi.restoreAllMocks();
+  });
+
+  it('should revalidate cached responses with If-None-Match', async () => {
+    server.addWorkflowRun({ status: 'completed' });
+
+    const first = await client.request(`${repoUrl}/actions/runs`);
+    const second = await client.request(`${repoUrl}/actions/runs`);
+
+    expect(second).toEqual(first);
+    const [initial, conditional] = server.requests;
+    expect(initial.headers['if-none-match']).toBeUndefined();
+    expect(conditional.headers).toMatchObject({ 'if-none-match': expect.stringMatching(/^W\/"/), authorization: 'token test-token' });
+    expect(client.getQuota()).toMatchObject({ limit: 5000, remaining: 4999, requests: 2, notModified: 1, cachedResponses: 1 });
+
+    server.addWorkflowRun();
+    expect((await client.request(`${repoUrl}/actions/runs`)).total_count).toBe(2);
+  });
+
+  it('should stop sending requests until an exhausted rate limit resets', async () => {
+    server.setRateLimit({ remaining: 0, resetIn: 60000 });
+
+    await expect(client.request(repoUrl)).rejects.toThrow(/^GitHub API rate limit exceeded \(resets at \d{4}-/);
+    await expect(client.request(repoUrl)).rejects.toThrow('GitHub API rate limit exceeded');
+    expect(server.requests).toHaveLength(1);
+    expect(client.getQuota()).toMatchObject({ remaining: 0, blockReason: 'primary', rateLimited: 1 });
+    expect(client.getPollInterval(1000)).toBeGreaterThan(55000);
+  });
+
+  it('should back off on secondary rate limits', async () => {
+    server.injectFault({ status: 403, retryAfter: 30, message: 'You have exceeded a secondary rate limit' });
+
+    await expect(client.request(`${repoUrl}/actions/runs`)).rejects.toThrow('GitHub API secondary rate limit hit');
+    expect(client.getQuota().blockReason).toBe('secondary');
+    expect(client.getPollInterval(1000)).toBeGreaterThan(29000);
+
+    // Without Retry-After the wait doubles with each secondary limit in a row
+    client.blockedUntil = 0;
+    server.injectFault({ status: 403, times: 2, message: 'You have exceeded a secondary rate limit' });
+    await expect(client.request(repoUrl)).rejects.toThrow('secondary rate limit');
+    expect(client.blockedUntil - Date.now()).toBeGreaterThan(110000);
+    client.blockedUntil = 0;
+    await expect(client.request(repoUrl)).rejects.toThrow('secondary rate limit');
+    expect(client.blockedUntil - Date.now()).toBeGreaterThan(230000);
+
+    client.blockedUntil = 0;
+    await client.request(repoUrl);
+    expect(client.secondaryBackoffs).toBe(0);
+  });
+
+  it('should slow polling down as the quota runs low', async () => {
+    const resetTime = Date.now() + 3600000;
+    client.rateLimit = { limit: 5000, remaining: 4000, resetTime, used: 1000, resource: 'core' };
+    expect(client.getPollInterval(30000)).toBe(30000);
+
+    // 1000 left, 500 of them kept back: the other 500 are spread over the hour
+    client.rateLimit = { ...client.rateLimit, remaining: 1000 };
+    expect(client.getPollInterval(1000)).toBeGreaterThanOrEqual(7190);
+    expect(client.getPollInterval(1000)).toBeLessThanOrEqual(7200);
+    expect(client.getPollInterval(1000, 3)).toBeGreaterThanOrEqual(21570);
+
+    client.rateLimit = { ...client.rateLimit, remaining: 400 };
+    expect(client.getPollInterval(1000)).toBeGreaterThan(3590000);
+  });
+});
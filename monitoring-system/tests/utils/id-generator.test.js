@@ -49,6 +49,15 @@ describe('IdGenerator', () => {
     });
   });
 
+  describe('generateCorrelationId', () => {
+    it('should generate a valid correlation ID', () => {
+      const id = IdGenerator.generateCorrelationId();
+      expect(id).toMatch(/^corr_[a-f0-9]{12}$/);
+      expect(IdGenerator.validateId(id, 'correlation')).toBe(true);
+      expect(IdGenerator.validateId('corr_nothex', 'correlation')).toBe(false);
+    });
+  });
+
   describe('generateUuid', () => {
     it('should generate a valid UUID', () => {
       const id = IdGenerator.generateUuid();
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import {
+  deliverySentAt,
+  deliveryNonces,
+  ReplayGuard,
+  signPayload,
+  verifyGitHubSignature,
+  verifyMailerLiteSignature,
+  verifySignature,
+  verifyWebhookDelivery
+} from '../../src/utils/webhook-signature.js';
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ event: 'alert_generated', alert: { id: 'alert-1' } });
+  const now = Date.parse('2026-10-18T01:00:00Z');
+  const timestamp = now / 1000;
+
+  it('should sign the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'shh').update(`${timestamp}.${body}`).digest('hex');
+
+    expect(signPayload('shh', body, timestamp)).toEqual({ timestamp, signature: `sha256=${expected}` });
+  });
+
+  it('should verify signatures within the tolerance only', () => {
+    const { signature } = signPayload('shh', body, timestamp);
+
+    expect(verifySignature({ secret: 'shh', body, timestamp: String(timestamp), signature, now })).toBe(true);
+    expect(verifySignature({ secret: 'shh', body, timestamp, signature, now: now + 299000 })).toBe(true);
+    expect(verifySignature({ secret: 'shh', body, timestamp, signature, now: now + 301000 })).toBe(false);
+    expect(verifySignature({ secret: 'other', body, timestamp, signature, now })).toBe(false);
+    expect(verifySignature({ secret: 'shh', body: `${body} `, timestamp, signature, now })).toBe(false);
+    expect(verifySignature({ secret: 'shh', body, timestamp: timestamp + 1, signature, now })).toBe(false);
+    expect(verifySignature({ secret: 'shh', body, timestamp, signature: 'sha256=abc', now })).toBe(false);
+    expect(verifySignature({ secret: 'shh', body, timestamp, signature: undefined, now })).toBe(false);
+  });
+
+  it('should verify GitHub and MailerLite signatures over the raw body', () => {
+    const digest = crypto.createHmac('sha256', 'shh').update(body).digest('hex');
+
+    expect(verifyGitHubSignature({ secret: 'shh', body: Buffer.from(body), signature: `sha256=${digest}` })).toBe(true);
+    expect(verifyGitHubSignature({ secret: 'shh', body, signature: digest })).toBe(false);
+    expect(verifyGitHubSignature({ secret: 'other', body, signature: `sha256=${digest}` })).toBe(false);
+    expect(verifyMailerLiteSignature({ secret: 'shh', body, signature: digest })).toBe(true);
+    expect(verifyMailerLiteSignature({ secret: 'shh', body: `${body} `, signature: digest })).toBe(false);
+    expect(verifyMailerLiteSignature({ secret: '', body, signature: digest })).toBe(false);
+  });
+
+  it('should forget deliveries after the replay window or when full', () => {
+    const guard = new ReplayGuard({ ttl: 1000, maxEntries: 2 });
+
+    expect(guard.accept('a', now)).toBe(true);
+    expect(guard.accept('a', now + 500)).toBe(false);
+    expect(guard.accept('a', now + 1500)).toBe(true);
+    expect(guard.accept('b', now + 1500)).toBe(true);
+    expect(guard.accept('c', now + 1500)).toBe(true);
+    expect(guard.seen.has('a')).toBe(false);
+
+    guard.release('b');
+    expect(guard.accept('b', now + 1600)).toBe(true);
+
+    const multiple = new ReplayGuard();
+    expect(multiple.accept(['x', 'y'], now)).toBe(true);
+    expect(multiple.accept(['y', 'z'], now)).toBe(false);
+    expect(multiple.seen.has('z')).toBe(false);
+  });
+
+  it('should verify deliveries and name the reason they fail', () => {
+    const guard = new ReplayGuard();
+    const digest = crypto.createHmac('sha256', 'shh').update(body).digest('hex');
+    const github = { 'x-hub-signature-256': `sha256=${digest}` };
+    const verify = (source, options) => verifyWebhookDelivery(source, { secret: 'shh', body, now, ...options });
+
+    expect(verify('github', { headers: github, replayGuard: guard })).toEqual({ method: 'hmac-sha256', success: true, errors: [] });
+    expect(verify('github', { headers: github, replayGuard: guard }).failureReason).toBe('replayed');
+    guard.release(deliveryNonces('github', github));
+    expect(verify('github', { headers: github, replayGuard: guard }).success).toBe(true);
+    expect(deliveryNonces('mailerlite', {})).toEqual([]);
+    expect(verify('mailerlite', { headers: { signature: digest }, replayGuard: guard }).success).toBe(true);
+    expect(verify('mailerlite', { headers: { 'x-mailerlite-signature': 'abc' } }).failureReason).toBe('invalid_signature');
+    expect(verify('mailerlite', { headers: {} }).failureReason).toBe('missing_signature');
+    expect(verify('github', { headers: github, body: undefined }).failureReason).toBe('missing_raw_body');
+
+    const signed = signPayload('shh', body, timestamp);
+    const supabase = (seconds) => ({ 'x-monitoring-signature': signed.signature, 'x-monitoring-timestamp': String(seconds) });
+    expect(verify('supabase', { headers: supabase(timestamp) }).success).toBe(true);
+    expect(verify('supabase', { headers: supabase(timestamp), now: now + 301000 }).failureReason).toBe('stale_timestamp');
+    expect(verify('supabase', { headers: supabase(timestamp + 1) }).failureReason).toBe('invalid_signature');
+  });
+
+  it('should read when GitHub deliveries were sent from their body', () => {
+    const json = payload => JSON.stringify(payload);
+
+    expect(deliverySentAt('github', json({ workflow_run: { updated_at: '2026-10-18T00:59:00Z' } }), { 'x-github-event': 'workflow_run' }))
+      .toBe(now - 60000);
+    expect(deliverySentAt('github', json({ repository: { pushed_at: timestamp } }), { 'x-github-event': 'push' })).toBe(now);
+    expect(deliverySentAt('github', json({ zen: 'Design for failure.' }), { 'x-github-event': 'ping' })).toBeNull();
+    expect(deliverySentAt('github', json({ deployment_status: {} }), { 'x-github-event': 'deployment_status' })).toBeNaN();
+    expect(deliverySentAt('github', 'not json', { 'x-github-event': 'push' })).toBeNaN();
+    expect(deliverySentAt('mailerlite', json({ type: 'campaign.sent', created_at: '2026-10-18 00:00:00' }))).toBeNull();
+  });
+
+  it('should reject stale GitHub deliveries and know them by delivery ID', () => {
+    const sign = payload => crypto.createHmac('sha256', 'shh').update(payload).digest('hex');
+    const verify = (source, payload, headers, options) => verifyWebhookDelivery(source, { secret: 'shh', body: payload, headers, now, ...options });
+
+    const push = JSON.stringify({ ref: 'refs/heads/main', repository: { pushed_at: timestamp - 3600 } });
+    const pushHeaders = { 'x-github-event': 'push', 'x-github-delivery': 'a1', 'x-hub-signature-256': `sha256=${sign(push)}` };
+    expect(verify('github', push, pushHeaders).failureReason).toBe('stale_timestamp');
+
+    const guard = new ReplayGuard();
+    const run = JSON.stringify({ action: 'completed', workflow_run: { id: 1, updated_at: '2026-10-18T01:00:00Z' } });
+    const runHeaders = { 'x-github-event': 'workflow_run', 'x-github-delivery': 'b2', 'x-hub-signature-256': `sha256=${sign(run)}` };
+    expect(deliveryNonces('github', runHeaders)).toEqual(['github:delivery:b2', `github:sha256=${sign(run)}`]);
+    expect(verify('github', run, runHeaders, { replayGuard: guard }).success).toBe(true);
+    expect(verify('github', run, { ...runHeaders, 'x-github-delivery': 'c3' }, { replayGuard: guard }).failureReason).toBe('replayed');
+  });
+
+  it('should accept MailerLite deliveries of old campaigns and without created_at', () => {
+    const sign = payload => crypto.createHmac('sha256', 'shh').update(payload).digest('hex');
+    const guard = new ReplayGuard();
+    const verify = payload => verifyWebhookDelivery('mailerlite', { secret: 'shh', body: payload, headers: { signature: sign(payload) }, replayGuard: guard, now });
+
+    // created_at is when the campaign was created, an hour before it was sent
+    const campaign = JSON.stringify({ type: 'campaign.sent', created_at: '2026-10-18 00:00:00', data: { id: 'cmp_42' } });
+    const undated = JSON.stringify({ type: 'campaign.sent', data: { id: 'cmp_43' } });
+    expect(verify(campaign).success).toBe(true);
+    expect(verify(undated).success).toBe(true);
+    expect(verify(campaign).failureReason).toBe('replayed');
+  });
+});
@@ -27,7 +27,8 @@ serve(async (req: Request) => {
     }
 
     // 🚀 Trigger GitHub Actions workflow dispatch
-    const workflowUrl = `https://api.github.com/repos/${githubRepo}/actions/workflows/deploy-gh-pages.yml/dispatches`;
+    const githubApiUrl = (Deno.env.get("GITHUB_API_URL") ?? "https://api.github.com").replace(/\/+$/, "");
+    const workflowUrl = `${githubApiUrl}/repos/${githubRepo}/actions/workflows/deploy-gh-pages.yml/dispatches`;
     
     const res = await fetch(workflowUrl, {
       method: "POST",
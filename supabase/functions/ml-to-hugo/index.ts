@@ -10,6 +10,16 @@ function jsonResponse(data: unknown, status = 200) {
 function slugify(s: string) {
   return s.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "").slice(0, 80);
 }
+// Same format as the monitoring system's IdGenerator.generateCorrelationId()
+const CORRELATION_ID_PATTERN = /^corr_[a-f0-9]{12}$/;
+function resolveCorrelationId(provided: unknown) {
+  if (typeof provided === "string" && CORRELATION_ID_PATTERN.test(provided)) return provided;
+  return `corr_${crypto.randomUUID().replace(/-/g, "").slice(0, 12)}`;
+}
+// GITHUB_API_URL points the function at a local stand-in GitHub API for offline runs
+function githubApiUrl() {
+  return (Deno.env.get("GITHUB_API_URL") ?? "https://api.github.com").replace(/\/+$/, "");
+}
 function toBase64UTF8(s: string) {
   // btoa expects latin1; encode first so non-ASCII survives
   return btoa(unescape(encodeURIComponent(s)));
@@ -30,7 +40,7 @@ async function triggerGithubWorkflow({
   inputs: Record<string, string>;
 }) {
   const workflowUrl =
-    `https://api.github.com/repos/${owner}/${repo}/actions/workflows/${encodeURIComponent(workflow)}/dispatches`;
+    `${githubApiUrl()}/repos/${owner}/${repo}/actions/workflows/${encodeURIComponent(workflow)}/dispatches`;
   const res = await fetch(workflowUrl, {
     method: "POST",
     headers: {
@@ -59,6 +69,12 @@ serve(async (req) => {
       return jsonResponse({ ok: false, error: "unauthorized" }, 401);
     }
 
+    // Correlation ID from the monitoring system's webhook intake, or a fresh one
+    // when the webhook came straight from MailerLite
+    const correlationId = resolveCorrelationId(
+      req.headers.get("X-Correlation-Id") ?? body?.correlation_id,
+    );
+
     /* 1) Identify event + campaign id (accept variants) */
     const rawEvent = (body?.event ?? body?.type ?? "") as string;
     const event = rawEvent.toLowerCase();
@@ -97,12 +113,14 @@ serve(async (req) => {
           triggered_by: "supabase-manual",
           timestamp: new Date().toISOString(),
           reason: String(body?.reason ?? "manual"),
+          correlation_id: correlationId,
         },
       });
       return jsonResponse(
         {
           ok: dispatch.ok,
           status: dispatch.status,
+          correlation_id: correlationId,
           message: dispatch.ok ? "Manual trigger → GitHub Pages workflow" : "GitHub workflow dispatch failed",
           upstream: dispatch.body,
         },
@@ -205,6 +223,7 @@ serve(async (req) => {
       `slug: "${slug}"\n` +
       `tags: [${tagsDefault.map((t) => `"${t}"`).join(", ")}]\n` +
       `draft: false\n` +
+      `correlation_id: "${correlationId}"\n` +
       `---\n\n`;
     const bodyMd = html ? `{{< rawhtml >}}\n${html}\n{{< /rawhtml >}}\n` : `*(empty)*\n`;
     const markdown = frontMatter + bodyMd;
@@ -242,7 +261,7 @@ serve(async (req) => {
     
     const path = `${contentDir}/${year}/${folderName}/${slug}.md`;
     const commitRes = await fetch(
-      `https://api.github.com/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}`,
+      `${githubApiUrl()}/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}`,
       {
         method: "PUT",
         headers: {
@@ -250,7 +269,7 @@ serve(async (req) => {
           Accept: "application/vnd.github+json",
         },
         body: JSON.stringify({
-          message: `Add post from MailerLite: ${title}`,
+          message: `Add post from MailerLite: ${title}\n\nCorrelation-Id: ${correlationId}`,
           content: toBase64UTF8(markdown),
           committer: { name: authorName, email: authorEmail },
         }),
@@ -273,6 +292,7 @@ serve(async (req) => {
         timestamp: new Date().toISOString(),
         campaign_id: String(campaignId),
         slug,
+        correlation_id: correlationId,
       },
     });
 
@@ -282,6 +302,9 @@ serve(async (req) => {
         status: dispatch.status,
         processed_campaign: String(campaignId),
         created: path,
+        title,
+        slug,
+        correlation_id: correlationId,
         message: dispatch.ok ? "GitHub Pages workflow dispatched 🎉" : "GitHub workflow dispatch failed ❌",
         upstream: dispatch.body,
       },